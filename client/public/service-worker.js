@@ -0,0 +1,45 @@
+/* eslint-disable no-restricted-globals */
+// Keeps the app shell (HTML, scripts, styles, images) available offline so the
+// app still opens without a connection. API responses are never cached here;
+// tasks and forms for offline use live in IndexedDB (src/lib/offlineStore.js).
+const CACHE = 'hospital-research-shell-v1';
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const remember = (key, response) => {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(CACHE).then((cache) => cache.put(key, copy));
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+  if (request.mode === 'navigate') {
+    // Every client-side route is served by index.html: the latest one online, the cached one offline
+    event.respondWith(
+      fetch(request)
+        .then((response) => remember('/index.html', response))
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+  // Built assets carry a content hash in their name, so a cached copy is never stale
+  event.respondWith(
+    caches.match(request).then((cached) => cached || fetch(request).then((response) => remember(request, response)))
+  );
+});
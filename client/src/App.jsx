@@ -1,4 +1,4 @@
-import { Navigate, Route, Routes } from 'react-router-dom';
+import { Navigate, Route, Routes, useLocation } from 'react-router-dom';
 import { useAuth } from './lib/auth';
 import { ProtectedRoute } from './routes/ProtectedRoute';
 import Login from './pages/Login';
@@ -12,10 +12,12 @@ import Population from './pages/Population';
 import Patient from './pages/Patient';
 import Tasks from './pages/Tasks';
 import PlatformOrganizations from './pages/PlatformOrganizations';
+import PatientSelfReport from './pages/PatientSelfReport';
 import { MainLayout } from './components/MainLayout';
 
 const App = () => {
   const { isAuthenticated, loading, user } = useAuth();
+  const location = useLocation();
   let defaultRoute = '/dashboard';
   if (user?.role === 'staff') {
     defaultRoute = '/tasks';
@@ -23,6 +25,15 @@ const App = () => {
     defaultRoute = '/platform/organizations';
   }
 
+  // Patient self-report links work without (and regardless of) a staff session
+  if (location.pathname.startsWith('/epro/')) {
+    return (
+      <Routes>
+        <Route path="/epro/:token" element={<PatientSelfReport />} />
+      </Routes>
+    );
+  }
+
   if (loading) {
     return null;
   }
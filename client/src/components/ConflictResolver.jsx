@@ -0,0 +1,179 @@
+import { useMemo, useState } from 'react';
+import { isPlainObject } from '../lib/questionnaireLogic';
+import { pathKey, setIn } from './QuestionnaireFields';
+import styles from './ConflictResolver.module.css';
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+
+const sameValue = (a, b) => (isBlank(a) && isBlank(b)) || JSON.stringify(a) === JSON.stringify(b);
+
+const formatValue = (value) => {
+  if (isBlank(value)) return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Leaf answers by path key, walking sections and repeating sections like the server does
+const leavesOf = (value, path = [], into = new Map()) => {
+  if (isPlainObject(value)) {
+    Object.entries(value).forEach(([linkId, child]) => leavesOf(child, [...path, linkId], into));
+  } else if (Array.isArray(value) && value.length && value.every(isPlainObject)) {
+    value.forEach((instance, index) => leavesOf(instance, [...path, index], into));
+  } else if (path.length) {
+    into.set(pathKey(path), { path, value });
+  }
+  return into;
+};
+
+/**
+ * Field-by-field merge of a queued submission with the response someone else
+ * saved in the meantime. Fields only one side changed are preselected; fields
+ * both changed must be decided. The merge is sent as a new revision with a reason.
+ */
+const ConflictResolver = ({
+  entry,
+  current,
+  fieldLabel,
+  isCalculated,
+  isBusy,
+  error,
+  onResolve,
+  onDiscard,
+}) => {
+  const serverAnswers = useMemo(
+    () => (current && current.status !== 'voided' ? current.answers || {} : {}),
+    [current]
+  );
+  const serverAuthor =
+    current?.authorType === 'patient'
+      ? 'the patient'
+      : current?.authoredBy?.displayName || current?.authoredBy?.email || 'someone else';
+
+  const rows = useMemo(() => {
+    const base = leavesOf(entry.baseAnswers || {});
+    const mine = leavesOf(entry.answers || {});
+    const theirs = leavesOf(serverAnswers);
+    const keys = Array.from(new Set([...mine.keys(), ...theirs.keys()]));
+    return keys
+      .map((key) => {
+        const { path } = mine.get(key) || theirs.get(key);
+        const values = {
+          base: base.get(key)?.value,
+          mine: mine.get(key)?.value,
+          theirs: theirs.get(key)?.value,
+        };
+        const mineChanged = !sameValue(values.mine, values.base);
+        const theirsChanged = !sameValue(values.theirs, values.base);
+        return {
+          key,
+          path,
+          ...values,
+          both: mineChanged && theirsChanged,
+          suggested: mineChanged && !theirsChanged ? 'mine' : !mineChanged ? 'theirs' : null,
+        };
+      })
+      .filter((row) => !sameValue(row.mine, row.theirs) && !isCalculated(row.key));
+  }, [entry, serverAnswers, isCalculated]);
+
+  const [choices, setChoices] = useState({});
+  const [reason, setReason] = useState(entry.reason || '');
+  const choiceOf = (row) => choices[row.key] || row.suggested;
+  const undecided = rows.filter((row) => !choiceOf(row)).length;
+
+  const resolve = () => {
+    const merged = rows.reduce(
+      (answers, row) => (choiceOf(row) === 'mine' ? setIn(answers, row.path, row.mine ?? null) : answers),
+      serverAnswers
+    );
+    onResolve({ answers: merged, reason: reason.trim(), baseRevision: current?.revision || 0 });
+  };
+
+  const queuedAt = new Date(entry.queuedAt).toLocaleString();
+  const savedAt = current?.authoredAt ? new Date(current.authoredAt).toLocaleString() : null;
+
+  return (
+    <section className={styles.resolver}>
+      <h2>Resolve conflicting changes</h2>
+      <p className={styles.intro}>
+        You submitted this form on {queuedAt}, but {serverAuthor} saved revision {current?.revision || '—'}
+        {savedAt ? ` on ${savedAt}` : ''} in the meantime. Nothing was overwritten. Choose which value to keep
+        for each field below.
+      </p>
+
+      {rows.length ? (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Before</th>
+              <th>Saved by {serverAuthor}</th>
+              <th>Yours</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key} className={row.both ? styles.both : undefined}>
+                <td>
+                  {fieldLabel(row.key)}
+                  <span className={styles.path}>{row.key}</span>
+                  {row.both ? <span className={styles.flag}>Changed on both sides</span> : null}
+                </td>
+                <td className={styles.before}>{formatValue(row.base)}</td>
+                {['theirs', 'mine'].map((side) => (
+                  <td key={side}>
+                    <label className={styles.option}>
+                      <input
+                        type="radio"
+                        name={`conflict-${row.key}`}
+                        checked={choiceOf(row) === side}
+                        onChange={() => setChoices((previous) => ({ ...previous, [row.key]: side }))}
+                      />
+                      {formatValue(row[side])}
+                    </label>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className={styles.intro}>Your answers match the saved response; there is nothing left to send.</p>
+      )}
+
+      {rows.length ? (
+        <div className={styles.reason}>
+          <label htmlFor="conflict-reason">Reason for change *</label>
+          <textarea
+            id="conflict-reason"
+            rows={2}
+            value={reason}
+            onChange={(event) => setReason(event.target.value)}
+            placeholder="Why are these answers being changed?"
+          />
+        </div>
+      ) : null}
+
+      {error ? <div className={styles.error}>{error}</div> : null}
+
+      <div className={styles.actions}>
+        <button type="button" className={styles.secondary} onClick={onDiscard} disabled={isBusy}>
+          {rows.length ? 'Discard my changes' : 'Remove from queue'}
+        </button>
+        {rows.length ? (
+          <button
+            type="button"
+            className={styles.primary}
+            onClick={resolve}
+            disabled={isBusy || Boolean(undecided) || !reason.trim()}
+          >
+            {isBusy ? 'Saving…' : undecided ? `Choose ${undecided} more` : 'Save merged response'}
+          </button>
+        ) : null}
+      </div>
+    </section>
+  );
+};
+
+export default ConflictResolver;
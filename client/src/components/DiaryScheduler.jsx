@@ -0,0 +1,149 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { apiClient } from '../lib/apiClient';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import styles from './DiaryScheduler.module.css';
+
+// yyyy-mm-dd of today in the browser's time zone
+const todayValue = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+// Local midnight of a yyyy-mm-dd date input, so the first entry falls on that day
+const startOfDay = (value) => new Date(`${value}T00:00`);
+const endOfDay = (value) => new Date(`${value}T23:59:59`);
+
+/**
+ * Issue a form as a recurring diary to selected patients. Each entry becomes a
+ * task for the patient's owners; the server creates upcoming entries and expires
+ * missed ones.
+ */
+const DiaryScheduler = ({ form, patients = [], onScheduled, onCancel }) => {
+  const [selected, setSelected] = useState([]);
+  const [frequency, setFrequency] = useState('daily');
+  const [timeOfDay, setTimeOfDay] = useState('08:00');
+  const [startDate, setStartDate] = useState(todayValue);
+  const [endMode, setEndMode] = useState('count');
+  const [count, setCount] = useState('14');
+  const [endDate, setEndDate] = useState('');
+  const [error, setError] = useState('');
+
+  const scheduleMutation = useMutation({
+    mutationFn: (payload) => apiClient.post(`/api/forms/${form._id}/assign`, payload),
+    onSuccess: (response) => {
+      setError('');
+      onScheduled?.(response.data.recurrences || []);
+    },
+    onError: (mutationError) => {
+      const data = mutationError.response?.data;
+      const details = (data?.details || []).map((detail) => detail.message).join('; ');
+      setError([data?.error || 'Unable to schedule the diary.', details].filter(Boolean).join(' — '));
+    },
+  });
+
+  const togglePatient = (pid) =>
+    setSelected((current) => (current.includes(pid) ? current.filter((item) => item !== pid) : [...current, pid]));
+
+  const submit = (event) => {
+    event.preventDefault();
+    if (!selected.length) {
+      setError('Select at least one patient.');
+      return;
+    }
+    if (endMode === 'endDate' && !endDate) {
+      setError('Choose the last day of the diary.');
+      return;
+    }
+    scheduleMutation.mutate({
+      pid: selected,
+      recurrence: {
+        frequency,
+        timeOfDay,
+        // Starting today keeps today's entry even if its time has passed
+        startAt: (startDate === todayValue() ? new Date() : startOfDay(startDate)).toISOString(),
+        ...(endMode === 'count'
+          ? { count: Number.parseInt(count, 10) || 1 }
+          : { endAt: endOfDay(endDate).toISOString() }),
+      },
+    });
+  };
+
+  return (
+    <form className={styles.scheduler} onSubmit={submit}>
+      <div className={styles.patients}>
+        <span className={styles.label}>Patients</span>
+        {patients.length ? (
+          <div className={styles.patientList}>
+            {patients.map((patient) => (
+              <label key={patient.pid}>
+                <input
+                  type="checkbox"
+                  checked={selected.includes(patient.pid)}
+                  onChange={() => togglePatient(patient.pid)}
+                />
+                <span>{patient.pid}</span>
+              </label>
+            ))}
+          </div>
+        ) : (
+          <p className={styles.hint}>Enroll patients in the study first.</p>
+        )}
+      </div>
+
+      <div className={styles.fields}>
+        <label>
+          Frequency
+          <select value={frequency} onChange={(event) => setFrequency(event.target.value)}>
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+          </select>
+        </label>
+        <label>
+          Time of day
+          <Input type="time" value={timeOfDay} onChange={(event) => setTimeOfDay(event.target.value)} required />
+        </label>
+        <label>
+          First day
+          <Input type="date" value={startDate} onChange={(event) => setStartDate(event.target.value)} required />
+        </label>
+        <label>
+          Ends
+          <select value={endMode} onChange={(event) => setEndMode(event.target.value)}>
+            <option value="count">After a number of entries</option>
+            <option value="endDate">On a date</option>
+          </select>
+        </label>
+        {endMode === 'count' ? (
+          <label>
+            Entries
+            <Input type="number" min="1" value={count} onChange={(event) => setCount(event.target.value)} />
+          </label>
+        ) : (
+          <label>
+            Last day
+            <Input type="date" value={endDate} min={startDate} onChange={(event) => setEndDate(event.target.value)} />
+          </label>
+        )}
+      </div>
+
+      <p className={styles.hint}>
+        Each entry stays open until the next one starts and is counted as missed afterwards. Entries go to the
+        staff assigned to each patient.
+      </p>
+      {error ? <div className={styles.error}>{error}</div> : null}
+
+      <div className={styles.actions}>
+        <Button type="button" size="sm" variant="ghost" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" size="sm" disabled={scheduleMutation.isPending}>
+          {scheduleMutation.isPending ? 'Scheduling…' : 'Start diary'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default DiaryScheduler;
@@ -1,8 +1,138 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useEffect, useState } from 'react';
+import { compileExpression } from '../lib/expressions';
+import {
+  ENABLE_WHEN_OPERATORS,
+  NUMERIC_OPERATORS,
+} from '../lib/questionnaireLogic';
 import styles from './FormBuilder.module.css';
 
 const DEFAULT_SCALE = { min: 1, max: 5, step: 1 };
 
+const isChoiceType = (type) => type === 'dropdown' || type === 'checkboxes';
+const isNumericType = (type) =>
+  type === 'scale' || type === 'integer' || type === 'decimal' || type === 'calculated';
+const isTemporalType = (type) => type === 'date' || type === 'datetime' || type === 'time';
+
+const TEMPORAL_INPUT_TYPES = { date: 'date', datetime: 'datetime-local', time: 'time' };
+
+const operatorsFor = (target) => {
+  if (isChoiceType(target?.type)) {
+    return ENABLE_WHEN_OPERATORS.filter((operator) => !NUMERIC_OPERATORS.includes(operator.value));
+  }
+  if (isTemporalType(target?.type)) {
+    return ENABLE_WHEN_OPERATORS.filter((operator) =>
+      ['equals', 'notEquals'].includes(operator.value)
+    );
+  }
+  return ENABLE_WHEN_OPERATORS.filter((operator) => operator.value !== 'anyOf');
+};
+
+const conditionInputType = (target, operator) => {
+  if (isNumericType(target?.type) || NUMERIC_OPERATORS.includes(operator)) return 'number';
+  return TEMPORAL_INPUT_TYPES[target?.type] || 'text';
+};
+
+const defaultCondition = (target) => {
+  if (!target) return { question: '', operator: 'equals', value: '' };
+  if (target.type === 'scale') {
+    return { question: target.linkId, operator: 'equals', value: target.scale?.min ?? DEFAULT_SCALE.min };
+  }
+  return {
+    question: target.linkId,
+    operator: 'equals',
+    value: isChoiceType(target.type) ? target.options?.[0] || '' : '',
+  };
+};
+
+// Coerce a condition into what the API expects, or null if it is incomplete
+const serialiseCondition = (condition, target) => {
+  if (!target) return null;
+  const numeric = isNumericType(target.type) || NUMERIC_OPERATORS.includes(condition.operator);
+  if (condition.operator === 'anyOf') {
+    const values = (Array.isArray(condition.value) ? condition.value : [condition.value]).filter(
+      (value) => value !== '' && value !== undefined
+    );
+    return values.length ? { ...condition, value: values } : null;
+  }
+  if (condition.value === '' || condition.value === undefined || condition.value === null) return null;
+  if (numeric) {
+    const value = Number(condition.value);
+    return Number.isNaN(value) ? null : { ...condition, value };
+  }
+  return { ...condition, value: String(condition.value) };
+};
+
+/* ---------------------- item tree helpers (paths are index arrays) ---------------------- */
+
+const itemLabel = (path) => path.map((index) => index + 1).join('.');
+
+const updateAt = (items, [index, ...rest], updater) =>
+  items.map((item, idx) => {
+    if (idx !== index) return item;
+    return rest.length ? { ...item, items: updateAt(item.items || [], rest, updater) } : updater(item);
+  });
+
+const removeAt = (items, [index, ...rest]) =>
+  rest.length
+    ? items.map((item, idx) => (idx === index ? { ...item, items: removeAt(item.items || [], rest) } : item))
+    : items.filter((_, idx) => idx !== index);
+
+const appendAt = (items, parentPath, newItem) =>
+  parentPath.length
+    ? updateAt(items, parentPath, (group) => ({ ...group, items: [...(group.items || []), newItem] }))
+    : [...items, newItem];
+
+const getAt = (items, [index, ...rest]) => {
+  const item = items[index];
+  return rest.length ? getAt(item?.items || [], rest) : item;
+};
+
+const mapTree = (items, fn) =>
+  items.map((item) => {
+    const mapped = fn(item);
+    return mapped.type === 'group' ? { ...mapped, items: mapTree(mapped.items || [], fn) } : mapped;
+  });
+
+const subtreeLinkIds = (item) => [
+  item.linkId,
+  ...(item.type === 'group' ? (item.items || []).flatMap(subtreeLinkIds) : []),
+];
+
+/**
+ * Questions a condition on the item at `path` may reference: earlier questions
+ * at the same or an enclosing level, including those inside earlier
+ * non-repeating sections. Questions in other repeating sections are out of scope.
+ */
+const visibleQuestions = (items, path) => {
+  const collect = (item) => {
+    if (item.type !== 'group') return [item];
+    return item.repeats ? [] : (item.items || []).flatMap(collect);
+  };
+  const [index, ...rest] = path;
+  const earlier = items.slice(0, index).flatMap(collect);
+  return rest.length ? [...earlier, ...visibleQuestions(items[index]?.items || [], rest)] : earlier;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Point {linkId} references in a calculated expression at a renamed question
+const renameReference = (expression, from, to) =>
+  expression.replace(new RegExp(`\\{\\s*${escapeRegExp(from)}\\s*\\}`, 'g'), `{${to}}`);
+
+// Error message for an invalid expression, or null
+const expressionIssue = (expression, visible) => {
+  if (!expression.trim()) return 'Enter an expression';
+  try {
+    const known = new Set(visible.map((item) => item.linkId));
+    const unknown = Array.from(compileExpression(expression).references).filter(
+      (linkId) => !known.has(linkId)
+    );
+    return unknown.length ? `Not an earlier question in scope: ${unknown.join(', ')}` : null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
 const slugify = (text) =>
   text
     .toLowerCase()
@@ -11,15 +141,37 @@ const slugify = (text) =>
     .replace(/(^-|-$)+/g, '')
     .slice(0, 32);
 
-const normaliseItem = (item, index) => {
+const normaliseItem = (item, path) => {
   if (!item) {
     return {
-      linkId: `question-${index + 1}`,
+      linkId: `question-${path.map((index) => index + 1).join('-')}`,
       text: '',
       type: 'text',
       required: false,
       options: [],
       scale: DEFAULT_SCALE,
+      unit: '',
+      min: '',
+      max: '',
+      precision: '',
+      expression: '',
+      enableWhen: [],
+      enableBehavior: 'all',
+    };
+  }
+
+  if (item.type === 'group') {
+    return {
+      linkId: item.linkId || `section-${path.map((index) => index + 1).join('-')}`,
+      text: item.text || '',
+      type: 'group',
+      required: Boolean(item.required),
+      repeats: Boolean(item.repeats),
+      items: (item.items || item.item || []).map((child, index) =>
+        normaliseItem(child, [...path, index])
+      ),
+      enableWhen: Array.isArray(item.enableWhen) ? item.enableWhen : [],
+      enableBehavior: item.enableBehavior === 'any' ? 'any' : 'all',
     };
   }
 
@@ -27,30 +179,63 @@ const normaliseItem = (item, index) => {
     item.type === 'string'
       ? 'text'
       : item.type === 'choice'
-        ? 'dropdown'
+        ? item.repeats
+          ? 'checkboxes'
+          : 'dropdown'
         : item.type === 'number'
           ? 'scale'
           : item.type === 'boolean'
             ? 'dropdown'
-            : item.type;
+            : item.type === 'dateTime'
+              ? 'datetime'
+              : item.type;
+
+  // FHIR answerOption entries are objects ({ valueCoding }, { valueString }, …)
+  const optionLabel = (option) => {
+    if (typeof option === 'string') return option;
+    if (option?.valueCoding) return option.valueCoding.display || option.valueCoding.code || '';
+    const key = option && Object.keys(option).find((k) => k.startsWith('value'));
+    return key ? String(option[key]) : '';
+  };
 
-  const options =
+  const options = (
     item.options ||
-    item.answerOption ||
-    (item.type === 'choice' && Array.isArray(item.answerOption) ? item.answerOption : []);
+    (Array.isArray(item.answerOption) ? item.answerOption : null) ||
+    (item.type === 'boolean' ? ['Yes', 'No'] : [])
+  )
+    .map(optionLabel)
+    .filter(Boolean);
 
   const scale = item.scale || (item.type === 'number' ? { min: 0, max: 10, step: 1 } : DEFAULT_SCALE);
 
   return {
-    linkId: item.linkId || `question-${index + 1}`,
+    linkId: item.linkId || `question-${path.map((index) => index + 1).join('-')}`,
     text: item.text || '',
     type: mappedType,
     required: Boolean(item.required),
     options: options || [],
     scale,
+    unit: item.unit || '',
+    min: item.min ?? '',
+    max: item.max ?? '',
+    precision: item.precision ?? '',
+    expression: item.expression || '',
+    enableWhen: Array.isArray(item.enableWhen) ? item.enableWhen : [],
+    enableBehavior: item.enableBehavior === 'any' ? 'any' : 'all',
   };
 };
 
+const newSection = (path) => ({
+  linkId: `section-${path.map((index) => index + 1).join('-')}`,
+  text: '',
+  type: 'group',
+  required: false,
+  repeats: false,
+  items: [normaliseItem(null, [...path, 0])],
+  enableWhen: [],
+  enableBehavior: 'all',
+});
+
 const FormBuilder = ({ initialSchema, onSave, onCancel, submitLabel }) => {
   const [metadata, setMetadata] = useState({
     id: '',
@@ -58,7 +243,7 @@ const FormBuilder = ({ initialSchema, onSave, onCancel, submitLabel }) => {
     deadline: '',
   });
 
-  const [items, setItems] = useState([normaliseItem(null, 0)]);
+  const [items, setItems] = useState([normaliseItem(null, [0])]);
 
   useEffect(() => {
     if (!initialSchema) return;
@@ -67,109 +252,242 @@ const FormBuilder = ({ initialSchema, onSave, onCancel, submitLabel }) => {
       title: initialSchema.title || '',
       deadline: initialSchema.version || '',
     });
-    setItems((initialSchema.items || []).map((item, index) => normaliseItem(item, index)));
+    setItems((initialSchema.items || []).map((item, index) => normaliseItem(item, [index])));
   }, [initialSchema]);
 
-  const enrichedItems = useMemo(() => items.map((item, index) => ({ ...item, index })), [items]);
-
-  const updateItem = (index, changes) => {
+  const updateItem = (path, changes) => {
     setItems((prev) => {
-      const next = [...prev];
-      const current = next[index];
+      const current = getAt(prev, path);
       let linkId = current.linkId;
       if (Object.prototype.hasOwnProperty.call(changes, 'text')) {
-        const suggestion = slugify(changes.text || '') || `question-${index + 1}`;
-        linkId = `${suggestion}-${index + 1}`;
+        const fallback = current.type === 'group' ? 'section' : 'question';
+        const suffix = path.map((index) => index + 1).join('-');
+        const suggestion = slugify(changes.text || '') || `${fallback}-${suffix}`;
+        linkId = `${suggestion}-${suffix}`;
       }
-      next[index] = {
-        ...current,
-        ...changes,
-        linkId,
-      };
-      if (changes.type && changes.type !== current.type) {
-        if (changes.type === 'scale') {
-          next[index].scale = current.scale || DEFAULT_SCALE;
-        } else if (changes.type === 'dropdown' || changes.type === 'checkboxes') {
-          next[index].options = current.options?.length ? current.options : ['Option 1'];
-        } else {
-          next[index].options = [];
+      const next = updateAt(prev, path, () => {
+        const updated = { ...current, ...changes, linkId };
+        if (changes.type && changes.type !== current.type) {
+          if (changes.type === 'scale') {
+            updated.scale = current.scale || DEFAULT_SCALE;
+          } else if (changes.type === 'dropdown' || changes.type === 'checkboxes') {
+            updated.options = current.options?.length ? current.options : ['Option 1'];
+          } else {
+            updated.options = [];
+          }
         }
+        return updated;
+      });
+      // Keep later questions' display conditions and calculations pointing at this question
+      if (linkId !== current.linkId) {
+        return mapTree(next, (item) => ({
+          ...item,
+          enableWhen: (item.enableWhen || []).map((condition) =>
+            condition.question === current.linkId ? { ...condition, question: linkId } : condition
+          ),
+          ...(item.expression
+            ? { expression: renameReference(item.expression, current.linkId, linkId) }
+            : {}),
+        }));
       }
       return next;
     });
   };
 
-  const removeItem = (index) => {
-    setItems((prev) => prev.filter((_, idx) => idx !== index));
+  const removeItem = (path) => {
+    setItems((prev) => {
+      const removed = new Set(subtreeLinkIds(getAt(prev, path)));
+      return mapTree(removeAt(prev, path), (item) => ({
+        ...item,
+        enableWhen: (item.enableWhen || []).filter((condition) => !removed.has(condition.question)),
+      }));
+    });
   };
 
-  const addItem = () => {
-    setItems((prev) => [...prev, normaliseItem(null, prev.length)]);
+  const updateConditions = (path, updater) => {
+    setItems((prev) =>
+      updateAt(prev, path, (item) => ({ ...item, enableWhen: updater(item.enableWhen || []) }))
+    );
   };
 
-  const addOption = (index) => {
-    setItems((prev) => {
-      const next = [...prev];
-      const current = next[index];
-      const existing = Array.isArray(current.options) ? current.options : [];
-      const label = existing.length ? `Option ${existing.length + 1}` : 'Option 1';
-      next[index] = {
-        ...current,
-        options: [...existing, label],
-      };
-      return next;
-    });
+  const addCondition = (path) => {
+    const candidates = visibleQuestions(items, path);
+    const target = candidates[candidates.length - 1];
+    updateConditions(path, (conditions) => [...conditions, defaultCondition(target)]);
   };
 
-  const updateOptionValue = (index, optionIndex, value) => {
-    setItems((prev) => {
-      const next = [...prev];
-      const current = next[index];
-      const options = [...(current.options || [])];
-      options[optionIndex] = value;
-      next[index] = {
-        ...current,
-        options,
-      };
-      return next;
-    });
+  const updateCondition = (path, conditionIndex, changes) => {
+    updateConditions(path, (conditions) =>
+      conditions.map((condition, idx) => {
+        if (idx !== conditionIndex) return condition;
+        if (changes.question && changes.question !== condition.question) {
+          return defaultCondition(
+            visibleQuestions(items, path).find((item) => item.linkId === changes.question)
+          );
+        }
+        const updated = { ...condition, ...changes };
+        if (changes.operator && (changes.operator === 'anyOf') !== (condition.operator === 'anyOf')) {
+          updated.value = changes.operator === 'anyOf' ? [] : '';
+        }
+        return updated;
+      })
+    );
   };
 
-  const removeOption = (index, optionIndex) => {
-    setItems((prev) => {
-      const next = [...prev];
-      const current = next[index];
-      const options = [...(current.options || [])];
-      if (options.length <= 1) {
-        return prev;
-      }
-      options.splice(optionIndex, 1);
-      next[index] = {
-        ...current,
-        options,
-      };
-      return next;
-    });
+  const toggleConditionOption = (path, conditionIndex, option) => {
+    updateConditions(path, (conditions) =>
+      conditions.map((condition, idx) => {
+        if (idx !== conditionIndex) return condition;
+        const current = Array.isArray(condition.value) ? condition.value : [];
+        const value = current.includes(option)
+          ? current.filter((entry) => entry !== option)
+          : [...current, option];
+        return { ...condition, value };
+      })
+    );
   };
 
-  const handleScaleChange = (index, field, value) => {
-    setItems((prev) => {
-      const next = [...prev];
-      const current = next[index];
-      const updatedScale = {
-        ...current.scale,
-        [field]: Number.isNaN(Number(value)) ? current.scale[field] : Number(value),
+  const removeCondition = (path, conditionIndex) => {
+    updateConditions(path, (conditions) => conditions.filter((_, idx) => idx !== conditionIndex));
+  };
+
+  const childCount = (parentPath) =>
+    parentPath.length ? getAt(items, parentPath)?.items?.length || 0 : items.length;
+
+  const addItem = (parentPath = []) => {
+    const path = [...parentPath, childCount(parentPath)];
+    setItems((prev) => appendAt(prev, parentPath, normaliseItem(null, path)));
+  };
+
+  const addSection = (parentPath = []) => {
+    const path = [...parentPath, childCount(parentPath)];
+    setItems((prev) => appendAt(prev, parentPath, newSection(path)));
+  };
+
+  const addOption = (path) => {
+    setItems((prev) =>
+      updateAt(prev, path, (current) => {
+        const existing = Array.isArray(current.options) ? current.options : [];
+        const label = existing.length ? `Option ${existing.length + 1}` : 'Option 1';
+        return {
+          ...current,
+          options: [...existing, label],
+        };
+      })
+    );
+  };
+
+  const updateOptionValue = (path, optionIndex, value) => {
+    setItems((prev) =>
+      updateAt(prev, path, (current) => {
+        const options = [...(current.options || [])];
+        options[optionIndex] = value;
+        return {
+          ...current,
+          options,
+        };
+      })
+    );
+  };
+
+  const removeOption = (path, optionIndex) => {
+    setItems((prev) =>
+      updateAt(prev, path, (current) => {
+        const options = [...(current.options || [])];
+        if (options.length <= 1) {
+          return current;
+        }
+        options.splice(optionIndex, 1);
+        return {
+          ...current,
+          options,
+        };
+      })
+    );
+  };
+
+  const handleScaleChange = (path, field, value) => {
+    setItems((prev) =>
+      updateAt(prev, path, (current) => {
+        const updatedScale = {
+          ...current.scale,
+          [field]: Number.isNaN(Number(value)) ? current.scale[field] : Number(value),
+        };
+        if (updatedScale.min >= updatedScale.max) {
+          updatedScale.max = updatedScale.min + 1;
+        }
+        return {
+          ...current,
+          scale: updatedScale,
+        };
+      })
+    );
+  };
+
+  const numberOrUndefined = (value) =>
+    value === '' || value === null || value === undefined || Number.isNaN(Number(value))
+      ? undefined
+      : Number(value);
+
+  const serialiseItems = (levelItems, parentPath) =>
+    levelItems.map((item, index) => {
+      const path = [...parentPath, index];
+      const visible = visibleQuestions(items, path);
+      const enableWhen = (item.enableWhen || [])
+        .map((condition) =>
+          serialiseCondition(
+            condition,
+            visible.find((candidate) => candidate.linkId === condition.question)
+          )
+        )
+        .filter(Boolean);
+      const conditions = {
+        enableWhen: enableWhen.length ? enableWhen : undefined,
+        enableBehavior: enableWhen.length > 1 ? item.enableBehavior : undefined,
       };
-      if (updatedScale.min >= updatedScale.max) {
-        updatedScale.max = updatedScale.min + 1;
+
+      if (item.type === 'group') {
+        return {
+          linkId: item.linkId || `section-${itemLabel(path)}`,
+          text: item.text.trim() || `Section ${itemLabel(path)}`,
+          type: 'group',
+          repeats: item.repeats || undefined,
+          required: item.repeats ? item.required : undefined,
+          items: serialiseItems(item.items || [], path),
+          ...conditions,
+        };
       }
-      next[index] = {
-        ...current,
-        scale: updatedScale,
+
+      if (item.type === 'calculated') {
+        return {
+          linkId: item.linkId || `question-${itemLabel(path)}`,
+          text: item.text.trim() || `Question ${itemLabel(path)}`,
+          type: 'calculated',
+          expression: item.expression.trim(),
+          unit: item.unit.trim() || undefined,
+          precision: numberOrUndefined(item.precision),
+          ...conditions,
+        };
+      }
+
+      return {
+        linkId: item.linkId || `question-${itemLabel(path)}`,
+        text: item.text.trim() || `Question ${itemLabel(path)}`,
+        type: item.type,
+        required: item.required,
+        options: item.type === 'dropdown' || item.type === 'checkboxes' ? item.options : undefined,
+        scale: item.type === 'scale' ? item.scale : undefined,
+        ...(item.type === 'integer' || item.type === 'decimal'
+          ? {
+              unit: item.unit.trim() || undefined,
+              min: numberOrUndefined(item.min),
+              max: numberOrUndefined(item.max),
+              precision: item.type === 'decimal' ? numberOrUndefined(item.precision) : undefined,
+            }
+          : {}),
+        ...conditions,
       };
-      return next;
     });
-  };
 
   const onSubmit = (event) => {
     event.preventDefault();
@@ -177,18 +495,398 @@ const FormBuilder = ({ initialSchema, onSave, onCancel, submitLabel }) => {
       id: metadata.id.trim() || 'form-id',
       title: metadata.title.trim() || 'Untitled form',
       version: metadata.deadline.trim() || 'No deadline',
-      items: items.map((item, index) => ({
-        linkId: item.linkId || `question-${index + 1}`,
-        text: item.text.trim() || `Question ${index + 1}`,
-        type: item.type,
-        required: item.required,
-        options: item.type === 'dropdown' || item.type === 'checkboxes' ? item.options : undefined,
-        scale: item.type === 'scale' ? item.scale : undefined,
-      })),
+      items: serialiseItems(items, []),
     };
     onSave(schema);
   };
 
+  const renderConditions = (item, path) => {
+    const visible = visibleQuestions(items, path);
+    if (!visible.length) return null;
+    return (
+      <div className={styles.conditionEditor}>
+        <div className={styles.conditionHeader}>
+          <span className={styles.choiceLabel}>Display conditions</span>
+          {(item.enableWhen || []).length > 1 ? (
+            <select
+              value={item.enableBehavior}
+              onChange={(event) => updateItem(path, { enableBehavior: event.target.value })}
+            >
+              <option value="all">Show when all match</option>
+              <option value="any">Show when any matches</option>
+            </select>
+          ) : null}
+        </div>
+        {!(item.enableWhen || []).length ? (
+          <span className={styles.conditionHint}>Always shown.</span>
+        ) : null}
+        {(item.enableWhen || []).map((condition, conditionIndex) => {
+          const target = visible.find((candidate) => candidate.linkId === condition.question);
+          const operators = operatorsFor(target);
+          return (
+            <div key={conditionIndex} className={styles.conditionRow}>
+              <select
+                value={condition.question}
+                onChange={(event) =>
+                  updateCondition(path, conditionIndex, { question: event.target.value })
+                }
+              >
+                {!target ? <option value="">Select question…</option> : null}
+                {visible.map((candidate) => (
+                  <option key={candidate.linkId} value={candidate.linkId}>
+                    {candidate.text || candidate.linkId}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={condition.operator}
+                onChange={(event) =>
+                  updateCondition(path, conditionIndex, { operator: event.target.value })
+                }
+              >
+                {operators.map((operator) => (
+                  <option key={operator.value} value={operator.value}>
+                    {operator.label}
+                  </option>
+                ))}
+              </select>
+              {condition.operator === 'anyOf' && isChoiceType(target?.type) ? (
+                <div className={styles.conditionOptions}>
+                  {(target.options || []).map((option) => (
+                    <label key={option} className={styles.checkbox}>
+                      <input
+                        type="checkbox"
+                        checked={Array.isArray(condition.value) && condition.value.includes(option)}
+                        onChange={() => toggleConditionOption(path, conditionIndex, option)}
+                      />
+                      {option}
+                    </label>
+                  ))}
+                </div>
+              ) : isChoiceType(target?.type) ? (
+                <select
+                  value={condition.value ?? ''}
+                  onChange={(event) =>
+                    updateCondition(path, conditionIndex, { value: event.target.value })
+                  }
+                >
+                  {(target.options || []).map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type={conditionInputType(target, condition.operator)}
+                  value={condition.value ?? ''}
+                  onChange={(event) =>
+                    updateCondition(path, conditionIndex, { value: event.target.value })
+                  }
+                  placeholder="Answer"
+                />
+              )}
+              <button
+                type="button"
+                className={styles.choiceRemove}
+                onClick={() => removeCondition(path, conditionIndex)}
+              >
+                Remove
+              </button>
+            </div>
+          );
+        })}
+        <button
+          type="button"
+          className={styles.choiceAdd}
+          onClick={() => addCondition(path)}
+        >
+          + Add condition
+        </button>
+      </div>
+    );
+  };
+
+  const renderExpression = (item, path) => {
+    const visible = visibleQuestions(items, path);
+    const issue = expressionIssue(item.expression, visible);
+    return (
+      <div className={styles.conditionEditor}>
+        <label>
+          Expression
+          <input
+            value={item.expression}
+            onChange={(event) => updateItem(path, { expression: event.target.value })}
+            placeholder="e.g. {weight} / ({height} / 100) ^ 2"
+            spellCheck={false}
+          />
+        </label>
+        {issue ? <span className={styles.expressionError}>{issue}</span> : null}
+        <span className={styles.conditionHint}>
+          Reference earlier questions as {'{linkId}'}
+          {visible.length ? `: ${visible.map((question) => `{${question.linkId}}`).join(', ')}` : ''}.
+          Use + - * / ^, comparisons, cond ? a : b and sum, avg, min, max, count, round, score.
+          score() turns a choice into its option position, starting at 0.
+        </span>
+        <div className={styles.scaleRow}>
+          <label>
+            Unit
+            <input
+              value={item.unit}
+              maxLength={32}
+              onChange={(event) => updateItem(path, { unit: event.target.value })}
+              placeholder="e.g. kg/m²"
+            />
+          </label>
+          <label>
+            Decimal places
+            <input
+              type="number"
+              min={0}
+              max={6}
+              value={item.precision}
+              onChange={(event) => updateItem(path, { precision: event.target.value })}
+            />
+          </label>
+        </div>
+      </div>
+    );
+  };
+
+  const renderQuestion = (item, path, canRemove) => {
+    const key = path.join('.');
+    return (
+      <div key={key} className={styles.itemCard}>
+        <div className={styles.itemHeader}>
+          <strong>Question {itemLabel(path)}</strong>
+          {canRemove ? (
+            <button type="button" onClick={() => removeItem(path)}>
+              Remove
+            </button>
+          ) : null}
+        </div>
+
+        <label>
+          Question text
+          <input
+            value={item.text}
+            onChange={(event) => updateItem(path, { text: event.target.value })}
+            required
+            placeholder="Ask a question"
+          />
+        </label>
+
+        <div className={styles.inlineRow}>
+          <label>
+            Response type
+            <select
+              value={item.type}
+              onChange={(event) => updateItem(path, { type: event.target.value })}
+            >
+              <option value="text">Short answer</option>
+              <option value="dropdown">Dropdown</option>
+              <option value="checkboxes">Checkboxes</option>
+              <option value="scale">Linear scale</option>
+              <option value="integer">Whole number</option>
+              <option value="decimal">Decimal number</option>
+              <option value="date">Date</option>
+              <option value="datetime">Date &amp; time</option>
+              <option value="time">Time</option>
+              <option value="calculated">Calculated</option>
+            </select>
+          </label>
+          {item.type !== 'calculated' ? (
+            <label className={styles.checkbox}>
+              <input
+                type="checkbox"
+                checked={item.required}
+                onChange={(event) => updateItem(path, { required: event.target.checked })}
+              />
+              Required
+            </label>
+          ) : null}
+        </div>
+
+        {item.type === 'calculated' ? renderExpression(item, path) : null}
+
+        {(item.type === 'dropdown' || item.type === 'checkboxes') && (
+          <div className={styles.choiceEditor}>
+            <span className={styles.choiceLabel}>Choices</span>
+            <div className={styles.choiceList}>
+              {(item.options || []).map((option, optionIndex) => (
+                <div key={optionIndex} className={styles.choiceRow}>
+                  <input
+                    value={option}
+                    onChange={(event) => updateOptionValue(path, optionIndex, event.target.value)}
+                    placeholder={`Option ${optionIndex + 1}`}
+                  />
+                  <button
+                    type="button"
+                    className={styles.choiceRemove}
+                    onClick={() => removeOption(path, optionIndex)}
+                    disabled={(item.options || []).length <= 1}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                className={styles.choiceAdd}
+                onClick={() => addOption(path)}
+              >
+                + Add option
+              </button>
+            </div>
+          </div>
+        )}
+
+        {item.type === 'scale' ? (
+          <div className={styles.scaleRow}>
+            <label>
+              Minimum
+              <input
+                type="number"
+                value={item.scale?.min ?? DEFAULT_SCALE.min}
+                onChange={(event) => handleScaleChange(path, 'min', event.target.value)}
+              />
+            </label>
+            <label>
+              Maximum
+              <input
+                type="number"
+                value={item.scale?.max ?? DEFAULT_SCALE.max}
+                onChange={(event) => handleScaleChange(path, 'max', event.target.value)}
+              />
+            </label>
+            <label>
+              Step
+              <input
+                type="number"
+                value={item.scale?.step ?? DEFAULT_SCALE.step}
+                min={1}
+                onChange={(event) => handleScaleChange(path, 'step', event.target.value)}
+              />
+            </label>
+          </div>
+        ) : null}
+
+        {item.type === 'integer' || item.type === 'decimal' ? (
+          <div className={styles.scaleRow}>
+            <label>
+              Unit
+              <input
+                value={item.unit}
+                maxLength={32}
+                onChange={(event) => updateItem(path, { unit: event.target.value })}
+                placeholder="e.g. mmHg"
+              />
+            </label>
+            <label>
+              Minimum
+              <input
+                type="number"
+                step={item.type === 'integer' ? 1 : 'any'}
+                value={item.min}
+                onChange={(event) => updateItem(path, { min: event.target.value })}
+              />
+            </label>
+            <label>
+              Maximum
+              <input
+                type="number"
+                step={item.type === 'integer' ? 1 : 'any'}
+                value={item.max}
+                onChange={(event) => updateItem(path, { max: event.target.value })}
+              />
+            </label>
+            {item.type === 'decimal' ? (
+              <label>
+                Decimal places
+                <input
+                  type="number"
+                  min={0}
+                  max={6}
+                  value={item.precision}
+                  onChange={(event) => updateItem(path, { precision: event.target.value })}
+                />
+              </label>
+            ) : null}
+          </div>
+        ) : null}
+
+        {renderConditions(item, path)}
+      </div>
+    );
+  };
+
+  const renderSection = (item, path, canRemove) => {
+    const key = path.join('.');
+    return (
+      <div key={key} className={styles.sectionCard}>
+        <div className={styles.itemHeader}>
+          <strong>Section {itemLabel(path)}</strong>
+          {canRemove ? (
+            <button type="button" onClick={() => removeItem(path)}>
+              Remove section
+            </button>
+          ) : null}
+        </div>
+
+        <label>
+          Section title
+          <input
+            value={item.text}
+            onChange={(event) => updateItem(path, { text: event.target.value })}
+            required
+            placeholder="e.g. Medications"
+          />
+        </label>
+
+        <div className={styles.inlineRow}>
+          <label className={styles.checkbox}>
+            <input
+              type="checkbox"
+              checked={item.repeats}
+              onChange={(event) => updateItem(path, { repeats: event.target.checked })}
+            />
+            Repeat this section (one entry per item, e.g. per medication)
+          </label>
+          {item.repeats ? (
+            <label className={styles.checkbox}>
+              <input
+                type="checkbox"
+                checked={item.required}
+                onChange={(event) => updateItem(path, { required: event.target.checked })}
+              />
+              At least one entry required
+            </label>
+          ) : null}
+        </div>
+
+        {renderConditions(item, path)}
+
+        <div className={styles.items}>
+          {(item.items || []).map((child, index) =>
+            renderItem(child, [...path, index], (item.items || []).length > 1)
+          )}
+        </div>
+
+        <div className={styles.sectionActions}>
+          <button type="button" onClick={() => addItem(path)} className={styles.addQuestion}>
+            + Add question
+          </button>
+          <button type="button" onClick={() => addSection(path)} className={styles.addQuestion}>
+            + Add section
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const renderItem = (item, path, canRemove) =>
+    item.type === 'group' ? renderSection(item, path, canRemove) : renderQuestion(item, path, canRemove);
+
   return (
     <form className={styles.formBuilder} onSubmit={onSubmit}>
       <div className={styles.metadata}>
@@ -220,119 +918,18 @@ const FormBuilder = ({ initialSchema, onSave, onCancel, submitLabel }) => {
       </div>
 
       <div className={styles.items}>
-        {enrichedItems.map((item) => (
-          <div key={item.index} className={styles.itemCard}>
-            <div className={styles.itemHeader}>
-              <strong>Question {item.index + 1}</strong>
-              {items.length > 1 ? (
-                <button type="button" onClick={() => removeItem(item.index)}>
-                  Remove
-                </button>
-              ) : null}
-            </div>
-
-            <label>
-              Question text
-              <input
-                value={item.text}
-                onChange={(event) => updateItem(item.index, { text: event.target.value })}
-                required
-                placeholder="Ask a question"
-              />
-            </label>
-
-            <div className={styles.inlineRow}>
-              <label>
-                Response type
-                <select
-                  value={item.type}
-                  onChange={(event) => updateItem(item.index, { type: event.target.value })}
-                >
-                  <option value="text">Short answer</option>
-                  <option value="dropdown">Dropdown</option>
-                  <option value="checkboxes">Checkboxes</option>
-                  <option value="scale">Linear scale</option>
-                </select>
-              </label>
-              <label className={styles.checkbox}>
-                <input
-                  type="checkbox"
-                  checked={item.required}
-                  onChange={(event) => updateItem(item.index, { required: event.target.checked })}
-                />
-                Required
-              </label>
-            </div>
-
-            {(item.type === 'dropdown' || item.type === 'checkboxes') && (
-              <div className={styles.choiceEditor}>
-                <span className={styles.choiceLabel}>Choices</span>
-                <div className={styles.choiceList}>
-                  {(item.options || []).map((option, optionIndex) => (
-                    <div key={optionIndex} className={styles.choiceRow}>
-                      <input
-                        value={option}
-                        onChange={(event) => updateOptionValue(item.index, optionIndex, event.target.value)}
-                        placeholder={`Option ${optionIndex + 1}`}
-                      />
-                      <button
-                        type="button"
-                        className={styles.choiceRemove}
-                        onClick={() => removeOption(item.index, optionIndex)}
-                        disabled={(item.options || []).length <= 1}
-                      >
-                        Remove
-                      </button>
-                    </div>
-                  ))}
-                  <button
-                    type="button"
-                    className={styles.choiceAdd}
-                    onClick={() => addOption(item.index)}
-                  >
-                    + Add option
-                  </button>
-                </div>
-              </div>
-            )}
-
-            {item.type === 'scale' ? (
-              <div className={styles.scaleRow}>
-                <label>
-                  Minimum
-                  <input
-                    type="number"
-                    value={item.scale?.min ?? DEFAULT_SCALE.min}
-                    onChange={(event) => handleScaleChange(item.index, 'min', event.target.value)}
-                  />
-                </label>
-                <label>
-                  Maximum
-                  <input
-                    type="number"
-                    value={item.scale?.max ?? DEFAULT_SCALE.max}
-                    onChange={(event) => handleScaleChange(item.index, 'max', event.target.value)}
-                  />
-                </label>
-                <label>
-                  Step
-                  <input
-                    type="number"
-                    value={item.scale?.step ?? DEFAULT_SCALE.step}
-                    min={1}
-                    onChange={(event) => handleScaleChange(item.index, 'step', event.target.value)}
-                  />
-                </label>
-              </div>
-            ) : null}
-          </div>
-        ))}
+        {items.map((item, index) => renderItem(item, [index], items.length > 1))}
       </div>
 
       <div className={styles.actions}>
-        <button type="button" onClick={addItem} className={styles.addQuestion}>
-          + Add question
-        </button>
+        <div className={styles.sectionActions}>
+          <button type="button" onClick={() => addItem()} className={styles.addQuestion}>
+            + Add question
+          </button>
+          <button type="button" onClick={() => addSection()} className={styles.addQuestion}>
+            + Add section
+          </button>
+        </div>
         <div className={styles.actionRight}>
           {onCancel ? (
             <button type="button" onClick={onCancel}>
@@ -0,0 +1,178 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { apiClient, refreshAccessToken } from '../lib/apiClient';
+import { getSession } from '../lib/auth';
+import styles from './LiveUpdates.module.css';
+
+const TOAST_MS = 6000;
+const MAX_TOASTS = 4;
+// Reconnect delay after an error, doubled up to the cap; the server's `retry:` sets the first one
+const MAX_RETRY_MS = 60 * 1000;
+
+const EVENT_LABELS = {
+  'task.created': 'New tasks',
+  'task.submitted': 'Response submitted',
+  'task.reset': 'Response voided, task reopened',
+  'task.reopened': 'Expired task reopened',
+  'response.changed': 'Response changed',
+  'study.updated': 'Study updated',
+};
+
+// Query keys (prefixes) each event makes stale
+const staleKeys = ({ type, studyId, taskId, pid }) => {
+  if (type === 'study.updated') {
+    return [['studies'], ['studySchedule', studyId], ['studyCloseout', studyId], ['tasks'], ['dashboard']];
+  }
+  const patientKeys = pid
+    ? [['patientTasks', pid], ['patientAdherence', pid]]
+    : [['patientTasks'], ['patientAdherence']];
+  const keys = [['tasks'], ['dashboard'], ['studySchedule', studyId], ...patientKeys];
+  if (type === 'task.created') return [...keys, ['notifications']];
+  return [
+    ...keys,
+    // Sibling tasks of the same slot have their own ids, so every open task view is refreshed
+    ['task'],
+    ['taskHistory', taskId],
+    ['studyResponses', studyId],
+    ['studyQueries', studyId],
+    ['studySignatures', studyId],
+    ['studyCloseout', studyId],
+    pid ? ['patientResponses', pid] : ['patientResponses'],
+  ];
+};
+
+const summaryOf = (event) => {
+  const label = EVENT_LABELS[event.type] || 'Updated';
+  const count = event.type === 'task.created' && event.count > 1 ? ` (${event.count})` : '';
+  return `${label}${count}${event.pid ? ` · Patient ${event.pid}` : ''}`;
+};
+
+// Split a text/event-stream buffer into complete events; returns the unparsed rest
+const parseEvents = (buffer, onEvent) => {
+  const blocks = buffer.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+  blocks.forEach((block) => {
+    const message = { data: [] };
+    block.split(/\r?\n/).forEach((line) => {
+      if (!line || line.startsWith(':')) return;
+      const at = line.indexOf(':');
+      const field = at === -1 ? line : line.slice(0, at);
+      const value = at === -1 ? '' : line.slice(at + 1).replace(/^ /, '');
+      if (field === 'data') message.data.push(value);
+      else message[field] = value;
+    });
+    onEvent(message);
+  });
+  return rest;
+};
+
+/**
+ * Keeps the page in sync with changes made by others: listens to /api/events,
+ * refreshes the queries an event touches and shows who made the change.
+ * EventSource cannot send the Authorization header, so the stream is read with fetch.
+ */
+const LiveUpdates = ({ userId }) => {
+  const queryClient = useQueryClient();
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
+
+  const dismiss = useCallback((id) => setToasts((current) => current.filter((toast) => toast.id !== id)), []);
+
+  const handleEvent = useCallback(
+    (event) => {
+      staleKeys(event).forEach((queryKey) => queryClient.invalidateQueries({ queryKey }));
+      if (!event.actor || String(event.actor.id) === String(userId)) return;
+      nextId.current += 1;
+      const toast = { id: nextId.current, actor: event.actor.displayName, text: summaryOf(event) };
+      setToasts((current) => [...current, toast].slice(-MAX_TOASTS));
+      setTimeout(() => dismiss(toast.id), TOAST_MS);
+    },
+    [queryClient, userId, dismiss]
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const url = apiClient.getUri({ url: '/api/events' });
+    let retryMs = 5000;
+    let delay = retryMs;
+
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    const onMessage = (message) => {
+      if (message.retry) retryMs = Number(message.retry) || retryMs;
+      if (!message.data.length) return;
+      try {
+        handleEvent(JSON.parse(message.data.join('\n')));
+      } catch {
+        // ignore malformed events
+      }
+    };
+
+    const connect = async () => {
+      let refreshed = false;
+      while (!controller.signal.aborted) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const response = await fetch(url, {
+            headers: { Accept: 'text/event-stream', Authorization: `Bearer ${getSession()?.accessToken}` },
+            credentials: 'include',
+            signal: controller.signal,
+          });
+          if (response.status === 401) {
+            // Still rejected after a refresh: the session is gone
+            if (refreshed) return;
+            refreshed = true;
+            // eslint-disable-next-line no-await-in-loop
+            await refreshAccessToken();
+            continue;
+          }
+          if (!response.ok) throw new Error(`Event stream failed (${response.status})`);
+          refreshed = false;
+          delay = retryMs;
+
+          const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+          let buffer = '';
+          for (;;) {
+            // eslint-disable-next-line no-await-in-loop
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer = parseEvents(buffer + value, onMessage);
+          }
+          // Ended by the server (token expiry): reconnect with the current token
+          // eslint-disable-next-line no-await-in-loop
+          await wait(1000);
+        } catch (error) {
+          if (controller.signal.aborted) return;
+          // The refresh itself was rejected
+          if (refreshed && error?.response) return;
+          // eslint-disable-next-line no-await-in-loop
+          await wait(delay);
+          delay = Math.min(delay * 2, MAX_RETRY_MS);
+        }
+      }
+    };
+
+    connect();
+    return () => controller.abort();
+  }, [handleEvent]);
+
+  if (!toasts.length) return null;
+
+  return (
+    <div className={styles.toasts} role="status" aria-live="polite">
+      {toasts.map((toast) => (
+        <div key={toast.id} className={styles.toast}>
+          <div className={styles.toastText}>
+            <strong>Updated by {toast.actor}</strong>
+            <span>{toast.text}</span>
+          </div>
+          <button type="button" className={styles.close} onClick={() => dismiss(toast.id)} aria-label="Dismiss">
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default LiveUpdates;
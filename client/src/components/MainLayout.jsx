@@ -3,6 +3,10 @@ import { useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../lib/auth';
 import { Button } from './ui/Button';
 import { Badge } from './ui/Badge';
+import NotificationBell from './NotificationBell';
+import LiveUpdates from './LiveUpdates';
+import OfflineSync from './OfflineSync';
+import { clearOfflineData, listOutbox } from '../lib/offlineStore';
 import styles from './MainLayout.module.css';
 import { cn } from '../lib/classNames';
 
@@ -32,7 +36,18 @@ export const MainLayout = ({ children }) => {
   const homePath =
     visibleNav.length > 0 ? visibleNav[0].path : user.role === 'staff' ? '/tasks' : '/dashboard';
 
-  const handleSignOut = () => {
+  const handleSignOut = async () => {
+    const unsent = await listOutbox().catch(() => []);
+    if (
+      unsent.length &&
+      !window.confirm(
+        `${unsent.length} submission${unsent.length === 1 ? ' has' : 's have'} not been sent yet and will be lost. Sign out anyway?`
+      )
+    ) {
+      return;
+    }
+    // Cached tasks hold patient data; nothing is left behind on the device
+    await clearOfflineData().catch(() => {});
     logout();
     navigate('/login', { replace: true });
   };
@@ -104,6 +119,7 @@ export const MainLayout = ({ children }) => {
                 <Badge variant="neutral">{user.category}</Badge>
               ) : null}
             </div>
+            {user.role !== 'superadmin' ? <NotificationBell role={user.role} className={styles.userBell} /> : null}
           </div>
           <Button variant="ghost" className={styles.signOut} onClick={handleSignOut}>
             Sign out
@@ -117,6 +133,7 @@ export const MainLayout = ({ children }) => {
             <div className={styles.logo}></div>
             <span>Hospital Research</span>
           </div>
+          {user.role !== 'superadmin' ? <NotificationBell role={user.role} className={styles.mobileBell} /> : null}
           <Button
             size="sm"
             variant="ghost"
@@ -127,8 +144,12 @@ export const MainLayout = ({ children }) => {
           </Button>
         </header>
 
-        <main className={styles.content}>{children}</main>
+        <main className={styles.content}>
+          {user.role !== 'superadmin' ? <OfflineSync /> : null}
+          {children}
+        </main>
       </div>
+      {user.role !== 'superadmin' ? <LiveUpdates userId={user.id || user._id} /> : null}
     </div>
   );
 };
@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { apiClient } from '../lib/apiClient';
+import { cn } from '../lib/classNames';
+import { Button } from './ui/Button';
+import styles from './NotificationBell.module.css';
+
+// Badge count refresh while the panel is closed
+const POLL_MS = 60 * 1000;
+
+// Where a notification leads: its task's form, else the patient, else the study
+export const notificationPath = (notification, role) => {
+  const { taskId, formId, studyId, pid } = notification.link || {};
+  if (taskId && formId) return `/forms/${formId}?taskId=${taskId}&pid=${pid}`;
+  if (pid) return `/patients/${pid}`;
+  if (studyId && role !== 'staff') return `/studies/${studyId}`;
+  return null;
+};
+
+const formatWhen = (value) => new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Bell with the unread count; opens the latest notifications, which are marked
+ * read when followed.
+ */
+const NotificationBell = ({ role, className }) => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [open, setOpen] = useState(false);
+
+  const countQuery = useQuery({
+    queryKey: ['notifications', 'unread'],
+    queryFn: async () => {
+      const response = await apiClient.get('/api/notifications/unread-count');
+      return response.data.unread;
+    },
+    refetchInterval: POLL_MS,
+  });
+
+  const listQuery = useQuery({
+    queryKey: ['notifications', 'list'],
+    queryFn: async () => {
+      const response = await apiClient.get('/api/notifications', { params: { limit: 20 } });
+      return response.data;
+    },
+    enabled: open,
+  });
+
+  const refresh = () => queryClient.invalidateQueries({ queryKey: ['notifications'] });
+
+  const readMutation = useMutation({
+    mutationFn: (id) => apiClient.post(`/api/notifications/${id}/read`),
+    onSuccess: refresh,
+  });
+
+  const readAllMutation = useMutation({
+    mutationFn: () => apiClient.post('/api/notifications/read-all'),
+    onSuccess: refresh,
+  });
+
+  const unread = listQuery.data?.unread ?? countQuery.data ?? 0;
+  const notifications = listQuery.data?.notifications || [];
+
+  const follow = (notification) => {
+    if (!notification.readAt) readMutation.mutate(notification._id);
+    const path = notificationPath(notification, role);
+    if (path) {
+      setOpen(false);
+      navigate(path);
+    }
+  };
+
+  return (
+    <div className={cn(styles.bell, className)}>
+      <button
+        type="button"
+        className={styles.trigger}
+        onClick={() => setOpen((current) => !current)}
+        aria-label={unread ? `Notifications, ${unread} unread` : 'Notifications'}
+        aria-expanded={open}
+      >
+        <svg
+          width="20"
+          height="20"
+          viewBox="0 0 24 24"
+          fill="none"
+          stroke="currentColor"
+          strokeWidth="2"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          aria-hidden="true"
+        >
+          <path d="M18 8a6 6 0 0 0-12 0c0 7-3 9-3 9h18s-3-2-3-9" />
+          <path d="M13.73 21a2 2 0 0 1-3.46 0" />
+        </svg>
+        {unread ? <span className={styles.count}>{unread > 99 ? '99+' : unread}</span> : null}
+      </button>
+
+      {open ? (
+        <>
+          <div className={styles.backdrop} onClick={() => setOpen(false)} />
+          <div className={styles.panel} role="dialog" aria-label="Notifications">
+            <div className={styles.panelHeader}>
+              <span className={styles.panelTitle}>Notifications</span>
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={() => readAllMutation.mutate()}
+                disabled={!unread || readAllMutation.isPending}
+              >
+                Mark all read
+              </Button>
+            </div>
+            {listQuery.isLoading ? (
+              <p className={styles.empty}>Loading…</p>
+            ) : notifications.length ? (
+              <ul className={styles.list}>
+                {notifications.map((notification) => (
+                  <li key={notification._id}>
+                    <button
+                      type="button"
+                      className={cn(styles.item, !notification.readAt && styles.unread)}
+                      onClick={() => follow(notification)}
+                    >
+                      <span className={styles.itemTitle}>{notification.title}</span>
+                      {notification.body ? <span className={styles.itemBody}>{notification.body}</span> : null}
+                      <span className={styles.itemWhen}>{formatWhen(notification.createdAt)}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className={styles.empty}>You are all caught up.</p>
+            )}
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+};
+
+export default NotificationBell;
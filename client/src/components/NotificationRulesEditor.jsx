@@ -0,0 +1,202 @@
+import { useQuery } from '@tanstack/react-query';
+import { apiClient } from '../lib/apiClient';
+import { Badge } from './ui/Badge';
+import { Button } from './ui/Button';
+import { Input, Textarea } from './ui/Input';
+import styles from './NotificationRulesEditor.module.css';
+
+const ROLE_OPTIONS = [
+  { value: 'staff', label: 'Staff' },
+  { value: 'researcher', label: 'Researchers' },
+  { value: 'admin', label: 'Admins' },
+];
+
+export const roleLabelOf = (role) => ROLE_OPTIONS.find((option) => option.value === role)?.label || role;
+
+const emptyRule = () => ({
+  trigger: 'task_created',
+  toRole: 'staff',
+  daysBefore: '1',
+  channels: [],
+  template: '',
+  enabled: true,
+});
+
+// Study.notifications as edited here: numbers as input strings, legacy rules without a trigger dropped
+export const toRuleDrafts = (rules = []) =>
+  rules
+    .filter((rule) => rule.trigger)
+    .map((rule) => ({
+      ...emptyRule(),
+      ...rule,
+      daysBefore: String(rule.daysBefore ?? 1),
+      channels: rule.channels || [],
+      template: rule.template || '',
+    }));
+
+export const toRulePayload = (drafts) =>
+  drafts.map((rule) => ({
+    ...(rule._id ? { _id: rule._id } : {}),
+    trigger: rule.trigger,
+    toRole: rule.toRole,
+    ...(rule.trigger === 'task_due_soon' ? { daysBefore: Number.parseInt(rule.daysBefore, 10) || 0 } : {}),
+    channels: rule.channels,
+    ...(rule.template.trim() ? { template: rule.template.trim() } : {}),
+    enabled: rule.enabled,
+  }));
+
+export const useNotificationOptions = () =>
+  useQuery({
+    queryKey: ['notificationOptions'],
+    queryFn: async () => {
+      const response = await apiClient.get('/api/studies/notification-options');
+      return response.data;
+    },
+    staleTime: Infinity,
+  });
+
+/**
+ * Rows of study notification rules: what triggers them, which role of the study
+ * team receives them, through which channels and with what message.
+ */
+const NotificationRulesEditor = ({ value = [], onChange }) => {
+  const optionsQuery = useNotificationOptions();
+  const triggers = optionsQuery.data?.triggers || [];
+  const channels = optionsQuery.data?.channels || [];
+  const placeholders = optionsQuery.data?.placeholders || [];
+
+  const updateRule = (index, changes) =>
+    onChange(value.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+
+  const toggleChannel = (index, channel) => {
+    const selected = new Set(value[index].channels);
+    if (selected.has(channel)) selected.delete(channel);
+    else selected.add(channel);
+    updateRule(index, { channels: Array.from(selected) });
+  };
+
+  return (
+    <div className={styles.editor}>
+      {value.length ? null : <p className={styles.empty}>No notification rules yet.</p>}
+      {value.map((rule, index) => {
+        const trigger = triggers.find((option) => option.value === rule.trigger);
+        return (
+          <fieldset key={rule._id || `new-${index}`} className={styles.rule}>
+            <div className={styles.fields}>
+              <label>
+                When
+                <select value={rule.trigger} onChange={(event) => updateRule(index, { trigger: event.target.value })}>
+                  {triggers.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {rule.trigger === 'task_due_soon' ? (
+                <label>
+                  Days before
+                  <Input
+                    type="number"
+                    min="0"
+                    max="90"
+                    value={rule.daysBefore}
+                    onChange={(event) => updateRule(index, { daysBefore: event.target.value })}
+                  />
+                </label>
+              ) : null}
+              <label>
+                Notify
+                <select value={rule.toRole} onChange={(event) => updateRule(index, { toRole: event.target.value })}>
+                  {ROLE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className={styles.inline}>
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={(event) => updateRule(index, { enabled: event.target.checked })}
+                />
+                Enabled
+              </label>
+              <Button
+                type="button"
+                size="sm"
+                variant="ghost"
+                onClick={() => onChange(value.filter((_, i) => i !== index))}
+              >
+                Remove
+              </Button>
+            </div>
+            {channels.length ? (
+              <div className={styles.channels}>
+                <span>Channels{rule.channels.length ? '' : ' (default)'}:</span>
+                {channels.map((channel) => (
+                  <label key={channel} className={styles.inline}>
+                    <input
+                      type="checkbox"
+                      checked={rule.channels.includes(channel)}
+                      onChange={() => toggleChannel(index, channel)}
+                    />
+                    {channel}
+                  </label>
+                ))}
+              </div>
+            ) : null}
+            <label>
+              Message
+              <Textarea
+                value={rule.template}
+                onChange={(event) => updateRule(index, { template: event.target.value })}
+                placeholder={trigger?.template || ''}
+                rows={2}
+                maxLength={1000}
+              />
+            </label>
+          </fieldset>
+        );
+      })}
+      <div className={styles.footer}>
+        <Button type="button" size="sm" variant="outline" onClick={() => onChange([...value, emptyRule()])}>
+          Add rule
+        </Button>
+        {placeholders.length ? (
+          <span className={styles.hint}>
+            Leave the message empty for the default. Placeholders:{' '}
+            {placeholders.map((name) => `{{${name}}}`).join(' ')}
+          </span>
+        ) : null}
+      </div>
+    </div>
+  );
+};
+
+// Read-only list of the rules, e.g. on the study page
+export const NotificationRuleList = ({ rules = [] }) => {
+  const optionsQuery = useNotificationOptions();
+  const labelOf = (trigger) =>
+    optionsQuery.data?.triggers?.find((option) => option.value === trigger)?.label || trigger;
+  const typed = rules.filter((rule) => rule.trigger);
+
+  if (!typed.length) return <p className={styles.empty}>No notification rules yet.</p>;
+  return (
+    <ul className={styles.list}>
+      {typed.map((rule) => (
+        <li key={rule._id}>
+          <span>
+            {labelOf(rule.trigger)}
+            {rule.trigger === 'task_due_soon' ? ` (${rule.daysBefore ?? 0} days before)` : ''} →{' '}
+            {roleLabelOf(rule.toRole)}
+          </span>
+          {rule.enabled === false ? <Badge variant="neutral">Disabled</Badge> : null}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default NotificationRulesEditor;
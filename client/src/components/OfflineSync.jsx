@@ -0,0 +1,114 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import { listOutbox } from '../lib/offlineStore';
+import { OUTBOX_QUERY_KEY, replayOutbox, warmTaskCache } from '../lib/syncQueue';
+import { Button } from './ui/Button';
+import styles from './OfflineSync.module.css';
+
+// While submissions are waiting, sending is retried this often even without an `online` event
+const RETRY_MS = 60 * 1000;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Sends submissions queued on this device once the connection is back and keeps
+ * open tasks cached for offline use. Shows the connection state and anything in
+ * the queue that still needs the user (conflicts, rejected submissions).
+ */
+const OfflineSync = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const syncing = useRef(false);
+
+  const outboxQuery = useQuery({
+    queryKey: OUTBOX_QUERY_KEY,
+    queryFn: listOutbox,
+    networkMode: 'always',
+    staleTime: Infinity,
+  });
+  const outbox = outboxQuery.data ?? [];
+  const pendingCount = outbox.filter((entry) => entry.status === 'pending').length;
+  const attention = outbox.filter((entry) => entry.status !== 'pending');
+
+  const sync = useCallback(async () => {
+    if (syncing.current || !navigator.onLine) return;
+    syncing.current = true;
+    try {
+      const result = await replayOutbox();
+      await queryClient.invalidateQueries({ queryKey: OUTBOX_QUERY_KEY });
+      if (result.sent || result.conflicts || result.failed) {
+        ['tasks', 'task', 'taskHistory', 'dashboard', 'patientTasks', 'patientResponses'].forEach((key) =>
+          queryClient.invalidateQueries({ queryKey: [key] })
+        );
+      }
+      await warmTaskCache();
+    } catch {
+      // Retried on the next `online` event or interval
+    } finally {
+      syncing.current = false;
+    }
+  }, [queryClient]);
+
+  useEffect(() => {
+    const goOnline = () => {
+      setOnline(true);
+      sync();
+    };
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    sync();
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, [sync]);
+
+  useEffect(() => {
+    if (!pendingCount || !online) return undefined;
+    const timer = setInterval(sync, RETRY_MS);
+    return () => clearInterval(timer);
+  }, [pendingCount, online, sync]);
+
+  if (online && !pendingCount && !attention.length) return null;
+
+  return (
+    <div className={styles.bar} role="status">
+      {!online ? (
+        <p className={styles.offline}>
+          You are offline. Tasks saved on this device stay available, and submissions are sent when the
+          connection returns.
+        </p>
+      ) : null}
+      {pendingCount ? (
+        <div className={styles.row}>
+          <span>{plural(pendingCount, 'submission')} waiting to be sent.</span>
+          {online ? (
+            <Button size="sm" variant="ghost" onClick={sync}>
+              Send now
+            </Button>
+          ) : null}
+        </div>
+      ) : null}
+      {attention.map((entry) => (
+        <div key={entry.id} className={styles.row}>
+          <span className={styles.problem}>
+            {entry.title || 'Response'} · Patient {entry.pid}:{' '}
+            {entry.status === 'conflict' ? 'changed by someone else in the meantime.' : entry.error || 'not accepted.'}
+          </span>
+          <Button
+            size="sm"
+            variant="ghost"
+            onClick={() => navigate(`/forms/${entry.formId}?taskId=${entry.taskId}&pid=${entry.pid}`)}
+          >
+            {entry.status === 'conflict' ? 'Resolve' : 'Review'}
+          </Button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default OfflineSync;
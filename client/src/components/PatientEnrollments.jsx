@@ -0,0 +1,230 @@
+import { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiClient } from '../lib/apiClient';
+import { Badge } from './ui/Badge';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import styles from './PatientEnrollments.module.css';
+
+// Mirrors ENROLLMENT_TRANSITIONS in server/src/services/enrollments.js
+const NEXT_STATUSES = {
+  screened: ['consented', 'withdrawn'],
+  consented: ['enrolled', 'withdrawn'],
+  enrolled: ['completed', 'withdrawn'],
+  withdrawn: [],
+  completed: [],
+};
+
+const STATUS_LABELS = {
+  screened: 'Screened',
+  consented: 'Consented',
+  enrolled: 'Enrolled',
+  withdrawn: 'Withdrawn',
+  completed: 'Completed',
+};
+
+const ACTION_LABELS = {
+  consented: 'Record consent',
+  enrolled: 'Enroll',
+  completed: 'Complete',
+  withdrawn: 'Withdraw',
+};
+
+const STATUS_VARIANTS = {
+  screened: 'neutral',
+  consented: 'primary',
+  enrolled: 'success',
+  withdrawn: 'danger',
+  completed: 'neutral',
+};
+
+const DATE_FIELDS = [
+  ['screenedAt', 'Screened'],
+  ['consentedAt', 'Consented'],
+  ['enrolledAt', 'Enrolled'],
+  ['withdrawnAt', 'Withdrew'],
+  ['completedAt', 'Completed'],
+];
+
+// Studies that listed patients before enrollment records existed count them as enrolled
+const enrollmentIn = (study, pid) =>
+  (study.enrollments || []).find((enrollment) => enrollment.pid === pid) ||
+  ((study.assignedPatients || []).includes(pid) ? { pid, status: 'enrolled' } : null);
+
+const studyLabel = (study) => (study.code ? `${study.code} — ${study.title}` : study.title);
+
+/**
+ * A patient's participation across studies: where they stand in each study's
+ * enrollment lifecycle and, for editors, the next steps and adding them to
+ * another study. Changes go through PATCH /api/studies/:id.
+ */
+const PatientEnrollments = ({ pid, studies = [], canEdit = false }) => {
+  const queryClient = useQueryClient();
+  const [withdrawing, setWithdrawing] = useState(null);
+  const [reason, setReason] = useState('');
+  const [addition, setAddition] = useState({ studyId: '', status: 'screened', subjectNumber: '' });
+  const [error, setError] = useState('');
+
+  const subjectStudies = studies
+    .map((study) => ({ study, enrollment: enrollmentIn(study, pid) }))
+    .filter((entry) => entry.enrollment);
+  const openStudies = studies.filter((study) => study.status !== 'closed' && !enrollmentIn(study, pid));
+
+  const changeMutation = useMutation({
+    mutationFn: async ({ studyId, change }) => {
+      await apiClient.patch(`/api/studies/${studyId}`, { enrollments: [{ pid, ...change }] });
+    },
+    onSuccess: async () => {
+      setError('');
+      setWithdrawing(null);
+      setReason('');
+      setAddition({ studyId: '', status: 'screened', subjectNumber: '' });
+      await Promise.all([
+        queryClient.invalidateQueries({ queryKey: ['studiesForExport'] }),
+        queryClient.invalidateQueries({ queryKey: ['studies'] }),
+        queryClient.invalidateQueries({ queryKey: ['tasks'] }),
+      ]);
+    },
+    onError: (mutationError) => {
+      const data = mutationError.response?.data;
+      setError(data?.details?.[0]?.message || data?.error || 'Unable to update the enrollment.');
+    },
+  });
+
+  const move = (study, status) => {
+    if (status === 'withdrawn') {
+      setWithdrawing(study._id);
+      setReason('');
+      return;
+    }
+    changeMutation.mutate({ studyId: study._id, change: { status } });
+  };
+
+  const addToStudy = (event) => {
+    event.preventDefault();
+    changeMutation.mutate({
+      studyId: addition.studyId,
+      change: { status: addition.status, subjectNumber: addition.subjectNumber.trim() || undefined },
+    });
+  };
+
+  return (
+    <div className={styles.enrollments}>
+      {subjectStudies.length === 0 ? (
+        <div className={styles.empty}>Not a subject of any study yet.</div>
+      ) : (
+        <ul className={styles.list}>
+          {subjectStudies.map(({ study, enrollment }) => (
+            <li key={study._id} className={styles.item}>
+              <div className={styles.itemHeader}>
+                <span className={styles.study}>{studyLabel(study)}</span>
+                {enrollment.subjectNumber ? (
+                  <span className={styles.subjectNumber}>#{enrollment.subjectNumber}</span>
+                ) : null}
+                <Badge variant={STATUS_VARIANTS[enrollment.status]}>{STATUS_LABELS[enrollment.status]}</Badge>
+              </div>
+              <div className={styles.dates}>
+                {DATE_FIELDS.filter(([field]) => enrollment[field])
+                  .map(([field, label]) => `${label} ${new Date(enrollment[field]).toLocaleDateString()}`)
+                  .join(' · ')}
+              </div>
+              {enrollment.withdrawalReason ? (
+                <div className={styles.reason}>Reason: {enrollment.withdrawalReason}</div>
+              ) : null}
+
+              {canEdit && study.status !== 'closed' && withdrawing === study._id ? (
+                <div className={styles.withdraw}>
+                  <Input
+                    value={reason}
+                    onChange={(event) => setReason(event.target.value)}
+                    placeholder="Reason for withdrawal"
+                  />
+                  <Button type="button" size="sm" variant="ghost" onClick={() => setWithdrawing(null)}>
+                    Cancel
+                  </Button>
+                  <Button
+                    type="button"
+                    size="sm"
+                    disabled={!reason.trim() || changeMutation.isPending}
+                    onClick={() =>
+                      changeMutation.mutate({
+                        studyId: study._id,
+                        change: { status: 'withdrawn', withdrawalReason: reason.trim() },
+                      })
+                    }
+                  >
+                    Confirm withdrawal
+                  </Button>
+                </div>
+              ) : null}
+              {canEdit && study.status !== 'closed' && withdrawing !== study._id &&
+              NEXT_STATUSES[enrollment.status].length ? (
+                <div className={styles.actions}>
+                  {NEXT_STATUSES[enrollment.status].map((status) => (
+                    <Button
+                      key={status}
+                      type="button"
+                      size="sm"
+                      variant={status === 'withdrawn' ? 'ghost' : 'outline'}
+                      disabled={changeMutation.isPending}
+                      onClick={() => move(study, status)}
+                    >
+                      {ACTION_LABELS[status]}
+                    </Button>
+                  ))}
+                </div>
+              ) : null}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canEdit && openStudies.length ? (
+        <form className={styles.addForm} onSubmit={addToStudy}>
+          <label className={styles.field}>
+            Study
+            <select
+              value={addition.studyId}
+              onChange={(event) => setAddition((prev) => ({ ...prev, studyId: event.target.value }))}
+            >
+              <option value="">Choose a study</option>
+              {openStudies.map((study) => (
+                <option key={study._id} value={study._id}>
+                  {studyLabel(study)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className={styles.field}>
+            Status
+            <select
+              value={addition.status}
+              onChange={(event) => setAddition((prev) => ({ ...prev, status: event.target.value }))}
+            >
+              {['screened', 'consented', 'enrolled'].map((status) => (
+                <option key={status} value={status}>
+                  {STATUS_LABELS[status]}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className={styles.field}>
+            Subject number
+            <Input
+              value={addition.subjectNumber}
+              onChange={(event) => setAddition((prev) => ({ ...prev, subjectNumber: event.target.value }))}
+              placeholder="Optional"
+            />
+          </label>
+          <Button type="submit" disabled={!addition.studyId || changeMutation.isPending}>
+            Add to study
+          </Button>
+        </form>
+      ) : null}
+
+      {error ? <div className={styles.error}>{error}</div> : null}
+    </div>
+  );
+};
+
+export default PatientEnrollments;
@@ -0,0 +1,192 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { apiClient } from '../lib/apiClient';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/Card';
+import { Button } from './ui/Button';
+import { Badge } from './ui/Badge';
+import styles from './PatientImport.module.css';
+
+const TEMPLATE =
+  'pid,category,cohortTags,strata,owners\nPID-001,Cardiology,smoker;over-65,arm-a,staff@example.org\n';
+
+const escapeCsv = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /["\n\r,]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const downloadCsv = (content, filename) => {
+  const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+// Rejected rows as they were uploaded plus an "errors" column; fixed, the file can be imported again
+const errorFileOf = (report) => {
+  const columns = report.columns.filter((column) => column.toLowerCase() !== 'errors');
+  const lines = report.rows
+    .filter((row) => row.errors.length)
+    .map((row) =>
+      [...columns.map((column) => row.values[column]), row.errors.join('; ')].map(escapeCsv).join(',')
+    );
+  return [[...columns, 'errors'].map(escapeCsv).join(','), ...lines].join('\n');
+};
+
+/**
+ * Bulk registration from a CSV file: the file is checked first (nothing is
+ * written), then the valid rows are imported together. Rejected rows can be
+ * downloaded with their errors, corrected and uploaded again.
+ */
+const PatientImport = ({ onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  const importMutation = useMutation({
+    mutationFn: async ({ dryRun }) => {
+      const csv = await file.text();
+      const response = await apiClient.post('/api/patients/import', { csv, dryRun });
+      return response.data;
+    },
+    onSuccess: (data) => {
+      setError('');
+      setReport(data);
+      if (!data.dryRun) onImported?.(data.created);
+    },
+    onError: (mutationError) => {
+      const data = mutationError.response?.data;
+      const details = (data?.details || []).map((detail) => detail.message).join(' · ');
+      setError([data?.error || 'Unable to read the file.', details].filter(Boolean).join(': '));
+      // The file changed underneath (or is unreadable): check it again before importing
+      setReport(null);
+    },
+  });
+
+  const chooseFile = (event) => {
+    setFile(event.target.files?.[0] || null);
+    setReport(null);
+    setError('');
+  };
+
+  const rejectedRows = report ? report.rows.filter((row) => row.errors.length) : [];
+  const baseName = (file?.name || 'patients').replace(/\.csv$/i, '');
+  const isDone = report && !report.dryRun;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Import patients</CardTitle>
+        <CardDescription>
+          Upload a CSV with the columns pid, category, cohortTags, strata and owners. Separate several tags,
+          strata or owner emails with “;”.{' '}
+          <button
+            type="button"
+            className={styles.link}
+            onClick={() => downloadCsv(TEMPLATE, 'patients-template.csv')}
+          >
+            Download template
+          </button>
+        </CardDescription>
+      </CardHeader>
+      <CardContent className={styles.body}>
+        {!isDone ? (
+          <label className={styles.file}>
+            CSV file
+            <input type="file" accept=".csv,text/csv" onChange={chooseFile} />
+          </label>
+        ) : null}
+
+        {error ? <div className={styles.error}>{error}</div> : null}
+
+        {report ? (
+          <div className={styles.summary}>
+            {isDone ? (
+              <Badge variant="success">{report.created} created</Badge>
+            ) : (
+              <Badge variant="success">{report.summary.valid} ready</Badge>
+            )}
+            {report.summary.rejected ? (
+              <Badge variant="danger">{report.summary.rejected} rejected</Badge>
+            ) : null}
+            <span>of {report.summary.total} rows</span>
+          </div>
+        ) : null}
+
+        {rejectedRows.length ? (
+          <div className={styles.tableWrap}>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Line</th>
+                  <th>PID</th>
+                  <th>Problem</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rejectedRows.map((row) => (
+                  <tr key={row.line}>
+                    <td>{row.line}</td>
+                    <td className={styles.pid}>{row.pid || '—'}</td>
+                    <td>{row.errors.join('; ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : null}
+
+        {report && !isDone && report.summary.valid ? (
+          <p className={styles.hint}>
+            {report.summary.rejected
+              ? 'Importing creates the ready rows together and leaves the rejected ones out. Download ' +
+                'the error file to correct them and import them later.'
+              : 'Every row is ready. Importing creates all patients together.'}
+          </p>
+        ) : null}
+
+        <div className={styles.actions}>
+          {rejectedRows.length ? (
+            <Button
+              type="button"
+              variant="ghost"
+              onClick={() => downloadCsv(errorFileOf(report), `${baseName}-errors.csv`)}
+            >
+              Download error file
+            </Button>
+          ) : null}
+          <Button type="button" variant="ghost" onClick={onClose}>
+            {isDone ? 'Close' : 'Cancel'}
+          </Button>
+          {!isDone && !report ? (
+            <Button
+              type="button"
+              disabled={!file || importMutation.isPending}
+              onClick={() => importMutation.mutate({ dryRun: true })}
+            >
+              {importMutation.isPending ? 'Checking…' : 'Check file'}
+            </Button>
+          ) : null}
+          {!isDone && report?.summary.valid ? (
+            <Button
+              type="button"
+              disabled={importMutation.isPending}
+              onClick={() => importMutation.mutate({ dryRun: false })}
+            >
+              {importMutation.isPending
+                ? 'Importing…'
+                : `Import ${report.summary.valid} patient${report.summary.valid === 1 ? '' : 's'}`}
+            </Button>
+          ) : null}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PatientImport;
@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { apiClient } from '../lib/apiClient';
+import { Button } from './ui/Button';
+import styles from './PatientLinkPanel.module.css';
+
+const formatWhen = (value) => new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+// A freshly issued link with a copy button; the URL cannot be shown again later
+export const PatientLinkRow = ({ url, expiresAt, label }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <div className={styles.link}>
+      {label ? <span className={styles.linkLabel}>{label}</span> : null}
+      <input className={styles.url} value={url} readOnly onFocus={(event) => event.target.select()} />
+      <Button type="button" size="sm" variant="outline" onClick={copy}>
+        {copied ? 'Copied' : 'Copy'}
+      </Button>
+      <span className={styles.expiry}>Single use · expires {formatWhen(expiresAt)}</span>
+    </div>
+  );
+};
+
+/**
+ * Hand an open task to the patient: issue a one-time link they answer without
+ * logging in, or withdraw the link they have.
+ */
+const PatientLinkPanel = ({ taskId, activeLink, onChanged }) => {
+  const [issued, setIssued] = useState(null);
+  const [error, setError] = useState('');
+
+  const onError = (mutationError) => setError(mutationError.response?.data?.error || 'Unable to update the link.');
+
+  const issueMutation = useMutation({
+    mutationFn: () => apiClient.post(`/api/tasks/${taskId}/patient-link`),
+    onSuccess: async (response) => {
+      setIssued(response.data);
+      setError('');
+      await onChanged?.();
+    },
+    onError,
+  });
+
+  const revokeMutation = useMutation({
+    mutationFn: () => apiClient.delete(`/api/tasks/${taskId}/patient-link`),
+    onSuccess: async () => {
+      setIssued(null);
+      setError('');
+      await onChanged?.();
+    },
+    onError,
+  });
+
+  const busy = issueMutation.isPending || revokeMutation.isPending;
+
+  return (
+    <section className={styles.panel}>
+      <h3>Patient self-report</h3>
+      {issued ? (
+        <PatientLinkRow url={issued.url} expiresAt={issued.expiresAt} />
+      ) : activeLink ? (
+        <p className={styles.hint}>
+          A link sent on {formatWhen(activeLink.createdAt)} is waiting for the patient (expires{' '}
+          {formatWhen(activeLink.expiresAt)}).
+        </p>
+      ) : (
+        <p className={styles.hint}>
+          Send the patient a one-time link to answer this form themselves. The response is recorded as
+          authored by the patient.
+        </p>
+      )}
+      {error ? <div className={styles.error}>{error}</div> : null}
+      <div className={styles.actions}>
+        <Button type="button" size="sm" variant="outline" disabled={busy} onClick={() => issueMutation.mutate()}>
+          {issued || activeLink ? 'Create new link' : 'Create patient link'}
+        </Button>
+        {issued || activeLink ? (
+          <Button type="button" size="sm" variant="ghost" disabled={busy} onClick={() => revokeMutation.mutate()}>
+            Withdraw link
+          </Button>
+        ) : null}
+      </div>
+    </section>
+  );
+};
+
+export default PatientLinkPanel;
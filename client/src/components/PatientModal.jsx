@@ -1,6 +1,7 @@
 import { useMemo, useState } from "react";
 import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { apiClient } from "../lib/apiClient";
+import { answerCells, answerColumns, flattenAnswers, signatureSummary } from "../lib/responseCsv";
 import {
   Card,
   CardContent,
@@ -11,6 +12,8 @@ import {
 import { Badge } from "./ui/Badge";
 import { Button } from "./ui/Button";
 import { Input } from "./ui/Input";
+import { eventLabelOf } from "./VisitSchedule";
+import PatientEnrollments from "./PatientEnrollments";
 import styles from "./PatientModal.module.css";
 
 const statusOptions = [
@@ -151,14 +154,12 @@ const studyIndex = useMemo(() => {
       return;
     }
 
-    const keys = new Set();
-    filtered.forEach((r) => {
-      Object.keys(r.answers || {}).forEach((k) => keys.add(k));
-    });
-    const answerKeys = Array.from(keys).sort();
+    const columns = answerColumns(filtered);
 
-    const staticHeaders = ["pid", "study_code", "study_title", "form", "authored_at"];
-    const header = [...staticHeaders, ...answerKeys].map(escapeCsv).join(",");
+    const staticHeaders = ["pid", "study_code", "study_title", "form", "visit", "authored_at", "signatures"];
+    const header = [...staticHeaders, ...columns.map((column) => column.header)]
+      .map(escapeCsv)
+      .join(",");
 
     const rows = filtered.map((r) => {
       const study = studyIndex.get(String(r.studyId));
@@ -169,16 +170,11 @@ const studyIndex = useMemo(() => {
         study?.code || "",
         study?.title || "",
         formTitle,
+        eventLabelOf(study, r.eventId),
         authoredAt,
+        signatureSummary(r),
       ];
-      const ans = r.answers || {};
-      const dynamic = answerKeys.map((k) => {
-        const v = ans[k];
-        if (Array.isArray(v)) return escapeCsv(v.join("; "));
-        if (v && typeof v === "object") return escapeCsv(JSON.stringify(v));
-        return escapeCsv(v);
-      });
-      return [...base.map(escapeCsv), ...dynamic].join(",");
+      return [...base, ...answerCells(r, columns)].map(escapeCsv).join(",");
     });
 
     const csv = [header, ...rows].join("\n");
@@ -238,7 +234,7 @@ const studyIndex = useMemo(() => {
 
             {/* --- Tabs --- */}
             <div className={styles.tabs}>
-              {["responses", "edit", "export"].map((t) => (
+              {["responses", "studies", "edit", "export"].map((t) => (
                 <button
                   key={t}
                   type="button"
@@ -275,7 +271,7 @@ const studyIndex = useMemo(() => {
                           </span>
                         </div>
                         <div className={styles.responseBody}>
-                          {Object.entries(r.answers || {}).map(([k, v]) => (
+                          {flattenAnswers(r.formId?.schema?.items, r.answers).map(({ key: k, value: v }) => (
                             <div key={k} className={styles.answerRow}>
                               <span className={styles.answerLabel}>{k}</span>
                               <span className={styles.answerValue}>
@@ -291,6 +287,17 @@ const studyIndex = useMemo(() => {
               </div>
             )}
 
+            {/* --- Studies tab --- */}
+            {tab === "studies" && (
+              <div className={styles.panel}>
+                {studiesQuery.isLoading ? (
+                  <div className={styles.empty}>Loading studies…</div>
+                ) : (
+                  <PatientEnrollments pid={patient?.pid || pid} studies={studies} canEdit={canEdit} />
+                )}
+              </div>
+            )}
+
             {/* --- Edit tab --- */}
             {tab === "edit" && (
               <div className={styles.panel}>
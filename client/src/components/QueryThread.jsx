@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import { Badge } from './ui/Badge';
+import styles from './QueryThread.module.css';
+
+export const QUERY_STATUS_VARIANTS = { open: 'danger', answered: 'warning', closed: 'neutral' };
+
+const MESSAGE_ACTIONS = {
+  opened: 'Query raised',
+  answered: 'Answered',
+  corrected: 'Corrected',
+  reopened: 'Reopened',
+  closed: 'Closed',
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const authorOf = (message) => message.author?.displayName || message.author?.email || 'Unknown';
+
+/**
+ * Data clarification queries on one answer. Assignees answer (with the edited
+ * field value as a correction when `pendingValue` is set); reviewers raise,
+ * close and reopen.
+ */
+const QueryThread = ({
+  queries = [],
+  canAnswer = false,
+  canReview = false,
+  pendingValue,
+  isBusy = false,
+  error,
+  onRaise,
+  onAnswer,
+  onClose,
+  onReopen,
+}) => {
+  const [message, setMessage] = useState('');
+  const [raising, setRaising] = useState(false);
+
+  const run = (action) => {
+    // Failures are reported through `error`; keep the text so it can be resent
+    Promise.resolve(action(message.trim())).then(
+      () => {
+        setMessage('');
+        setRaising(false);
+      },
+      () => {}
+    );
+  };
+
+  const renderComposer = (placeholder, actions) => (
+    <div className={styles.composer}>
+      <textarea
+        rows={2}
+        value={message}
+        placeholder={placeholder}
+        onChange={(event) => setMessage(event.target.value)}
+      />
+      <div className={styles.actions}>{actions}</div>
+    </div>
+  );
+
+  // Only the latest query takes new messages; earlier ones are history
+  const renderActions = (query) => {
+    const answerable = query.status === 'open' && canAnswer;
+    const reviewable = canReview && (query.status !== 'open' || !canAnswer);
+    if (!answerable && !reviewable) return null;
+    const placeholder = answerable
+      ? pendingValue !== undefined
+        ? 'Explain the correction you made to this answer'
+        : 'Answer the query, or change the answer above to correct it'
+      : query.status === 'open'
+        ? 'Optional note on why the query is withdrawn'
+        : 'Note for closing, or why the query is reopened';
+    return renderComposer(
+      placeholder,
+      <>
+        {answerable ? (
+          <button
+            type="button"
+            disabled={isBusy || !message.trim()}
+            onClick={() => run((text) => onAnswer(query, text))}
+          >
+            {pendingValue !== undefined ? 'Answer with correction' : 'Answer'}
+          </button>
+        ) : null}
+        {canReview && query.status !== 'closed' ? (
+          <button type="button" disabled={isBusy} onClick={() => run((text) => onClose(query, text))}>
+            {query.status === 'open' ? 'Withdraw query' : 'Close query'}
+          </button>
+        ) : null}
+        {canReview && query.status !== 'open' ? (
+          <button
+            type="button"
+            disabled={isBusy || !message.trim()}
+            onClick={() => run((text) => onReopen(query, text))}
+          >
+            Reopen
+          </button>
+        ) : null}
+      </>
+    );
+  };
+
+  if (!queries.length && !canReview) return null;
+  const latest = queries[queries.length - 1];
+
+  return (
+    <div className={styles.thread}>
+      {queries.map((query) => (
+        <div key={query._id} className={styles.query}>
+          <div className={styles.header}>
+            <Badge variant={QUERY_STATUS_VARIANTS[query.status]}>Query {query.status}</Badge>
+            <span className={styles.meta}>
+              Value at the time: {formatValue(query.value)} (revision {query.responseRevision})
+            </span>
+          </div>
+          <ol className={styles.messages}>
+            {query.messages.map((entry, index) => (
+              <li key={index}>
+                <span className={styles.meta}>
+                  {MESSAGE_ACTIONS[entry.action] || entry.action} by {authorOf(entry)} ·{' '}
+                  {new Date(entry.at).toLocaleString()}
+                </span>
+                {entry.body ? <p>{entry.body}</p> : null}
+                {entry.correction ? (
+                  <p className={styles.meta}>
+                    {formatValue(entry.correction.from)} → {formatValue(entry.correction.to)} (revision{' '}
+                    {entry.correction.revision})
+                  </p>
+                ) : null}
+              </li>
+            ))}
+          </ol>
+
+          {query === latest && !raising ? renderActions(query) : null}
+        </div>
+      ))}
+
+      {canReview && (!latest || latest.status === 'closed') ? (
+        raising ? (
+          renderComposer(
+            'What needs clarifying about this answer?',
+            <>
+              <button
+                type="button"
+                disabled={isBusy || !message.trim()}
+                onClick={() => run((text) => onRaise(text))}
+              >
+                Raise query
+              </button>
+              <button type="button" onClick={() => setRaising(false)}>
+                Cancel
+              </button>
+            </>
+          )
+        ) : (
+          <button type="button" className={styles.raise} onClick={() => setRaising(true)}>
+            Raise query
+          </button>
+        )
+      ) : null}
+      {error ? <span className={styles.error}>{error}</span> : null}
+    </div>
+  );
+};
+
+export default QueryThread;
@@ -0,0 +1,301 @@
+import { useMemo } from 'react';
+import { cn } from '../lib/classNames';
+import {
+  addToScope,
+  calculateValue,
+  groupInstances,
+  isGroup,
+  isItemEnabled,
+  itemIndex,
+} from '../lib/questionnaireLogic';
+import styles from '../styles/FormRunner.module.css';
+
+const TEMPORAL_INPUT_TYPES = { date: 'date', datetime: 'datetime-local', time: 'time' };
+
+const numberStep = (item) => {
+  if (item.type === 'integer') return 1;
+  return item.precision !== undefined ? 10 ** -item.precision : 'any';
+};
+
+// Answer paths (['meds', 0, 'dose']) render as "meds[0].dose", the form the server uses in details
+export const pathKey = (path) =>
+  path.reduce(
+    (key, segment) =>
+      typeof segment === 'number' ? `${key}[${segment}]` : key ? `${key}.${segment}` : segment,
+    ''
+  );
+
+export const setIn = (container, [segment, ...rest], value) => {
+  const base = Array.isArray(container)
+    ? [...container]
+    : { ...(container && typeof container === 'object' ? container : {}) };
+  base[segment] = rest.length ? setIn(base[segment], rest, value) : value;
+  return base;
+};
+
+export const getIn = (container, path) => path.reduce((current, segment) => current?.[segment], container);
+
+export const buildDefaultAnswers = (items) => {
+  if (!items?.length) {
+    return {};
+  }
+  return items.reduce((accumulator, item) => {
+    if (item.type === 'calculated') {
+      // Computed from the other answers, never entered
+      return accumulator;
+    }
+    if (isGroup(item)) {
+      // Repeating groups start empty; instances are added on demand
+      accumulator[item.linkId] = item.repeats ? [] : buildDefaultAnswers(item.items);
+    } else if (item.type === 'dropdown') {
+      accumulator[item.linkId] = item.options?.[0] || '';
+    } else if (item.type === 'checkboxes') {
+      accumulator[item.linkId] = [];
+    } else if (item.type === 'scale') {
+      accumulator[item.linkId] = item.scale?.min ?? 1;
+    } else {
+      accumulator[item.linkId] = '';
+    }
+    return accumulator;
+  }, {});
+};
+
+/**
+ * Questions of a questionnaire with their display conditions, calculated scores
+ * and repeating groups. The caller owns `answers` and `fieldErrors` (keyed by
+ * answer path, as the server reports them); `renderExtras` adds per-field panels
+ * such as data queries below each answer.
+ */
+const QuestionnaireFields = ({
+  items,
+  answers,
+  onAnswersChange,
+  fieldErrors = {},
+  onFieldErrorsChange,
+  editable = true,
+  renderExtras,
+}) => {
+  const itemsByLinkId = useMemo(() => itemIndex(items), [items]);
+
+  const clearFieldError = (key) => {
+    onFieldErrorsChange((prev) => {
+      if (!prev[key]) return prev;
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  };
+
+  const onChange = (path, value) => {
+    clearFieldError(pathKey(path));
+    onAnswersChange((prev) => setIn(prev, path, value));
+  };
+
+  const onCheckboxToggle = (path, option) => {
+    clearFieldError(pathKey(path));
+    onAnswersChange((prev) => {
+      const current = Array.isArray(getIn(prev, path)) ? getIn(prev, path) : [];
+      const exists = current.includes(option);
+      const next = exists ? current.filter((entry) => entry !== option) : [...current, option];
+      return setIn(prev, path, next);
+    });
+  };
+
+  const addInstance = (path, item) => {
+    clearFieldError(pathKey(path));
+    onAnswersChange((prev) => {
+      const current = Array.isArray(getIn(prev, path)) ? getIn(prev, path) : [];
+      return setIn(prev, path, [...current, buildDefaultAnswers(item.items)]);
+    });
+  };
+
+  const removeInstance = (path, index) => {
+    // Error keys for later instances would shift; drop this group's errors
+    const prefix = pathKey(path);
+    onFieldErrorsChange((prev) =>
+      Object.fromEntries(Object.entries(prev).filter(([key]) => !key.startsWith(`${prefix}[`)))
+    );
+    onAnswersChange((prev) => {
+      const current = Array.isArray(getIn(prev, path)) ? getIn(prev, path) : [];
+      return setIn(prev, path, current.filter((_, idx) => idx !== index));
+    });
+  };
+
+  const renderQuestion = (item, value, path) => {
+    const key = pathKey(path);
+    return (
+      <div key={key} className={cn(styles.field, fieldErrors[key] && styles.fieldInvalid)}>
+        <label htmlFor={key}>
+          {item.text}
+          {item.required ? ' *' : ''}
+        </label>
+        {item.type === 'dropdown' ? (
+          <select
+            id={key}
+            value={value ?? ''}
+            onChange={(event) => onChange(path, event.target.value)}
+            disabled={!editable}
+          >
+            <option value="">Select…</option>
+            {item.options?.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+        ) : item.type === 'checkboxes' ? (
+          <div className={styles.checkboxGroup}>
+            {item.options?.map((option) => (
+              <label key={option} className={styles.checkboxOption}>
+                <input
+                  type="checkbox"
+                  checked={(Array.isArray(value) ? value : []).includes(option)}
+                  onChange={() => onCheckboxToggle(path, option)}
+                  disabled={!editable}
+                />
+                {option}
+              </label>
+            ))}
+          </div>
+        ) : item.type === 'scale' ? (
+          <div className={styles.scaleField}>
+            <input
+              id={key}
+              type="range"
+              min={item.scale?.min ?? 1}
+              max={item.scale?.max ?? 5}
+              step={item.scale?.step ?? 1}
+              value={value ?? item.scale?.min ?? 1}
+              onChange={(event) => onChange(path, Number(event.target.value))}
+              disabled={!editable}
+            />
+            <span>{value}</span>
+          </div>
+        ) : item.type === 'integer' || item.type === 'decimal' ? (
+          <div className={styles.numberField}>
+            <input
+              id={key}
+              type="number"
+              inputMode={item.type === 'integer' ? 'numeric' : 'decimal'}
+              min={item.min}
+              max={item.max}
+              step={numberStep(item)}
+              value={value ?? ''}
+              onChange={(event) =>
+                onChange(path, event.target.value === '' ? '' : Number(event.target.value))
+              }
+              disabled={!editable}
+            />
+            {item.unit ? <span className={styles.unit}>{item.unit}</span> : null}
+          </div>
+        ) : TEMPORAL_INPUT_TYPES[item.type] ? (
+          <input
+            id={key}
+            type={TEMPORAL_INPUT_TYPES[item.type]}
+            value={value ?? ''}
+            onChange={(event) => onChange(path, event.target.value)}
+            disabled={!editable}
+          />
+        ) : (
+          <input
+            id={key}
+            type="text"
+            value={value ?? ''}
+            onChange={(event) => onChange(path, event.target.value)}
+            disabled={!editable}
+          />
+        )}
+        {fieldErrors[key] ? <span className={styles.fieldError}>{fieldErrors[key]}</span> : null}
+        {renderExtras?.(item, value, path)}
+      </div>
+    );
+  };
+
+  // Read-only preview; the stored value is recomputed by the server on submit
+  const renderCalculated = (item, value, path) => {
+    const key = pathKey(path);
+    const display =
+      value === null ? '—' : item.precision !== undefined ? value.toFixed(item.precision) : value;
+    return (
+      <div key={key} className={styles.field}>
+        <label htmlFor={key}>{item.text}</label>
+        <div className={styles.numberField}>
+          <output id={key} className={styles.calculated}>
+            {display}
+          </output>
+          {item.unit ? <span className={styles.unit}>{item.unit}</span> : null}
+        </div>
+        {renderExtras?.(item, value, path)}
+      </div>
+    );
+  };
+
+  // Render enabled items in order, threading the enableWhen scope the same way the server does
+  const renderItems = (items, values, basePath, scope) =>
+    (items || []).map((item) => {
+      if (!isItemEnabled(item, scope)) return null;
+      const path = [...basePath, item.linkId];
+      const value = values?.[item.linkId];
+
+      if (item.type === 'calculated') {
+        const computed = calculateValue(item, scope, itemsByLinkId);
+        addToScope(scope, item, computed);
+        return renderCalculated(item, computed, path);
+      }
+
+      if (!isGroup(item)) {
+        addToScope(scope, item, value);
+        return renderQuestion(item, value, path);
+      }
+
+      const key = pathKey(path);
+      if (!item.repeats) {
+        return (
+          <fieldset key={key} className={styles.section}>
+            <legend>{item.text}</legend>
+            {renderItems(item.items, groupInstances(item, value)[0], path, scope)}
+          </fieldset>
+        );
+      }
+
+      const instances = groupInstances(item, value);
+      return (
+        <fieldset key={key} className={cn(styles.section, fieldErrors[key] && styles.fieldInvalid)}>
+          <legend>
+            {item.text}
+            {item.required ? ' *' : ''}
+          </legend>
+          {instances.map((instance, index) => (
+            <div key={`${key}[${index}]`} className={styles.instance}>
+              <div className={styles.instanceHeader}>
+                <span>
+                  {item.text} #{index + 1}
+                </span>
+                {editable ? (
+                  <button type="button" onClick={() => removeInstance(path, index)}>
+                    Remove
+                  </button>
+                ) : null}
+              </div>
+              {renderItems(item.items, instance, [...path, index], new Map(scope))}
+            </div>
+          ))}
+          {!instances.length ? <span className={styles.instanceEmpty}>No entries yet.</span> : null}
+          {editable ? (
+            <button
+              type="button"
+              className={styles.instanceAdd}
+              onClick={() => addInstance(path, item)}
+            >
+              + Add entry
+            </button>
+          ) : null}
+          {fieldErrors[key] ? <span className={styles.fieldError}>{fieldErrors[key]}</span> : null}
+        </fieldset>
+      );
+    });
+
+  return <>{renderItems(items, answers, [], new Map())}</>;
+};
+
+export default QuestionnaireFields;
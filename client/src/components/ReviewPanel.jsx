@@ -0,0 +1,112 @@
+import { useState } from 'react';
+import { Badge } from './ui/Badge';
+import { Button } from './ui/Button';
+import { Textarea } from './ui/Input';
+import styles from './ReviewPanel.module.css';
+
+export const REVIEW_STATUS_LABELS = {
+  submitted: 'Submitted',
+  under_review: 'Under review',
+  verified: 'Verified',
+  locked: 'Locked',
+};
+
+export const REVIEW_STATUS_VARIANTS = {
+  submitted: 'neutral',
+  under_review: 'warning',
+  verified: 'success',
+  locked: 'primary',
+};
+
+const EVENT_LABELS = {
+  started: 'Review started',
+  verified: 'Verified',
+  locked: 'Locked',
+  unlocked: 'Unlocked',
+  reset: 'Back to review',
+};
+
+// Next step offered to reviewers for each status
+const NEXT_ACTIONS = {
+  submitted: [
+    { action: 'start', label: 'Start review' },
+    { action: 'verify', label: 'Verify' },
+  ],
+  under_review: [{ action: 'verify', label: 'Verify' }],
+  verified: [{ action: 'lock', label: 'Lock' }],
+  locked: [{ action: 'unlock', label: 'Unlock', needsReason: true }],
+};
+
+/**
+ * Review lifecycle of a response (submitted → under review → verified → locked)
+ * with the actions available to reviewers.
+ */
+const ReviewPanel = ({ response, verifiedCount = 0, canReview = false, isBusy = false, error, onAction }) => {
+  const [reason, setReason] = useState('');
+  const status = response.reviewStatus || 'submitted';
+  const history = response.reviewHistory || [];
+  const actions = NEXT_ACTIONS[status] || [];
+  const needsReason = actions.some((entry) => entry.needsReason);
+
+  const run = (action) => {
+    Promise.resolve(onAction(action, reason.trim() || undefined)).then(
+      () => setReason(''),
+      () => {}
+    );
+  };
+
+  return (
+    <section className={styles.panel}>
+      <div className={styles.header}>
+        <h3>Review</h3>
+        <Badge variant={REVIEW_STATUS_VARIANTS[status]}>{REVIEW_STATUS_LABELS[status]}</Badge>
+      </div>
+      <p className={styles.summary}>
+        {verifiedCount} {verifiedCount === 1 ? 'answer' : 'answers'} source-verified in this revision.
+      </p>
+
+      {history.length ? (
+        <ol className={styles.history}>
+          {history.map((event, index) => (
+            <li key={index}>
+              <strong>{EVENT_LABELS[event.action] || event.action}</strong>{' '}
+              {new Date(event.at).toLocaleString()}
+              {event.by ? ` · ${event.by.displayName || event.by.email}` : ''}
+              {event.reason ? <span className={styles.reason}>{event.reason}</span> : null}
+            </li>
+          ))}
+        </ol>
+      ) : null}
+
+      {canReview && actions.length ? (
+        <div className={styles.actions}>
+          {needsReason ? (
+            <Textarea
+              rows={2}
+              value={reason}
+              onChange={(event) => setReason(event.target.value)}
+              placeholder="Why does this response need to be unlocked?"
+            />
+          ) : null}
+          <div className={styles.buttons}>
+            {actions.map((entry) => (
+              <Button
+                key={entry.action}
+                type="button"
+                size="sm"
+                variant={entry.action === 'start' ? 'outline' : 'primary'}
+                disabled={isBusy || (entry.needsReason && !reason.trim())}
+                onClick={() => run(entry.action)}
+              >
+                {entry.label}
+              </Button>
+            ))}
+          </div>
+        </div>
+      ) : null}
+      {error ? <div className={styles.error}>{error}</div> : null}
+    </section>
+  );
+};
+
+export default ReviewPanel;
@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { apiClient } from '../lib/apiClient';
+import { Button } from './ui/Button';
+import { PatientLinkRow } from './PatientLinkPanel';
+import styles from './SelfReportAssigner.module.css';
+
+const lineageOf = (form) => String(form.lineageId || form._id);
+
+/**
+ * Assign a form for patient self-report: each selected patient gets a one-time
+ * link to answer it without logging in. Links are shown once, to be passed on.
+ */
+const SelfReportAssigner = ({ form, patients = [], events = [], onAssigned, onCancel }) => {
+  const [selected, setSelected] = useState([]);
+  const [eventId, setEventId] = useState('');
+  const [links, setLinks] = useState(null);
+  const [error, setError] = useState('');
+
+  // Visits that collect this form; an event without forms collects all of them
+  const formEvents = events.filter(
+    (event) => !event.formIds?.length || event.formIds.map(String).includes(lineageOf(form))
+  );
+
+  const assignMutation = useMutation({
+    mutationFn: (payload) => apiClient.post(`/api/forms/${form._id}/assign`, payload),
+    onSuccess: (response) => {
+      setError('');
+      setLinks(response.data.links || []);
+      onAssigned?.();
+    },
+    onError: (mutationError) => {
+      const data = mutationError.response?.data;
+      const details = (data?.details || []).map((detail) => detail.message).join('; ');
+      setError([data?.error || 'Unable to create the patient links.', details].filter(Boolean).join(' — '));
+    },
+  });
+
+  const togglePatient = (pid) =>
+    setSelected((current) => (current.includes(pid) ? current.filter((item) => item !== pid) : [...current, pid]));
+
+  const submit = (event) => {
+    event.preventDefault();
+    if (!selected.length) {
+      setError('Select at least one patient.');
+      return;
+    }
+    assignMutation.mutate({ pid: selected, selfReport: true, ...(eventId ? { eventId } : {}) });
+  };
+
+  if (links) {
+    return (
+      <div className={styles.assigner}>
+        <p className={styles.hint}>
+          Pass each link to its patient. A link can be opened until it is used or expires; it is not shown again.
+        </p>
+        <div className={styles.links}>
+          {links.map((link) =>
+            link.url ? (
+              <PatientLinkRow key={link.pid} label={link.pid} url={link.url} expiresAt={link.expiresAt} />
+            ) : (
+              <div key={link.pid} className={styles.error}>
+                {link.pid}: {link.error}
+              </div>
+            )
+          )}
+        </div>
+        <div className={styles.actions}>
+          <Button type="button" size="sm" onClick={onCancel}>
+            Done
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form className={styles.assigner} onSubmit={submit}>
+      <div>
+        <span className={styles.label}>Patients</span>
+        {patients.length ? (
+          <div className={styles.patientList}>
+            {patients.map((patient) => (
+              <label key={patient.pid}>
+                <input
+                  type="checkbox"
+                  checked={selected.includes(patient.pid)}
+                  onChange={() => togglePatient(patient.pid)}
+                />
+                <span>{patient.pid}</span>
+              </label>
+            ))}
+          </div>
+        ) : (
+          <p className={styles.hint}>Enroll patients in the study first.</p>
+        )}
+      </div>
+
+      {formEvents.length ? (
+        <label className={styles.field}>
+          Visit
+          <select value={eventId} onChange={(event) => setEventId(event.target.value)}>
+            <option value="">Unscheduled</option>
+            {formEvents.map((event) => (
+              <option key={event._id} value={event._id}>
+                {event.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      ) : null}
+
+      <p className={styles.hint}>
+        Patients answer through a single-use link without logging in. Their response is recorded as authored by
+        the patient and validated like any other submission.
+      </p>
+      {error ? <div className={styles.error}>{error}</div> : null}
+
+      <div className={styles.actions}>
+        <Button type="button" size="sm" variant="ghost" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" size="sm" disabled={assignMutation.isPending}>
+          {assignMutation.isPending ? 'Creating links…' : 'Create patient links'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default SelfReportAssigner;
@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { apiClient } from '../lib/apiClient';
+import { cn } from '../lib/classNames';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import styles from './SignaturePanel.module.css';
+
+export const SIGNATURE_MEANING_LABELS = {
+  authored: 'Authored',
+  reviewed: 'Reviewed',
+  approved: 'Approved',
+};
+
+const signerOf = (signature) => signature.signerName || signature.signerEmail || 'Unknown';
+
+// Lists signatures and lets the user sign by re-entering their password
+const SignaturePanel = ({
+  title = 'Signatures',
+  signatures = [],
+  signUrl,
+  meanings = Object.keys(SIGNATURE_MEANING_LABELS),
+  canSign = false,
+  subjectLabel,
+  onSigned,
+}) => {
+  const [meaning, setMeaning] = useState(meanings[0] || '');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+
+  const signMutation = useMutation({
+    mutationFn: () => apiClient.post(signUrl, { meaning, password }),
+    onSuccess: async () => {
+      setPassword('');
+      setError('');
+      await onSigned?.();
+    },
+    onError: (mutationError) => {
+      setError(mutationError.response?.data?.error || 'Unable to sign.');
+    },
+  });
+
+  const submit = (event) => {
+    event.preventDefault();
+    if (!password) {
+      setError('Enter your password to sign.');
+      return;
+    }
+    signMutation.mutate();
+  };
+
+  return (
+    <section className={styles.panel}>
+      <h3>{title}</h3>
+      {signatures.length ? (
+        <ul className={styles.list}>
+          {signatures.map((signature) => (
+            <li
+              key={signature._id}
+              className={cn(styles.entry, signature.invalidatedAt && styles.invalidated)}
+            >
+              <span>
+                <strong>{SIGNATURE_MEANING_LABELS[signature.meaning] || signature.meaning}</strong> by{' '}
+                {signerOf(signature)}
+              </span>
+              <span className={styles.detail}>
+                {new Date(signature.signedAt).toLocaleString()}
+                {signature.targetRevision ? ` · revision ${signature.targetRevision}` : ''}
+                {signature.targetStatus ? ` · status ${signature.targetStatus}` : ''}
+              </span>
+              {signature.invalidatedAt ? (
+                <span className={styles.detail}>
+                  No longer valid: {signature.invalidatedReason || 'content changed'}
+                </span>
+              ) : null}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className={styles.empty}>Not signed yet.</p>
+      )}
+
+      {canSign && meanings.length ? (
+        <form className={styles.form} onSubmit={submit}>
+          <p className={styles.attestation}>
+            By signing you confirm {subjectLabel || 'this record'} with the meaning selected below.
+          </p>
+          <div className={styles.fields}>
+            <select value={meaning} onChange={(event) => setMeaning(event.target.value)}>
+              {meanings.map((value) => (
+                <option key={value} value={value}>
+                  {SIGNATURE_MEANING_LABELS[value] || value}
+                </option>
+              ))}
+            </select>
+            <Input
+              type="password"
+              autoComplete="current-password"
+              placeholder="Your password"
+              value={password}
+              onChange={(event) => setPassword(event.target.value)}
+            />
+            <Button type="submit" size="sm" disabled={signMutation.isPending}>
+              {signMutation.isPending ? 'Signing…' : 'Sign'}
+            </Button>
+          </div>
+          {error ? <div className={styles.error}>{error}</div> : null}
+        </form>
+      ) : null}
+    </section>
+  );
+};
+
+export default SignaturePanel;
@@ -0,0 +1,152 @@
+import { useState } from 'react';
+import { useMutation, useQuery } from '@tanstack/react-query';
+import { apiClient } from '../lib/apiClient';
+import { Badge } from './ui/Badge';
+import { Button } from './ui/Button';
+import { Textarea } from './ui/Input';
+import styles from './StudyCloseoutPanel.module.css';
+
+const CHECKS = [
+  { key: 'openQueries', label: 'Unresolved data queries', blocking: true },
+  { key: 'unsignedResponses', label: 'Responses without a valid signature', blocking: true },
+  { key: 'openTasks', label: 'Open tasks (expired on closeout)', blocking: false },
+];
+
+const personOf = (user) => user?.displayName || user?.email || 'Unknown';
+
+/**
+ * Study closeout: pre-lock checks, the database lock itself and the lock
+ * history. Unlocking a closed study is reserved for admins.
+ */
+const StudyCloseoutPanel = ({ studyId, canClose = false, canUnlock = false, onChanged }) => {
+  const [reason, setReason] = useState('');
+  const [expireOpenTasks, setExpireOpenTasks] = useState(false);
+  const [error, setError] = useState('');
+
+  const closeoutQuery = useQuery({
+    queryKey: ['studyCloseout', studyId],
+    queryFn: async () => {
+      const response = await apiClient.get(`/api/studies/${studyId}/closeout`);
+      return response.data;
+    },
+    enabled: Boolean(studyId) && canClose,
+  });
+
+  const lockMutation = useMutation({
+    mutationFn: ({ action, body }) => apiClient.post(`/api/studies/${studyId}/${action}`, body),
+    onSuccess: async () => {
+      setReason('');
+      setExpireOpenTasks(false);
+      setError('');
+      await Promise.all([closeoutQuery.refetch(), onChanged?.()]);
+    },
+    onError: (mutationError) => {
+      const data = mutationError.response?.data;
+      const details = (data?.details || []).map((detail) => detail.message).join('; ');
+      setError([data?.error || 'Unable to update the study lock.', details].filter(Boolean).join(': '));
+    },
+  });
+
+  if (!canClose) return null;
+  const closeout = closeoutQuery.data;
+  if (!closeout) return null;
+
+  const isClosed = closeout.status === 'closed';
+  const checks = closeout.checks || {};
+  const isBlocked = CHECKS.some((check) => check.blocking && checks[check.key]);
+  const needsConfirmation = checks.openTasks > 0 && !expireOpenTasks;
+  const trimmed = reason.trim();
+
+  return (
+    <section className={styles.panel}>
+      <div className={styles.header}>
+        <h3>Closeout &amp; database lock</h3>
+        <Badge variant={isClosed ? 'primary' : 'neutral'}>{isClosed ? 'Locked' : 'Unlocked'}</Badge>
+      </div>
+
+      {isClosed ? (
+        <p className={styles.summary}>
+          Locked {new Date(closeout.lockedAt).toLocaleString()} by {personOf(closeout.lockedBy)}. Responses,
+          reviews and queries are read-only.
+        </p>
+      ) : (
+        <ul className={styles.checks}>
+          {CHECKS.map((check) => (
+            <li key={check.key}>
+              <span>{check.label}</span>
+              <Badge variant={!checks[check.key] ? 'success' : check.blocking ? 'danger' : 'warning'}>
+                {checks[check.key] || 0}
+              </Badge>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!isClosed || canUnlock ? (
+        <div className={styles.actions}>
+          <Textarea
+            rows={2}
+            value={reason}
+            onChange={(event) => setReason(event.target.value)}
+            placeholder={isClosed ? 'Justification for unlocking the study data' : 'Optional closeout note'}
+          />
+          {!isClosed && checks.openTasks > 0 ? (
+            <label className={styles.confirm}>
+              <input
+                type="checkbox"
+                checked={expireOpenTasks}
+                onChange={(event) => setExpireOpenTasks(event.target.checked)}
+              />
+              Expire the {checks.openTasks} open {checks.openTasks === 1 ? 'task' : 'tasks'}
+            </label>
+          ) : null}
+          <div>
+            {isClosed ? (
+              <Button
+                type="button"
+                size="sm"
+                variant="outline"
+                disabled={lockMutation.isPending || !trimmed}
+                onClick={() => lockMutation.mutate({ action: 'unlock', body: { reason: trimmed } })}
+              >
+                Unlock study
+              </Button>
+            ) : (
+              <Button
+                type="button"
+                size="sm"
+                disabled={lockMutation.isPending || isBlocked || needsConfirmation}
+                onClick={() =>
+                  lockMutation.mutate({
+                    action: 'closeout',
+                    body: { reason: trimmed || undefined, expireOpenTasks },
+                  })
+                }
+              >
+                Close out and lock
+              </Button>
+            )}
+          </div>
+        </div>
+      ) : null}
+      {error ? <div className={styles.error}>{error}</div> : null}
+
+      {closeout.history?.length ? (
+        <ol className={styles.history}>
+          {closeout.history.map((event, index) => (
+            <li key={index}>
+              <strong>{event.action === 'locked' ? 'Locked' : 'Unlocked'}</strong>{' '}
+              {new Date(event.at).toLocaleString()} · {personOf(event.by)}
+              {event.action === 'locked' && event.expiredTasks
+                ? ` · ${event.expiredTasks} tasks expired`
+                : ''}
+              {event.reason ? <span className={styles.reason}>{event.reason}</span> : null}
+            </li>
+          ))}
+        </ol>
+      ) : null}
+    </section>
+  );
+};
+
+export default StudyCloseoutPanel;
@@ -1,4 +1,5 @@
 import { useEffect, useState } from 'react';
+import NotificationRulesEditor, { toRuleDrafts, toRulePayload } from './NotificationRulesEditor';
 import styles from './StudyEditor.module.css';
 
 const StudyEditor = ({ initialValue, onSave, onCancel, submitLabel }) => {
@@ -7,16 +8,19 @@ const StudyEditor = ({ initialValue, onSave, onCancel, submitLabel }) => {
   const [code, setCode] = useState('');
   const [title, setTitle] = useState('');
   const [status, setStatus] = useState('draft');
+  const [notifications, setNotifications] = useState([]);
 
   useEffect(() => {
     if (initialValue) {
       setCode(initialValue.code || '');
       setTitle(initialValue.title || '');
       setStatus(initialValue.status || 'draft');
+      setNotifications(toRuleDrafts(initialValue.notifications));
     } else {
       setCode('');
       setTitle('');
       setStatus('draft');
+      setNotifications([]);
     }
   }, [initialValue]);
 
@@ -26,6 +30,7 @@ const StudyEditor = ({ initialValue, onSave, onCancel, submitLabel }) => {
       code: code.trim(),
       title: title.trim(),
       status,
+      notifications: toRulePayload(notifications),
     });
   };
 
@@ -64,6 +69,11 @@ const StudyEditor = ({ initialValue, onSave, onCancel, submitLabel }) => {
         </label>
       ) : null}
 
+      <div className={styles.section}>
+        <span className={styles.sectionTitle}>Notification rules</span>
+        <NotificationRulesEditor value={notifications} onChange={setNotifications} />
+      </div>
+
       <div className={styles.actions}>
         {onCancel ? (
           <button type="button" onClick={onCancel}>
@@ -1,13 +1,18 @@
 import { Badge } from './ui/Badge';
+import { REVIEW_STATUS_LABELS, REVIEW_STATUS_VARIANTS } from './ReviewPanel';
+import { eventLabelOf } from './VisitSchedule';
 import { Button } from './ui/Button';
 import styles from './TaskTable.module.css';
 
 const STATUS_META = {
   open: { label: 'Pending', variant: 'primary' },
+  // Open past its due date, still within the study's grace period
+  overdue: { label: 'Overdue', variant: 'danger' },
   submitted: { label: 'Completed', variant: 'success' },
-  expired: { label: 'Overdue', variant: 'danger' },
+  expired: { label: 'Expired', variant: 'warning' },
 };
 
+const displayStatus = (task) => (task.overdue ? 'overdue' : task.status);
 const statusVariant = (status) => STATUS_META[status]?.variant || 'neutral';
 const statusLabel = (status) => STATUS_META[status]?.label || status;
 
@@ -44,6 +49,7 @@ const TaskTable = ({ tasks, onSelectTask, showAssignee = false }) => {
           {tasks.map((task, index) => {
             const studyTitle = task.studyId?.title || '—';
             const formTitle = task.formId?.schema?.title || task.formId?.version || '—';
+            const visitLabel = eventLabelOf(task.studyId, task.eventId);
             const dueDate = task.dueAt ? new Date(task.dueAt).toLocaleDateString() : '—';
 
             return (
@@ -54,11 +60,33 @@ const TaskTable = ({ tasks, onSelectTask, showAssignee = false }) => {
                 </td>
                 <td className={styles.studyFormCell}>
                   <span className={styles.studyLabel}>{studyTitle}</span>
-                  <span className={styles.formLabel}>{formTitle}</span>
+                  <span className={styles.formLabel}>
+                    {formTitle}
+                    {visitLabel ? ` · ${visitLabel}` : ''}
+                    {task.occurrence ? ` · Diary entry ${task.occurrence}` : ''}
+                  </span>
                 </td>
                 <td>{dueDate}</td>
                 <td>
-                  <Badge variant={statusVariant(task.status)}>{statusLabel(task.status)}</Badge>
+                  <Badge variant={statusVariant(displayStatus(task))}>{statusLabel(displayStatus(task))}</Badge>
+                  {task.draftSavedAt ? (
+                    <Badge variant="warning" className={styles.draftBadge}>
+                      Draft
+                    </Badge>
+                  ) : null}
+                  {task.reviewStatus && task.reviewStatus !== 'submitted' ? (
+                    <Badge
+                      variant={REVIEW_STATUS_VARIANTS[task.reviewStatus]}
+                      className={styles.reviewBadge}
+                    >
+                      {REVIEW_STATUS_LABELS[task.reviewStatus]}
+                    </Badge>
+                  ) : null}
+                  {task.openQueries ? (
+                    <Badge variant="danger" className={styles.queryBadge}>
+                      {task.openQueries} open {task.openQueries === 1 ? 'query' : 'queries'}
+                    </Badge>
+                  ) : null}
                 </td>
                 {showAssignee ? (
                   <td>{assigneesLabel(task.assignees)}</td>
@@ -66,7 +94,13 @@ const TaskTable = ({ tasks, onSelectTask, showAssignee = false }) => {
                 {onSelectTask ? (
                   <td>
                     <Button size="sm" variant="primary" onClick={() => onSelectTask(task)}>
-                      {isSubmittedStatus(task.status) ? 'Edit response' : 'Open form'}
+                      {task.draftSavedAt
+                        ? 'Resume draft'
+                        : task.reviewStatus === 'locked'
+                          ? 'View response'
+                          : isSubmittedStatus(task.status)
+                            ? 'Edit response'
+                            : 'Open form'}
                     </Button>
                   </td>
                 ) : null}
@@ -43,6 +43,7 @@ export default function UserTable({
       email: user.email,
       displayName: user.displayName || '',
       category: (user.category || '').trim(),
+      phone: user.phone || '',
       role: user.role,
       status: user.isActive ? 'active' : 'inactive',
     });
@@ -64,6 +65,7 @@ export default function UserTable({
       displayName: draft.displayName.trim(),
       role: draft.role,
       category: draft.category ? draft.category : null,
+      phone: draft.phone.trim() || null,
       isActive: draft.status === 'active',
     };
 
@@ -100,6 +102,7 @@ export default function UserTable({
       <thead>
         <tr>
           <th>Email</th>
+          <th>Mobile</th>
           <th>Name</th>
           <th>Team</th>
           <th>Role</th>
@@ -130,6 +133,18 @@ export default function UserTable({
                   user.email
                 )}
               </td>
+              <td>
+                {isEditing ? (
+                  <Input
+                    type="tel"
+                    value={rowDraft.phone}
+                    onChange={(event) => handleDraftChange('phone', event.target.value)}
+                    placeholder="+15551234567"
+                  />
+                ) : (
+                  user.phone || '—'
+                )}
+              </td>
               <td>
                 {isEditing ? (
                   <Input
@@ -0,0 +1,273 @@
+import { useState } from 'react';
+import { useMutation, useQuery } from '@tanstack/react-query';
+import { apiClient } from '../lib/apiClient';
+import { Badge } from './ui/Badge';
+import { Button } from './ui/Button';
+import { Input } from './ui/Input';
+import styles from './VisitSchedule.module.css';
+
+export const VISIT_STATUS_META = {
+  upcoming: { label: 'Upcoming', variant: 'neutral' },
+  open: { label: 'Open', variant: 'primary' },
+  overdue: { label: 'Overdue', variant: 'danger' },
+  completed: { label: 'Completed', variant: 'success' },
+  missed: { label: 'Missed', variant: 'warning' },
+};
+
+// Label of the visit a task or response belongs to, e.g. "Week 4"
+export const eventLabelOf = (study, eventId) =>
+  (eventId && study?.events?.find((event) => String(event._id) === String(eventId))?.label) || '';
+
+const formatDay = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+const windowLabel = (event) => {
+  const before = event.windowBefore ? `−${event.windowBefore}` : '';
+  const after = event.windowAfter ? `+${event.windowAfter}` : '';
+  return `Day ${event.dayOffset}${before || after ? ` (${[before, after].filter(Boolean).join('/')})` : ''}`;
+};
+
+const lineageOf = (form) => String(form.lineageId || form._id);
+
+const toDraft = (events) =>
+  events.map((event) => ({
+    _id: event._id,
+    key: event.key,
+    label: event.label,
+    dayOffset: String(event.dayOffset ?? 0),
+    windowBefore: String(event.windowBefore ?? 0),
+    windowAfter: String(event.windowAfter ?? 0),
+    formIds: (event.formIds || []).map(String),
+  }));
+
+/**
+ * Study visits (events) with their windows, and the patients × visits grid.
+ * Editors replace the whole event list; the server regenerates the schedule.
+ */
+const VisitSchedule = ({ studyId, events = [], forms = [], canEdit = false, onSaved, onOpenTask }) => {
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState('');
+
+  const scheduleQuery = useQuery({
+    queryKey: ['studySchedule', studyId],
+    queryFn: async () => {
+      const response = await apiClient.get(`/api/studies/${studyId}/schedule`);
+      return response.data;
+    },
+    enabled: Boolean(studyId),
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: (payload) => apiClient.patch(`/api/studies/${studyId}`, { events: payload }),
+    onSuccess: async () => {
+      setDraft(null);
+      setError('');
+      await Promise.all([scheduleQuery.refetch(), onSaved?.()]);
+    },
+    onError: (mutationError) => {
+      const data = mutationError.response?.data;
+      const details = (data?.details || []).map((detail) => `${detail.path}: ${detail.message}`).join('; ');
+      setError([data?.error || 'Unable to save the visits.', details].filter(Boolean).join(' — '));
+    },
+  });
+
+  const updateEvent = (index, changes) =>
+    setDraft((current) => current.map((event, i) => (i === index ? { ...event, ...changes } : event)));
+
+  const toggleForm = (index, formId) => {
+    const selected = new Set(draft[index].formIds);
+    if (selected.has(formId)) selected.delete(formId);
+    else selected.add(formId);
+    updateEvent(index, { formIds: Array.from(selected) });
+  };
+
+  const save = (event) => {
+    event.preventDefault();
+    saveMutation.mutate(
+      draft.map((entry) => ({
+        ...(entry._id ? { _id: entry._id } : {}),
+        key: entry.key.trim(),
+        label: entry.label.trim(),
+        dayOffset: Number.parseInt(entry.dayOffset, 10) || 0,
+        windowBefore: Number.parseInt(entry.windowBefore, 10) || 0,
+        windowAfter: Number.parseInt(entry.windowAfter, 10) || 0,
+        formIds: entry.formIds,
+      }))
+    );
+  };
+
+  const schedule = scheduleQuery.data;
+  const gridEvents = schedule?.events || events;
+
+  return (
+    <div className={styles.schedule}>
+      {draft ? (
+        <form className={styles.editor} onSubmit={save}>
+          {draft.map((entry, index) => (
+            <fieldset key={entry._id || `new-${index}`} className={styles.eventRow}>
+              <div className={styles.eventFields}>
+                <label>
+                  Key
+                  <Input
+                    value={entry.key}
+                    onChange={(e) => updateEvent(index, { key: e.target.value })}
+                    placeholder="week-4"
+                    required
+                  />
+                </label>
+                <label>
+                  Label
+                  <Input
+                    value={entry.label}
+                    onChange={(e) => updateEvent(index, { label: e.target.value })}
+                    placeholder="Week 4"
+                    required
+                  />
+                </label>
+                <label>
+                  Day
+                  <Input
+                    type="number"
+                    value={entry.dayOffset}
+                    onChange={(e) => updateEvent(index, { dayOffset: e.target.value })}
+                  />
+                </label>
+                <label>
+                  Days before
+                  <Input
+                    type="number"
+                    min="0"
+                    value={entry.windowBefore}
+                    onChange={(e) => updateEvent(index, { windowBefore: e.target.value })}
+                  />
+                </label>
+                <label>
+                  Days after
+                  <Input
+                    type="number"
+                    min="0"
+                    value={entry.windowAfter}
+                    onChange={(e) => updateEvent(index, { windowAfter: e.target.value })}
+                  />
+                </label>
+                <Button
+                  type="button"
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => setDraft((current) => current.filter((_, i) => i !== index))}
+                >
+                  Remove
+                </Button>
+              </div>
+              {forms.length ? (
+                <div className={styles.eventForms}>
+                  <span>Forms{entry.formIds.length ? '' : ' (all)'}:</span>
+                  {forms.map((form) => (
+                    <label key={form._id}>
+                      <input
+                        type="checkbox"
+                        checked={entry.formIds.includes(lineageOf(form))}
+                        onChange={() => toggleForm(index, lineageOf(form))}
+                      />
+                      {form.schema?.title || form.version}
+                    </label>
+                  ))}
+                </div>
+              ) : null}
+            </fieldset>
+          ))}
+          <div className={styles.editorActions}>
+            <Button
+              type="button"
+              size="sm"
+              variant="outline"
+              onClick={() =>
+                setDraft((current) => [
+                  ...current,
+                  { key: '', label: '', dayOffset: '0', windowBefore: '0', windowAfter: '0', formIds: [] },
+                ])
+              }
+            >
+              Add visit
+            </Button>
+            <Button type="button" size="sm" variant="ghost" onClick={() => setDraft(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" size="sm" disabled={saveMutation.isPending}>
+              {saveMutation.isPending ? 'Saving…' : 'Save visits'}
+            </Button>
+          </div>
+          {error ? <div className={styles.error}>{error}</div> : null}
+        </form>
+      ) : canEdit ? (
+        <div className={styles.editorActions}>
+          <Button type="button" size="sm" variant="outline" onClick={() => setDraft(toDraft(events))}>
+            {events.length ? 'Edit visits' : 'Define visits'}
+          </Button>
+        </div>
+      ) : null}
+
+      {!gridEvents.length ? (
+        <p className={styles.empty}>
+          No visits defined. Each form is then collected once per patient.
+        </p>
+      ) : !schedule?.patients?.length ? (
+        <p className={styles.empty}>
+          {scheduleQuery.isLoading ? 'Loading schedule…' : 'No patients enrolled yet.'}
+        </p>
+      ) : (
+        <div className={styles.gridWrapper}>
+          <table className={styles.grid}>
+            <thead>
+              <tr>
+                <th>Patient</th>
+                {gridEvents.map((event) => (
+                  <th key={event._id}>
+                    {event.label}
+                    <span className={styles.window}>{windowLabel(event)}</span>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {schedule.patients.map((row) => (
+                <tr key={row.pid}>
+                  <th scope="row">
+                    <span className={styles.pid}>{row.pid}</span>
+                    <span className={styles.window}>Day 0: {formatDay(row.startAt)}</span>
+                  </th>
+                  {gridEvents.map((event) => {
+                    const visit = row.visits[event._id];
+                    if (!visit) return <td key={event._id}>—</td>;
+                    const meta = VISIT_STATUS_META[visit.status] || VISIT_STATUS_META.open;
+                    return (
+                      <td key={event._id}>
+                        <Badge variant={meta.variant}>{meta.label}</Badge>
+                        <span className={styles.window}>
+                          {formatDay(visit.windowStart)} – {formatDay(visit.dueAt)}
+                        </span>
+                        <div className={styles.visitForms}>
+                          {visit.forms.map((form) => (
+                            <button
+                              key={form.taskId}
+                              type="button"
+                              className={styles[form.status] || undefined}
+                              onClick={() => onOpenTask?.(form, row.pid)}
+                            >
+                              {form.title}
+                            </button>
+                          ))}
+                        </div>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VisitSchedule;
@@ -27,9 +27,28 @@ apiClient.interceptors.request.use((config) => {
   return config;
 });
 
-/* 401 handler with guards + single-flight */
+/* single-flight token refresh, shared with the event stream */
 let refreshPromise = null;
 
+export const refreshAccessToken = () => {
+  const session = read();
+  const rt = session?.refreshToken;
+  if (!rt) return Promise.reject(new Error('No refresh token'));
+
+  if (!refreshPromise) {
+    refreshPromise = apiClient.post('/api/auth/refresh', { refreshToken: rt })
+      .then(({ data }) => {
+        write({ ...(session || {}), ...data });
+        return data.accessToken;
+      })
+      .catch((e) => { write(null); throw e; })
+      .finally(() => { refreshPromise = null; });
+  }
+  return refreshPromise;
+};
+
+/* 401 handler with guards */
+
 const isAuthEndpoint = (url) => {
   try {
     // handle relative and absolute URLs
@@ -55,21 +74,9 @@ apiClient.interceptors.response.use(
 
     original._retry = true;
 
-    const session = read();
-    const rt = session?.refreshToken;
-    if (!rt) throw err;
-
-    if (!refreshPromise) {
-      refreshPromise = apiClient.post('/api/auth/refresh', { refreshToken: rt })
-        .then(({ data }) => {
-          write({ ...(session || {}), ...data });
-          return data.accessToken;
-        })
-        .catch((e) => { write(null); throw e; })
-        .finally(() => { refreshPromise = null; });
-    }
+    if (!read()?.refreshToken) throw err;
 
-    const newAccess = await refreshPromise;
+    const newAccess = await refreshAccessToken();
     original.headers = { ...(original.headers || {}), Authorization: `Bearer ${newAccess}` };
     return apiClient(original);
   }
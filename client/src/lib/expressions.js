@@ -0,0 +1,395 @@
+// Expression language for `calculated` form items, used by FormRunner to preview
+// scores and by FormBuilder to check expressions as they are typed.
+// Mirrors server/src/utils/expressions.js, which recomputes every submission.
+//
+//   {weight} / ({height} / 100) ^ 2
+//   sum(score({q1}), score({q2}), score({q3}))
+//   {systolic} >= 140 ? 1 : 0
+//
+// {linkId} reads an answer (numbers as-is, numeric text converted, anything
+// else / unanswered is null). Arithmetic involving null yields null, so a
+// score stays empty until its inputs are answered; aggregate functions skip nulls.
+
+const MAX_LENGTH = 1000;
+const MAX_DEPTH = 40;
+
+export class ExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position + 1}`);
+    this.name = 'ExpressionError';
+  }
+}
+
+/* ------------------------------ tokenizer ------------------------------ */
+
+const OPERATORS = ['==', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '%', '^', '<', '>', '!', '?', ':', '(', ')', ','];
+
+// Longest operators are listed first so "<=" wins over "<"
+const operatorAt = (source, index) =>
+  OPERATORS.find((candidate) => source.startsWith(candidate, index));
+
+const tokenize = (source) => {
+  const tokens = [];
+  let index = 0;
+  while (index < source.length) {
+    const char = source[index];
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (/[0-9.]/.test(char)) {
+      const match = /^(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(index));
+      if (!match) throw new ExpressionError('Invalid number', index);
+      tokens.push({ type: 'number', value: Number(match[0]), position: index });
+      index += match[0].length;
+    } else if (char === '{') {
+      const end = source.indexOf('}', index);
+      const linkId = end === -1 ? '' : source.slice(index + 1, end).trim();
+      if (!linkId) throw new ExpressionError('Unclosed or empty {reference}', index);
+      tokens.push({ type: 'ref', value: linkId, position: index });
+      index = end + 1;
+    } else if (char === '"' || char === "'") {
+      const end = source.indexOf(char, index + 1);
+      if (end === -1) throw new ExpressionError('Unterminated string', index);
+      tokens.push({ type: 'string', value: source.slice(index + 1, end), position: index });
+      index = end + 1;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const [word] = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(index));
+      tokens.push({ type: 'word', value: word, position: index });
+      index += word.length;
+    } else {
+      const operator = operatorAt(source, index);
+      if (!operator) throw new ExpressionError(`Unexpected character ${char}`, index);
+      tokens.push({ type: 'op', value: operator, position: index });
+      index += operator.length;
+    }
+  }
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+};
+
+/* ------------------------------- parser -------------------------------- */
+
+const FUNCTIONS = {};
+
+const parse = (source) => {
+  const tokens = tokenize(source);
+  let current = 0;
+
+  const peek = () => tokens[current];
+  const isOp = (value) => peek().type === 'op' && peek().value === value;
+  const take = () => {
+    const token = tokens[current];
+    current += 1;
+    return token;
+  };
+  const expect = (value) => {
+    if (!isOp(value)) throw new ExpressionError(`Expected "${value}"`, peek().position);
+    return take();
+  };
+
+  let depth = 0;
+  const nested = (parseFn) => {
+    depth += 1;
+    if (depth > MAX_DEPTH) throw new ExpressionError('Expression is nested too deeply');
+    const node = parseFn();
+    depth -= 1;
+    return node;
+  };
+
+  const binaryLevel = (operators, next) => () => {
+    let node = next();
+    while (peek().type === 'op' && operators.includes(peek().value)) {
+      const op = take().value;
+      node = { type: 'binary', op, left: node, right: next() };
+    }
+    return node;
+  };
+
+  let parseTernary;
+
+  const parsePrimary = () => {
+    const token = take();
+    switch (token.type) {
+      case 'number':
+        return { type: 'literal', value: token.value };
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'ref':
+        return { type: 'ref', linkId: token.value };
+      case 'word': {
+        if (token.value === 'true' || token.value === 'false') {
+          return { type: 'literal', value: token.value === 'true' };
+        }
+        if (token.value === 'null') return { type: 'literal', value: null };
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+          throw new ExpressionError(`Unknown function ${token.value}`, token.position);
+        }
+        expect('(');
+        const args = [];
+        if (!isOp(')')) {
+          args.push(nested(parseTernary));
+          while (isOp(',')) {
+            take();
+            args.push(nested(parseTernary));
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+      case 'op':
+        if (token.value === '(') {
+          const node = nested(parseTernary);
+          expect(')');
+          return node;
+        }
+        throw new ExpressionError(`Unexpected "${token.value}"`, token.position);
+      default:
+        throw new ExpressionError('Unexpected end of expression', token.position);
+    }
+  };
+
+  // Right-associative, binds tighter than unary minus: -2 ^ 2 === -4
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp('^')) {
+      take();
+      return { type: 'binary', op: '^', left: base, right: nested(parseUnary) };
+    }
+    return base;
+  };
+
+  function parseUnary() {
+    if (isOp('-') || isOp('!') || isOp('+')) {
+      const op = take().value;
+      return { type: 'unary', op, argument: nested(parseUnary) };
+    }
+    return parsePower();
+  }
+
+  const parseMultiplicative = binaryLevel(['*', '/', '%'], parseUnary);
+  const parseAdditive = binaryLevel(['+', '-'], parseMultiplicative);
+  const parseComparison = binaryLevel(['<', '<=', '>', '>='], parseAdditive);
+  const parseEquality = binaryLevel(['==', '!='], parseComparison);
+  const parseAnd = binaryLevel(['&&'], parseEquality);
+  const parseOr = binaryLevel(['||'], parseAnd);
+
+  parseTernary = () => {
+    const test = parseOr();
+    if (!isOp('?')) return test;
+    take();
+    const consequent = nested(parseTernary);
+    expect(':');
+    const alternate = nested(parseTernary);
+    return { type: 'conditional', test, consequent, alternate };
+  };
+
+  const ast = parseTernary();
+  if (peek().type !== 'end') {
+    throw new ExpressionError('Unexpected input', peek().position);
+  }
+  return ast;
+};
+
+/* ------------------------------ evaluator ------------------------------ */
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string' && /^\s*-?(\d+(\.\d*)?|\.\d+)\s*$/.test(value)) return Number(value);
+  return null;
+};
+
+const truthy = (value) => {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value === 'string') return value !== '';
+  return Boolean(value);
+};
+
+const finite = (value) => (typeof value === 'number' && !Number.isFinite(value) ? null : value);
+
+const numbers = (values) =>
+  values.flat().map(toNumber).filter((value) => value !== null);
+
+Object.assign(FUNCTIONS, {
+  sum: (args) => numbers(args).reduce((total, value) => total + value, 0),
+  min: (args) => (numbers(args).length ? Math.min(...numbers(args)) : null),
+  max: (args) => (numbers(args).length ? Math.max(...numbers(args)) : null),
+  avg: (args) => {
+    const values = numbers(args);
+    return values.length ? values.reduce((total, value) => total + value, 0) / values.length : null;
+  },
+  // Number of answered arguments
+  count: (args) => args.flat().filter((value) => value !== null && value !== undefined && value !== '').length,
+  round: ([value, digits]) => {
+    const number = toNumber(value);
+    if (number === null) return null;
+    const factor = 10 ** Math.max(0, Math.min(10, toNumber(digits) || 0));
+    return Math.round(number * factor) / factor;
+  },
+  floor: ([value]) => (toNumber(value) === null ? null : Math.floor(toNumber(value))),
+  ceil: ([value]) => (toNumber(value) === null ? null : Math.ceil(toNumber(value))),
+  abs: ([value]) => (toNumber(value) === null ? null : Math.abs(toNumber(value))),
+  sqrt: ([value]) => (toNumber(value) === null || toNumber(value) < 0 ? null : Math.sqrt(toNumber(value))),
+  number: ([value]) => toNumber(value),
+  if: ([test, consequent, alternate]) => (truthy(test) ? consequent : alternate ?? null),
+  // Position of the chosen option (0-based); summed for checkboxes
+  score: () => null,
+});
+
+const SCORE_FUNCTION = 'score';
+
+const arithmetic = (op, left, right) => {
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a === null || b === null) return null;
+  switch (op) {
+    case '+':
+      return a + b;
+    case '-':
+      return a - b;
+    case '*':
+      return a * b;
+    case '/':
+      return b === 0 ? null : a / b;
+    case '%':
+      return b === 0 ? null : a % b;
+    case '^':
+      return a ** b;
+    case '<':
+      return a < b;
+    case '<=':
+      return a <= b;
+    case '>':
+      return a > b;
+    case '>=':
+      return a >= b;
+    default:
+      return null;
+  }
+};
+
+/**
+ * `resolve(linkId)` returns `{ value, item }` for a reference, or undefined when
+ * the question is out of scope (treated as unanswered).
+ */
+const evaluate = (node, resolve) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'ref': {
+      const value = resolve(node.linkId)?.value;
+      return value === undefined || value === '' ? null : value;
+    }
+    case 'unary': {
+      const value = evaluate(node.argument, resolve);
+      if (node.op === '!') return !truthy(value);
+      const number = toNumber(value);
+      if (number === null) return null;
+      return node.op === '-' ? -number : number;
+    }
+    case 'binary': {
+      if (node.op === '&&') {
+        return truthy(evaluate(node.left, resolve)) && truthy(evaluate(node.right, resolve));
+      }
+      if (node.op === '||') {
+        return truthy(evaluate(node.left, resolve)) || truthy(evaluate(node.right, resolve));
+      }
+      const left = evaluate(node.left, resolve);
+      const right = evaluate(node.right, resolve);
+      if (node.op === '==' || node.op === '!=') {
+        const leftNumber = toNumber(left);
+        const rightNumber = toNumber(right);
+        const equal =
+          leftNumber !== null && rightNumber !== null ? leftNumber === rightNumber : left === right;
+        return node.op === '==' ? equal : !equal;
+      }
+      return finite(arithmetic(node.op, left, right));
+    }
+    case 'conditional':
+      return truthy(evaluate(node.test, resolve))
+        ? evaluate(node.consequent, resolve)
+        : evaluate(node.alternate, resolve);
+    case 'call': {
+      if (node.name === SCORE_FUNCTION) {
+        const target = node.args[0]?.type === 'ref' ? resolve(node.args[0].linkId) : undefined;
+        return scoreAnswer(target);
+      }
+      const args = node.args.map((arg) => evaluate(arg, resolve));
+      return finite(FUNCTIONS[node.name](args));
+    }
+    default:
+      return null;
+  }
+};
+
+function scoreAnswer(target) {
+  if (!target || target.value === undefined || target.value === null) return null;
+  const { value, item } = target;
+  const options = item?.options || [];
+  const scoreOf = (entry) => {
+    const index = options.indexOf(entry);
+    return index === -1 ? toNumber(entry) : index;
+  };
+  if (Array.isArray(value)) {
+    return value.reduce((total, entry) => total + (scoreOf(entry) ?? 0), 0);
+  }
+  return scoreOf(value);
+}
+
+// linkIds referenced anywhere in the expression
+const collectReferences = (node, into = new Set()) => {
+  if (!node) return into;
+  if (node.type === 'ref') into.add(node.linkId);
+  ['argument', 'left', 'right', 'test', 'consequent', 'alternate'].forEach((key) =>
+    collectReferences(node[key], into)
+  );
+  (node.args || []).forEach((arg) => collectReferences(arg, into));
+  return into;
+};
+
+const cache = new Map();
+
+/**
+ * Parse (and cache) an expression. Throws ExpressionError for invalid input,
+ * including score() applied to anything but a single {reference}.
+ */
+export const compileExpression = (source) => {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new ExpressionError('Expression is empty');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw new ExpressionError(`Expression is longer than ${MAX_LENGTH} characters`);
+  }
+  if (cache.has(source)) return cache.get(source);
+
+  const ast = parse(source);
+  const checkScore = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'call' && node.name === SCORE_FUNCTION) {
+      if (node.args.length !== 1 || node.args[0].type !== 'ref') {
+        throw new ExpressionError('score() takes a single {reference}');
+      }
+    }
+    ['argument', 'left', 'right', 'test', 'consequent', 'alternate'].forEach((key) => checkScore(node[key]));
+    (node.args || []).forEach(checkScore);
+  };
+  checkScore(ast);
+
+  const compiled = { ast, references: collectReferences(ast) };
+  if (cache.size > 500) cache.clear();
+  cache.set(source, compiled);
+  return compiled;
+};
+
+/**
+ * Evaluate a calculated item. Returns a finite number (rounded to the item's
+ * precision when set) or null when inputs are missing or the result is not numeric.
+ */
+export const evaluateExpression = (source, resolve, precision) => {
+  const { ast } = compileExpression(source);
+  const result = toNumber(evaluate(ast, resolve));
+  if (result === null) return null;
+  if (precision === undefined || precision === null) return result;
+  const factor = 10 ** precision;
+  return Math.round(result * factor) / factor;
+};
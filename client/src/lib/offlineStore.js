@@ -0,0 +1,111 @@
+import { apiClient } from './apiClient';
+import { getSession } from './auth';
+
+// Tasks and forms cached for offline use, and submissions waiting to be sent.
+// Everything is stored per user and removed on sign-out (see clearOfflineData).
+const DB_NAME = 'hospital-research-offline';
+const DB_VERSION = 1;
+const CACHE = 'cache';
+const OUTBOX = 'outbox';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CACHE)) db.createObjectStore(CACHE, { keyPath: 'key' });
+        if (!db.objectStoreNames.contains(OUTBOX)) {
+          db.createObjectStore(OUTBOX, { keyPath: 'id' }).createIndex('userId', 'userId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const currentUserId = () => {
+  const user = getSession()?.user;
+  return user ? String(user.id || user._id) : null;
+};
+
+// No response at all: the device is offline or the server unreachable
+export const isNetworkError = (error) => Boolean(error?.isAxiosError && !error.response);
+
+export const newSubmissionId = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+
+const readCache = async (key) => {
+  const userId = currentUserId();
+  if (!userId) return null;
+  return (await run(CACHE, 'readonly', (store) => store.get(`${userId}:${key}`))) || null;
+};
+
+export const writeCache = async (key, data) => {
+  const userId = currentUserId();
+  if (!userId) return;
+  await run(CACHE, 'readwrite', (store) =>
+    store.put({ key: `${userId}:${key}`, userId, data, savedAt: new Date().toISOString() })
+  );
+};
+
+/**
+ * GET `url`, keeping the latest result on the device. When the network is down
+ * the cached copy is returned instead, with `cachedAt` set to when it was saved.
+ */
+export const cachedGet = async (key, url) => {
+  try {
+    const response = await apiClient.get(url);
+    writeCache(key, response.data).catch(() => {});
+    return response.data;
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+    const cached = await readCache(key).catch(() => null);
+    if (!cached) throw error;
+    return { ...cached.data, cachedAt: cached.savedAt };
+  }
+};
+
+export const readCachedData = async (key) => (await readCache(key).catch(() => null))?.data ?? null;
+
+export const listOutbox = async () => {
+  const userId = currentUserId();
+  if (!userId) return [];
+  const entries = await run(OUTBOX, 'readonly', (store) => store.index('userId').getAll(userId));
+  return (entries || []).sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+};
+
+export const putOutbox = (entry) =>
+  run(OUTBOX, 'readwrite', (store) => store.put({ userId: currentUserId(), ...entry }));
+
+export const deleteOutbox = (id) => run(OUTBOX, 'readwrite', (store) => store.delete(id));
+
+// Patient data must not outlive the session on a shared ward device
+export const clearOfflineData = async () => {
+  await run(CACHE, 'readwrite', (store) => store.clear());
+  await run(OUTBOX, 'readwrite', (store) => store.clear());
+};
@@ -0,0 +1,141 @@
+// Conditional display (enableWhen) evaluation for FormBuilder and FormRunner.
+// Mirrors server/src/utils/questionnaireLogic.js, which re-checks every submission.
+
+import { evaluateExpression } from './expressions';
+
+export const ENABLE_WHEN_OPERATORS = [
+  { value: 'equals', label: 'equals' },
+  { value: 'notEquals', label: 'does not equal' },
+  { value: 'greaterThan', label: 'is greater than' },
+  { value: 'greaterOrEqual', label: 'is at least' },
+  { value: 'lessThan', label: 'is less than' },
+  { value: 'lessOrEqual', label: 'is at most' },
+  { value: 'anyOf', label: 'is any of' },
+];
+
+export const NUMERIC_OPERATORS = ['greaterThan', 'greaterOrEqual', 'lessThan', 'lessOrEqual'];
+
+// Group answers (objects / instance arrays) are empty when nothing inside is answered
+export const isEmptyAnswer = (value) => {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.every(isEmptyAnswer);
+  if (typeof value === 'object') return Object.values(value).every(isEmptyAnswer);
+  return false;
+};
+
+const sameValue = (answer, expected) => {
+  if (typeof answer === 'number' || typeof expected === 'number') {
+    return Number(answer) === Number(expected);
+  }
+  return String(answer) === String(expected);
+};
+
+const compareNumeric = (answer, expected, compare) => {
+  const left = Number(answer);
+  const right = Number(expected);
+  if (Number.isNaN(left) || Number.isNaN(right)) return false;
+  return compare(left, right);
+};
+
+export const evaluateCondition = (condition, answer) => {
+  if (isEmptyAnswer(answer)) return false;
+  const answers = Array.isArray(answer) ? answer : [answer];
+  const { operator, value } = condition;
+
+  switch (operator) {
+    case 'equals':
+      return answers.some((entry) => sameValue(entry, value));
+    case 'notEquals':
+      return !answers.some((entry) => sameValue(entry, value));
+    case 'greaterThan':
+      return answers.some((entry) => compareNumeric(entry, value, (a, b) => a > b));
+    case 'greaterOrEqual':
+      return answers.some((entry) => compareNumeric(entry, value, (a, b) => a >= b));
+    case 'lessThan':
+      return answers.some((entry) => compareNumeric(entry, value, (a, b) => a < b));
+    case 'lessOrEqual':
+      return answers.some((entry) => compareNumeric(entry, value, (a, b) => a <= b));
+    case 'anyOf': {
+      const expected = Array.isArray(value) ? value : [value];
+      return answers.some((entry) => expected.some((option) => sameValue(entry, option)));
+    }
+    default:
+      return false;
+  }
+};
+
+// `scope` maps linkId → answer for enabled, answered questions visible to `item`
+export const isItemEnabled = (item, scope) => {
+  const conditions = item.enableWhen || [];
+  if (!conditions.length) return true;
+  const results = conditions.map((condition) =>
+    evaluateCondition(condition, scope.get(condition.question))
+  );
+  return item.enableBehavior === 'any' ? results.some(Boolean) : results.every(Boolean);
+};
+
+export const isGroup = (item) => item?.type === 'group';
+
+export const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export const flattenItems = (items) =>
+  (items || []).flatMap((item) => [item, ...(isGroup(item) ? flattenItems(item.items) : [])]);
+
+export const groupInstances = (item, value) => {
+  if (item.repeats) return Array.isArray(value) ? value : [];
+  return [isPlainObject(value) ? value : {}];
+};
+
+// Record an answered question so later conditions in the same scope can see it
+export const addToScope = (scope, item, value) => {
+  if (!isGroup(item) && !isEmptyAnswer(value)) {
+    scope.set(item.linkId, value);
+  }
+};
+
+export const itemIndex = (items) => new Map(flattenItems(items).map((item) => [item.linkId, item]));
+
+/**
+ * Preview value of a calculated item from the answers in `scope`, or null while
+ * inputs are missing. The server recomputes it on submit.
+ */
+export const calculateValue = (item, scope, itemsByLinkId) => {
+  const resolve = (linkId) =>
+    scope.has(linkId) ? { value: scope.get(linkId), item: itemsByLinkId.get(linkId) } : undefined;
+  try {
+    return evaluateExpression(item.expression, resolve, item.precision);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Copy of `answers` without anything hidden by enableWhen (the server rejects
+ * those). Repeating-group instances see their own earlier answers plus the
+ * enclosing scope, matching server/src/utils/questionnaireLogic.js.
+ */
+export const pruneDisabledAnswers = (schema, answers) => {
+  const itemsByLinkId = itemIndex(schema?.items);
+  const prune = (items, values, scope) =>
+    (items || []).reduce((accumulator, item) => {
+      const value = values?.[item.linkId];
+      if (!isItemEnabled(item, scope)) return accumulator;
+      if (isGroup(item)) {
+        accumulator[item.linkId] = item.repeats
+          ? groupInstances(item, value).map((instance) => prune(item.items, instance, new Map(scope)))
+          : prune(item.items, groupInstances(item, value)[0], scope);
+        return accumulator;
+      }
+      if (item.type === 'calculated') {
+        // Only needed so later conditions on the score resolve as they do on the server
+        addToScope(scope, item, calculateValue(item, scope, itemsByLinkId));
+        return accumulator;
+      }
+      if (value !== undefined) accumulator[item.linkId] = value;
+      addToScope(scope, item, value);
+      return accumulator;
+    }, {});
+  return prune(schema?.items, answers, new Map());
+};
@@ -0,0 +1,79 @@
+// Shared answer-column helpers for the StudyDetail and PatientModal CSV exports.
+
+const schemaItems = (response) => response.formId?.schema?.items || [];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Flatten nested answers into [{ key, item, value }] leaves. Sections become
+ * "section.question"; repeating sections are numbered from 1
+ * ("medications[2].dose") so each entry gets its own columns.
+ */
+export const flattenAnswers = (items, answers, prefix = '') => {
+  const byLinkId = new Map((items || []).map((item) => [item.linkId, item]));
+  return Object.entries(answers || {}).flatMap(([linkId, value]) => {
+    const item = byLinkId.get(linkId);
+    const key = `${prefix}${linkId}`;
+    if (item?.type === 'group' && item.repeats && Array.isArray(value)) {
+      return value.flatMap((instance, index) =>
+        flattenAnswers(item.items, instance, `${key}[${index + 1}].`)
+      );
+    }
+    if (item?.type === 'group' && isPlainObject(value)) {
+      return flattenAnswers(item.items, value, `${key}.`);
+    }
+    return [{ key, item, value }];
+  });
+};
+
+/**
+ * One column per answered leaf, in natural key order ("x[2]" before "x[10]").
+ * Numeric questions with a unit carry it in the header ("systolic (mmHg)")
+ * so values stay plain numbers.
+ */
+export const answerColumns = (responses) => {
+  const columns = new Map();
+  responses.forEach((response) => {
+    flattenAnswers(schemaItems(response), response.answers).forEach(({ key, item }) => {
+      if (columns.has(key)) return;
+      columns.set(key, { key, header: item?.unit ? `${key} (${item.unit})` : key });
+    });
+  });
+  return Array.from(columns.values()).sort((a, b) =>
+    a.key.localeCompare(b.key, undefined, { numeric: true })
+  );
+};
+
+export const formatAnswer = (item, value) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  const fixed = item?.type === 'decimal' || item?.type === 'calculated';
+  if (fixed && item.precision !== undefined && typeof value === 'number') {
+    return value.toFixed(item.precision);
+  }
+  return value;
+};
+
+// "approved by Jane Doe at 2024-05-01T10:00:00.000Z; …" for the signatures column
+export const signatureSummary = (response) =>
+  (response.signatures || [])
+    .map(
+      (signature) =>
+        `${signature.meaning} by ${signature.signerName || signature.signerEmail} at ${new Date(
+          signature.signedAt
+        ).toISOString()}`
+    )
+    .join('; ');
+
+// Cell values for `columns` in order, before CSV escaping
+export const answerCells = (response, columns) => {
+  const leaves = new Map(
+    flattenAnswers(schemaItems(response), response.answers).map((leaf) => [leaf.key, leaf])
+  );
+  return columns.map((column) => {
+    const leaf = leaves.get(column.key);
+    return leaf ? formatAnswer(leaf.item, leaf.value) : '';
+  });
+};
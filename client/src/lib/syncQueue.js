@@ -0,0 +1,109 @@
+import { apiClient } from './apiClient';
+import {
+  cachedGet,
+  deleteOutbox,
+  isNetworkError,
+  listOutbox,
+  putOutbox,
+  readCachedData,
+} from './offlineStore';
+
+export const OUTBOX_QUERY_KEY = ['outbox'];
+
+// Open tasks whose details are kept on the device while online
+const MAX_WARMED_TASKS = 25;
+
+/**
+ * Keep a submission on the device until it can be sent. The entry remembers
+ * the revision it was edited from, so the server can refuse it as a conflict
+ * when someone else changed the response in the meantime.
+ *   status: pending → sent (removed) | conflict | failed
+ */
+export const queueSubmission = (entry, status = 'pending', problem = {}) =>
+  putOutbox({
+    ...entry,
+    status,
+    error: problem.error || null,
+    details: problem.details || [],
+    queuedAt: entry.queuedAt || new Date().toISOString(),
+  });
+
+// The entry id doubles as the idempotency key, so resending after a lost reply is safe
+export const sendSubmission = (entry) =>
+  apiClient.post(`/api/tasks/${entry.taskId}/submit`, {
+    answers: entry.answers,
+    ...(entry.reason ? { reason: entry.reason } : {}),
+    submissionId: entry.id,
+    baseRevision: entry.baseRevision,
+  });
+
+export const problemOf = (error) => ({
+  error: error.response?.data?.error || 'The submission was rejected.',
+  details: error.response?.data?.details || [],
+});
+
+export const isConflict = (error) => error.response?.data?.code === 'response_conflict';
+
+/**
+ * Send pending submissions in the order they were made. Stops at the first
+ * network failure (still offline) or when the session has expired; rejected
+ * submissions stay queued as conflicts or failures for the user to resolve.
+ */
+export const replayOutbox = async () => {
+  const result = { sent: 0, conflicts: 0, failed: 0 };
+  const pending = (await listOutbox()).filter((entry) => entry.status === 'pending');
+  for (const entry of pending) {
+    try {
+      await sendSubmission(entry);
+      await deleteOutbox(entry.id);
+      result.sent += 1;
+    } catch (error) {
+      if (isNetworkError(error) || error.response?.status === 401) break;
+      if (isConflict(error)) result.conflicts += 1;
+      else result.failed += 1;
+      await queueSubmission(entry, isConflict(error) ? 'conflict' : 'failed', problemOf(error));
+    }
+  }
+  return result;
+};
+
+export const fetchTasks = () => cachedGet('tasks', '/api/tasks');
+
+// A task without its own cached details, rebuilt from the cached task list.
+// Tasks that already have a response cannot be edited this way: its answers are unknown.
+const taskFromList = async (taskId) => {
+  const listed = (await readCachedData('tasks'))?.tasks?.find((task) => String(task._id) === String(taskId));
+  if (!listed) return null;
+  return {
+    task: listed,
+    response: null,
+    draft: null,
+    signatures: [],
+    queries: [],
+    permissions: { canSubmit: listed.status === 'open' && !listed.reviewStatus },
+    cachedAt: new Date().toISOString(),
+  };
+};
+
+export const fetchTask = async (taskId) => {
+  try {
+    return await cachedGet(`task:${taskId}`, `/api/tasks/${taskId}`);
+  } catch (error) {
+    const fallback = isNetworkError(error) ? await taskFromList(taskId).catch(() => null) : null;
+    if (!fallback) throw error;
+    return fallback;
+  }
+};
+
+// Save the details of open tasks so they can be filled in without a connection
+export const warmTaskCache = async () => {
+  const { tasks = [] } = await fetchTasks();
+  const open = tasks.filter((task) => task.status === 'open').slice(0, MAX_WARMED_TASKS);
+  for (const task of open) {
+    try {
+      await fetchTask(task._id);
+    } catch (error) {
+      if (isNetworkError(error)) return;
+    }
+  }
+};
@@ -1,7 +1,9 @@
 import { useMemo } from 'react';
 import { useQuery } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../lib/auth';
 import { apiClient } from '../lib/apiClient';
+import { cn } from '../lib/classNames';
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/Card';
 import { Badge } from '../components/ui/Badge';
 import styles from '../styles/DashboardPage.module.css';
@@ -10,8 +12,10 @@ const statusVariant = (status) => {
   switch (status) {
     case 'submitted':
       return 'success';
-    case 'expired':
+    case 'overdue':
       return 'danger';
+    case 'expired':
+      return 'warning';
     case 'open':
       return 'primary';
     default:
@@ -23,8 +27,10 @@ const statusLabel = (status) => {
   switch (status) {
     case 'submitted':
       return 'Completed';
-    case 'expired':
+    case 'overdue':
       return 'Overdue';
+    case 'expired':
+      return 'Expired';
     case 'open':
       return 'Pending';
     default:
@@ -32,6 +38,9 @@ const statusLabel = (status) => {
   }
 };
 
+// Open tasks past their due date are shown as overdue until they expire
+const displayStatus = (task) => (task.overdue ? 'overdue' : task.status);
+
 const Dashboard = () => {
   const { user } = useAuth();
 
@@ -51,7 +60,7 @@ const Dashboard = () => {
     queryKey: ['dashboard', 'tasks'],
     queryFn: async () => {
       const response = await apiClient.get('/api/tasks');
-      return response.data.tasks;
+      return response.data;
     },
   });
 
@@ -66,7 +75,7 @@ const Dashboard = () => {
 
   const stats = useMemo(() => {
     const studies = studiesQuery.data || [];
-    const tasks = tasksQuery.data || [];
+    const tasks = tasksQuery.data?.tasks || [];
     const patients = patientsQuery.data || [];
 
     const activeStudies = studies.filter((s) => s.status === 'active').length;
@@ -82,11 +91,12 @@ const Dashboard = () => {
       activeStudies: allowStudies ? activeStudies : null,
       tasksCompleted: completedTasks,
       tasksTotal: totalTasks,
+      tasksOverdue: tasksQuery.data?.counts?.overdue ?? 0,
       activePopulation: allowPopulation ? activePopulation : null,
     };
   }, [allowStudies, allowPopulation, studiesQuery.data, tasksQuery.data, patientsQuery.data]);
 
-  const recentTasks = (tasksQuery.data || []).slice(0, 6);
+  const recentTasks = (tasksQuery.data?.tasks || []).slice(0, 6);
 
   return (
     <div className={styles.page}>
@@ -121,6 +131,15 @@ const Dashboard = () => {
           </CardContent>
         </Card>
 
+        <Card className={styles.compactCard}>
+          <CardHeader className={styles.compactHeader}>
+            <CardTitle className={styles.compactTitle}>Overdue tasks</CardTitle>
+          </CardHeader>
+          <CardContent className={cn(styles.compactValue, stats.tasksOverdue && styles.compactValueDanger)}>
+            {stats.tasksOverdue}
+          </CardContent>
+        </Card>
+
         <Card className={styles.compactCard}>
           <CardHeader className={styles.compactHeader}>
             <CardTitle className={styles.compactTitle}>Active Population</CardTitle>
@@ -156,7 +175,17 @@ const Dashboard = () => {
                       {task.assignee ? ` · Assigned to ${task.assignee.displayName || task.assignee.email}` : ''}
                     </span>
                   </div>
-                  <Badge variant={statusVariant(task.status)}>{statusLabel(task.status)}</Badge>
+                  <div className={styles.activityStatus}>
+                    <Badge variant={statusVariant(displayStatus(task))}>{statusLabel(displayStatus(task))}</Badge>
+                    {task.draftSavedAt ? (
+                      <Link
+                        className={styles.resumeLink}
+                        to={`/forms/${task.formId?._id || task.formId}?taskId=${task._id}&pid=${task.pid}`}
+                      >
+                        Resume draft
+                      </Link>
+                    ) : null}
+                  </div>
                 </div>
               ))
             )}
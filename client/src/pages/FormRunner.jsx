@@ -1,47 +1,80 @@
-import { useEffect, useMemo, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import { useLocation, useNavigate, useParams } from 'react-router-dom';
 import { apiClient } from '../lib/apiClient';
+import { useAuth } from '../lib/auth';
+import { itemIndex, pruneDisabledAnswers } from '../lib/questionnaireLogic';
+import { deleteOutbox, isNetworkError, listOutbox, newSubmissionId } from '../lib/offlineStore';
+import {
+  OUTBOX_QUERY_KEY,
+  fetchTask,
+  isConflict,
+  problemOf,
+  queueSubmission,
+  sendSubmission,
+} from '../lib/syncQueue';
+import SignaturePanel from '../components/SignaturePanel';
+import QueryThread from '../components/QueryThread';
+import ReviewPanel from '../components/ReviewPanel';
+import PatientLinkPanel from '../components/PatientLinkPanel';
+import ConflictResolver from '../components/ConflictResolver';
+import { eventLabelOf } from '../components/VisitSchedule';
+import QuestionnaireFields, { buildDefaultAnswers, getIn, pathKey } from '../components/QuestionnaireFields';
 import styles from '../styles/FormRunner.module.css';
 
 const parseQuery = (search) => Object.fromEntries(new URLSearchParams(search));
 
-const buildDefaultAnswers = (schema) => {
-  if (!schema?.items?.length) {
-    return {};
-  }
-  return schema.items.reduce((accumulator, item) => {
-    if (item.type === 'dropdown') {
-      accumulator[item.linkId] = item.options?.[0] || '';
-    } else if (item.type === 'checkboxes') {
-      accumulator[item.linkId] = [];
-    } else if (item.type === 'scale') {
-      accumulator[item.linkId] = item.scale?.min ?? 1;
-    } else {
-      accumulator[item.linkId] = '';
-    }
+const REVISION_ACTIONS = { created: 'Submitted', updated: 'Changed', voided: 'Voided' };
+
+const formatHistoryValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Drafts are saved this often while there are unsaved changes
+const AUTOSAVE_INTERVAL_MS = 15000;
+
+// Validation details are keyed by linkId; they are shown next to their fields
+const linkIdOf = (path) => path.split('.').pop().replace(/\[\d+\]$/, '');
+
+const errorsByPath = (details) =>
+  (details || []).reduce((accumulator, detail) => {
+    if (detail.path && !accumulator[detail.path]) accumulator[detail.path] = detail.message;
     return accumulator;
   }, {});
-};
+
 
 const FormRunner = () => {
   const { formId } = useParams();
   const location = useLocation();
   const navigate = useNavigate();
   const queryClient = useQueryClient();
+  const { user } = useAuth();
   const query = useMemo(() => parseQuery(location.search), [location.search]);
 
   const taskId = query.taskId;
 
+  // Served from the device while offline (see lib/syncQueue.js)
   const taskQuery = useQuery({
     queryKey: ['task', taskId],
-    queryFn: async () => {
-      const response = await apiClient.get(`/api/tasks/${taskId}`);
-      return response.data;
-    },
+    queryFn: () => fetchTask(taskId),
     enabled: Boolean(taskId),
+    networkMode: 'always',
   });
 
+  // A submission of this task still on the device: waiting to be sent, or refused by the server
+  const outboxQuery = useQuery({
+    queryKey: OUTBOX_QUERY_KEY,
+    queryFn: listOutbox,
+    enabled: Boolean(taskId),
+    networkMode: 'always',
+    staleTime: Infinity,
+  });
+  const queuedEntry =
+    (outboxQuery.data || []).find((entry) => String(entry.taskId) === String(taskId)) || null;
+
   const formQuery = useQuery({
     queryKey: ['form', formId],
     queryFn: async () => {
@@ -53,6 +86,11 @@ const FormRunner = () => {
 
   const taskData = taskQuery.data?.task ?? null;
   const responseRecord = taskQuery.data?.response ?? null;
+  const draftRecord = taskQuery.data?.draft ?? null;
+  // A voided response keeps its history but no longer pre-fills the form
+  const activeResponse = responseRecord?.status === 'voided' ? null : responseRecord;
+  const signatures = taskQuery.data?.signatures ?? [];
+  const taskQueries = taskQuery.data?.queries;
   const permissions = taskQuery.data?.permissions ?? null;
   const form = taskData?.formId || formQuery.data || null;
   const schema = form?.schema;
@@ -60,26 +98,97 @@ const FormRunner = () => {
   const [answers, setAnswers] = useState({});
   const [statusMessage, setStatusMessage] = useState('');
   const [errorMessage, setErrorMessage] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [draftInfo, setDraftInfo] = useState(null);
+  const [draftError, setDraftError] = useState('');
+  const [changeReason, setChangeReason] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+  const [queryErrors, setQueryErrors] = useState({});
+  const [reviewError, setReviewError] = useState('');
+  const [reopenDue, setReopenDue] = useState('');
+  const [reopenError, setReopenError] = useState('');
+  const [resolveError, setResolveError] = useState('');
 
-  const defaults = useMemo(() => buildDefaultAnswers(schema), [schema]);
+  const historyQuery = useQuery({
+    queryKey: ['taskHistory', taskId],
+    queryFn: async () => {
+      const response = await apiClient.get(`/api/tasks/${taskId}/history`);
+      return response.data.revisions;
+    },
+    enabled: Boolean(taskId) && showHistory,
+  });
 
+  // `answers` as last loaded or saved; anything else is unsaved work
+  const savedAnswersRef = useRef(null);
+  const answersRef = useRef(answers);
+  const hydratedRef = useRef(null);
+  answersRef.current = answers;
+
+  const defaults = useMemo(() => buildDefaultAnswers(schema?.items), [schema]);
+  const itemsByLinkId = useMemo(() => itemIndex(schema?.items), [schema]);
+  const queriesByPath = useMemo(
+    () =>
+      (taskQueries || []).reduce((byPath, dataQuery) => {
+        byPath.set(dataQuery.path, [...(byPath.get(dataQuery.path) || []), dataQuery]);
+        return byPath;
+      }, new Map()),
+    [taskQueries]
+  );
+  const openQueryCount = (taskQueries || []).filter((dataQuery) => dataQuery.status === 'open').length;
+
+  // Load answers once per form and stored response, preferring a submission queued
+  // on this device, then a newer draft. Later refetches must not overwrite what is being typed.
   useEffect(() => {
-    if (!schema) return;
-    if (responseRecord?.answers) {
-      setAnswers({ ...defaults, ...responseRecord.answers });
-    } else {
-      setAnswers(defaults);
-    }
-  }, [schema, responseRecord?.answers, defaults]);
+    if (!schema || (taskId && outboxQuery.isPending)) return;
+    const hydrationKey = `${form?._id}:${responseRecord?.updatedAt || 'new'}:${queuedEntry?.id || ''}`;
+    if (hydratedRef.current === hydrationKey) return;
+    hydratedRef.current = hydrationKey;
+    const stored = queuedEntry?.answers || draftRecord?.answers || activeResponse?.answers;
+    const initial = stored ? { ...defaults, ...stored } : defaults;
+    savedAnswersRef.current = initial;
+    setAnswers(initial);
+    setDraftInfo(draftRecord);
+    if (queuedEntry?.status === 'failed') setFieldErrors(errorsByPath(queuedEntry.details));
+  }, [
+    schema,
+    form?._id,
+    responseRecord,
+    activeResponse,
+    draftRecord,
+    defaults,
+    taskId,
+    queuedEntry,
+    outboxQuery.isPending,
+  ]);
 
   const canSubmit = Boolean(taskId && permissions?.canSubmit);
-  const isEditable = canSubmit;
+  const isLocked = activeResponse?.reviewStatus === 'locked';
+  const isOffline = Boolean(taskQuery.data?.cachedAt);
+  // A queued submission is edited again only after the server refused it
+  const isQueued = Boolean(queuedEntry) && queuedEntry.status !== 'failed';
+  const isEditable = canSubmit && !isLocked && !isQueued;
+  const canReview = Boolean(taskId && activeResponse) && ['admin', 'researcher'].includes(user?.role);
+  const isExpired = taskData?.status === 'expired';
+  const canReopen = isExpired && !isOffline && ['admin', 'researcher'].includes(user?.role);
+  const verifiedFields = new Map(
+    (activeResponse?.verifiedFields || []).map((field) => [field.path, field])
+  );
   const patientLabel = taskData?.pid || query.pid || 'Unknown';
-  const submitLabel = responseRecord ? 'Update response' : 'Submit response';
-  const lastSubmittedAt = responseRecord?.authoredAt ? new Date(responseRecord.authoredAt) : null;
+  const submitLabel = activeResponse ? 'Update response' : 'Submit response';
+  // Any change to an existing record (including re-entry after a void) needs a reason
+  const requiresReason = Boolean(responseRecord);
+  const lastSubmittedAt = activeResponse?.authoredAt ? new Date(activeResponse.authoredAt) : null;
   const lastSubmittedBy =
-    responseRecord?.authoredBy?.displayName || responseRecord?.authoredBy?.email || null;
-  const readOnlyMessage = taskId
+    activeResponse?.authorType === 'patient'
+      ? 'the patient (self-report)'
+      : activeResponse?.authoredBy?.displayName || activeResponse?.authoredBy?.email || null;
+  const readOnlyMessage = isLocked
+    ? 'This response is locked after review. A reviewer must unlock it, with a reason, before it can change.'
+    : isExpired
+    ? 'This task expired after its due date. A reviewer must reopen it with a new due date before it can be submitted.'
+    : isOffline && !canSubmit
+    ? 'The current answers of this task are not on this device. Open it once while online to edit it offline.'
+    : taskId
     ? 'Read-only mode. Only the assigned owner or an administrator can modify this response.'
     : 'Read-only mode. Assign this form to a patient task to collect responses.';
 
@@ -88,54 +197,410 @@ const FormRunner = () => {
   const assigneeLabel =
     taskData?.assignee?.displayName || taskData?.assignee?.email || taskData?.assignee?.role || '—';
   const studyLabel = taskData?.studyId?.title || '—';
+  const visitLabel =
+    eventLabelOf(taskData?.studyId, taskData?.eventId) ||
+    (taskData?.occurrence ? `Diary entry ${taskData.occurrence}` : '—');
+  const windowLabel = taskData?.windowStart
+    ? `${new Date(taskData.windowStart).toLocaleDateString()} – ${formattedDue}`
+    : '—';
+  const revisionLabel = form ? `Rev. ${form.revision || 1}` : '—';
+  const isSuperseded = Boolean(form?.supersededBy);
 
   const metaEntries = [
     { label: 'Patient', value: patientLabel },
     { label: 'Study', value: studyLabel },
+    { label: 'Visit', value: visitLabel },
+    { label: 'Visit window', value: windowLabel },
     { label: 'Due', value: formattedDue },
     { label: 'Status', value: statusText },
     { label: 'Assignee', value: assigneeLabel },
+    { label: 'Form revision', value: revisionLabel },
   ];
 
+  const refreshSubmitted = () =>
+    Promise.all([
+      queryClient.invalidateQueries({ queryKey: OUTBOX_QUERY_KEY }),
+      queryClient.invalidateQueries({ queryKey: ['task', taskId] }),
+      queryClient.invalidateQueries({ queryKey: ['taskHistory', taskId] }),
+      queryClient.invalidateQueries({ queryKey: ['tasks'] }),
+      queryClient.invalidateQueries({ queryKey: ['dashboard', 'tasks'] }),
+      queryClient.invalidateQueries({ queryKey: ['patientTasks'], exact: false }),
+      queryClient.invalidateQueries({ queryKey: ['patientResponses'], exact: false }),
+    ]);
+
+  // Submissions carry an id and the revision they were edited from. Without a
+  // connection they are queued on the device (components/OfflineSync.jsx sends
+  // them later); one the server refuses as a conflict is queued for resolution.
   const submitMutation = useMutation({
+    networkMode: 'always',
     mutationFn: async () => {
       if (!taskId) {
         throw new Error('Task is required to submit a response.');
       }
-      return apiClient.post(`/api/tasks/${taskId}/submit`, { answers });
+      const entry = {
+        id: newSubmissionId(),
+        taskId,
+        formId: form._id,
+        pid: taskData?.pid,
+        title: schema.title,
+        answers: pruneDisabledAnswers(schema, answers),
+        baseAnswers: activeResponse?.answers || {},
+        baseRevision: responseRecord?.revision || 0,
+        ...(requiresReason ? { reason: changeReason.trim() } : {}),
+      };
+      // Replaces an earlier submission the server did not accept
+      const replaces = async (outcome) => {
+        if (queuedEntry) await deleteOutbox(queuedEntry.id);
+        return outcome;
+      };
+      if (!navigator.onLine) {
+        await queueSubmission(entry);
+        return replaces({ queued: true });
+      }
+      try {
+        await sendSubmission(entry);
+        return replaces({});
+      } catch (error) {
+        if (isNetworkError(error)) {
+          await queueSubmission(entry);
+          return replaces({ queued: true });
+        }
+        if (isConflict(error)) {
+          await queueSubmission(entry, 'conflict', problemOf(error));
+          return replaces({ conflict: true });
+        }
+        throw error;
+      }
     },
-    onSuccess: async () => {
+    onSuccess: async ({ queued, conflict }) => {
       setErrorMessage('');
+      setFieldErrors({});
+      setChangeReason('');
+      if (queued) {
+        savedAnswersRef.current = answersRef.current;
+        setStatusMessage('Saved on this device. It will be sent automatically when the connection returns.');
+        await queryClient.invalidateQueries({ queryKey: OUTBOX_QUERY_KEY });
+        return;
+      }
+      setStatusMessage(conflict ? '' : 'Response saved.');
+      if (!conflict) setDraftInfo(null);
+      await refreshSubmitted();
+    },
+    onError: (error) => {
+      const data = error.response?.data;
+      const byLinkId = errorsByPath(data?.details);
+      setFieldErrors(byLinkId);
+      setErrorMessage(
+        Object.keys(byLinkId).length
+          ? 'Some answers need attention before this response can be saved.'
+          : data?.error || 'Unable to save response.'
+      );
+      setStatusMessage('');
+    },
+  });
+
+  const draftMutation = useMutation({
+    mutationFn: (snapshot) => apiClient.put(`/api/tasks/${taskId}/draft`, { answers: snapshot }),
+    onSuccess: (response, snapshot) => {
+      savedAnswersRef.current = snapshot;
+      setDraftInfo(response.data.draft);
+      setDraftError('');
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      queryClient.invalidateQueries({ queryKey: ['dashboard', 'tasks'] });
+    },
+    onError: (error) => {
+      setDraftError(error.response?.data?.error || 'Draft could not be saved.');
+    },
+  });
+
+  // Merge chosen in ConflictResolver, sent as a new revision on top of the current one
+  const resolveMutation = useMutation({
+    networkMode: 'always',
+    mutationFn: async ({ answers: merged, reason, baseRevision }) => {
+      const entry = {
+        ...queuedEntry,
+        id: newSubmissionId(),
+        answers: pruneDisabledAnswers(schema, merged),
+        baseAnswers: activeResponse?.answers || {},
+        baseRevision,
+        reason,
+        queuedAt: new Date().toISOString(),
+      };
+      try {
+        await sendSubmission(entry);
+      } catch (error) {
+        // Changed yet again: the merge is resolved against the newest revision
+        if (isConflict(error)) {
+          await queueSubmission(entry, 'conflict', problemOf(error));
+          await deleteOutbox(queuedEntry.id);
+        }
+        throw error;
+      }
+      await deleteOutbox(queuedEntry.id);
+    },
+    onSuccess: async () => {
+      setResolveError('');
       setStatusMessage('Response saved.');
+      await refreshSubmitted();
+    },
+    onError: async (error) => {
+      const data = error.response?.data;
+      setResolveError(
+        isConflict(error)
+          ? 'The response changed again in the meantime. Review the fields against the newest version.'
+          : isNetworkError(error)
+          ? 'You are offline. Try again when the connection returns.'
+          : data?.details?.[0]?.message || data?.error || 'Unable to save the merged response.'
+      );
+      await Promise.all([
+        queryClient.invalidateQueries({ queryKey: OUTBOX_QUERY_KEY }),
+        queryClient.invalidateQueries({ queryKey: ['task', taskId] }),
+      ]);
+    },
+  });
+
+  const discardQueued = async () => {
+    if (!queuedEntry) return;
+    if (!window.confirm('Discard the answers saved on this device? They have not been sent.')) return;
+    await deleteOutbox(queuedEntry.id);
+    setStatusMessage('');
+    setResolveError('');
+    setFieldErrors({});
+    await queryClient.invalidateQueries({ queryKey: OUTBOX_QUERY_KEY });
+  };
+
+  const discardDraftMutation = useMutation({
+    mutationFn: () => apiClient.delete(`/api/tasks/${taskId}/draft`),
+    onSuccess: () => {
+      const initial = responseRecord?.answers ? { ...defaults, ...responseRecord.answers } : defaults;
+      savedAnswersRef.current = initial;
+      setAnswers(initial);
+      setDraftInfo(null);
+      setDraftError('');
+      setFieldErrors({});
+      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+      queryClient.invalidateQueries({ queryKey: ['dashboard', 'tasks'] });
+    },
+  });
+
+  const { mutate: saveDraft, isPending: isSavingDraft } = draftMutation;
+
+  const queryMutation = useMutation({
+    mutationFn: ({ url, body }) => apiClient.post(url, body),
+    onSuccess: async (_response, { key }) => {
+      setQueryErrors((prev) => ({ ...prev, [key]: '' }));
+      await Promise.all([
+        queryClient.invalidateQueries({ queryKey: ['task', taskId] }),
+        queryClient.invalidateQueries({ queryKey: ['taskHistory', taskId] }),
+        queryClient.invalidateQueries({ queryKey: ['tasks'] }),
+      ]);
+    },
+    onError: (error, { key }) => {
+      const data = error.response?.data;
+      setQueryErrors((prev) => ({
+        ...prev,
+        [key]: data?.details?.[0]?.message || data?.error || 'Unable to update the query.',
+      }));
+    },
+  });
+
+  const queryAction = (key, url, body) => queryMutation.mutateAsync({ key, url, body });
+
+  const reviewMutation = useMutation({
+    mutationFn: ({ url, method = 'post', body }) => apiClient[method](url, body),
+    onSuccess: async () => {
+      setReviewError('');
       await Promise.all([
         queryClient.invalidateQueries({ queryKey: ['task', taskId] }),
         queryClient.invalidateQueries({ queryKey: ['tasks'] }),
-        queryClient.invalidateQueries({ queryKey: ['dashboard', 'tasks'] }),
-        queryClient.invalidateQueries({ queryKey: ['patientTasks'], exact: false }),
-        queryClient.invalidateQueries({ queryKey: ['patientResponses'], exact: false }),
       ]);
     },
     onError: (error) => {
-      const message = error.response?.data?.error || 'Unable to save response.';
-      setErrorMessage(message);
-      setStatusMessage('');
+      setReviewError(error.response?.data?.error || 'Unable to update the review.');
     },
   });
 
-  const onChange = (linkId, value) => {
-    setAnswers((prev) => ({
-      ...prev,
-      [linkId]: value,
-    }));
-  };
+  const reviewAction = (action, reason) =>
+    reviewMutation.mutateAsync({
+      url: `/api/tasks/${taskId}/review/${action}`,
+      body: reason ? { reason } : {},
+    });
 
-  const onCheckboxToggle = (linkId, option) => {
-    setAnswers((prev) => {
-      const current = Array.isArray(prev[linkId]) ? prev[linkId] : [];
-      const exists = current.includes(option);
-      const next = exists ? current.filter((entry) => entry !== option) : [...current, option];
-      return { ...prev, [linkId]: next };
+  // Expired tasks take answers again only with a new due date (POST /api/tasks/:id/reopen)
+  const reopenMutation = useMutation({
+    mutationFn: (dueAt) => apiClient.post(`/api/tasks/${taskId}/reopen`, { dueAt }),
+    onSuccess: async () => {
+      setReopenDue('');
+      setReopenError('');
+      await Promise.all([
+        queryClient.invalidateQueries({ queryKey: ['task', taskId] }),
+        queryClient.invalidateQueries({ queryKey: ['tasks'] }),
+      ]);
+    },
+    onError: (error) => {
+      const data = error.response?.data;
+      setReopenError(data?.details?.[0]?.message || data?.error || 'Unable to reopen the task.');
+    },
+  });
+
+  const toggleFieldVerified = (key, verified) =>
+    reviewMutation.mutate({
+      url: `/api/tasks/${taskId}/review/fields`,
+      method: 'put',
+      body: { path: key, verified },
     });
+
+  useEffect(() => {
+    if (!isEditable) return undefined;
+    const timer = setInterval(() => {
+      if (isSavingDraft || !navigator.onLine || answersRef.current === savedAnswersRef.current) return;
+      saveDraft(answersRef.current);
+    }, AUTOSAVE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isEditable, isSavingDraft, saveDraft]);
+
+  const hasUnsavedChanges = isEditable && answers !== savedAnswersRef.current;
+
+  useEffect(() => {
+    if (!hasUnsavedChanges) return undefined;
+    const warn = (event) => {
+      event.preventDefault();
+      event.returnValue = '';
+    };
+    window.addEventListener('beforeunload', warn);
+    return () => window.removeEventListener('beforeunload', warn);
+  }, [hasUnsavedChanges]);
+  const draftSavedAt = draftInfo?.savedAt ? new Date(draftInfo.savedAt) : null;
+  const draftSavedBy = draftInfo?.savedBy?.displayName || draftInfo?.savedBy?.email || null;
+
+
+  // Queries only apply to a stored response; the value being edited is offered as a correction
+  const renderQueries = (item, value, path) => {
+    const key = pathKey(path);
+    const fieldQueries = queriesByPath.get(key) || [];
+    if (!taskId || (!fieldQueries.length && !canReview)) return null;
+
+    const stored = getIn(activeResponse?.answers, path);
+    const blank = (entry) => entry === undefined || entry === null || entry === '';
+    const changed =
+      item.type !== 'calculated' &&
+      !(blank(value) && blank(stored)) &&
+      JSON.stringify(value) !== JSON.stringify(stored);
+    const base = `/api/tasks/${taskId}/queries`;
+
+    return (
+      <QueryThread
+        queries={fieldQueries}
+        canAnswer={isEditable && Boolean(activeResponse)}
+        canReview={canReview}
+        pendingValue={changed ? value : undefined}
+        isBusy={queryMutation.isPending}
+        error={queryErrors[key]}
+        onRaise={(message) => queryAction(key, base, { path: key, message })}
+        onAnswer={(dataQuery, message) =>
+          queryAction(key, `${base}/${dataQuery._id}/answer`, {
+            message,
+            ...(changed ? { value } : {}),
+          })
+        }
+        onClose={(dataQuery, message) =>
+          queryAction(key, `${base}/${dataQuery._id}/close`, message ? { message } : {})
+        }
+        onReopen={(dataQuery, message) =>
+          queryAction(key, `${base}/${dataQuery._id}/reopen`, { message })
+        }
+      />
+    );
+  };
+
+  // Source data verification checkbox for reviewers; verification lapses when the answer changes
+  const renderVerification = (path) => {
+    const key = pathKey(path);
+    const verified = verifiedFields.get(key);
+    if (!canReview && !verified) return null;
+    return (
+      <label className={styles.verification}>
+        <input
+          type="checkbox"
+          checked={Boolean(verified)}
+          disabled={!canReview || isLocked || reviewMutation.isPending}
+          onChange={(event) => toggleFieldVerified(key, event.target.checked)}
+        />
+        Source verified
+        {verified ? ` · ${new Date(verified.verifiedAt).toLocaleDateString()}` : ''}
+      </label>
+    );
+  };
+
+
+  const renderExtras = (item, value, path) =>
+    item.type === 'calculated' ? (
+      renderQueries(item, value, path)
+    ) : (
+      <>
+        {renderVerification(path)}
+        {renderQueries(item, value, path)}
+      </>
+    );
+
+  // Changed fields are keyed by answer path; label them with the question text
+  const fieldLabel = (path) => itemsByLinkId.get(linkIdOf(path))?.text || linkIdOf(path);
+  const isCalculated = useCallback(
+    (path) => itemsByLinkId.get(linkIdOf(path))?.type === 'calculated',
+    [itemsByLinkId]
+  );
+
+  const renderHistory = () => {
+    if (historyQuery.isLoading) return <p className={styles.historyEmpty}>Loading history…</p>;
+    if (historyQuery.isError) return <div className={styles.error}>Unable to load history.</div>;
+    return (
+      <ol className={styles.historyList}>
+        {(historyQuery.data || []).map((revision) => (
+          <li key={revision._id} className={styles.historyEntry}>
+            <div className={styles.historyHeader}>
+              <strong>Revision {revision.revision}</strong>
+              <span>
+                {REVISION_ACTIONS[revision.action] || revision.action}{' '}
+                {new Date(revision.authoredAt).toLocaleString()}
+                {revision.authorType === 'patient'
+                  ? ' · Patient (self-report)'
+                  : revision.authoredBy
+                    ? ` · ${revision.authoredBy.displayName || revision.authoredBy.email}`
+                    : ''}
+              </span>
+            </div>
+            {revision.reason ? (
+              <p className={styles.historyReason}>Reason: {revision.reason}</p>
+            ) : null}
+            {revision.changes.length ? (
+              <table className={styles.historyChanges}>
+                <thead>
+                  <tr>
+                    <th>Field</th>
+                    <th>Before</th>
+                    <th>After</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {revision.changes.map((change) => (
+                    <tr key={change.path}>
+                      <td>
+                        {fieldLabel(change.path)}
+                        <span className={styles.historyPath}>{change.path}</span>
+                      </td>
+                      <td>{formatHistoryValue(change.from)}</td>
+                      <td>→ {formatHistoryValue(change.to)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : revision.action !== 'voided' ? (
+              <p className={styles.historyEmpty}>No answers changed.</p>
+            ) : null}
+          </li>
+        ))}
+      </ol>
+    );
   };
 
   const onSubmit = (event) => {
@@ -191,81 +656,206 @@ const FormRunner = () => {
             </div>
           ) : null}
 
+          {isSuperseded ? (
+            <div className={styles.readOnlyNote}>
+              A newer revision of this form exists. This task stays on {revisionLabel} so its answers
+              match the questionnaire they were captured against.
+            </div>
+          ) : null}
+
+          {openQueryCount ? (
+            <div className={styles.queryNote}>
+              {openQueryCount} open data {openQueryCount === 1 ? 'query needs' : 'queries need'} an
+              answer. Answer below each question, or change the answer to correct it.
+            </div>
+          ) : null}
+
+          {isOffline ? (
+            <div className={styles.readOnlyNote}>
+              Offline · showing this task as saved on this device{' '}
+              {new Date(taskQuery.data.cachedAt).toLocaleString()}.
+            </div>
+          ) : null}
+
+          {queuedEntry?.status === 'conflict' ? (
+            <ConflictResolver
+              key={queuedEntry.id}
+              entry={queuedEntry}
+              current={responseRecord}
+              fieldLabel={fieldLabel}
+              isCalculated={isCalculated}
+              isBusy={resolveMutation.isPending || isOffline}
+              error={resolveError}
+              onResolve={(merge) => resolveMutation.mutate(merge)}
+              onDiscard={discardQueued}
+            />
+          ) : null}
+          {queuedEntry?.status === 'pending' ? (
+            <div className={styles.readOnlyNote}>
+              Submitted on this device {new Date(queuedEntry.queuedAt).toLocaleString()}; it will be sent
+              automatically when the connection returns.{' '}
+              <button type="button" className={styles.inlineAction} onClick={discardQueued}>
+                Discard
+              </button>
+            </div>
+          ) : null}
+          {queuedEntry?.status === 'failed' ? (
+            <div className={styles.error}>
+              The submission saved on this device was not accepted ({queuedEntry.error}). Correct the
+              answers below and submit again.
+            </div>
+          ) : null}
+
           {statusMessage ? <div className={styles.notice}>{statusMessage}</div> : null}
           {errorMessage ? <div className={styles.error}>{errorMessage}</div> : null}
-          {!isEditable ? <div className={styles.readOnlyNote}>{readOnlyMessage}</div> : null}
+          {!isEditable && !isQueued ? <div className={styles.readOnlyNote}>{readOnlyMessage}</div> : null}
+          {responseRecord?.status === 'voided' ? (
+            <div className={styles.readOnlyNote}>
+              The previous response was voided
+              {responseRecord.voidReason ? ` (${responseRecord.voidReason})` : ''}. Its answers remain
+              in the revision history.
+            </div>
+          ) : null}
 
-          <form className={styles.form} onSubmit={onSubmit}>
-            {schema.items.map((item) => (
-              <div key={item.linkId} className={styles.field}>
-                <label htmlFor={item.linkId}>
-                  {item.text}
-                  {item.required ? ' *' : ''}
-                </label>
-                {item.type === 'dropdown' ? (
-                  <select
-                    id={item.linkId}
-                    value={answers[item.linkId] ?? ''}
-                    onChange={(event) => onChange(item.linkId, event.target.value)}
-                    disabled={!isEditable}
+          {canReopen ? (
+            <div className={styles.draftBar}>
+              <span>{reopenError || 'Reopen with a new due date to accept late answers.'}</span>
+              <div className={styles.draftActions}>
+                <input
+                  type="date"
+                  aria-label="New due date"
+                  value={reopenDue}
+                  onChange={(event) => setReopenDue(event.target.value)}
+                />
+                <button
+                  type="button"
+                  onClick={() => reopenMutation.mutate(new Date(`${reopenDue}T23:59:59`).toISOString())}
+                  disabled={!reopenDue || reopenMutation.isPending}
+                >
+                  Reopen task
+                </button>
+              </div>
+            </div>
+          ) : null}
+
+          {isEditable ? (
+            <div className={styles.draftBar}>
+              <span>
+                {isSavingDraft
+                  ? 'Saving draft…'
+                  : isOffline
+                    ? 'Offline · drafts are not saved, but submitting keeps your answers on this device.'
+                    : draftError
+                    ? draftError
+                    : draftSavedAt
+                      ? `Draft saved ${draftSavedAt.toLocaleString()}${draftSavedBy ? ` by ${draftSavedBy}` : ''}`
+                      : 'Changes are saved as a draft automatically.'}
+                {hasUnsavedChanges && !isSavingDraft ? ' · Unsaved changes' : ''}
+              </span>
+              <div className={styles.draftActions}>
+                <button
+                  type="button"
+                  onClick={() => saveDraft(answers)}
+                  disabled={isSavingDraft || isOffline || !hasUnsavedChanges}
+                >
+                  Save draft
+                </button>
+                {draftInfo ? (
+                  <button
+                    type="button"
+                    onClick={() => discardDraftMutation.mutate()}
+                    disabled={discardDraftMutation.isPending}
                   >
-                    <option value="">Select…</option>
-                    {item.options?.map((option) => (
-                      <option key={option} value={option}>
-                        {option}
-                      </option>
-                    ))}
-                  </select>
-                ) : item.type === 'checkboxes' ? (
-                  <div className={styles.checkboxGroup}>
-                    {item.options?.map((option) => (
-                      <label key={option} className={styles.checkboxOption}>
-                        <input
-                          type="checkbox"
-                          checked={(answers[item.linkId] || []).includes(option)}
-                          onChange={() => onCheckboxToggle(item.linkId, option)}
-                          disabled={!isEditable}
-                        />
-                        {option}
-                      </label>
-                    ))}
-                  </div>
-                ) : item.type === 'scale' ? (
-                  <div className={styles.scaleField}>
-                    <input
-                      id={item.linkId}
-                      type="range"
-                      min={item.scale?.min ?? 1}
-                      max={item.scale?.max ?? 5}
-                      step={item.scale?.step ?? 1}
-                      value={answers[item.linkId] ?? item.scale?.min ?? 1}
-                      onChange={(event) => onChange(item.linkId, Number(event.target.value))}
-                      disabled={!isEditable}
-                    />
-                    <span>{answers[item.linkId]}</span>
-                  </div>
-                ) : (
-                  <input
-                    id={item.linkId}
-                    type="text"
-                    value={answers[item.linkId] ?? ''}
-                    onChange={(event) => onChange(item.linkId, event.target.value)}
-                    disabled={!isEditable}
-                  />
-                )}
+                    Discard draft
+                  </button>
+                ) : null}
+              </div>
+            </div>
+          ) : null}
+
+          <form className={styles.form} onSubmit={onSubmit}>
+            <QuestionnaireFields
+              items={schema.items}
+              answers={answers}
+              onAnswersChange={setAnswers}
+              fieldErrors={fieldErrors}
+              onFieldErrorsChange={setFieldErrors}
+              editable={isEditable}
+              renderExtras={renderExtras}
+            />
+
+            {isEditable && requiresReason ? (
+              <div className={styles.field}>
+                <label htmlFor="change-reason">Reason for change *</label>
+                <textarea
+                  id="change-reason"
+                  rows={2}
+                  value={changeReason}
+                  onChange={(event) => setChangeReason(event.target.value)}
+                  placeholder="Why are these answers being changed?"
+                />
               </div>
-            ))}
+            ) : null}
 
             {isEditable ? (
               <button
                 type="submit"
                 className={styles.primary}
-                disabled={submitMutation.isLoading}
+                disabled={submitMutation.isPending || (requiresReason && !changeReason.trim())}
               >
-                {submitMutation.isLoading ? 'Saving…' : submitLabel}
+                {submitMutation.isPending ? 'Saving…' : submitLabel}
               </button>
             ) : null}
           </form>
+
+          {taskId && canSubmit && !responseRecord && taskData?.status === 'open' ? (
+            <div className={styles.responsePanel}>
+              <PatientLinkPanel
+                taskId={taskId}
+                activeLink={taskQuery.data?.patientLink}
+                onChanged={() => queryClient.invalidateQueries({ queryKey: ['task', taskId] })}
+              />
+            </div>
+          ) : null}
+
+          {taskId && activeResponse ? (
+            <div className={styles.responsePanel}>
+              <ReviewPanel
+                response={activeResponse}
+                verifiedCount={verifiedFields.size}
+                canReview={canReview}
+                isBusy={reviewMutation.isPending}
+                error={reviewError}
+                onAction={reviewAction}
+              />
+            </div>
+          ) : null}
+
+          {taskId && responseRecord ? (
+            <div className={styles.responsePanel}>
+              <SignaturePanel
+                signatures={signatures}
+                signUrl={`/api/tasks/${taskId}/signatures`}
+                meanings={user?.role === 'staff' ? ['authored'] : undefined}
+                canSign={Boolean(activeResponse) && canSubmit}
+                subjectLabel={`revision ${activeResponse?.revision || 1} of this response`}
+                onSigned={() => queryClient.invalidateQueries({ queryKey: ['task', taskId] })}
+              />
+            </div>
+          ) : null}
+
+          {taskId && responseRecord ? (
+            <section className={styles.history}>
+              <button
+                type="button"
+                className={styles.historyToggle}
+                onClick={() => setShowHistory((value) => !value)}
+              >
+                {showHistory ? 'Hide revision history' : 'Show revision history'}
+              </button>
+              {showHistory ? renderHistory() : null}
+            </section>
+          ) : null}
         </div>
 
         {showMetaPanel ? (
@@ -1,15 +1,35 @@
 import { useMemo } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
-import { useQuery } from '@tanstack/react-query';
+import { useMutation, useQuery } from '@tanstack/react-query';
 import { apiClient } from '../lib/apiClient';
+import { useAuth } from '../lib/auth';
+import { flattenAnswers } from '../lib/responseCsv';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/Card';
 import { Badge } from '../components/ui/Badge';
+import { Button } from '../components/ui/Button';
 import TaskTable from '../components/TaskTable';
 import styles from '../styles/PatientPage.module.css';
 
+const DIARY_STATUS_META = {
+  active: { label: 'Running', variant: 'primary' },
+  completed: { label: 'Finished', variant: 'neutral' },
+  cancelled: { label: 'Stopped', variant: 'warning' },
+};
+
+const adherenceVariant = (value) => {
+  if (value === null || value === undefined) return 'neutral';
+  if (value >= 80) return 'success';
+  if (value >= 50) return 'warning';
+  return 'danger';
+};
+
+const adherenceLabel = (value) => (value === null || value === undefined ? '—' : `${value}%`);
+
 const Patient = () => {
   const { pid } = useParams();
   const navigate = useNavigate();
+  const { user } = useAuth();
+  const canManageDiaries = ['admin', 'researcher'].includes(user?.role);
 
   const patientQuery = useQuery({
     queryKey: ['patient', pid],
@@ -37,9 +57,24 @@ const Patient = () => {
     enabled: Boolean(pid),
   });
 
+  const adherenceQuery = useQuery({
+    queryKey: ['patientAdherence', pid],
+    queryFn: async () => {
+      const response = await apiClient.get(`/api/patients/${pid}/adherence`);
+      return response.data;
+    },
+    enabled: Boolean(pid),
+  });
+
+  const stopDiaryMutation = useMutation({
+    mutationFn: (diary) => apiClient.delete(`/api/forms/${diary.form?._id}/recurrences/${diary._id}`),
+    onSuccess: () => Promise.all([adherenceQuery.refetch(), tasksQuery.refetch()]),
+  });
+
   const patient = patientQuery.data;
   const responses = responsesQuery.data || [];
   const tasks = tasksQuery.data || [];
+  const diaries = adherenceQuery.data?.diaries || [];
 
   const careTeam = useMemo(
     () =>
@@ -94,9 +129,90 @@ const Patient = () => {
               {tasks.filter((task) => task.status === 'open').length}
             </div>
           </div>
+          <div>
+            <span className={styles.summaryLabel}>Diary adherence</span>
+            <div className={styles.summaryValue}>{adherenceLabel(adherenceQuery.data?.adherence)}</div>
+          </div>
         </CardContent>
       </Card>
 
+      {diaries.length ? (
+        <Card>
+          <CardHeader>
+            <CardTitle>Diaries</CardTitle>
+            <CardDescription>
+              Completed entries out of those whose window has closed. Open entries count once submitted.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className={styles.diaryTableWrapper}>
+              <table className={styles.diaryTable}>
+                <thead>
+                  <tr>
+                    <th>Form</th>
+                    <th>Schedule</th>
+                    <th>Completed</th>
+                    <th>Missed</th>
+                    <th>Open / upcoming</th>
+                    <th>Adherence</th>
+                    {canManageDiaries ? <th /> : null}
+                  </tr>
+                </thead>
+                <tbody>
+                  {diaries.map((diary) => {
+                    const statusMeta = DIARY_STATUS_META[diary.status] || DIARY_STATUS_META.active;
+                    return (
+                      <tr key={diary._id}>
+                        <td>
+                          {diary.form?.schema?.title || 'Untitled form'}
+                          <Badge variant={statusMeta.variant} className={styles.diaryStatus}>
+                            {statusMeta.label}
+                          </Badge>
+                        </td>
+                        <td>
+                          {diary.frequency === 'weekly' ? 'Weekly' : 'Daily'} at {diary.timeOfDay}
+                          <span className={styles.diaryDates}>
+                            {new Date(diary.firstAt).toLocaleDateString()} –{' '}
+                            {new Date(diary.lastAt).toLocaleDateString()} · {diary.totalEntries} entries
+                          </span>
+                        </td>
+                        <td>{diary.completed}</td>
+                        <td>{diary.missed}</td>
+                        <td>
+                          {diary.open} / {diary.upcoming}
+                        </td>
+                        <td>
+                          <Badge variant={adherenceVariant(diary.adherence)}>{adherenceLabel(diary.adherence)}</Badge>
+                        </td>
+                        {canManageDiaries ? (
+                          <td>
+                            {diary.status === 'active' ? (
+                              <Button
+                                size="sm"
+                                variant="ghost"
+                                disabled={stopDiaryMutation.isPending}
+                                onClick={() => stopDiaryMutation.mutate(diary)}
+                              >
+                                Stop
+                              </Button>
+                            ) : null}
+                          </td>
+                        ) : null}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            {stopDiaryMutation.isError ? (
+              <div className={styles.diaryError}>
+                {stopDiaryMutation.error.response?.data?.error || 'Unable to stop the diary.'}
+              </div>
+            ) : null}
+          </CardContent>
+        </Card>
+      ) : null}
+
       <Card>
         <CardHeader>
           <CardTitle>Completed responses</CardTitle>
@@ -115,13 +231,15 @@ const Patient = () => {
                     <div>
                       <h3>{response.formId?.schema?.title || response.formId?.version}</h3>
                       <span className={styles.responseMeta}>
-                        Submitted {new Date(response.authoredAt).toLocaleString()} · Staff{' '}
-                        {response.authoredBy?.displayName || response.authoredBy?.email || '—'}
+                        Submitted {new Date(response.authoredAt).toLocaleString()} ·{' '}
+                        {response.authorType === 'patient'
+                          ? 'Patient (self-report)'
+                          : `Staff ${response.authoredBy?.displayName || response.authoredBy?.email || '—'}`}
                       </span>
                     </div>
                   </div>
                   <div className={styles.responseBody}>
-                    {Object.entries(response.answers || {}).map(([key, value]) => (
+                    {flattenAnswers(response.formId?.schema?.items, response.answers).map(({ key, value }) => (
                       <div key={key} className={styles.answerRow}>
                         <span className={styles.answerLabel}>{key}</span>
                         <span className={styles.answerValue}>
@@ -0,0 +1,107 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useMutation, useQuery } from '@tanstack/react-query';
+import { useParams } from 'react-router-dom';
+import { apiClient } from '../lib/apiClient';
+import { cn } from '../lib/classNames';
+import { pruneDisabledAnswers } from '../lib/questionnaireLogic';
+import QuestionnaireFields, { buildDefaultAnswers } from '../components/QuestionnaireFields';
+import runnerStyles from '../styles/FormRunner.module.css';
+import styles from '../styles/PatientSelfReport.module.css';
+
+const formatDate = (value) => new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * Public form for patients opening a self-report link: the questionnaire only,
+ * no staff login, navigation or history. The link works for one submission.
+ */
+const PatientSelfReport = () => {
+  const { token } = useParams();
+  const [answers, setAnswers] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const linkQuery = useQuery({
+    queryKey: ['patientLink', token],
+    queryFn: async () => {
+      const response = await apiClient.get(`/api/public/epro/${encodeURIComponent(token)}`);
+      return response.data;
+    },
+    retry: false,
+  });
+
+  const schema = linkQuery.data?.form?.schema;
+  const defaults = useMemo(() => buildDefaultAnswers(schema?.items), [schema]);
+  useEffect(() => setAnswers(defaults), [defaults]);
+
+  const submitMutation = useMutation({
+    mutationFn: () =>
+      apiClient.post(`/api/public/epro/${encodeURIComponent(token)}/submit`, {
+        answers: pruneDisabledAnswers(schema, answers),
+      }),
+    onSuccess: () => {
+      setErrorMessage('');
+      setFieldErrors({});
+    },
+    onError: (error) => {
+      const data = error.response?.data;
+      const byLinkId = (data?.details || []).reduce((accumulator, detail) => {
+        if (detail.path && !accumulator[detail.path]) accumulator[detail.path] = detail.message;
+        return accumulator;
+      }, {});
+      setFieldErrors(byLinkId);
+      setErrorMessage(
+        Object.keys(byLinkId).length
+          ? 'Some answers need attention before the form can be sent.'
+          : data?.error || 'The form could not be sent. Please try again.'
+      );
+    },
+  });
+
+  const onSubmit = (event) => {
+    event.preventDefault();
+    submitMutation.mutate();
+  };
+
+  let content;
+  if (linkQuery.isLoading) {
+    content = <p className={styles.message}>Loading form…</p>;
+  } else if (linkQuery.isError) {
+    content = (
+      <p className={styles.message}>{linkQuery.error.response?.data?.error || 'This link could not be opened.'}</p>
+    );
+  } else if (submitMutation.isSuccess) {
+    content = <p className={styles.message}>Thank you. Your answers were sent to the study team.</p>;
+  } else {
+    const { study, dueAt } = linkQuery.data;
+    content = (
+      <>
+        <header className={styles.header}>
+          <h1>{schema?.title || 'Questionnaire'}</h1>
+          {study?.title ? <span className={styles.study}>{study.title}</span> : null}
+          {dueAt ? <span className={styles.deadline}>Please answer by {formatDate(dueAt)}</span> : null}
+        </header>
+        {errorMessage ? <div className={runnerStyles.error}>{errorMessage}</div> : null}
+        <form className={runnerStyles.form} onSubmit={onSubmit}>
+          <QuestionnaireFields
+            items={schema?.items}
+            answers={answers}
+            onAnswersChange={setAnswers}
+            fieldErrors={fieldErrors}
+            onFieldErrorsChange={setFieldErrors}
+          />
+          <button type="submit" className={runnerStyles.primary} disabled={submitMutation.isPending}>
+            {submitMutation.isPending ? 'Sending…' : 'Send answers'}
+          </button>
+        </form>
+      </>
+    );
+  }
+
+  return (
+    <div className={styles.page}>
+      <div className={cn(runnerStyles.wrapper, styles.sheet)}>{content}</div>
+    </div>
+  );
+};
+
+export default PatientSelfReport;
@@ -6,6 +6,7 @@ import { Button } from '../components/ui/Button';
 import { Input } from '../components/ui/Input';
 import PopulationTable from '../components/PopulationTable';
 import PatientModal from '../components/PatientModal';
+import PatientImport from '../components/PatientImport';
 import { useAuth } from '../lib/auth';
 import styles from '../styles/PopulationPage.module.css';
 
@@ -17,6 +18,7 @@ const Population = () => {
   const [includeInactive, setIncludeInactive] = useState(false);
   const [sortOption, setSortOption] = useState('pid');
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
   const [viewPid, setViewPid] = useState(null);
   const [createForm, setCreateForm] = useState({ pid: '', category: '', ownerId: '' });
   const [message, setMessage] = useState('');
@@ -286,15 +288,20 @@ const Population = () => {
           </p>
         </div>
         {canEdit ? (
-          <Button
-            onClick={() => {
-              setMessage('');
-              setCreateForm({ pid: '', category: '', ownerId: '' });
-              setShowCreateModal(true);
-            }}
-          >
-            New patient
-          </Button>
+          <div className={styles.headerActions}>
+            <Button variant="outline" onClick={() => setShowImportModal(true)}>
+              Import CSV
+            </Button>
+            <Button
+              onClick={() => {
+                setMessage('');
+                setCreateForm({ pid: '', category: '', ownerId: '' });
+                setShowCreateModal(true);
+              }}
+            >
+              New patient
+            </Button>
+          </div>
         ) : (
           <div className={styles.readOnlyNote}>View-only access</div>
         )}
@@ -395,6 +402,20 @@ const Population = () => {
         </CardContent>
       </Card>
 
+      {canEdit && showImportModal ? (
+        <div className={styles.modalBackdrop} onClick={() => setShowImportModal(false)}>
+          <div className={styles.modal} onClick={(event) => event.stopPropagation()}>
+            <PatientImport
+              onClose={() => setShowImportModal(false)}
+              onImported={(created) => {
+                queryClient.invalidateQueries({ queryKey: ['patients'] });
+                setMessage(`Imported ${created} patient${created === 1 ? '' : 's'}.`);
+              }}
+            />
+          </div>
+        </div>
+      ) : null}
+
       {canEdit && showCreateModal ? (
         <div className={styles.modalBackdrop} onClick={() => setShowCreateModal(false)}>
           <div className={styles.modal} onClick={(event) => event.stopPropagation()}>
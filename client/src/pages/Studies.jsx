@@ -154,6 +154,11 @@ const Studies = () => {
                   <div className={styles.studyStatusRow}>
                     <Badge variant={statusVariant(study.status)}>{study.status}</Badge>
                     {study.code ? <span className={styles.studyCode}>{study.code}</span> : null}
+                    {study.openQueries ? (
+                      <Badge variant="danger">
+                        {study.openQueries} open {study.openQueries === 1 ? 'query' : 'queries'}
+                      </Badge>
+                    ) : null}
                   </div>
                   <CardTitle className={styles.studyTitle}>{study.title}</CardTitle>
                   <CardDescription className={styles.studyDescription}>
@@ -1,13 +1,25 @@
-import { useMemo, useState } from 'react';
+import { useMemo, useRef, useState } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import { apiClient } from '../lib/apiClient';
 import { useAuth } from '../lib/auth';
+import { answerCells, answerColumns, flattenAnswers, signatureSummary } from '../lib/responseCsv';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/Card';
 import { Button } from '../components/ui/Button';
 import { Input, Textarea } from '../components/ui/Input';
 import { Badge } from '../components/ui/Badge';
 import FormBuilder from '../components/FormBuilder';
+import DiaryScheduler from '../components/DiaryScheduler';
+import SelfReportAssigner from '../components/SelfReportAssigner';
+import SignaturePanel from '../components/SignaturePanel';
+import StudyCloseoutPanel from '../components/StudyCloseoutPanel';
+import VisitSchedule, { eventLabelOf } from '../components/VisitSchedule';
+import NotificationRulesEditor, {
+  NotificationRuleList,
+  toRuleDrafts,
+  toRulePayload,
+} from '../components/NotificationRulesEditor';
+import { QUERY_STATUS_VARIANTS } from '../components/QueryThread';
 import styles from '../styles/StudyDetailPage.module.css';
 
 const statusOptions = [
@@ -17,6 +29,18 @@ const statusOptions = [
   { value: 'closed', label: 'Closed' },
 ];
 
+// Mirrors the server's state machine; 'closed' is only reached through closeout
+const statusTransitions = {
+  draft: ['active', 'paused'],
+  active: ['paused'],
+  paused: ['active'],
+  closed: [],
+};
+
+const lineageOf = (form) => String(form?.lineageId || form?._id || form || '');
+
+const revisionLabel = (form) => `Rev. ${form?.revision || 1}`;
+
 const formatDateTime = (value) => {
   if (!value) return '—';
   const date = new Date(value);
@@ -35,7 +59,10 @@ const StudyDetail = () => {
   const [updatedTitle, setUpdatedTitle] = useState('');
   const [updatedDescription, setUpdatedDescription] = useState('');
   const [updatedStatus, setUpdatedStatus] = useState('draft');
+  const [updatedGraceHours, setUpdatedGraceHours] = useState('0');
   const [deleteError, setDeleteError] = useState('');
+  const [ruleDrafts, setRuleDrafts] = useState(null);
+  const [ruleError, setRuleError] = useState('');
 
   const [showAssignmentModal, setShowAssignmentModal] = useState(false);
   const [ownerSearch, setOwnerSearch] = useState('');
@@ -44,6 +71,10 @@ const StudyDetail = () => {
   const [patientSelection, setPatientSelection] = useState(() => new Set());
 
   const [formViewer, setFormViewer] = useState(null);
+  const [importError, setImportError] = useState('');
+  const [exportJobId, setExportJobId] = useState(null);
+  const [exportError, setExportError] = useState('');
+  const importInputRef = useRef(null);
 
   const studiesQuery = useQuery({
     queryKey: ['studies'],
@@ -106,6 +137,52 @@ const StudyDetail = () => {
     enabled: Boolean(studyId),
   });
 
+  const [queryStatus, setQueryStatus] = useState('open');
+  const dataQueriesQuery = useQuery({
+    queryKey: ['studyQueries', studyId, queryStatus],
+    queryFn: async () => {
+      const response = await apiClient.get(`/api/studies/${studyId}/queries`, {
+        params: queryStatus ? { status: queryStatus } : {},
+      });
+      return response.data;
+    },
+    enabled: Boolean(studyId),
+  });
+  const dataQueries = dataQueriesQuery.data?.queries || [];
+  const openQueriesByPatient = Object.entries(dataQueriesQuery.data?.counts?.byPatient || {});
+
+  const signaturesQuery = useQuery({
+    queryKey: ['studySignatures', studyId],
+    queryFn: async () => {
+      const response = await apiClient.get(`/api/studies/${studyId}/signatures`);
+      return response.data.signatures;
+    },
+    enabled: Boolean(studyId),
+  });
+
+  // Bulk FHIR export: poll the job until the manifest is available
+  const exportJobQuery = useQuery({
+    queryKey: ['studyExport', studyId, exportJobId],
+    queryFn: async () => {
+      const response = await apiClient.get(`/api/studies/${studyId}/$export/${exportJobId}`);
+      return response.status === 202 ? { status: response.data?.status || 'in-progress' } : response.data;
+    },
+    enabled: Boolean(exportJobId),
+    refetchInterval: (query) => (query.state.data?.output ? false : 2000),
+    retry: false,
+  });
+
+  const startExportMutation = useMutation({
+    mutationFn: () => apiClient.post(`/api/studies/${studyId}/$export`).then((res) => res.data),
+    onSuccess: (data) => {
+      setExportError('');
+      setExportJobId(data.jobId);
+    },
+    onError: (err) => {
+      setExportError(err.response?.data?.error || 'Unable to start FHIR export.');
+    },
+  });
+
   const updateStudyMutation = useMutation({
     mutationFn: (payload) => apiClient.patch(`/api/studies/${studyId}`, payload),
     onSuccess: () => {
@@ -128,6 +205,24 @@ const StudyDetail = () => {
     },
   });
 
+  const importFormMutation = useMutation({
+    mutationFn: (questionnaire) =>
+      apiClient
+        .post(`/api/studies/${studyId}/forms/fhir`, { kind: 'study', questionnaire })
+        .then((res) => res.data),
+    onSuccess: () => {
+      setImportError('');
+      queryClient.invalidateQueries({ queryKey: ['studyForms', studyId] });
+    },
+    onError: (err) => {
+      const details = err.response?.data?.details || [];
+      const summary = details.map((detail) => detail.message).join('; ');
+      setImportError(
+        [err.response?.data?.error || 'Unable to import questionnaire.', summary].filter(Boolean).join(': ')
+      );
+    },
+  });
+
   const updateFormMutation = useMutation({
     mutationFn: ({ formId, payload }) =>
       apiClient.patch(`/api/studies/${studyId}/forms/${formId}`, payload).then((res) => res.data),
@@ -248,19 +343,57 @@ const StudyDetail = () => {
     return patients.filter((patient) => study.assignedPatients.includes(patient.pid));
   }, [patients, study]);
 
-  const answerEntries = (answers) => {
+  // Enrollment status per PID; subjects listed before enrollment records count as enrolled
+  const subjectStatus = useMemo(
+    () => new Map((study?.enrollments || []).map((enrollment) => [enrollment.pid, enrollment.status])),
+    [study]
+  );
+
+  // Withdrawn and completed subjects are not offered new diaries or self-report links
+  const activeSubjects = useMemo(
+    () =>
+      enrolledPatients.filter((patient) => !['withdrawn', 'completed'].includes(subjectStatus.get(patient.pid))),
+    [enrolledPatients, subjectStatus]
+  );
+
+  const answerEntries = (answers, form) => {
+    if (answers && typeof answers === 'object' && !Array.isArray(answers)) {
+      return flattenAnswers(form?.schema?.items, answers).map(({ key, value }) => [key, value]);
+    }
     if (Array.isArray(answers)) {
       return answers.map((value, index) => [`Item ${index + 1}`, value]);
     }
-    if (answers && typeof answers === 'object') {
-      return Object.entries(answers);
-    }
     if (answers === null || answers === undefined) {
       return [];
     }
     return [['Response', answers]];
   };
 
+  const renderPreviewItems = (items) => (
+    <ol className={styles.previewList}>
+      {(items || []).map((item) => (
+        <li key={item.linkId}>
+          <strong>{item.text}</strong>
+          <span className={styles.previewMeta}>
+            {item.type === 'group' ? (item.repeats ? 'repeating section' : 'section') : item.type}
+            {item.unit ? ` (${item.unit})` : ''}
+            {item.required ? ' · required' : ''}
+            {item.enableWhen?.length ? ' · conditional' : ''}
+          </span>
+          {item.type === 'calculated' ? <code>= {item.expression}</code> : null}
+          {item.options?.length ? (
+            <ul className={styles.choicePreview}>
+              {item.options.map((option) => (
+                <li key={option}>{option}</li>
+              ))}
+            </ul>
+          ) : null}
+          {item.type === 'group' ? renderPreviewItems(item.items) : null}
+        </li>
+      ))}
+    </ol>
+  );
+
   const formatAnswerValue = (value) => {
     if (Array.isArray(value)) {
       return value.join(', ');
@@ -293,8 +426,8 @@ const StudyDetail = () => {
     return s;
   };
 
-  const downloadBlob = (content, filename) => {
-    const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' });
+  const downloadBlob = (content, filename, type = 'text/csv;charset=utf-8;') => {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -311,12 +444,22 @@ const StudyDetail = () => {
       return;
     }
 
-    const keySet = new Set();
-    responses.forEach((r) => Object.keys(r.answers || {}).forEach((k) => keySet.add(k)));
-    const answerKeys = Array.from(keySet).sort();
+    const columns = answerColumns(responses);
 
-    const staticHeaders = ['pid', 'study_code', 'study_title', 'form', 'authored_at'];
-    const header = [...staticHeaders, ...answerKeys].map(escapeCsv).join(',');
+    const staticHeaders = [
+      'pid',
+      'study_code',
+      'study_title',
+      'form',
+      'form_revision',
+      'visit',
+      'authored_at',
+      'review_status',
+      'signatures',
+    ];
+    const header = [...staticHeaders, ...columns.map((column) => column.header)]
+      .map(escapeCsv)
+      .join(',');
 
     const rows = responses.map((r) => {
       const formTitle = r.formId?.schema?.title || r.formId?.version || '';
@@ -326,16 +469,13 @@ const StudyDetail = () => {
         study.code || '',
         study.title || '',
         formTitle,
+        r.formId?.revision || 1,
+        eventLabelOf(study, r.eventId),
         authoredAt,
+        r.reviewStatus || 'submitted',
+        signatureSummary(r),
       ];
-      const ans = r.answers || {};
-      const dynamic = answerKeys.map((k) => {
-        const v = ans[k];
-        if (Array.isArray(v)) return escapeCsv(v.join('; '));
-        if (v && typeof v === 'object') return escapeCsv(JSON.stringify(v));
-        return escapeCsv(v);
-      });
-      return [...base.map(escapeCsv), ...dynamic].join(',');
+      return [...base, ...answerCells(r, columns)].map(escapeCsv).join(',');
     });
 
     const csv = [header, ...rows].join('\n');
@@ -343,15 +483,75 @@ const StudyDetail = () => {
     downloadBlob(csv, `${baseName}-responses.csv`);
   };
 
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const questionnaire = JSON.parse(await file.text());
+      if (questionnaire?.resourceType !== 'Questionnaire') {
+        setImportError('The selected file is not a FHIR Questionnaire resource.');
+        return;
+      }
+      importFormMutation.mutate(questionnaire);
+    } catch {
+      setImportError('The selected file is not valid JSON.');
+    }
+  };
+
+  const handleExportQuestionnaire = async (form) => {
+    const response = await apiClient.get(`/api/forms/${form._id}/fhir`);
+    const baseName = (form.schema?.id || form.schema?.title || 'questionnaire').replace(/\s+/g, '-').toLowerCase();
+    downloadBlob(
+      JSON.stringify(response.data, null, 2),
+      `${baseName}-rev${form.revision || 1}.questionnaire.json`,
+      'application/fhir+json'
+    );
+  };
+
+  const handleDownloadExportFile = async (entry) => {
+    const fileName = entry.url.split('/').pop();
+    const response = await apiClient.get(`/api/studies/${studyId}/$export/${exportJobId}/${fileName}`, {
+      responseType: 'text',
+      transformResponse: (data) => data,
+    });
+    downloadBlob(response.data, `${(study?.code || 'study').toLowerCase()}-${fileName}`, 'application/fhir+ndjson');
+  };
+
+  const handleDownloadResponseFhir = async (response) => {
+    const res = await apiClient.get(`/api/studies/${studyId}/responses/${response._id}/fhir`);
+    downloadBlob(
+      JSON.stringify(res.data, null, 2),
+      `${response.pid}-${response._id}.questionnaire-response.json`,
+      'application/fhir+json'
+    );
+  };
+
+  const exportManifest = exportJobQuery.data?.output ? exportJobQuery.data : null;
+
   const handleUpdateMeta = () => {
     updateStudyMutation.mutate({
       title: updatedTitle || study.title,
       status: updatedStatus,
       description: updatedDescription,
+      taskGraceHours: Math.max(0, Number.parseInt(updatedGraceHours, 10) || 0),
     });
     setShowEditMeta(false);
   };
 
+  const handleSaveRules = async (event) => {
+    event.preventDefault();
+    try {
+      await updateStudyMutation.mutateAsync({ notifications: toRulePayload(ruleDrafts) });
+      setRuleDrafts(null);
+      setRuleError('');
+    } catch (error) {
+      const data = error.response?.data;
+      const details = (data?.details || []).map((detail) => `${detail.path}: ${detail.message}`).join('; ');
+      setRuleError([data?.error || 'Unable to save the rules.', details].filter(Boolean).join(' — '));
+    }
+  };
+
   const handleUpdateAssignments = async (payload) => {
     await updateStudyMutation.mutateAsync(payload);
   };
@@ -364,10 +564,9 @@ const StudyDetail = () => {
         .filter(Boolean)
         .map((ownerId) => ownerId.toString())
     );
-    const activePatientIds = new Set(activePatients.map((patient) => patient.pid));
-    const initialPatients = new Set(
-      (study.assignedPatients || []).filter((pid) => activePatientIds.has(pid))
-    );
+    // Subjects hidden from the list (inactive patients) stay selected: the server
+    // withdraws every subject left out of the saved list
+    const initialPatients = new Set(study.assignedPatients || []);
     initialOwners.forEach((ownerId) => {
       const patientsForOwner = ownerPatientsMap.get(ownerId) || new Set();
       patientsForOwner.forEach((pid) => initialPatients.add(pid));
@@ -434,10 +633,9 @@ const StudyDetail = () => {
 
   const formResponsesForActive = useMemo(() => {
     if (!formViewer?.form) return [];
-    return responses.filter((response) => {
-      const formId = response.formId?._id || response.formId;
-      return formId?.toString() === formViewer.form._id?.toString();
-    });
+    // Include responses captured on earlier revisions of the same form
+    const lineage = lineageOf(formViewer.form);
+    return responses.filter((response) => lineageOf(response.formId) === lineage);
   }, [formViewer, responses]);
 
   if (!studyId) return null;
@@ -474,23 +672,34 @@ const StudyDetail = () => {
                 >
                   Export results
                 </Button>
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => startExportMutation.mutate()}
+                  disabled={startExportMutation.isLoading || (exportJobId && !exportManifest && !exportJobQuery.isError)}
+                >
+                  {exportJobId && !exportManifest && !exportJobQuery.isError ? 'Exporting FHIR…' : 'FHIR bulk export'}
+                </Button>
                 <Button
                   type="button"
                   variant="ghost"
                   size="sm"
                   className={styles.deleteButton}
                   onClick={handleDeleteStudy}
-                  disabled={deleteStudyMutation.isLoading}
+                  disabled={deleteStudyMutation.isLoading || study.status === 'closed'}
                 >
                   {deleteStudyMutation.isLoading ? 'Deleting…' : 'Delete study'}
                 </Button>
                 <Button
                   variant="ghost"
                   size="sm"
+                  disabled={study.status === 'closed'}
                   onClick={() => {
                     setUpdatedTitle(study.title);
                     setUpdatedDescription(study.description || '');
                     setUpdatedStatus(study.status);
+                    setUpdatedGraceHours(String(study.taskGraceHours ?? 0));
                     setShowEditMeta(true);
                   }}
                 >
@@ -524,11 +733,66 @@ const StudyDetail = () => {
               <span className={styles.metaLabel}>Enrolled patients</span>
               <span className={styles.metaValue}>{study.assignedPatients?.length || 0}</span>
             </div>
+            <div>
+              <span className={styles.metaLabel}>Grace period</span>
+              <span className={styles.metaValue}>{study.taskGraceHours || 0} h</span>
+            </div>
           </div>
         </CardHeader>
+        <CardContent className={styles.headerPanels}>
+          <SignaturePanel
+            title="Status sign-off"
+            signatures={signaturesQuery.data || []}
+            signUrl={`/api/studies/${studyId}/signatures`}
+            canSign={canEdit}
+            subjectLabel={`the study status "${study.status}"`}
+            onSigned={() => queryClient.invalidateQueries({ queryKey: ['studySignatures', studyId] })}
+          />
+          <StudyCloseoutPanel
+            studyId={studyId}
+            canClose={canEdit}
+            canUnlock={user.role === 'admin'}
+            onChanged={() =>
+              Promise.all([
+                queryClient.invalidateQueries({ queryKey: ['studies'] }),
+                queryClient.invalidateQueries({ queryKey: ['tasks'] }),
+              ])
+            }
+          />
+        </CardContent>
       </Card>
 
       {deleteError ? <div className={styles.errorBanner}>{deleteError}</div> : null}
+      {exportError || exportJobQuery.isError ? (
+        <div className={styles.errorBanner}>
+          {exportError ||
+            exportJobQuery.error?.response?.data?.issue?.[0]?.diagnostics ||
+            'FHIR export failed.'}
+        </div>
+      ) : null}
+      {exportManifest ? (
+        <Card>
+          <CardHeader
+            actions={
+              <Button size="sm" variant="ghost" onClick={() => setExportJobId(null)}>
+                Dismiss
+              </Button>
+            }
+          >
+            <CardTitle>FHIR export ready</CardTitle>
+            <CardDescription>
+              NDJSON files generated {formatDateTime(exportManifest.transactionTime)}.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className={styles.exportFiles}>
+            {exportManifest.output.map((entry) => (
+              <Button key={entry.type} size="sm" variant="outline" onClick={() => handleDownloadExportFile(entry)}>
+                {entry.type} ({entry.count})
+              </Button>
+            ))}
+          </CardContent>
+        </Card>
+      ) : null}
 
       <section className={styles.panels}>
         <Card>
@@ -547,7 +811,10 @@ const StudyDetail = () => {
                   <div key={form._id} className={styles.formRow}>
                     <div>
                       <h4>{form.schema?.title || form.version}</h4>
-                      <p>{form.schema?.items?.length || 0} questions · Deadline {form.version || '—'}</p>
+                      <p>
+                        {form.schema?.items?.length || 0} questions · Deadline {form.version || '—'} ·{' '}
+                        {revisionLabel(form)}
+                      </p>
                     </div>
                     <Button variant="outline" size="sm" onClick={() => openFormViewer(form)}>
                       Details
@@ -556,10 +823,27 @@ const StudyDetail = () => {
                 ))}
               </div>
             )}
+            {importError ? <div className={styles.errorBanner}>{importError}</div> : null}
             {canEdit ? (
-              <Button className={styles.createButton} variant="secondary" onClick={() => setShowBuilder(true)}>
-                Create form
-              </Button>
+              <div className={styles.formActions}>
+                <Button variant="secondary" onClick={() => setShowBuilder(true)}>
+                  Create form
+                </Button>
+                <Button
+                  variant="outline"
+                  onClick={() => importInputRef.current?.click()}
+                  disabled={importFormMutation.isLoading}
+                >
+                  {importFormMutation.isLoading ? 'Importing…' : 'Import FHIR Questionnaire'}
+                </Button>
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept=".json,application/json,application/fhir+json"
+                  hidden
+                  onChange={handleImportFile}
+                />
+              </div>
             ) : null}
           </CardContent>
         </Card>
@@ -607,6 +891,9 @@ const StudyDetail = () => {
                     {enrolledPatients.map((patient) => (
                       <Badge key={patient.pid} variant="neutral">
                         {patient.pid}
+                        {subjectStatus.get(patient.pid) && subjectStatus.get(patient.pid) !== 'enrolled'
+                          ? ` · ${subjectStatus.get(patient.pid)}`
+                          : ''}
                       </Badge>
                     ))}
                   </div>
@@ -614,9 +901,128 @@ const StudyDetail = () => {
               </div>
             </CardContent>
           </Card>
+
+          <Card>
+            <CardHeader
+              actions={
+                <select
+                  className={styles.queryFilter}
+                  value={queryStatus}
+                  onChange={(event) => setQueryStatus(event.target.value)}
+                >
+                  <option value="open">Open</option>
+                  <option value="answered">Answered</option>
+                  <option value="closed">Closed</option>
+                  <option value="">All</option>
+                </select>
+              }
+            >
+              <CardTitle>Data queries</CardTitle>
+              <CardDescription>
+                {dataQueriesQuery.data?.counts?.open || 0} open across{' '}
+                {openQueriesByPatient.length} {openQueriesByPatient.length === 1 ? 'patient' : 'patients'}.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className={styles.participantsCard}>
+              {openQueriesByPatient.length ? (
+                <div className={styles.listPills}>
+                  {openQueriesByPatient.map(([pid, count]) => (
+                    <Badge key={pid} variant="danger">
+                      {pid}: {count}
+                    </Badge>
+                  ))}
+                </div>
+              ) : null}
+              {dataQueriesQuery.isLoading ? (
+                <div className={styles.emptyState}>Loading queries…</div>
+              ) : dataQueries.length === 0 ? (
+                <div className={styles.emptyState}>No {queryStatus || ''} queries.</div>
+              ) : (
+                <ul className={styles.queryList}>
+                  {dataQueries.map((dataQuery) => (
+                    <li key={dataQuery._id}>
+                      <button
+                        type="button"
+                        onClick={() =>
+                          navigate(
+                            `/forms/${dataQuery.formId}?taskId=${dataQuery.taskId}&pid=${dataQuery.pid}`
+                          )
+                        }
+                      >
+                        <span>
+                          <strong>{dataQuery.pid}</strong> · {dataQuery.itemText || dataQuery.path}
+                        </span>
+                        <Badge variant={QUERY_STATUS_VARIANTS[dataQuery.status]}>{dataQuery.status}</Badge>
+                      </button>
+                      <span className={styles.queryMessage}>{dataQuery.messages[0]?.body}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </CardContent>
+          </Card>
         </div>
       </section>
 
+      <Card>
+        <CardHeader>
+          <CardTitle>Visit schedule</CardTitle>
+          <CardDescription>
+            Visits are timed from enrolment (day 0); their tasks are due at the end of each visit window.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <VisitSchedule
+            studyId={studyId}
+            events={study.events || []}
+            forms={forms}
+            canEdit={canEdit && study.status !== 'closed'}
+            onSaved={() =>
+              Promise.all([
+                queryClient.invalidateQueries({ queryKey: ['studies'] }),
+                queryClient.invalidateQueries({ queryKey: ['tasks'] }),
+              ])
+            }
+            onOpenTask={(form, pid) => navigate(`/forms/${form.formId}?taskId=${form.taskId}&pid=${pid}`)}
+          />
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader
+          actions={
+            canEdit && study.status !== 'closed' && !ruleDrafts ? (
+              <Button size="sm" variant="outline" onClick={() => setRuleDrafts(toRuleDrafts(study.notifications))}>
+                Edit rules
+              </Button>
+            ) : null
+          }
+        >
+          <CardTitle>Notifications</CardTitle>
+          <CardDescription>
+            Who on the study team hears about new, due and overdue tasks, submissions and queries.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {ruleDrafts ? (
+            <form className={styles.rulesForm} onSubmit={handleSaveRules}>
+              <NotificationRulesEditor value={ruleDrafts} onChange={setRuleDrafts} />
+              {ruleError ? <div className={styles.errorBanner}>{ruleError}</div> : null}
+              <div className={styles.modalActions}>
+                <Button type="button" variant="ghost" onClick={() => setRuleDrafts(null)}>
+                  Cancel
+                </Button>
+                <Button type="submit" disabled={updateStudyMutation.isPending}>
+                  {updateStudyMutation.isPending ? 'Saving…' : 'Save rules'}
+                </Button>
+              </div>
+            </form>
+          ) : (
+            <NotificationRuleList rules={study.notifications} />
+          )}
+        </CardContent>
+      </Card>
+
       {showBuilder ? (
         <div className={styles.modalBackdrop} onClick={() => setShowBuilder(false)}>
           <div className={styles.modal} onClick={(event) => event.stopPropagation()}>
@@ -673,13 +1079,32 @@ const StudyDetail = () => {
                   <label>
                     Status
                     <select value={updatedStatus} onChange={(event) => setUpdatedStatus(event.target.value)}>
-                      {statusOptions.map((option) => (
-                        <option key={option.value} value={option.value}>
-                          {option.label}
-                        </option>
-                      ))}
+                      {statusOptions
+                        .filter(
+                          (option) =>
+                            option.value === study.status ||
+                            (statusTransitions[study.status] || []).includes(option.value)
+                        )
+                        .map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
                     </select>
                   </label>
+                  <label>
+                    Grace period (hours)
+                    <Input
+                      type="number"
+                      min="0"
+                      max={90 * 24}
+                      value={updatedGraceHours}
+                      onChange={(event) => setUpdatedGraceHours(event.target.value)}
+                    />
+                    <span className={styles.fieldHint}>
+                      Tasks stay open this long after their due date before they expire.
+                    </span>
+                  </label>
                   <div className={styles.modalActions}>
                     <Button type="button" variant="ghost" onClick={() => setShowEditMeta(false)}>
                       Cancel
@@ -798,7 +1223,30 @@ const StudyDetail = () => {
                       >
                         {formViewer.mode === 'edit' ? 'Done editing' : 'Edit form'}
                       </Button>
-                      {/* Assignment is automatic; no manual "Assign form" action */}
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => handleExportQuestionnaire(formViewer.form)}
+                      >
+                        Export FHIR
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        disabled={study.status === 'closed' || Boolean(formViewer.form.supersededBy)}
+                        onClick={() => setFormViewerMode('diary')}
+                      >
+                        Schedule diary
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        disabled={study.status === 'closed' || Boolean(formViewer.form.supersededBy)}
+                        onClick={() => setFormViewerMode('selfReport')}
+                      >
+                        Patient self-report
+                      </Button>
+                      {/* One-off assignment is automatic; only diaries are scheduled by hand */}
                     </div>
                   ) : null
                 }
@@ -828,26 +1276,10 @@ const StudyDetail = () => {
                   <div className={styles.formPreview}>
                     <div className={styles.formPreviewMeta}>
                       <span>Deadline {formViewer.form.version || '—'}</span>
+                      <span>{revisionLabel(formViewer.form)}</span>
                       <span>{formViewer.form.schema?.items?.length || 0} questions</span>
                     </div>
-                    <ol className={styles.previewList}>
-                      {(formViewer.form.schema?.items || []).map((item) => (
-                        <li key={item.linkId}>
-                          <strong>{item.text}</strong>
-                          <span className={styles.previewMeta}>
-                            {item.type}
-                            {item.required ? ' · required' : ''}
-                          </span>
-                          {item.options?.length ? (
-                            <ul className={styles.choicePreview}>
-                              {item.options.map((option) => (
-                                <li key={option}>{option}</li>
-                              ))}
-                            </ul>
-                          ) : null}
-                        </li>
-                      ))}
-                    </ol>
+                    {renderPreviewItems(formViewer.form.schema?.items)}
                   </div>
                 ) : null}
 
@@ -864,18 +1296,33 @@ const StudyDetail = () => {
                             <th>Patient</th>
                             <th>Submitted</th>
                             <th>Submitted by</th>
+                            <th>Revision</th>
                             <th>Answers</th>
+                            <th />
                           </tr>
                         </thead>
                         <tbody>
                           {formResponsesForActive.map((response) => {
-                            const entries = answerEntries(response.answers);
+                            const entries = answerEntries(response.answers, response.formId);
                             return (
                               <tr key={response._id}>
                                 <td className={styles.mono}>{response.pid}</td>
                                 <td>{formatDateTime(response.authoredAt || response.createdAt)}</td>
                                 <td>
-                                  {response.authoredBy?.displayName || response.authoredBy?.email || '—'}
+                                  {response.authoredBy?.displayName ||
+                                    response.authoredBy?.email ||
+                                    (response.authorType === 'patient' ? 'Patient (self-report)' : '—')}
+                                </td>
+                                <td>
+                                  <Badge
+                                    variant={
+                                      String(response.formId?._id) === String(formViewer.form._id)
+                                        ? 'neutral'
+                                        : 'warning'
+                                    }
+                                  >
+                                    {revisionLabel(response.formId)}
+                                  </Badge>
                                 </td>
                                 <td>
                                   <div className={styles.answersPreview}>
@@ -891,6 +1338,11 @@ const StudyDetail = () => {
                                     )}
                                   </div>
                                 </td>
+                                <td>
+                                  <Button size="sm" variant="ghost" onClick={() => handleDownloadResponseFhir(response)}>
+                                    FHIR
+                                  </Button>
+                                </td>
                               </tr>
                             );
                           })}
@@ -903,7 +1355,7 @@ const StudyDetail = () => {
                 {formViewer.mode === 'edit' && canEdit ? (
                   <FormBuilder
                     initialSchema={formViewer.form.schema}
-                    submitLabel={updateFormMutation.isLoading ? 'Saving…' : 'Save form'}
+                    submitLabel={updateFormMutation.isLoading ? 'Saving…' : 'Save as new revision'}
                     onSave={(schema) =>
                       updateFormMutation.mutate({
                         formId: formViewer.form._id,
@@ -913,6 +1365,28 @@ const StudyDetail = () => {
                     onCancel={() => setFormViewerMode('preview')}
                   />
                 ) : null}
+
+                {formViewer.mode === 'diary' && canEdit ? (
+                  <DiaryScheduler
+                    form={formViewer.form}
+                    patients={activeSubjects}
+                    onScheduled={() => {
+                      queryClient.invalidateQueries({ queryKey: ['tasks'] });
+                      setFormViewerMode('preview');
+                    }}
+                    onCancel={() => setFormViewerMode('preview')}
+                  />
+                ) : null}
+
+                {formViewer.mode === 'selfReport' && canEdit ? (
+                  <SelfReportAssigner
+                    form={formViewer.form}
+                    patients={activeSubjects}
+                    events={study.events || []}
+                    onAssigned={() => queryClient.invalidateQueries({ queryKey: ['tasks'] })}
+                    onCancel={() => setFormViewerMode('preview')}
+                  />
+                ) : null}
               </CardContent>
               <CardContent className={styles.modalActions}>
                 <Button type="button" variant="ghost" onClick={closeFormViewer}>
@@ -3,8 +3,9 @@ import { useNavigate } from 'react-router-dom';
 import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import { apiClient } from '../lib/apiClient';
 import { useAuth } from '../lib/auth';
+import { fetchTasks } from '../lib/syncQueue';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/Card';
-import { Input } from '../components/ui/Input';
+import { Input, Textarea } from '../components/ui/Input';
 import { Button } from '../components/ui/Button';
 import TaskTable from '../components/TaskTable';
 import { Badge } from '../components/ui/Badge';
@@ -13,15 +14,18 @@ import styles from '../styles/TasksPage.module.css';
 const statusOptions = [
   { value: 'all', label: 'All statuses' },
   { value: 'open', label: 'Pending' },
-  { value: 'expired', label: 'Overdue' },
+  { value: 'overdue', label: 'Overdue' },
+  { value: 'expired', label: 'Expired' },
   { value: 'submitted', label: 'Completed' },
 ];
 
 const statusMeta = {
   open: { label: 'Pending', variant: 'primary' },
+  overdue: { label: 'Overdue', variant: 'danger' },
   submitted: { label: 'Completed', variant: 'success' },
-  expired: { label: 'Overdue', variant: 'danger' },
+  expired: { label: 'Expired', variant: 'warning' },
 };
+const displayStatus = (task) => (task.overdue ? 'overdue' : task.status);
 const statusVariant = (status) => statusMeta[status]?.variant || 'neutral';
 const statusLabel = (status) => statusMeta[status]?.label || status;
 
@@ -34,13 +38,13 @@ const Tasks = () => {
   const [studyFilter, setStudyFilter] = useState('all');
   const [hideCompleted, setHideCompleted] = useState(false);
   const [selectedTask, setSelectedTask] = useState(null);
+  const [voidReason, setVoidReason] = useState('');
 
+  // Served from the device while offline (see lib/syncQueue.js)
   const tasksQuery = useQuery({
     queryKey: ['tasks'],
-    queryFn: async () => {
-      const response = await apiClient.get('/api/tasks');
-      return response.data.tasks;
-    },
+    queryFn: fetchTasks,
+    networkMode: 'always',
   });
 
   const studiesQuery = useQuery({
@@ -52,13 +56,13 @@ const Tasks = () => {
     enabled: user.role !== 'staff',
   });
 
-  const tasks = useMemo(() => tasksQuery.data ?? [], [tasksQuery.data]);
+  const tasks = useMemo(() => tasksQuery.data?.tasks ?? [], [tasksQuery.data]);
   const studies = useMemo(() => studiesQuery.data ?? [], [studiesQuery.data]);
 
   const filteredTasks = useMemo(() => {
     const query = search.trim().toLowerCase();
     return tasks.filter((task) => {
-      if (status !== 'all' && task.status !== status) return false;
+      if (status === 'overdue' ? !task.overdue : status !== 'all' && task.status !== status) return false;
       if (hideCompleted && task.status === 'submitted') return false;
       if (studyFilter !== 'all') {
         const studyId = task.studyId?._id || task.studyId;
@@ -89,12 +93,14 @@ const Tasks = () => {
     return copy;
   }, [filteredTasks]);
 
-  const stats = useMemo(() => {
-    const pending = tasks.filter((task) => task.status === 'open').length;
-    const overdue = tasks.filter((task) => task.status === 'expired').length;
-    const completed = tasks.filter((task) => task.status === 'submitted').length;
-    return { total: tasks.length, pending, overdue, completed };
-  }, [tasks]);
+  const counts = tasksQuery.data?.counts;
+  const stats = {
+    total: counts?.total ?? tasks.length,
+    pending: counts?.open ?? 0,
+    overdue: counts?.overdue ?? 0,
+    expired: counts?.expired ?? 0,
+    completed: counts?.submitted ?? 0,
+  };
 
   const studyOptions = useMemo(() => {
     if (studies.length) {
@@ -112,16 +118,22 @@ const Tasks = () => {
     return Array.from(map.values());
   }, [studies, tasks]);
 
-  const openTaskModal = (task) => setSelectedTask(task);
-
-  const resetTaskMutation = useMutation({
-    mutationFn: (taskId) => apiClient.delete(`/api/tasks/${taskId}/response`),
+  // Submissions are voided, never deleted; the answers stay in the revision history
+  const voidResponseMutation = useMutation({
+    mutationFn: ({ taskId, reason }) =>
+      apiClient.delete(`/api/tasks/${taskId}/response`, { data: { reason } }),
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: ['tasks'] });
       setSelectedTask(null);
     },
   });
 
+  const openTaskModal = (task) => {
+    setVoidReason('');
+    voidResponseMutation.reset();
+    setSelectedTask(task);
+  };
+
   const handleNavigateToForm = (task) => {
     const formId = task.formId?._id || task.formId;
     setSelectedTask(null);
@@ -163,10 +175,11 @@ const Tasks = () => {
         <Card>
           <CardHeader>
             <CardTitle>Overdue</CardTitle>
-            <CardDescription>Past due date</CardDescription>
+            <CardDescription>Past due date, still open</CardDescription>
           </CardHeader>
           <CardContent>
             <div className={styles.statValueDanger}>{stats.overdue}</div>
+            {stats.expired ? <div className={styles.statNote}>{stats.expired} expired</div> : null}
           </CardContent>
         </Card>
         <Card>
@@ -183,7 +196,11 @@ const Tasks = () => {
       <Card>
         <CardHeader>
           <CardTitle>Task list</CardTitle>
-          <CardDescription>Adjust filters, then open forms to complete or review submissions.</CardDescription>
+          <CardDescription>
+            {tasksQuery.data?.cachedAt
+              ? `Offline · showing tasks saved on this device ${new Date(tasksQuery.data.cachedAt).toLocaleString()}.`
+              : 'Adjust filters, then open forms to complete or review submissions.'}
+          </CardDescription>
         </CardHeader>
         <CardContent className={styles.tasksSection}>
           <div className={styles.filters}>
@@ -295,26 +312,59 @@ const Tasks = () => {
                   </div>
                   <div>
                     <span className={styles.summaryLabel}>Status</span>
-                    <Badge variant={statusVariant(selectedTask.status)}>
-                      {statusLabel(selectedTask.status)}
+                    <Badge variant={statusVariant(displayStatus(selectedTask))}>
+                      {statusLabel(displayStatus(selectedTask))}
                     </Badge>
                   </div>
+                  {selectedTask.draftSavedAt ? (
+                    <div>
+                      <span className={styles.summaryLabel}>Draft</span>
+                      <span className={styles.summaryValue}>
+                        Saved {new Date(selectedTask.draftSavedAt).toLocaleString()}
+                      </span>
+                    </div>
+                  ) : null}
                 </div>
+                {selectedTask.status === 'submitted' ? (
+                  <label className={styles.voidReason}>
+                    <span className={styles.summaryLabel}>Reason for voiding</span>
+                    <Textarea
+                      rows={2}
+                      value={voidReason}
+                      onChange={(event) => setVoidReason(event.target.value)}
+                      placeholder="Required to void, e.g. entered for the wrong patient"
+                    />
+                  </label>
+                ) : null}
+                {voidResponseMutation.isError ? (
+                  <span className={styles.voidError}>
+                    {voidResponseMutation.error.response?.data?.error || 'Unable to void submission.'}
+                  </span>
+                ) : null}
               </CardContent>
               <CardContent className={styles.modalActions}>
                 {selectedTask.status === 'submitted' ? (
                   <>
-                    <Button onClick={() => handleNavigateToForm(selectedTask)}>Edit submission</Button>
+                    <Button onClick={() => handleNavigateToForm(selectedTask)}>
+                      {selectedTask.draftSavedAt ? 'Resume draft' : 'Edit submission'}
+                    </Button>
                     <Button
                       variant="outline"
-                      onClick={() => resetTaskMutation.mutate(selectedTask._id)}
-                      disabled={resetTaskMutation.isLoading}
+                      onClick={() =>
+                        voidResponseMutation.mutate({
+                          taskId: selectedTask._id,
+                          reason: voidReason.trim(),
+                        })
+                      }
+                      disabled={voidResponseMutation.isPending || !voidReason.trim()}
                     >
-                      {resetTaskMutation.isLoading ? 'Removing…' : 'Delete submission'}
+                      {voidResponseMutation.isPending ? 'Voiding…' : 'Void submission'}
                     </Button>
                   </>
                 ) : (
-                  <Button onClick={() => handleNavigateToForm(selectedTask)}>Begin form</Button>
+                  <Button onClick={() => handleNavigateToForm(selectedTask)}>
+                    {selectedTask.draftSavedAt ? 'Resume draft' : 'Begin form'}
+                  </Button>
                 )}
                 <Button type="button" variant="ghost" onClick={() => setSelectedTask(null)}>
                   Close
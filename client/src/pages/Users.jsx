@@ -254,6 +254,7 @@ const Users = () => {
       displayName: form.get('displayName'),
       role: form.get('role'),
       category: form.get('category') || undefined,
+      phone: form.get('phone')?.trim() || undefined,
     };
 
     if (setPassword) {
@@ -478,6 +479,10 @@ const Users = () => {
                     Team
                     <Input name="category" placeholder="e.g. Cardiology" />
                   </label>
+                  <label>
+                    Mobile (for SMS)
+                    <Input name="phone" type="tel" placeholder="+15551234567" />
+                  </label>
                   <label>
                     Role
                     <select name="role" defaultValue="researcher">
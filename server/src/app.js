@@ -15,6 +15,10 @@ const studiesRoutes = require('./routes/studies.routes');
 const formsRoutes = require('./routes/forms.routes');
 const tasksRoutes = require('./routes/tasks.routes');
 const superadminRoutes = require('./routes/superadmin.routes');
+const notificationsRoutes = require('./routes/notifications.routes');
+const eventsRoutes = require('./routes/events.routes');
+const publicRoutes = require('./routes/public.routes');
+const devRoutes = require('./routes/dev.routes');
 const { notFoundHandler, errorHandler } = require('./middleware/error');
 
 const app = express();
@@ -81,10 +85,30 @@ const authLimiter = rateLimit({
   },
 });
 
+// Signing re-checks the password, so it gets the same guessing protection as login
+const signatureLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: process.env.NODE_ENV === 'production' ? 30 : 300,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => req.method !== 'POST',
+});
+
+// Patient links are unauthenticated; keep token guessing and form spam slow
+const publicLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: process.env.NODE_ENV === 'production' ? 60 : 600,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 if (config.nodeEnv !== 'test') {
   app.use(globalLimiter);
   app.use('/api/auth/login', authLimiter);
   app.use('/api/auth/refresh', authLimiter);
+  app.use('/api/tasks/:taskId/signatures', signatureLimiter);
+  app.use('/api/studies/:id/signatures', signatureLimiter);
+  app.use('/api/public', publicLimiter);
 }
 
 if (config.nodeEnv !== 'test') {
@@ -103,6 +127,12 @@ app.use('/api/studies', studiesRoutes);
 app.use('/api/forms', formsRoutes);
 app.use('/api/tasks', tasksRoutes);
 app.use('/api/superadmin', superadminRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/events', eventsRoutes);
+app.use('/api/public', publicRoutes);
+if (config.nodeEnv !== 'production') {
+  app.use('/api/dev', devRoutes);
+}
 
 app.use(notFoundHandler);
 app.use(errorHandler);
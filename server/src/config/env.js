@@ -1,3 +1,4 @@
+const path = require('path');
 const dotenv = require('dotenv');
 
 dotenv.config();
@@ -10,9 +11,18 @@ const requiredEnv = (key, defaultValue) => {
   return value;
 };
 
+// A secret that signs credentials; its development default is refused in production
+const requiredSecret = (key, devDefault) => {
+  if (process.env.NODE_ENV === 'production' && !process.env[key]) {
+    throw new Error(`Missing required env var ${key}`);
+  }
+  return requiredEnv(key, devDefault);
+};
+
 module.exports = {
   nodeEnv: process.env.NODE_ENV || 'development',
   port: Number(process.env.PORT) || 4000,
+  // A replica set (a single member will do): patient imports run in a transaction
   mongoUri: requiredEnv('MONGO_URI', 'mongodb://127.0.0.1:27017/hospital-research'),
   jwt: {
     accessSecret: requiredEnv('JWT_ACCESS_SECRET', 'dev-access-secret'),
@@ -20,6 +30,53 @@ module.exports = {
     accessTtl: process.env.JWT_ACCESS_TTL || '15m',
     refreshTtl: process.env.JWT_REFRESH_TTL || '7d',
   },
+  fhir: {
+    // Canonical base for Questionnaire URLs published by this server
+    baseUrl: (process.env.FHIR_BASE_URL || 'http://localhost:4000/fhir').replace(/\/+$/, ''),
+    // Where bulk $export jobs write their NDJSON files
+    exportDir: process.env.FHIR_EXPORT_DIR || path.join(__dirname, '..', '..', 'exports'),
+  },
+  scheduler: {
+    // How often diary entries are materialized, overdue tasks expired and queued
+    // email and SMS sent
+    intervalMs: Number(process.env.SCHEDULER_INTERVAL_MS) || 5 * 60 * 1000,
+    // How long a crashed instance can hold the job before another takes over
+    leaseMs: Number(process.env.SCHEDULER_LEASE_MS) || 10 * 60 * 1000,
+  },
+  // Public address of the web client, used for links in notifications
+  appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+  patientLinks: {
+    // Signs the one-time self-report links handed to patients
+    secret: requiredSecret('PATIENT_LINK_SECRET', 'dev-patient-link-secret'),
+    ttlHours: Number(process.env.PATIENT_LINK_TTL_HOURS) || 72,
+  },
+  notifications: {
+    // Channels used when a message or rule names none, e.g. "inapp,email,sms"
+    defaultChannels: (process.env.NOTIFY_CHANNELS || '')
+      .split(',')
+      .map((item) => item.trim())
+      .filter(Boolean),
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.MAIL_FROM || 'Hospital Research <no-reply@localhost>',
+    },
+    sms: {
+      // Generic HTTP gateway: POST { to, from, message } as JSON with a bearer token
+      url: process.env.SMS_GATEWAY_URL,
+      token: process.env.SMS_GATEWAY_TOKEN,
+      from: process.env.SMS_FROM,
+    },
+    // Outside production, email and SMS without a configured transport land in
+    // the dev inbox (GET /api/dev/inbox) instead of being dropped
+    devInbox: (process.env.NODE_ENV || 'development') !== 'production' && process.env.DEV_INBOX !== 'false',
+    maxAttempts: Number(process.env.NOTIFY_MAX_ATTEMPTS) || 5,
+    // First retry delay; doubles with every failed attempt
+    retryBaseMs: Number(process.env.NOTIFY_RETRY_BASE_MS) || 60 * 1000,
+  },
   corsAllowlist: (process.env.CORS_ALLOWLIST ||
     'http://localhost:5173,http://127.0.0.1:5173,http://localhost:3000,http://127.0.0.1:3000')
     .split(',')
@@ -1,6 +1,7 @@
 const config = require('./config/env');
 const { connectDb } = require('./config/db');
 const app = require('./app');
+const { startScheduler } = require('./services/scheduler');
 
 const start = async () => {
   // bind HTTP first
@@ -20,6 +21,7 @@ const start = async () => {
       console.log(`[db] connect attempt ${attempt}/${maxRetries}`);
       await connectDb();
       console.log('[db] connected');
+      startScheduler(config.scheduler);
       break;
     } catch (err) {
       console.error('[db] connect failed:', err?.name, err?.code || '', err?.message);
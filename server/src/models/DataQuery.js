@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ['opened', 'answered', 'corrected', 'reopened', 'closed'],
+      required: true,
+    },
+    body: { type: String },
+    // Set when the answer changed the value (see services/dataQueries.js)
+    correction: {
+      from: { type: mongoose.Schema.Types.Mixed },
+      to: { type: mongoose.Schema.Types.Mixed },
+      revision: { type: Number },
+    },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Data clarification query raised by a reviewer against one answer of a
+// FormResponse. Moves open → answered → closed; a reviewer may reopen an answer.
+const dataQuerySchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    studyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Study', required: true },
+    formId: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', required: true },
+    responseId: { type: mongoose.Schema.Types.ObjectId, ref: 'FormResponse', required: true },
+    // Task the query was raised from, used to link back to FormRunner
+    taskId: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+    pid: { type: String, required: true },
+    eventId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    occurrence: { type: Number, default: null },
+    // Answer path as used by validation ("group.q", "meds[0].dose")
+    path: { type: String, required: true },
+    itemText: { type: String },
+    // Value and response revision the reviewer was looking at
+    value: { type: mongoose.Schema.Types.Mixed },
+    responseRevision: { type: Number },
+    status: { type: String, enum: ['open', 'answered', 'closed'], default: 'open' },
+    messages: { type: [messageSchema], default: [] },
+    openedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    answeredAt: { type: Date },
+    answeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    closedAt: { type: Date },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+dataQuerySchema.index({ studyId: 1, status: 1 });
+dataQuerySchema.index({ orgId: 1, formId: 1, pid: 1 });
+
+module.exports = mongoose.model('DataQuery', dataQuerySchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const exportOutputSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true },
+    fileName: { type: String, required: true },
+    count: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const exportJobSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    studyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Study', required: true },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    request: { type: String, required: true },
+    types: [{ type: String }],
+    since: { type: Date },
+    status: {
+      type: String,
+      enum: ['queued', 'in-progress', 'completed', 'failed'],
+      default: 'queued',
+    },
+    progress: { type: String },
+    transactionTime: { type: Date },
+    output: [exportOutputSchema],
+    errorMessage: { type: String },
+    completedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+exportJobSchema.index({ studyId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
@@ -9,8 +9,24 @@ const formSchema = new mongoose.Schema(
     schema: { type: mongoose.Schema.Types.Mixed, required: true },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     isActive: { type: Boolean, default: true },
+    // Revisions are immutable: an edit creates a new Form in the same lineage.
+    lineageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Form' },
+    revision: { type: Number, default: 1, min: 1 },
+    previousRevisionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Form' },
+    supersededBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', default: null },
+    supersededAt: { type: Date },
   },
   { timestamps: true }
 );
 
+// The first revision is the root of its own lineage
+formSchema.pre('validate', function setLineage(next) {
+  if (!this.lineageId) {
+    this.lineageId = this._id;
+  }
+  next();
+});
+
+formSchema.index({ lineageId: 1, revision: 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model('Form', formSchema);
@@ -1,18 +1,75 @@
 const mongoose = require('mongoose');
 
+// Source data verification of a single answer at a given revision
+const verifiedFieldSchema = new mongoose.Schema(
+  {
+    path: { type: String, required: true },
+    revision: { type: Number, required: true },
+    verifiedAt: { type: Date, default: Date.now },
+    verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { _id: false }
+);
+
+const reviewEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ['started', 'verified', 'locked', 'unlocked', 'reset'],
+      required: true,
+    },
+    from: { type: String },
+    to: { type: String },
+    reason: { type: String },
+    revision: { type: Number },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { _id: false }
+);
+
 const formResponseSchema = new mongoose.Schema(
   {
     formId: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', required: true },
     studyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Study', required: true },
     orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
     pid: { type: String, required: true },
+    // Study event (visit) the answers were collected at; null when unscheduled
+    eventId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // Entry number of a recurring (diary) assignment; null for one-off tasks
+    occurrence: { type: Number, default: null },
     answers: { type: mongoose.Schema.Types.Mixed, required: true },
+    // Author of the current revision; earlier ones live in ResponseRevision. Patients
+    // answering through a self-report link (services/patientLinks.js) have no User.
     authoredAt: { type: Date, default: Date.now },
-    authoredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    authorType: { type: String, enum: ['user', 'patient'], default: 'user' },
+    authoredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required() {
+        return this.authorType !== 'patient';
+      },
+    },
+    revision: { type: Number, default: 1 },
+    // Voided responses keep their answers for the audit trail but drop out of listings
+    status: { type: String, enum: ['active', 'voided'], default: 'active' },
+    voidedAt: { type: Date },
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    voidReason: { type: String },
+    // submitted → under_review → verified → locked (see services/responseReview.js)
+    reviewStatus: {
+      type: String,
+      enum: ['submitted', 'under_review', 'verified', 'locked'],
+      default: 'submitted',
+    },
+    verifiedFields: { type: [verifiedFieldSchema], default: [] },
+    reviewHistory: { type: [reviewEventSchema], default: [] },
   },
   { timestamps: true }
 );
 
 formResponseSchema.index({ studyId: 1, pid: 1 });
+// One response per form, patient, visit and diary entry; edits are revisions of it
+formResponseSchema.index({ orgId: 1, formId: 1, pid: 1, eventId: 1, occurrence: 1 }, { unique: true });
 
 module.exports = mongoose.model('FormResponse', formResponseSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Exclusive, expiring claim on a background job so only one server instance runs
+// it at a time (see services/jobLease.js). The job name is the _id.
+const jobLeaseSchema = new mongoose.Schema(
+  {
+    _id: { type: String },
+    owner: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    lastRunAt: { type: Date },
+    lastResult: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('JobLease', jobLeaseSchema);
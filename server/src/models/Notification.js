@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// In-app notification shown in a user's notification center. `type` is
+// task_assigned or the trigger of the study rule that sent it.
+const notificationSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, required: true },
+    title: { type: String, required: true },
+    body: { type: String },
+    // What the notification opens: a task (with its form), a patient or a study
+    link: {
+      taskId: { type: mongoose.Schema.Types.ObjectId, ref: 'Task' },
+      formId: { type: mongoose.Schema.Types.ObjectId, ref: 'Form' },
+      studyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Study' },
+      pid: { type: String },
+    },
+    readAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ 'link.studyId': 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
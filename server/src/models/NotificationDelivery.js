@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One message to one user through one channel (email, SMS, ...), with its
+// delivery attempts. services/notificationDelivery.js sends and retries it.
+const notificationDeliverySchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    channel: { type: String, required: true },
+    // Address used for the channel (email address, phone number); empty if the user has none
+    to: { type: String },
+    subject: { type: String },
+    text: { type: String, required: true },
+    status: { type: String, enum: ['pending', 'sent', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    // When a pending delivery is sent or retried next
+    nextAttemptAt: { type: Date },
+    lastError: { type: String },
+    sentAt: { type: Date },
+    // Message id returned by the SMTP server or SMS gateway
+    providerId: { type: String },
+    // What caused the message
+    context: {
+      studyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Study' },
+      formId: { type: mongoose.Schema.Types.ObjectId, ref: 'Form' },
+      trigger: { type: String },
+      ruleId: { type: mongoose.Schema.Types.ObjectId },
+    },
+  },
+  { timestamps: true }
+);
+
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+notificationDeliverySchema.index({ orgId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
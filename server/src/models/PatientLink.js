@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One-time link a patient uses to answer a task themselves (ePRO). The link
+// carries a signed token naming this record; the record makes it single-use and
+// revocable. See services/patientLinks.js.
+const patientLinkSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    studyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Study', required: true },
+    taskId: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', required: true },
+    formId: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', required: true },
+    pid: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Set when the patient submitted
+    usedAt: { type: Date, default: null },
+    responseId: { type: mongoose.Schema.Types.ObjectId, ref: 'FormResponse' },
+    // Set when staff withdrew the link or a newer link replaced it
+    revokedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+patientLinkSchema.index({ taskId: 1, usedAt: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('PatientLink', patientLinkSchema);
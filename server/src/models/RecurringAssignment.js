@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A form issued to one patient on a daily or weekly rule (symptom diaries). Each
+// entry is a Task per assignee, numbered by `occurrence` like a visit is by eventId;
+// services/recurringTasks.js materializes them ahead of time and expires missed ones.
+const recurringAssignmentSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    studyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Study', required: true },
+    formId: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', required: true },
+    pid: { type: String, required: true },
+    assignees: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    frequency: { type: String, enum: ['daily', 'weekly'], required: true },
+    // "HH:mm" in the server's time zone
+    timeOfDay: { type: String, required: true },
+    // Ends after `count` entries or with the last entry on or before `endAt`
+    count: { type: Number },
+    endAt: { type: Date },
+    firstAt: { type: Date, required: true },
+    // Occurrence numbers continue across diaries of the same form and patient
+    firstOccurrence: { type: Number, required: true },
+    lastOccurrence: { type: Number, required: true },
+    // Next entry to materialize and when it starts
+    nextOccurrence: { type: Number, required: true },
+    nextAt: { type: Date },
+    status: { type: String, enum: ['active', 'completed', 'cancelled'], default: 'active' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+recurringAssignmentSchema.index({ status: 1, nextAt: 1 });
+recurringAssignmentSchema.index({ orgId: 1, pid: 1 });
+// One running diary per form and patient
+recurringAssignmentSchema.index(
+  { orgId: 1, formId: 1, pid: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+module.exports = mongoose.model('RecurringAssignment', recurringAssignmentSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Work-in-progress answers for a logical task (form + patient + visit + diary entry), shared by its
+// co-assignees like the FormResponse it turns into. Removed on submit.
+const responseDraftSchema = new mongoose.Schema(
+  {
+    formId: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', required: true },
+    studyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Study', required: true },
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    pid: { type: String, required: true },
+    eventId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    occurrence: { type: Number, default: null },
+    answers: { type: mongoose.Schema.Types.Mixed, default: {} },
+    savedAt: { type: Date, default: Date.now },
+    savedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true, minimize: false }
+);
+
+responseDraftSchema.index({ orgId: 1, formId: 1, pid: 1, eventId: 1, occurrence: 1 }, { unique: true });
+
+module.exports = mongoose.model('ResponseDraft', responseDraftSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema(
+  {
+    path: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
+// Append-only audit trail of a FormResponse: one entry per submission or void
+const responseRevisionSchema = new mongoose.Schema(
+  {
+    responseId: { type: mongoose.Schema.Types.ObjectId, ref: 'FormResponse', required: true },
+    formId: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', required: true },
+    studyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Study', required: true },
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    pid: { type: String, required: true },
+    revision: { type: Number, required: true },
+    action: { type: String, enum: ['created', 'updated', 'voided'], required: true },
+    // Full answers as of this revision, so any revision can be reproduced on its own
+    answers: { type: mongoose.Schema.Types.Mixed, default: {} },
+    changes: { type: [changeSchema], default: [] },
+    reason: { type: String },
+    // Client-generated id of the submission; a replayed offline submission is recognised by it
+    submissionId: { type: String },
+    authoredAt: { type: Date, required: true },
+    authorType: { type: String, enum: ['user', 'patient'], default: 'user' },
+    authoredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required() {
+        return this.authorType !== 'patient';
+      },
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, minimize: false }
+);
+
+responseRevisionSchema.index({ responseId: 1, revision: 1 }, { unique: true });
+responseRevisionSchema.index({ responseId: 1, submissionId: 1 }, { sparse: true });
+
+module.exports = mongoose.model('ResponseRevision', responseRevisionSchema);
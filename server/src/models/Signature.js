@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Electronic signature over a FormResponse revision or a study status.
+// Signer details are copied at signing time so the manifestation survives later
+// profile edits. Signatures are never deleted; a change to the signed content
+// sets invalidatedAt instead.
+const signatureSchema = new mongoose.Schema(
+  {
+    orgId: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+    studyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Study', required: true },
+    targetType: { type: String, enum: ['response', 'study'], required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // Response revision or study status that was signed
+    targetRevision: { type: Number },
+    targetStatus: { type: String },
+    contentHash: { type: String, required: true },
+    meaning: { type: String, enum: ['authored', 'reviewed', 'approved'], required: true },
+    // Credentials that were re-verified, e.g. ['password']
+    method: { type: [String], default: ['password'] },
+    signedAt: { type: Date, required: true },
+    signedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    signerName: { type: String, required: true },
+    signerEmail: { type: String, required: true },
+    signerRole: { type: String, required: true },
+    invalidatedAt: { type: Date },
+    invalidatedReason: { type: String },
+  },
+  { timestamps: true }
+);
+
+signatureSchema.index({ targetType: 1, targetId: 1, signedAt: -1 });
+signatureSchema.index({ studyId: 1, targetType: 1 });
+
+module.exports = mongoose.model('Signature', signatureSchema);
@@ -1,9 +1,101 @@
 const mongoose = require('mongoose');
 
-const notificationSchema = new mongoose.Schema(
+// Notification rule evaluated by services/notificationRules.js. `when` is the old
+// free-text trigger; rules without a typed `trigger` never fire.
+const notificationSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: [
+      'task_created',
+      'task_due_soon',
+      'task_overdue',
+      'response_submitted',
+      'study_status_changed',
+      'query_opened',
+    ],
+  },
+  toRole: { type: String, enum: ['admin', 'researcher', 'staff'] },
+  // task_due_soon: how many days before the due date
+  daysBefore: { type: Number, min: 0 },
+  // Delivery channels (services/notify.js); empty means the defaults
+  channels: [{ type: String }],
+  // Message with {{placeholders}}; empty uses the trigger's default
+  template: { type: String },
+  enabled: { type: Boolean, default: true },
+  when: { type: String },
+});
+
+// Visit of a longitudinal schedule, timed from each patient's day 0
+// (see services/visitSchedule.js)
+const studyEventSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  label: { type: String, required: true },
+  dayOffset: { type: Number, required: true, default: 0 },
+  // Days before and after the nominal day in which the visit may take place
+  windowBefore: { type: Number, default: 0, min: 0 },
+  windowAfter: { type: Number, default: 0, min: 0 },
+  // Form lineages administered at the visit; empty means every study form
+  formIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Form' }],
+});
+
+const scheduleStartSchema = new mongoose.Schema(
+  {
+    pid: { type: String, required: true },
+    startAt: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+// Status change of a study subject (see services/enrollments.js)
+const enrollmentChangeSchema = new mongoose.Schema(
+  {
+    status: { type: String, required: true },
+    reason: { type: String },
+    at: { type: Date, required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { _id: false }
+);
+
+// A patient's participation in the study, from screening to withdrawal or completion
+const enrollmentSchema = new mongoose.Schema(
+  {
+    pid: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ['screened', 'consented', 'enrolled', 'withdrawn', 'completed'],
+      required: true,
+    },
+    // Study-specific subject number, unique within the study
+    subjectNumber: { type: String },
+    screenedAt: { type: Date },
+    consentedAt: { type: Date },
+    enrolledAt: { type: Date },
+    withdrawnAt: { type: Date },
+    completedAt: { type: Date },
+    withdrawalReason: { type: String },
+    history: { type: [enrollmentChangeSchema], default: [] },
+  },
+  { _id: false }
+);
+
+// Database lock and unlock events recorded by the closeout workflow
+// (see services/studyCloseout.js)
+const lockEventSchema = new mongoose.Schema(
   {
-    when: { type: String },
-    toRole: { type: String, enum: ['admin', 'researcher', 'staff'] },
+    action: { type: String, enum: ['locked', 'unlocked'], required: true },
+    reason: { type: String },
+    // Status before locking, restored on unlock
+    statusBefore: { type: String },
+    // Pre-lock check results at the time of locking
+    checks: {
+      openTasks: { type: Number },
+      openQueries: { type: Number },
+      unsignedResponses: { type: Number },
+    },
+    expiredTasks: { type: Number },
+    at: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   },
   { _id: false }
 );
@@ -18,9 +110,21 @@ const studySchema = new mongoose.Schema(
     baseFormId: { type: mongoose.Schema.Types.ObjectId, ref: 'Form' },
     allowedVariables: [{ type: String }],
     assignedStaff: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    // PIDs of every subject with an enrollment record, withdrawn ones included;
+    // kept in step with `enrollments` by services/enrollments.js
     assignedPatients: [{ type: String }],
+    enrollments: { type: [enrollmentSchema], default: [] },
     notifications: [notificationSchema],
+    events: { type: [studyEventSchema], default: [] },
+    // Day 0 of each enrolled patient's visit schedule: the enrollment date
+    scheduleStarts: { type: [scheduleStartSchema], default: [] },
+    // Hours an open task stays submittable after its due date before it expires
+    taskGraceHours: { type: Number, default: 0, min: 0 },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Set while the study is closed and its data frozen
+    lockedAt: { type: Date },
+    lockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    lockHistory: { type: [lockEventSchema], default: [] },
   },
   { timestamps: true }
 );
@@ -8,8 +8,20 @@ const taskSchema = new mongoose.Schema(
     pid: { type: String, required: true },
     // Legacy single-owner field; we intentionally keep it to avoid breaking existing creation code.
     assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Study event (visit) this task belongs to; null for unscheduled tasks
+    eventId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    // Nominal visit day and start of its window; the window ends at dueAt
+    scheduledAt: { type: Date },
+    windowStart: { type: Date },
     dueAt: { type: Date },
+    // Recurring (diary) assignment this task materializes and its 1-based entry number
+    recurrenceId: { type: mongoose.Schema.Types.ObjectId, ref: 'RecurringAssignment', default: null },
+    occurrence: { type: Number, default: null },
     status: { type: String, enum: ['open', 'submitted', 'expired'], default: 'open' },
+    // Answered by the patient through a one-time link rather than transcribed by staff
+    selfReport: { type: Boolean, default: false },
+    // Due-soon and overdue rules (Study.notifications ids) that already fired for this task
+    notifiedRules: [{ type: mongoose.Schema.Types.ObjectId }],
     createdAt: { type: Date, default: Date.now },
   },
   { timestamps: false }
@@ -17,12 +29,13 @@ const taskSchema = new mongoose.Schema(
 
 // For filtering and UI
 taskSchema.index({ assignee: 1, status: 1 });
+taskSchema.index({ recurrenceId: 1, status: 1 });
 
 // Idempotency per owner (kept to avoid breaking current creators)
 // NOTE: duplicates across owners are now grouped in API responses and co-updated on submit/delete.
 taskSchema.index(
-  { orgId: 1, studyId: 1, formId: 1, pid: 1, assignee: 1 },
-  { unique: true, name: 'uniq_task_assignment' }
+  { orgId: 1, studyId: 1, formId: 1, pid: 1, eventId: 1, occurrence: 1, assignee: 1 },
+  { unique: true, name: 'uniq_task_slot_assignment' }
 );
 
 module.exports = mongoose.model('Task', taskSchema);
@@ -40,6 +40,12 @@ const userSchema = new Schema(
       maxlength: 120,
       trim: true,
     },
+    // Mobile number for SMS notifications, in international format
+    phone: {
+      type: String,
+      maxlength: 32,
+      trim: true,
+    },
     orgId: {
       type: Schema.Types.ObjectId,
       ref: 'Organization',
@@ -0,0 +1,42 @@
+const express = require('express');
+const { listDevInbox, clearDevInbox } = require('../services/notificationTransports');
+
+// Development helpers; app.js only mounts this router outside production
+const router = express.Router();
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const inboxPage = (messages) => `<!doctype html>
+<html>
+  <head><meta charset="utf-8"><title>Dev inbox</title></head>
+  <body style="font-family: sans-serif; max-width: 48rem; margin: 2rem auto">
+    <h1>Dev inbox (${messages.length})</h1>
+    ${messages
+      .map(
+        (message) => `<article style="border-top: 1px solid #e2e8f0; padding: 0.75rem 0">
+      <div><strong>${escapeHtml(message.subject || '(no subject)')}</strong></div>
+      <div style="color: #64748b; font-size: 0.85rem">${escapeHtml(message.channel)} to ${escapeHtml(message.to)}
+        · ${escapeHtml(message.at.toISOString())}</div>
+      <pre style="white-space: pre-wrap">${escapeHtml(message.text)}</pre>
+    </article>`
+      )
+      .join('\n')}
+  </body>
+</html>`;
+
+// Email and SMS captured by the dev inbox transport, newest first; ?to= filters by address
+router.get('/inbox', (req, res) => {
+  const messages = listDevInbox({ to: typeof req.query.to === 'string' ? req.query.to : undefined });
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.type('html').send(inboxPage(messages));
+  }
+  return res.json({ messages });
+});
+
+router.delete('/inbox', (_req, res) => {
+  clearDevInbox();
+  res.status(204).send();
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/rbac');
+const { subscribe } = require('../services/liveEvents');
+
+const router = express.Router();
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+// Clients reconnect after this delay when the stream drops
+const RETRY_MS = 5000;
+
+/**
+ * Server-Sent Events stream of task, response and study changes the user may
+ * see (services/liveEvents.js). Authenticated like any API call; the stream ends
+ * when the access token expires so the client reconnects with a fresh one.
+ */
+router.get('/', auth, requireRole('admin', 'researcher', 'staff'), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disables response buffering in nginx
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const unsubscribe = subscribe(req.user, (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const expiresIn = req.auth.exp ? req.auth.exp * 1000 - Date.now() : null;
+  const expiry = expiresIn ? setTimeout(() => res.end(), Math.max(expiresIn, 0)) : null;
+
+  req.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
+});
+
+module.exports = router;
@@ -8,7 +8,24 @@ const Study = require('../models/Study');
 const Patient = require('../models/Patient');
 const User = require('../models/User');
 const Task = require('../models/Task');
+const RecurringAssignment = require('../models/RecurringAssignment');
+const config = require('../config/env');
 const { notifyUsers } = require('../services/notify');
+const { renderMessage } = require('../services/notificationTemplates');
+const { notifyTasksCreated } = require('../services/notificationRules');
+const { notifyTaskAssigned } = require('../services/inAppNotifications');
+const { publishTasksCreated } = require('../services/liveEvents');
+const { issuePatientLink } = require('../services/patientLinks');
+const { ensureLatestRevision, lineageFormIds } = require('../services/formRevisions');
+const { ensureStudyOpen } = require('../services/studyCloseout');
+const { eventWindow, findEvent, scheduleStartOf } = require('../services/visitSchedule');
+const {
+  MAX_OCCURRENCES,
+  planRecurrence,
+  createRecurringAssignment,
+  cancelRecurringAssignment,
+} = require('../services/recurringTasks');
+const { toQuestionnaire } = require('../utils/fhir');
 
 const router = express.Router();
 
@@ -78,13 +95,57 @@ router.get(
   }
 );
 
+router.get(
+  '/:id/fhir',
+  auth,
+  async (req, res, next) => {
+    try {
+      const form = await Form.findById(req.params.id);
+      await ensureFormReadAccess(req.user, form);
+      res.type('application/fhir+json').send(JSON.stringify(toQuestionnaire(form)));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Diary rule: an entry every day or week at timeOfDay (server time), ending after
+// `count` entries or at `endAt`
+const recurrenceSchema = z
+  .object({
+    frequency: z.enum(['daily', 'weekly']),
+    timeOfDay: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Use HH:mm'),
+    startAt: z.string().datetime().optional(),
+    count: z.number().int().min(1).max(MAX_OCCURRENCES).optional(),
+    endAt: z.string().datetime().optional(),
+  })
+  .refine((rule) => Boolean(rule.count) !== Boolean(rule.endAt), {
+    message: 'Provide either count or endAt',
+    path: ['count'],
+  });
+
 // Allow assigning to staff OR researchers.
 // If no assignee provided, auto-assign to all owners of the patient with role in ['staff','researcher'].
-const assignSchema = z.object({
-  pid: z.array(z.string()).nonempty(),
-  assignee: z.string().optional(),          // may be staff or researcher
-  dueAt: z.string().datetime().optional(),
-});
+const assignSchema = z
+  .object({
+    pid: z.array(z.string()).nonempty(),
+    assignee: z.string().optional(),          // may be staff or researcher
+    dueAt: z.string().datetime().optional(),
+    // Study event (visit); the due date defaults to the end of the patient's visit window
+    eventId: z.string().optional(),
+    // Recurring diary instead of a single task (see services/recurringTasks.js)
+    recurrence: recurrenceSchema.optional(),
+    // Patient answers through a one-time link (services/patientLinks.js)
+    selfReport: z.boolean().optional(),
+  })
+  .superRefine((body, ctx) => {
+    if (!body.recurrence) return;
+    ['dueAt', 'eventId', 'selfReport'].forEach((key) => {
+      if (body[key]) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [key], message: 'Not allowed with recurrence' });
+      }
+    });
+  });
 
 router.post(
   '/:id/assign',
@@ -106,6 +167,8 @@ router.post(
         throw error;
       }
 
+      ensureLatestRevision(form);
+
       let study = null;
       if (form.studyId) {
         study = await Study.findById(form.studyId);
@@ -115,6 +178,14 @@ router.post(
           throw error;
         }
         ensureStudyWrite(req.user, study);
+        ensureStudyOpen(study);
+      }
+
+      const event = req.validatedBody.eventId ? findEvent(study, req.validatedBody.eventId) : null;
+      if (req.validatedBody.eventId && !event) {
+        const error = new Error('Event not found in this study');
+        error.status = 404;
+        throw error;
       }
 
       let explicitAssignee = null;
@@ -139,7 +210,14 @@ router.post(
         throw error;
       }
 
+      const { recurrence } = req.validatedBody;
+      const plan = recurrence ? planRecurrence(recurrence) : null;
+
       const createdTasks = [];
+      const recurrences = [];
+      // Self-report: the open task of each patient that the link answers
+      const linkTasks = [];
+      const lineageIds = await lineageFormIds(form);
 
       // eslint-disable-next-line no-restricted-syntax
       for (const pid of req.validatedBody.pid) {
@@ -173,18 +251,41 @@ router.post(
           throw error;
         }
 
+        if (recurrence) {
+          // eslint-disable-next-line no-await-in-loop
+          const assignment = await createRecurringAssignment({
+            form,
+            pid,
+            assignees,
+            rule: recurrence,
+            plan,
+            user: req.user,
+          });
+          recurrences.push(assignment);
+          continue;
+        }
+
         // Create tasks per assignee, avoid duplicates within org
+        const startAt = event ? scheduleStartOf(study, pid) : null;
+        const window = event && startAt ? eventWindow(event, startAt) : {};
+
+        let linkTask = null;
         // eslint-disable-next-line no-restricted-syntax
         for (const user of assignees) {
           // eslint-disable-next-line no-await-in-loop
           const existing = await Task.findOne({
             orgId: req.user.orgId,               // CHANGED: include org
-            formId: form._id,
+            formId: { $in: lineageIds },         // an open task on any revision counts
             pid,
+            eventId: event ? event._id : null,
+            occurrence: null,
             assignee: user._id,
             status: 'open',
           });
-          if (existing) continue;
+          if (existing) {
+            linkTask = linkTask || existing;
+            continue;
+          }
 
           // eslint-disable-next-line no-await-in-loop
           const task = await Task.create({
@@ -192,15 +293,77 @@ router.post(
             studyId: form.studyId,
             orgId: req.user.orgId,
             pid,
+            eventId: event ? event._id : null,
+            ...window,
             assignee: user._id,
-            dueAt: dueAtDate,
+            dueAt: dueAtDate || window.dueAt,
             status: 'open',
+            selfReport: Boolean(req.validatedBody.selfReport),
           });
           createdTasks.push(task);
+          linkTask = linkTask || task;
+        }
+        if (req.validatedBody.selfReport && linkTask) linkTasks.push(linkTask);
+      }
+
+      // Diary entries notify as they are materialized
+      await notifyTasksCreated(createdTasks, req.user);
+      await publishTasksCreated(createdTasks, req.user);
+      if (recurrences.length) {
+        createdTasks.push(
+          ...(await Task.find({ recurrenceId: { $in: recurrences.map((assignment) => assignment._id) } }))
+        );
+      }
+      await notifyTaskAssigned(createdTasks);
+
+      const links = [];
+      // eslint-disable-next-line no-restricted-syntax
+      for (const task of linkTasks) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const { link, url } = await issuePatientLink(task, req.user);
+          links.push({ pid: task.pid, taskId: task._id, url, expiresAt: link.expiresAt });
+        } catch (error) {
+          // e.g. the patient already has a response; the other patients still get their link
+          if (error.status !== 409) throw error;
+          links.push({ pid: task.pid, taskId: task._id, error: error.message, code: error.code });
         }
       }
 
-      res.status(201).json({ tasks: createdTasks });
+      res.status(201).json({ tasks: createdTasks, recurrences, links });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Stop a patient's diary; entries not yet started are withdrawn
+router.delete(
+  '/:id/recurrences/:recurrenceId',
+  auth,
+  requireRole('admin', 'researcher'),
+  async (req, res, next) => {
+    try {
+      const assignment = await RecurringAssignment.findOne({
+        _id: req.params.recurrenceId,
+        formId: req.params.id,
+        orgId: req.user.orgId,
+      });
+      if (!assignment) {
+        const error = new Error('Diary not found');
+        error.status = 404;
+        throw error;
+      }
+      const study = await Study.findById(assignment.studyId);
+      if (!study) {
+        const error = new Error('Study not found');
+        error.status = 404;
+        throw error;
+      }
+      ensureStudyWrite(req.user, study);
+      ensureStudyOpen(study);
+
+      res.json({ recurrence: await cancelRecurringAssignment(assignment, req.user) });
     } catch (error) {
       next(error);
     }
@@ -219,8 +382,9 @@ router.post(
         error.status = 404;
         throw error;
       }
+      let study = null;
       if (form.studyId) {
-        const study = await Study.findById(form.studyId);
+        study = await Study.findById(form.studyId);
         if (!study) {
           const error = new Error('Study not found');
           error.status = 404;
@@ -232,11 +396,29 @@ router.post(
       const openTasks = await Task.find({ formId: form._id, orgId: req.user.orgId, status: 'open' }); // include org
       const assignees = [...new Set(openTasks.map((task) => task.assignee.toString()))];
       if (!assignees.length) {
-        return res.json({ notified: [] });
+        return res.json({ notified: [], deliveries: [] });
       }
 
-      notifyUsers(assignees, `Form ${form.schema.title} assigned`);
-      return res.json({ notified: assignees });
+      const deliveries = await notifyUsers(
+        assignees,
+        renderMessage('form_assigned', {
+          form: form.schema.title,
+          study: study?.title || 'your organization',
+          count: openTasks.length,
+          link: `${config.appUrl}/tasks`,
+        }),
+        { context: { studyId: form.studyId, formId: form._id } }
+      );
+      return res.json({
+        notified: assignees,
+        deliveries: deliveries.map((delivery) => ({
+          _id: delivery._id,
+          userId: delivery.userId,
+          channel: delivery.channel,
+          status: delivery.status,
+          lastError: delivery.lastError,
+        })),
+      });
     } catch (error) {
       return next(error);
     }
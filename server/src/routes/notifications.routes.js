@@ -0,0 +1,100 @@
+const express = require('express');
+const { z } = require('zod');
+const Notification = require('../models/Notification');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/rbac');
+const { validateQuery } = require('../utils/validate');
+
+const router = express.Router();
+
+const unreadCount = (user) => Notification.countDocuments({ userId: user._id, readAt: null });
+
+const listQuerySchema = z.object({
+  unread: z
+    .string()
+    .transform((value) => value === 'true')
+    .optional(),
+  // Paging: notifications created before this time
+  before: z.string().datetime().optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+// The signed-in user's notifications, newest first, with the unread count
+router.get(
+  '/',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  validateQuery(listQuerySchema),
+  async (req, res, next) => {
+    try {
+      const { unread, before, limit } = req.validatedQuery;
+      const filter = { userId: req.user._id };
+      if (unread) filter.readAt = null;
+      if (before) filter.createdAt = { $lt: new Date(before) };
+
+      const [notifications, count] = await Promise.all([
+        Notification.find(filter).sort({ createdAt: -1 }).limit(limit),
+        unreadCount(req.user),
+      ]);
+      res.json({ notifications, unread: count });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Cheap poll for the unread badge
+router.get(
+  '/unread-count',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  async (req, res, next) => {
+    try {
+      res.json({ unread: await unreadCount(req.user) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/read-all',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  async (req, res, next) => {
+    try {
+      const result = await Notification.updateMany(
+        { userId: req.user._id, readAt: null },
+        { $set: { readAt: new Date() } }
+      );
+      res.json({ updated: result.modifiedCount, unread: 0 });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/:id/read',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  async (req, res, next) => {
+    try {
+      const notification = await Notification.findOne({ _id: req.params.id, userId: req.user._id });
+      if (!notification) {
+        const error = new Error('Notification not found');
+        error.status = 404;
+        throw error;
+      }
+      if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save();
+      }
+      res.json({ notification, unread: await unreadCount(req.user) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -2,7 +2,8 @@ const express = require('express');
 const { z } = require('zod');
 const Organization = require('../models/Organization');
 const User = require('../models/User');
-const { validateBody } = require('../utils/validate');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const { validateBody, validateQuery } = require('../utils/validate');
 const auth = require('../middleware/auth');
 const { requireRole } = require('../middleware/rbac');
 
@@ -90,4 +91,34 @@ router.patch(
   }
 );
 
+const deliveriesQuerySchema = z.object({
+  status: z.enum(['pending', 'sent', 'failed']).optional(),
+  channel: z.string().max(32).optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(100),
+});
+
+// Email and SMS sent to the organization's users, newest first, with their delivery status
+router.get(
+  '/deliveries',
+  auth,
+  requireRole('admin'),
+  validateQuery(deliveriesQuerySchema),
+  async (req, res, next) => {
+    try {
+      const { status, channel, limit } = req.validatedQuery;
+      const deliveries = await NotificationDelivery.find({
+        orgId: req.user.orgId,
+        ...(status ? { status } : {}),
+        ...(channel ? { channel } : {}),
+      })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .populate('userId', 'displayName email');
+      res.json({ deliveries });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
@@ -6,6 +6,19 @@ const User = require('../models/User');
 const Task = require('../models/Task');
 const Study = require('../models/Study');
 const FormResponse = require('../models/FormResponse');
+const ResponseRevision = require('../models/ResponseRevision');
+const ResponseDraft = require('../models/ResponseDraft');
+const DataQuery = require('../models/DataQuery');
+const RecurringAssignment = require('../models/RecurringAssignment');
+const { responseSignatureMap } = require('../services/signatures');
+const { adherenceFor } = require('../services/recurringTasks');
+const {
+  pseudoIdRegex,
+  PID_FORMAT_MESSAGE,
+  planPatientImport,
+  applyPatientImport,
+  importReport,
+} = require('../services/patientImport');
 const auth = require('../middleware/auth');
 const { requireRole } = require('../middleware/rbac');
 const { validateBody, validateQuery } = require('../utils/validate');
@@ -66,13 +79,9 @@ router.get(
 /* --------------------------------- create --------------------------------- */
 
 const objectIdRegex = /^[a-f\d]{24}$/i;
-const pseudoIdRegex = /^[A-Z0-9_-]{3,}$/;
 
 const createSchema = z.object({
-  pid: z.string().regex(
-    pseudoIdRegex,
-    'PID must be uppercase letters, digits, _ or -, length ≥ 3'
-  ),
+  pid: z.string().regex(pseudoIdRegex, PID_FORMAT_MESSAGE),
   category: z.string().max(120).optional(),
   cohortTags: z.array(z.string()).optional(),
   strata: z.array(z.string()).optional(),
@@ -154,6 +163,36 @@ router.post(
   }
 );
 
+/* --------------------------------- import --------------------------------- */
+
+const importSchema = z.object({
+  // CSV text: pid, category, cohortTags, strata, owners (emails); lists separated by ";"
+  csv: z.string().min(1).max(900000),
+  // Only report what would happen unless explicitly confirmed
+  dryRun: z.boolean().default(true),
+});
+
+// Bulk registration (services/patientImport.js): a dry run reports every row,
+// the confirmed run creates the valid rows together and reports the rejected ones
+router.post(
+  '/import',
+  auth,
+  requireRole('admin', 'researcher'),
+  validateBody(importSchema),
+  async (req, res, next) => {
+    try {
+      const plan = await planPatientImport(req.validatedBody.csv, req.user.orgId);
+      if (req.validatedBody.dryRun) {
+        return res.json({ dryRun: true, created: 0, ...importReport(plan) });
+      }
+      const created = await applyPatientImport(plan);
+      return res.status(201).json({ dryRun: false, created, ...importReport(plan) });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
 /* --------------------------------- update --------------------------------- */
 
 const updateSchema = z.object({
@@ -163,10 +202,7 @@ const updateSchema = z.object({
   assignedStaff: z.array(z.string().regex(objectIdRegex, 'Invalid staff id')).optional(),
   isActive: z.boolean().optional(),
   status: z.enum(['active', 'inactive']).optional(),
-  newPid: z
-    .string()
-    .regex(pseudoIdRegex, 'PID must be uppercase letters, digits, _ or -, length ≥ 3')
-    .optional(),
+  newPid: z.string().regex(pseudoIdRegex, PID_FORMAT_MESSAGE).optional(),
 });
 
 router.patch(
@@ -233,6 +269,22 @@ router.patch(
               { pid: previousPid, orgId: req.user.orgId },
               { $set: { pid: nextPid } }
             ),
+            ResponseRevision.updateMany(
+              { pid: previousPid, orgId: req.user.orgId },
+              { $set: { pid: nextPid } }
+            ),
+            ResponseDraft.updateMany(
+              { pid: previousPid, orgId: req.user.orgId },
+              { $set: { pid: nextPid } }
+            ),
+            DataQuery.updateMany(
+              { pid: previousPid, orgId: req.user.orgId },
+              { $set: { pid: nextPid } }
+            ),
+            RecurringAssignment.updateMany(
+              { pid: previousPid, orgId: req.user.orgId },
+              { $set: { pid: nextPid } }
+            ),
             (async () => {
               const studies = await Study.find({
                 orgId: req.user.orgId,
@@ -243,6 +295,9 @@ router.patch(
                   studyDoc.assignedPatients = studyDoc.assignedPatients.map((p) =>
                     p === previousPid ? nextPid : p
                   );
+                  [...studyDoc.scheduleStarts, ...studyDoc.enrollments].forEach((entry) => {
+                    if (entry.pid === previousPid) entry.pid = nextPid;
+                  });
                   await studyDoc.save();
                 })
               );
@@ -337,7 +392,7 @@ router.get(
         throw error;
       }
 
-      const filter = { pid: req.params.pid, orgId: req.user.orgId };
+      const filter = { pid: req.params.pid, orgId: req.user.orgId, status: { $ne: 'voided' } };
 
       if (req.user.role === 'researcher') {
         const studies = await Study.find({
@@ -355,7 +410,15 @@ router.get(
       }
 
       const responses = await FormResponse.find(filter).populate('formId');
-      res.json({ responses });
+      const signatures = await responseSignatureMap({
+        targetId: { $in: responses.map((response) => response._id) },
+      });
+      res.json({
+        responses: responses.map((response) => ({
+          ...response.toObject(),
+          signatures: signatures.get(String(response._id)) || [],
+        })),
+      });
     } catch (error) {
       next(error);
     }
@@ -408,4 +471,56 @@ router.get(
   }
 );
 
+/* -------------------------------- adherence -------------------------------- */
+
+// Share of completed entries per recurring diary of the patient
+router.get(
+  '/:pid/adherence',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  async (req, res, next) => {
+    try {
+      const patient = await Patient.findOne({ pid: req.params.pid, orgId: req.user.orgId });
+      if (!patient) {
+        const error = new Error('Patient not found');
+        error.status = 404;
+        throw error;
+      }
+
+      if (
+        req.user.role === 'staff' &&
+        !patient.assignedStaff.some((id) => id.toString() === req.user._id.toString())
+      ) {
+        const error = new Error('Forbidden');
+        error.status = 403;
+        throw error;
+      }
+
+      const filter = {};
+      if (req.user.role === 'staff') {
+        filter.assignees = req.user._id;
+      } else if (req.user.role === 'researcher') {
+        const studies = await Study.find({
+          orgId: req.user.orgId,
+          $or: [{ createdBy: req.user._id }, { assignedStaff: req.user._id }],
+        }).select('_id');
+        filter.studyId = { $in: studies.map((s) => s._id) };
+      }
+
+      const diaries = await adherenceFor({ orgId: req.user.orgId, pid: patient.pid, filter });
+      const totals = diaries.reduce(
+        (sum, diary) => ({ completed: sum.completed + diary.completed, missed: sum.missed + diary.missed }),
+        { completed: 0, missed: 0 }
+      );
+      const closedEntries = totals.completed + totals.missed;
+      res.json({
+        diaries,
+        adherence: closedEntries ? Math.round((totals.completed / closedEntries) * 100) : null,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,74 @@
+const express = require('express');
+const { z } = require('zod');
+const { validateBody } = require('../utils/validate');
+const Task = require('../models/Task');
+const PatientLink = require('../models/PatientLink');
+const ResponseDraft = require('../models/ResponseDraft');
+const { ensureAnswersSafe, ensureAnswersMatchSchema } = require('../utils/privacy');
+const { applyCalculations } = require('../utils/questionnaireLogic');
+const { submitPatientResponse } = require('../services/responseRevisions');
+const {
+  PATIENT_ACTOR,
+  slotOf,
+  resolvePatientLink,
+  consumePatientLink,
+  releasePatientLink,
+} = require('../services/patientLinks');
+const { notifyResponseSubmitted } = require('../services/notificationRules');
+const { publishTaskEvent } = require('../services/liveEvents');
+
+// Unauthenticated endpoints; access is granted by the signed token in the path
+const router = express.Router();
+
+// What the patient sees: the questionnaire and its deadline, no staff or patient identifiers
+router.get('/epro/:token', async (req, res, next) => {
+  try {
+    const { link, task, form, study } = await resolvePatientLink(req.params.token);
+    res.json({
+      form: { _id: form._id, schema: form.schema },
+      study: { title: study.title },
+      dueAt: task.dueAt || null,
+      expiresAt: link.expiresAt,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const submitSchema = z.object({
+  answers: z.record(z.any()),
+});
+
+// Validated exactly like a staff submission; the response is authored by the patient
+router.post('/epro/:token/submit', validateBody(submitSchema), async (req, res, next) => {
+  try {
+    const { link, task, form } = await resolvePatientLink(req.params.token);
+
+    ensureAnswersSafe(req.validatedBody.answers);
+    const answers = applyCalculations(form.schema?.items, req.validatedBody.answers);
+    ensureAnswersMatchSchema(answers, form.schema);
+
+    await consumePatientLink(link);
+    let response;
+    try {
+      response = await submitPatientResponse({ form, task, answers });
+    } catch (error) {
+      await releasePatientLink(link);
+      throw error;
+    }
+
+    const { studyId, ...instance } = slotOf(task);
+    await PatientLink.updateOne({ _id: link._id }, { $set: { responseId: response._id } });
+    await ResponseDraft.deleteOne(instance);
+    await Task.updateMany({ studyId, ...instance }, { $set: { status: 'submitted' } });
+    await publishTaskEvent('task.submitted', task, PATIENT_ACTOR);
+
+    res.status(201).json({ submittedAt: response.authoredAt });
+    // Rules run after the reply, as for staff submissions; failures are logged
+    notifyResponseSubmitted({ task, form, actor: PATIENT_ACTOR });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,12 +3,74 @@ const { z } = require('zod');
 const Study = require('../models/Study');
 const Form = require('../models/Form');
 const FormResponse = require('../models/FormResponse');
+const ResponseDraft = require('../models/ResponseDraft');
+const ResponseRevision = require('../models/ResponseRevision');
+const Signature = require('../models/Signature');
+const DataQuery = require('../models/DataQuery');
 const Patient = require('../models/Patient');
 const Task = require('../models/Task');
+const RecurringAssignment = require('../models/RecurringAssignment');
+const Notification = require('../models/Notification');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const { requireRole, scopeStudyAccess } = require('../middleware/rbac');
-const { validateBody } = require('../utils/validate');
+const ExportJob = require('../models/ExportJob');
+const { validateBody, validateQuery, parseSchema } = require('../utils/validate');
+const { fromQuestionnaire, toQuestionnaireResponse } = require('../utils/fhir');
+const { bulkUpsert } = require('../utils/bulkUpsert');
+const { ENABLE_WHEN_OPERATORS } = require('../utils/questionnaireLogic');
+const { compileExpression } = require('../utils/expressions');
+const {
+  SIGNATURE_MEANINGS,
+  signStudy,
+  listSignatures,
+  responseSignatureMap,
+} = require('../services/signatures');
+const { openQueryCounts, populateQuery } = require('../services/dataQueries');
+const {
+  EXPORT_TYPES,
+  startExport,
+  exportFilePath,
+  removeExport,
+} = require('../services/bulkExport');
+const {
+  lineageFormIds,
+  listRevisions,
+  createFormRevision,
+  ensureLatestRevision,
+} = require('../services/formRevisions');
+const {
+  eventWindow,
+  scheduleStartOf,
+  eventsForForm,
+  applyStudyEvents,
+  removeEventTasks,
+  buildScheduleGrid,
+} = require('../services/visitSchedule');
+const {
+  ENROLLMENT_STATUSES,
+  ensureEnrollments,
+  setStudyPatients,
+  applyEnrollmentChanges,
+  taskedPids,
+} = require('../services/enrollments');
+const { availableChannels } = require('../services/notify');
+const {
+  TRIGGERS,
+  PLACEHOLDERS,
+  notifyTasksCreated,
+  notifyStudyStatusChanged,
+  upsertedTasks,
+} = require('../services/notificationRules');
+const { notifyTaskAssigned } = require('../services/inAppNotifications');
+const { publishTasksCreated, publishStudyUpdated } = require('../services/liveEvents');
+const {
+  ensureStatusTransition,
+  ensureStudyOpen,
+  closeoutChecks,
+  closeoutStudy,
+  unlockStudy,
+} = require('../services/studyCloseout');
 
 const router = express.Router();
 
@@ -16,8 +78,10 @@ const sanitizeAllowedVariables = (items = []) =>
   [...new Set(items.map((item) => item.trim()).filter(Boolean))];
 
 /* ------------------------ TASK BACKFILL HELPERS ------------------------ */
-async function backfillTasksForStudyForm({ study, form, orgId }) {
-  if (!study?.assignedPatients?.length) return;
+async function backfillTasksForStudyForm({ study, form, orgId, actor }) {
+  // Withdrawn and completed subjects get no new tasks
+  const pids = study ? taskedPids(study) : [];
+  if (!pids.length) return;
 
   // assignees = study.assignedStaff ∪ { createdBy }
   const assigneesSet = new Set(
@@ -25,41 +89,72 @@ async function backfillTasksForStudyForm({ study, form, orgId }) {
   );
   const assignees = Array.from(assigneesSet);
 
+  // With a visit schedule there is one task per visit the form belongs to
+  const events = study.events?.length ? eventsForForm(study, form) : [null];
+
+  // Patients already tasked on an earlier revision stay on that revision
+  const lineageIds = await lineageFormIds(form);
+  const existing = await Task.find({
+    orgId,
+    studyId: study._id,
+    formId: { $in: lineageIds.filter((id) => String(id) !== String(form._id)) },
+    occurrence: null,
+  }).select('pid assignee eventId');
+  const taken = new Set(existing.map((t) => `${t.pid}:${t.assignee}:${t.eventId || ''}`));
+
   const ops = [];
-  for (const pid of study.assignedPatients) {
-    for (const assignee of assignees) {
-      ops.push({
-        updateOne: {
-          filter: { orgId, studyId: study._id, formId: form._id, pid, assignee },
-          update: {
-            $setOnInsert: {
-              orgId,
-              studyId: study._id,
-              formId: form._id,
-              pid,
-              assignee,
-              status: 'open',
-              createdAt: new Date(),
+  for (const pid of pids) {
+    const startAt = scheduleStartOf(study, pid);
+    for (const event of events) {
+      const eventId = event ? event._id : null;
+      const window = event && startAt ? eventWindow(event, startAt) : {};
+      for (const assignee of assignees) {
+        if (taken.has(`${pid}:${assignee}:${eventId || ''}`)) continue;
+        ops.push({
+          updateOne: {
+            filter: { orgId, studyId: study._id, formId: form._id, pid, eventId, occurrence: null, assignee },
+            update: {
+              $setOnInsert: {
+                orgId,
+                studyId: study._id,
+                formId: form._id,
+                pid,
+                eventId,
+                occurrence: null,
+                ...window,
+                assignee,
+                status: 'open',
+                createdAt: new Date(),
+              },
             },
+            upsert: true,
           },
-          upsert: true,
-        },
-      });
+        });
+      }
+      // Open tasks follow the visit window when the schedule is edited
+      if (event && startAt) {
+        ops.push({
+          updateMany: {
+            filter: { orgId, studyId: study._id, formId: { $in: lineageIds }, pid, eventId, status: 'open' },
+            update: { $set: window },
+          },
+        });
+      }
     }
   }
   if (ops.length) {
-    try {
-      await Task.bulkWrite(ops, { ordered: false });
-    } catch (e) {
-      if (e && e.code !== 11000) throw e; // ignore dup key races
-    }
+    const result = await bulkUpsert(Task, ops, 'task-backfill');
+    const created = await upsertedTasks(result);
+    await notifyTaskAssigned(created);
+    await notifyTasksCreated(created, actor);
+    await publishTasksCreated(created, actor);
   }
 }
 
-async function backfillTasksForStudy({ study, orgId }) {
-  const forms = await Form.find({ studyId: study._id, orgId });
+async function backfillTasksForStudy({ study, orgId, actor }) {
+  const forms = await Form.find({ studyId: study._id, orgId, supersededBy: null });
   for (const form of forms) {
-    await backfillTasksForStudyForm({ study, form, orgId });
+    await backfillTasksForStudyForm({ study, form, orgId, actor });
   }
 }
 /* ---------------------------------------------------------------------- */
@@ -74,32 +169,87 @@ router.get(
       const projection =
         req.user.role === 'admin'
           ? undefined
-          : 'code title status description assignedStaff assignedPatients';
+          : 'code title status description assignedStaff assignedPatients enrollments events taskGraceHours ' +
+            'notifications';
       const studies = await Study.find(query, projection).populate(
         'assignedStaff',
         'displayName email role category'
       );
-      res.json({ studies });
+      const openQueries = await openQueryCounts(
+        { studyId: { $in: studies.map((study) => study._id) } },
+        'studyId'
+      );
+      res.json({
+        studies: studies.map((study) => ({
+          ...study.toObject(),
+          openQueries: openQueries[String(study._id)] || 0,
+        })),
+      });
     } catch (error) {
       next(error);
     }
   }
 );
 
+// Notification rules (see services/notificationRules.js); _id is kept so a rule
+// that already reminded about a task does not fire again after an edit
+const notificationRuleSchema = z
+  .object({
+    _id: z.string().regex(/^[a-f\d]{24}$/i, 'Invalid rule id').optional(),
+    trigger: z.enum(Object.keys(TRIGGERS)),
+    toRole: z.enum(['admin', 'researcher', 'staff']),
+    daysBefore: z.number().int().min(0).max(90).optional(),
+    channels: z.array(z.string()).max(10).default([]),
+    template: z.string().trim().max(1000).optional(),
+    enabled: z.boolean().default(true),
+  })
+  .superRefine((rule, ctx) => {
+    if (rule.trigger === 'task_due_soon' && rule.daysBefore === undefined) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['daysBefore'],
+        message: 'Due-soon rules need the number of days before the due date',
+      });
+    }
+    const channels = availableChannels();
+    rule.channels.forEach((channel, index) => {
+      if (!channels.includes(channel)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['channels', index],
+          message: `Unknown notification channel "${channel}"`,
+        });
+      }
+    });
+  });
+
+const notificationRulesSchema = z.array(notificationRuleSchema).max(50);
+
+// Triggers, placeholders and channels offered by the rule editor
+router.get(
+  '/notification-options',
+  auth,
+  requireRole('admin', 'researcher'),
+  (req, res) => {
+    res.json({
+      triggers: Object.entries(TRIGGERS).map(([value, meta]) => ({ value, ...meta })),
+      placeholders: PLACEHOLDERS,
+      channels: availableChannels(),
+    });
+  }
+);
+
+// Up to 90 days past the due date (see services/taskExpiry.js)
+const taskGraceHoursSchema = z.number().int().min(0).max(90 * 24);
+
 const createSchema = z.object({
   code: z.string().min(2),
   title: z.string().min(3),
   description: z.string().max(500).optional(),
   allowedVariables: z.array(z.string()).default([]),
   assignedStaff: z.array(z.string()).optional(),
-  notifications: z
-    .array(
-      z.object({
-        when: z.string(),
-        toRole: z.enum(['admin', 'researcher', 'staff']),
-      })
-    )
-    .optional(),
+  notifications: notificationRulesSchema.optional(),
+  taskGraceHours: taskGraceHoursSchema.optional(),
 });
 
 router.post(
@@ -135,6 +285,7 @@ router.post(
         allowedVariables: sanitizeAllowedVariables(req.validatedBody.allowedVariables),
         assignedStaff: assignedStaffIds,
         notifications: req.validatedBody.notifications || [],
+        taskGraceHours: req.validatedBody.taskGraceHours,
         orgId: req.user.orgId,
         createdBy: req.user._id,
       });
@@ -164,19 +315,64 @@ const ensureWritable = (user, study) => {
   }
 };
 
+const studyEventSchema = z.object({
+  _id: z.string().optional(),
+  key: z
+    .string()
+    .trim()
+    .max(40)
+    .regex(/^[a-z0-9][a-z0-9_-]*$/, 'Use lowercase letters, digits, "-" and "_"'),
+  label: z.string().trim().min(1).max(80),
+  dayOffset: z.number().int().min(-365).max(3650),
+  windowBefore: z.number().int().min(0).max(365).default(0),
+  windowAfter: z.number().int().min(0).max(365).default(0),
+  formIds: z.array(z.string()).default([]),
+});
+
+// Adds a subject or moves one along the enrollment lifecycle (see services/enrollments.js)
+const enrollmentChangeSchema = z
+  .object({
+    pid: z.string().trim().min(1),
+    status: z.enum(ENROLLMENT_STATUSES).optional(),
+    at: z.string().datetime().optional(),
+    withdrawalReason: z.string().trim().min(1).max(500).optional(),
+    subjectNumber: z.string().trim().max(40).nullable().optional(),
+  })
+  .superRefine((change, ctx) => {
+    if (change.withdrawalReason && change.status !== 'withdrawn') {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['withdrawalReason'],
+        message: 'A withdrawal reason is only given when withdrawing',
+      });
+    }
+  });
+
 const updateSchema = z.object({
   title: z.string().min(3).optional(),
   status: z.enum(['draft', 'active', 'paused', 'closed']).optional(),
   description: z.string().max(500).optional(),
   assignedStaff: z.array(z.string()).optional(),
   assignedPatients: z.array(z.string()).optional(),
-  notifications: z
-    .array(
-      z.object({
-        when: z.string(),
-        toRole: z.enum(['admin', 'researcher', 'staff']),
-      })
-    )
+  enrollments: z.array(enrollmentChangeSchema).max(500).optional(),
+  taskGraceHours: taskGraceHoursSchema.optional(),
+  notifications: notificationRulesSchema.optional(),
+  events: z
+    .array(studyEventSchema)
+    .max(100)
+    .superRefine((events, ctx) => {
+      const seen = new Set();
+      events.forEach((event, index) => {
+        if (seen.has(event.key)) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [index, 'key'],
+            message: `Duplicate event key "${event.key}"`,
+          });
+        }
+        seen.add(event.key);
+      });
+    })
     .optional(),
 });
 
@@ -198,13 +394,21 @@ router.patch(
       }
 
       ensureWritable(req.user, study);
+      ensureStudyOpen(study);
 
+      const previousStatus = study.status;
       if (req.validatedBody.title) study.title = req.validatedBody.title;
-      if (req.validatedBody.status) study.status = req.validatedBody.status;
+      if (req.validatedBody.status) {
+        ensureStatusTransition(study, req.validatedBody.status);
+        study.status = req.validatedBody.status;
+      }
       if (Object.prototype.hasOwnProperty.call(req.validatedBody, 'description')) {
         study.description = req.validatedBody.description;
       }
       if (req.validatedBody.notifications) study.notifications = req.validatedBody.notifications;
+      if (req.validatedBody.taskGraceHours !== undefined) {
+        study.taskGraceHours = req.validatedBody.taskGraceHours;
+      }
 
       if (req.validatedBody.assignedStaff) {
         const staff = await User.find({
@@ -214,23 +418,49 @@ router.patch(
         study.assignedStaff = staff.map((member) => member._id);
       }
 
+      // Subjects listed before enrollment records existed get one first
+      ensureEnrollments(study);
       if (req.validatedBody.assignedPatients) {
         const patients = await Patient.find({
           pid: { $in: req.validatedBody.assignedPatients },
           orgId: req.user.orgId,
         });
-        study.assignedPatients = patients.map((patient) => patient.pid);
+        setStudyPatients(study, patients.map((patient) => patient.pid), req.user);
+      }
+      if (req.validatedBody.enrollments) {
+        const changes = req.validatedBody.enrollments;
+        const known = new Set(
+          await Patient.distinct('pid', { pid: { $in: changes.map((change) => change.pid) }, orgId: req.user.orgId })
+        );
+        const unknown = changes.findIndex((change) => !known.has(change.pid));
+        if (unknown !== -1) {
+          const error = new Error('Patient not found');
+          error.status = 400;
+          error.code = 'unknown_patient';
+          error.details = [{ path: `enrollments.${unknown}.pid`, message: `No patient ${changes[unknown].pid}` }];
+          throw error;
+        }
+        applyEnrollmentChanges(study, changes, req.user);
       }
 
+      const removedEvents = req.validatedBody.events
+        ? await applyStudyEvents(study, req.validatedBody.events)
+        : [];
+
       await study.save();
+      await removeEventTasks(study, removedEvents);
 
-      // Backfill tasks when assignments change or new patients are added
+      // Backfill tasks when assignments, patients, enrollments or visits change
       if (
         Object.prototype.hasOwnProperty.call(req.validatedBody, 'assignedPatients') ||
-        Object.prototype.hasOwnProperty.call(req.validatedBody, 'assignedStaff')
+        Object.prototype.hasOwnProperty.call(req.validatedBody, 'enrollments') ||
+        Object.prototype.hasOwnProperty.call(req.validatedBody, 'assignedStaff') ||
+        Object.prototype.hasOwnProperty.call(req.validatedBody, 'events')
       ) {
-        await backfillTasksForStudy({ study, orgId: req.user.orgId });
+        await backfillTasksForStudy({ study, orgId: req.user.orgId, actor: req.user });
       }
+      await notifyStudyStatusChanged(study, previousStatus, req.user);
+      await publishStudyUpdated(study, req.user);
 
       const populated = await study.populate('assignedStaff', 'displayName email role category');
       res.json({ study: populated });
@@ -240,53 +470,246 @@ router.patch(
   }
 );
 
-const questionnaireItemSchema = z
+const answerValueSchema = z.union([z.string(), z.number()]);
+
+const enableWhenSchema = z
   .object({
-    linkId: z.string().min(1),
-    text: z.string().min(1),
-    type: z.enum(['text', 'dropdown', 'checkboxes', 'scale']),
-    required: z.boolean().optional(),
-    options: z.array(z.string()).optional(),
-    scale: z
-      .object({
-        min: z.number().int(),
-        max: z.number().int(),
-        step: z.number().int().min(1).optional(),
-      })
-      .optional(),
+    question: z.string().min(1),
+    operator: z.enum(ENABLE_WHEN_OPERATORS),
+    value: z.union([answerValueSchema, z.array(answerValueSchema).min(1)]),
   })
-  .superRefine((item, ctx) => {
-    if (item.type === 'dropdown' || item.type === 'checkboxes') {
-      if (!item.options || !item.options.length) {
+  .superRefine((condition, ctx) => {
+    if (condition.operator === 'anyOf' && !Array.isArray(condition.value)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['value'],
+        message: 'anyOf conditions need a list of values',
+      });
+    }
+    if (condition.operator !== 'anyOf' && Array.isArray(condition.value)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['value'],
+        message: `${condition.operator} conditions need a single value`,
+      });
+    }
+    if (
+      ['greaterThan', 'greaterOrEqual', 'lessThan', 'lessOrEqual'].includes(condition.operator) &&
+      typeof condition.value !== 'number'
+    ) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['value'],
+        message: 'Comparison conditions need a numeric value',
+      });
+    }
+  });
+
+const questionnaireItemSchema = z.lazy(() =>
+  z
+    .object({
+      linkId: z.string().min(1),
+      text: z.string().min(1),
+      type: z.enum([
+        'group',
+        'text',
+        'dropdown',
+        'checkboxes',
+        'scale',
+        'date',
+        'datetime',
+        'time',
+        'integer',
+        'decimal',
+        'calculated',
+      ]),
+      required: z.boolean().optional(),
+      enableWhen: z.array(enableWhenSchema).optional(),
+      enableBehavior: z.enum(['all', 'any']).optional(),
+      options: z.array(z.string()).optional(),
+      scale: z
+        .object({
+          min: z.number().int(),
+          max: z.number().int(),
+          step: z.number().int().min(1).optional(),
+        })
+        .optional(),
+      // integer / decimal only (calculated items take unit and precision)
+      unit: z.string().trim().min(1).max(32).optional(),
+      min: z.number().finite().optional(),
+      max: z.number().finite().optional(),
+      precision: z.number().int().min(0).max(6).optional(),
+      // calculated only, see utils/expressions.js
+      expression: z.string().trim().max(1000).optional(),
+      // group only
+      items: z.array(questionnaireItemSchema).optional(),
+      repeats: z.boolean().optional(),
+    })
+    .superRefine((item, ctx) => {
+      if (item.type === 'group' && !item.items?.length) {
         ctx.addIssue({
           code: z.ZodIssueCode.custom,
-          path: ['options'],
-          message: 'Options are required for selectable questions',
+          path: ['items'],
+          message: 'Sections need at least one question',
         });
       }
-    }
-    if (item.type === 'scale') {
-      if (!item.scale) {
+      if (item.type !== 'group' && (item.items !== undefined || item.repeats !== undefined)) {
         ctx.addIssue({
           code: z.ZodIssueCode.custom,
-          path: ['scale'],
-          message: 'Scale definition required',
+          path: [item.items !== undefined ? 'items' : 'repeats'],
+          message: 'Only sections can contain items or repeat',
         });
-      } else if (item.scale.min >= item.scale.max) {
+      }
+      const numeric = item.type === 'integer' || item.type === 'decimal';
+      const calculated = item.type === 'calculated';
+      ['unit', 'min', 'max', 'precision'].forEach((field) => {
+        const allowed = numeric || (calculated && (field === 'unit' || field === 'precision'));
+        if (item[field] !== undefined && !allowed) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [field],
+            message: `${field} only applies to integer and decimal questions`,
+          });
+        }
+      });
+      if (item.precision !== undefined && item.type === 'integer') {
         ctx.addIssue({
           code: z.ZodIssueCode.custom,
-          path: ['scale'],
-          message: 'Scale max must be greater than min',
+          path: ['precision'],
+          message: 'precision only applies to decimal questions',
         });
       }
-    }
-  });
+      if (calculated) {
+        if (!item.expression) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['expression'],
+            message: 'Calculated fields need an expression',
+          });
+        } else {
+          try {
+            compileExpression(item.expression);
+          } catch (error) {
+            ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['expression'], message: error.message });
+          }
+        }
+        if (item.required) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['required'],
+            message: 'Calculated fields are filled automatically and cannot be required',
+          });
+        }
+      } else if (item.expression !== undefined) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['expression'],
+          message: 'expression only applies to calculated fields',
+        });
+      }
+      if (item.type === 'integer') {
+        ['min', 'max'].forEach((field) => {
+          if (item[field] !== undefined && !Number.isInteger(item[field])) {
+            ctx.addIssue({
+              code: z.ZodIssueCode.custom,
+              path: [field],
+              message: `${field} must be a whole number for integer questions`,
+            });
+          }
+        });
+      }
+      if (item.min !== undefined && item.max !== undefined && item.min > item.max) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['max'],
+          message: 'max must not be less than min',
+        });
+      }
+      if (item.type === 'dropdown' || item.type === 'checkboxes') {
+        if (!item.options || !item.options.length) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['options'],
+            message: 'Options are required for selectable questions',
+          });
+        }
+      }
+      if (item.type === 'scale') {
+        if (!item.scale) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['scale'],
+            message: 'Scale definition required',
+          });
+        } else if (item.scale.min >= item.scale.max) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: ['scale'],
+            message: 'Scale max must be greater than min',
+          });
+        }
+      }
+    })
+);
 
-const formSchema = z.object({
-  id: z.string().min(1),
-  title: z.string().min(1),
-  items: z.array(questionnaireItemSchema).min(1),
-});
+const formSchema = z
+  .object({
+    id: z.string().min(1),
+    title: z.string().min(1),
+    items: z.array(questionnaireItemSchema).min(1),
+  })
+  .superRefine((schema, ctx) => {
+    const seen = new Set();
+    // `visible` holds the questions a condition or calculation may reference:
+    // earlier ones at the same or an enclosing level. Repeating sections get their
+    // own copy so their questions stay local to each instance. Looking back only
+    // keeps evaluation single-pass and acyclic.
+    const checkItems = (items, path, visible) => {
+      items.forEach((item, index) => {
+        const itemPath = [...path, index];
+        if (seen.has(item.linkId)) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [...itemPath, 'linkId'],
+            message: `Duplicate linkId ${item.linkId}`,
+          });
+        }
+        seen.add(item.linkId);
+        (item.enableWhen || []).forEach((condition, conditionIndex) => {
+          if (!visible.has(condition.question)) {
+            ctx.addIssue({
+              code: z.ZodIssueCode.custom,
+              path: [...itemPath, 'enableWhen', conditionIndex, 'question'],
+              message: `Condition must reference an earlier question in scope, not ${condition.question}`,
+            });
+          }
+        });
+        if (item.type === 'calculated' && item.expression) {
+          let references = [];
+          try {
+            references = Array.from(compileExpression(item.expression).references);
+          } catch (error) {
+            // Reported by the item schema
+          }
+          references
+            .filter((linkId) => !visible.has(linkId))
+            .forEach((linkId) => {
+              ctx.addIssue({
+                code: z.ZodIssueCode.custom,
+                path: [...itemPath, 'expression'],
+                message: `Expression must reference an earlier question in scope, not ${linkId}`,
+              });
+            });
+        }
+        if (item.type === 'group') {
+          checkItems(item.items || [], [...itemPath, 'items'], item.repeats ? new Set(visible) : visible);
+        } else {
+          visible.add(item.linkId);
+        }
+      });
+    };
+    checkItems(schema.items, ['items'], new Set());
+  });
 
 const formCreateSchema = z.object({
   kind: z.enum(['base', 'study']),
@@ -294,6 +717,32 @@ const formCreateSchema = z.object({
   schema: formSchema,
 });
 
+// Loose FHIR R4 Questionnaire shape; item mapping is checked by fromQuestionnaire
+const fhirItemSchema = z.lazy(() =>
+  z
+    .object({
+      linkId: z.string().min(1),
+      type: z.string().min(1),
+      text: z.string().optional(),
+      required: z.boolean().optional(),
+      repeats: z.boolean().optional(),
+      answerOption: z.array(z.record(z.any())).optional(),
+      item: z.array(fhirItemSchema).optional(),
+    })
+    .passthrough()
+);
+
+const fhirImportSchema = z.object({
+  kind: z.enum(['base', 'study']).default('study'),
+  version: z.string().min(1).optional(),
+  questionnaire: z
+    .object({
+      resourceType: z.literal('Questionnaire'),
+      item: z.array(fhirItemSchema).min(1),
+    })
+    .passthrough(),
+});
+
 const formUpdateSchema = z.object({
   version: z.string().min(1),
   schema: formSchema,
@@ -318,6 +767,7 @@ router.post(
           throw error;
         }
         ensureWritable(req.user, study);
+        ensureStudyOpen(study);
       }
 
       const form = await Form.create({
@@ -331,7 +781,53 @@ router.post(
 
       // Auto-assign: create tasks for all enrolled patients and all study assignees
       if (study && kind === 'study') {
-        await backfillTasksForStudyForm({ study, form, orgId: req.user.orgId });
+        await backfillTasksForStudyForm({ study, form, orgId: req.user.orgId, actor: req.user });
+      }
+
+      res.status(201).json({ form });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post(
+  '/:id/forms/fhir',
+  auth,
+  requireRole('admin', 'researcher'),
+  validateBody(fhirImportSchema),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { kind, questionnaire } = req.validatedBody;
+      let study = null;
+
+      if (id !== 'base') {
+        study = await Study.findOne({ _id: id, orgId: req.user.orgId });
+        if (!study) {
+          const error = new Error('Study not found');
+          error.status = 404;
+          throw error;
+        }
+        ensureWritable(req.user, study);
+        ensureStudyOpen(study);
+      }
+
+      // Run the mapped schema through the same rules as hand-built forms
+      const schema = parseSchema(formSchema, fromQuestionnaire(questionnaire));
+      const version = req.validatedBody.version || questionnaire.version || '1.0';
+
+      const form = await Form.create({
+        orgId: req.user.orgId,
+        studyId: study ? study._id : undefined,
+        kind: study ? kind : 'base',
+        version,
+        schema,
+        createdBy: req.user._id,
+      });
+
+      if (study && form.kind === 'study') {
+        await backfillTasksForStudyForm({ study, form, orgId: req.user.orgId, actor: req.user });
       }
 
       res.status(201).json({ form });
@@ -357,6 +853,7 @@ router.patch(
       }
 
       ensureWritable(req.user, study);
+      ensureStudyOpen(study);
 
       const form = await Form.findOne({
         _id: formId,
@@ -369,11 +866,41 @@ router.patch(
         throw error;
       }
 
-      form.version = req.validatedBody.version;
-      form.schema = req.validatedBody.schema;
-      await form.save();
+      ensureLatestRevision(form);
 
-      res.json({ form });
+      const revision = await createFormRevision(form, req.validatedBody, req.user);
+
+      res.json({ form: revision, previous: form._id });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get(
+  '/:id/forms/:formId/revisions',
+  auth,
+  requireRole('admin', 'researcher'),
+  async (req, res, next) => {
+    try {
+      const { id, formId } = req.params;
+      const study = await Study.findOne({ _id: id, orgId: req.user.orgId });
+      if (!study) {
+        const error = new Error('Study not found');
+        error.status = 404;
+        throw error;
+      }
+      ensureWritable(req.user, study);
+
+      const form = await Form.findOne({ _id: formId, studyId: study._id, orgId: req.user.orgId });
+      if (!form) {
+        const error = new Error('Form not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const revisions = await listRevisions(form);
+      res.json({ revisions });
     } catch (error) {
       next(error);
     }
@@ -388,7 +915,7 @@ router.get(
     try {
       const { id } = req.params;
       if (id === 'base') {
-        const forms = await Form.find({ orgId: req.user.orgId, kind: 'base' });
+        const forms = await Form.find({ orgId: req.user.orgId, kind: 'base', supersededBy: null });
         return res.json({ forms });
       }
 
@@ -399,7 +926,12 @@ router.get(
         throw error;
       }
       ensureWritable(req.user, study);
-      const forms = await Form.find({ studyId: id }).sort({ createdAt: -1 });
+      // Superseded revisions are only listed on request; responses still reference them
+      const filter = { studyId: id };
+      if (req.query.includeSuperseded !== 'true') {
+        filter.supersededBy = null;
+      }
+      const forms = await Form.find(filter).sort({ createdAt: -1 });
       return res.json({ forms });
     } catch (error) {
       return next(error);
@@ -424,12 +956,440 @@ router.get(
       const responses = await FormResponse.find({
         studyId: study._id,
         orgId: req.user.orgId,
+        status: { $ne: 'voided' },
       })
         .sort({ authoredAt: -1 })
         .populate('formId')
         .populate('authoredBy', 'displayName email role');
+      const signatures = await responseSignatureMap({ studyId: study._id, orgId: req.user.orgId });
 
-      res.json({ responses });
+      res.json({
+        responses: responses.map((response) => ({
+          ...response.toObject(),
+          signatures: signatures.get(String(response._id)) || [],
+        })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get(
+  '/:id/responses/:responseId/fhir',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  async (req, res, next) => {
+    try {
+      const study = await Study.findOne(scopeStudyAccess(req.user, { _id: req.params.id }));
+      if (!study) {
+        const error = new Error('Study not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const response = await FormResponse.findOne({
+        _id: req.params.responseId,
+        studyId: study._id,
+        orgId: req.user.orgId,
+      }).populate('formId');
+      if (!response) {
+        const error = new Error('Response not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const patient = await Patient.findOne({ pid: response.pid, orgId: req.user.orgId });
+      const signatures = await responseSignatureMap({ targetId: response._id });
+      res
+        .type('application/fhir+json')
+        .send(
+          JSON.stringify(
+            toQuestionnaireResponse(
+              response,
+              response.formId,
+              patient,
+              signatures.get(String(response._id))
+            )
+          )
+        );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const queryListSchema = z.object({
+  status: z.enum(['open', 'answered', 'closed']).optional(),
+  pid: z.string().optional(),
+});
+
+// Visit schedule: patients × events with the status of each visit
+router.get(
+  '/:id/schedule',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  async (req, res, next) => {
+    try {
+      const study = await Study.findOne(scopeStudyAccess(req.user, { _id: req.params.id }));
+      if (!study) {
+        const error = new Error('Study not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const [tasks, forms] = await Promise.all([
+        Task.find({ studyId: study._id, orgId: study.orgId, eventId: { $ne: null } }).select(
+          'pid formId eventId status'
+        ),
+        Form.find({ studyId: study._id, orgId: study.orgId }).select('schema.title'),
+      ]);
+      res.json({ events: study.events, patients: buildScheduleGrid(study, tasks, forms) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Data clarification queries in the study, with open counts per patient
+router.get(
+  '/:id/queries',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  validateQuery(queryListSchema),
+  async (req, res, next) => {
+    try {
+      const study = await Study.findOne(scopeStudyAccess(req.user, { _id: req.params.id }));
+      if (!study) {
+        const error = new Error('Study not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const filter = { studyId: study._id, orgId: req.user.orgId };
+      if (req.validatedQuery.status) filter.status = req.validatedQuery.status;
+      if (req.validatedQuery.pid) filter.pid = req.validatedQuery.pid;
+
+      const [queries, openByPatient] = await Promise.all([
+        populateQuery(DataQuery.find(filter).sort({ createdAt: -1 })),
+        openQueryCounts({ studyId: study._id, orgId: study.orgId }, 'pid'),
+      ]);
+      res.json({
+        queries,
+        counts: {
+          open: Object.values(openByPatient).reduce((sum, count) => sum + count, 0),
+          byPatient: openByPatient,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get(
+  '/:id/signatures',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  async (req, res, next) => {
+    try {
+      const study = await Study.findOne(scopeStudyAccess(req.user, { _id: req.params.id }));
+      if (!study) {
+        const error = new Error('Study not found');
+        error.status = 404;
+        throw error;
+      }
+
+      res.json({ signatures: await listSignatures('study', study._id) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const signSchema = z.object({
+  meaning: z.enum(SIGNATURE_MEANINGS),
+  password: z.string().min(1),
+});
+
+// Sign the study's current status, e.g. approving activation or closure
+router.post(
+  '/:id/signatures',
+  auth,
+  requireRole('admin', 'researcher'),
+  validateBody(signSchema),
+  async (req, res, next) => {
+    try {
+      const study = await Study.findOne({ _id: req.params.id, orgId: req.user.orgId });
+      if (!study) {
+        const error = new Error('Study not found');
+        error.status = 404;
+        throw error;
+      }
+
+      ensureWritable(req.user, study);
+
+      const signature = await signStudy(study, req.user, req.validatedBody);
+      res.status(201).json({ signature });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/* ------------------------ CLOSEOUT / DATABASE LOCK ------------------------ */
+
+const loadLockHistory = (studyId) =>
+  Study.findById(studyId)
+    .select('status lockedAt lockedBy lockHistory')
+    .populate('lockedBy', 'displayName email role')
+    .populate('lockHistory.by', 'displayName email role');
+
+const closeoutView = async (studyId, checks) => {
+  const study = await loadLockHistory(studyId);
+  return {
+    status: study.status,
+    lockedAt: study.lockedAt,
+    lockedBy: study.lockedBy,
+    history: study.lockHistory,
+    ...(checks ? { checks } : {}),
+  };
+};
+
+// Pre-lock checks and the lock/unlock history
+router.get(
+  '/:id/closeout',
+  auth,
+  requireRole('admin', 'researcher'),
+  async (req, res, next) => {
+    try {
+      const study = await Study.findOne({ _id: req.params.id, orgId: req.user.orgId });
+      if (!study) {
+        const error = new Error('Study not found');
+        error.status = 404;
+        throw error;
+      }
+
+      ensureWritable(req.user, study);
+
+      res.json(await closeoutView(study._id, await closeoutChecks(study)));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const closeoutSchema = z.object({
+  reason: z.string().trim().max(1000).optional(),
+  // Confirms that tasks still open are expired as part of closeout
+  expireOpenTasks: z.boolean().optional(),
+});
+
+router.post(
+  '/:id/closeout',
+  auth,
+  requireRole('admin', 'researcher'),
+  validateBody(closeoutSchema),
+  async (req, res, next) => {
+    try {
+      const study = await Study.findOne({ _id: req.params.id, orgId: req.user.orgId });
+      if (!study) {
+        const error = new Error('Study not found');
+        error.status = 404;
+        throw error;
+      }
+
+      ensureWritable(req.user, study);
+
+      const previousStatus = study.status;
+      const locked = await closeoutStudy(study, req.user, req.validatedBody);
+      await notifyStudyStatusChanged(locked, previousStatus, req.user);
+      await publishStudyUpdated(locked, req.user);
+      res.json(await closeoutView(locked._id));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const unlockSchema = z.object({
+  reason: z.string().trim().min(1).max(1000),
+});
+
+// Reopening locked data is reserved for admins and needs a justification
+router.post(
+  '/:id/unlock',
+  auth,
+  requireRole('admin'),
+  validateBody(unlockSchema),
+  async (req, res, next) => {
+    try {
+      const study = await Study.findOne({ _id: req.params.id, orgId: req.user.orgId });
+      if (!study) {
+        const error = new Error('Study not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const unlocked = await unlockStudy(study, req.user, req.validatedBody.reason);
+      await notifyStudyStatusChanged(unlocked, 'closed', req.user);
+      await publishStudyUpdated(unlocked, req.user);
+      res.json(await closeoutView(unlocked._id));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/* --------------------------- FHIR BULK $EXPORT --------------------------- */
+
+const exportQuerySchema = z.object({
+  _type: z
+    .string()
+    .optional()
+    .transform((value) => (value ? value.split(',').map((type) => type.trim()).filter(Boolean) : EXPORT_TYPES))
+    .refine((types) => types.length && types.every((type) => EXPORT_TYPES.includes(type)), {
+      message: `_type must be a subset of ${EXPORT_TYPES.join(', ')}`,
+    }),
+  _since: z.string().datetime({ offset: true }).optional(),
+  _outputFormat: z
+    .enum(['application/fhir+ndjson', 'application/ndjson', 'ndjson'])
+    .optional(),
+});
+
+const loadExportStudy = async (req) => {
+  const study = await Study.findOne({ _id: req.params.id, orgId: req.user.orgId });
+  if (!study) {
+    const error = new Error('Study not found');
+    error.status = 404;
+    throw error;
+  }
+  ensureWritable(req.user, study);
+  return study;
+};
+
+const loadExportJob = async (req, study) => {
+  const job = await ExportJob.findOne({
+    _id: req.params.jobId,
+    studyId: study._id,
+    orgId: req.user.orgId,
+  });
+  if (!job) {
+    const error = new Error('Export job not found');
+    error.status = 404;
+    throw error;
+  }
+  return job;
+};
+
+const exportStatusUrl = (req, study, job) =>
+  `${req.protocol}://${req.get('host')}${req.baseUrl}/${study._id}/$export/${job._id}`;
+
+const kickOffExport = async (req, res, next) => {
+  try {
+    const study = await loadExportStudy(req);
+    const job = await startExport({
+      study,
+      user: req.user,
+      types: req.validatedQuery._type,
+      since: req.validatedQuery._since ? new Date(req.validatedQuery._since) : undefined,
+      request: `${req.protocol}://${req.get('host')}${req.originalUrl}`,
+    });
+
+    res.status(202).set('Content-Location', exportStatusUrl(req, study, job)).json({ jobId: job._id });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.get(
+  '/:id/$export',
+  auth,
+  requireRole('admin', 'researcher'),
+  validateQuery(exportQuerySchema),
+  kickOffExport
+);
+
+router.post(
+  '/:id/$export',
+  auth,
+  requireRole('admin', 'researcher'),
+  validateQuery(exportQuerySchema),
+  kickOffExport
+);
+
+router.get(
+  '/:id/$export/:jobId',
+  auth,
+  requireRole('admin', 'researcher'),
+  async (req, res, next) => {
+    try {
+      const study = await loadExportStudy(req);
+      const job = await loadExportJob(req, study);
+
+      if (job.status === 'queued' || job.status === 'in-progress') {
+        return res.status(202).set('X-Progress', job.progress || job.status).json({ status: job.status });
+      }
+
+      if (job.status === 'failed') {
+        return res.status(500).json({
+          resourceType: 'OperationOutcome',
+          issue: [{ severity: 'error', code: 'exception', diagnostics: job.errorMessage }],
+        });
+      }
+
+      return res.json({
+        transactionTime: job.transactionTime,
+        request: job.request,
+        requiresAccessToken: true,
+        output: job.output.map((entry) => ({
+          type: entry.type,
+          count: entry.count,
+          url: `${exportStatusUrl(req, study, job)}/${entry.fileName}`,
+        })),
+        error: [],
+      });
+    } catch (error) {
+      return next(error);
+    }
+  }
+);
+
+router.get(
+  '/:id/$export/:jobId/:fileName',
+  auth,
+  requireRole('admin', 'researcher'),
+  async (req, res, next) => {
+    try {
+      const study = await loadExportStudy(req);
+      const job = await loadExportJob(req, study);
+      const filePath = job.status === 'completed' ? exportFilePath(job, req.params.fileName) : null;
+      if (!filePath) {
+        const error = new Error('Export file not found');
+        error.status = 404;
+        throw error;
+      }
+
+      res.type('application/fhir+ndjson');
+      res.sendFile(filePath, (error) => {
+        if (error && !res.headersSent) next(error);
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  '/:id/$export/:jobId',
+  auth,
+  requireRole('admin', 'researcher'),
+  async (req, res, next) => {
+    try {
+      const study = await loadExportStudy(req);
+      const job = await loadExportJob(req, study);
+      await removeExport(job);
+      res.status(202).send();
     } catch (error) {
       next(error);
     }
@@ -451,11 +1411,21 @@ router.delete(
       }
 
       ensureWritable(req.user, study);
+      ensureStudyOpen(study);
+
+      const exportJobs = await ExportJob.find({ studyId: study._id, orgId: req.user.orgId });
+      await Promise.all(exportJobs.map((job) => removeExport(job)));
 
       await Promise.all([
         Form.deleteMany({ studyId: study._id }),
         Task.deleteMany({ studyId: study._id, orgId: req.user.orgId }),
         FormResponse.deleteMany({ studyId: study._id, orgId: req.user.orgId }),
+        ResponseDraft.deleteMany({ studyId: study._id, orgId: req.user.orgId }),
+        ResponseRevision.deleteMany({ studyId: study._id, orgId: req.user.orgId }),
+        Signature.deleteMany({ studyId: study._id, orgId: req.user.orgId }),
+        DataQuery.deleteMany({ studyId: study._id, orgId: req.user.orgId }),
+        RecurringAssignment.deleteMany({ studyId: study._id, orgId: req.user.orgId }),
+        Notification.deleteMany({ 'link.studyId': study._id, orgId: req.user.orgId }),
       ]);
 
       await study.deleteOne();
@@ -7,7 +7,40 @@ const Task = require('../models/Task');
 const Study = require('../models/Study');
 const Form = require('../models/Form');
 const FormResponse = require('../models/FormResponse');
+const ResponseDraft = require('../models/ResponseDraft');
+const DataQuery = require('../models/DataQuery');
+const PatientLink = require('../models/PatientLink');
 const { ensureAnswersSafe, ensureAnswersMatchSchema } = require('../utils/privacy');
+const { applyCalculations } = require('../utils/questionnaireLogic');
+const {
+  findSubmittedResponse,
+  submitResponse,
+  voidResponse,
+  listResponseRevisions,
+} = require('../services/responseRevisions');
+const {
+  SIGNATURE_MEANINGS,
+  signResponse,
+  listSignatures,
+} = require('../services/signatures');
+const {
+  REVIEW_ACTIONS,
+  ensureUnlocked,
+  reviewResponse,
+  setFieldVerified,
+} = require('../services/responseReview');
+const {
+  openQuery,
+  answerQuery,
+  closeQuery,
+  reopenQuery,
+  populateQuery,
+} = require('../services/dataQueries');
+const { ensureStudyUnlocked } = require('../services/studyCloseout');
+const { isOverdue, ensureTaskNotExpired, reopenExpiredTasks } = require('../services/taskExpiry');
+const { notifyQueryOpened, notifyResponseSubmitted } = require('../services/notificationRules');
+const { publishTaskEvent } = require('../services/liveEvents');
+const { issuePatientLink, revokePatientLinks } = require('../services/patientLinks');
 
 const router = express.Router();
 
@@ -28,8 +61,32 @@ const keyOf = (task) => ({
   studyId: toIdString(task.studyId),
   formId: toIdString(task.formId),
   pid: task.pid,
+  eventId: toIdString(task.eventId),
+  occurrence: task.occurrence ?? null,
 });
 
+// Responses, drafts and queries belong to one form, patient and visit (and diary entry)
+const instanceOf = (task) => ({
+  formId: toIdString(task.formId),
+  pid: task.pid,
+  eventId: toIdString(task.eventId),
+  occurrence: task.occurrence ?? null,
+});
+
+const instanceKey = (doc) =>
+  `${toIdString(doc.formId)}:${doc.pid}:${toIdString(doc.eventId) || ''}:${doc.occurrence ?? ''}`;
+
+// Logical tasks per status; overdue ones are also counted as open
+const taskCounts = (tasks) =>
+  tasks.reduce(
+    (totals, task) => {
+      totals[task.status] += 1;
+      if (task.overdue) totals.overdue += 1;
+      return totals;
+    },
+    { total: tasks.length, open: 0, overdue: 0, submitted: 0, expired: 0 }
+  );
+
 const statusAggregate = (tasks) => {
   if (tasks.some((t) => t.status === 'submitted')) return 'submitted';
   if (tasks.some((t) => t.status === 'expired')) return 'expired';
@@ -54,6 +111,8 @@ const ensureTaskWritable = async (user, task) => {
       studyId: task.studyId,
       formId: task.formId,
       pid: task.pid,
+      eventId: task.eventId || null,
+      occurrence: task.occurrence ?? null,
       assignee: user._id,
     });
     if (!count) {
@@ -102,6 +161,8 @@ const ensureTaskReadable = async (user, task) => {
       studyId: task.studyId,
       formId: task.formId,
       pid: task.pid,
+      eventId: task.eventId || null,
+      occurrence: task.occurrence ?? null,
       assignee: user._id,
     });
     if (!count) {
@@ -137,7 +198,8 @@ const ensureTaskReadable = async (user, task) => {
 };
 
 const querySchema = z.object({
-  status: z.enum(['open', 'submitted', 'expired']).optional(),
+  // 'overdue': open tasks past their due date, still within the study's grace period
+  status: z.enum(['open', 'overdue', 'submitted', 'expired']).optional(),
   studyId: z.string().optional(),
   dueAtFrom: z.string().datetime().optional(),
   dueAtTo: z.string().datetime().optional(),
@@ -166,6 +228,8 @@ router.get(
         studyId: key.studyId,
         formId: key.formId,
         pid: key.pid,
+        eventId: key.eventId,
+        occurrence: key.occurrence,
       }).populate('assignee', 'displayName email role category');
 
       // Aggregate assignees
@@ -187,12 +251,27 @@ router.get(
           .filter(Boolean)
           .sort((a, b) => a - b)[0] || task.dueAt || null;
 
-      const formId = task.formId?._id || task.formId;
-      const response = await FormResponse.findOne({
-        formId,
-        pid: task.pid,
-        orgId: req.user.orgId,
-      }).populate('authoredBy', 'displayName email role');
+      const instance = { ...instanceOf(task), orgId: req.user.orgId };
+      const response = await FormResponse.findOne(instance)
+        .populate('authoredBy', 'displayName email role')
+        .populate('reviewHistory.by', 'displayName email role');
+      const draft = await ResponseDraft.findOne(instance).populate(
+        'savedBy',
+        'displayName email role'
+      );
+      const signatures = response ? await listSignatures('response', response._id) : [];
+      const queries = await populateQuery(
+        DataQuery.find(instance).sort({ createdAt: 1 })
+      );
+      // Self-report link currently with the patient, if any (the token itself is not stored)
+      const patientLink = await PatientLink.findOne({
+        taskId: { $in: siblings.map((t) => t._id) },
+        usedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      })
+        .sort({ createdAt: -1 })
+        .select('expiresAt createdAt');
 
       let canSubmit = false;
       if (req.user.role === 'admin') {
@@ -205,6 +284,8 @@ router.get(
         );
         canSubmit = hasOwn;
       }
+      // Expired tasks take no answers until a reviewer reopens them
+      if (aggregatedStatus === 'expired') canSubmit = false;
 
       // Attach aggregated fields onto the main task document for the response
       task.status = aggregatedStatus;
@@ -214,6 +295,10 @@ router.get(
       res.json({
         task,
         response,
+        draft,
+        signatures,
+        queries,
+        patientLink,
         permissions: {
           canSubmit,
         },
@@ -235,8 +320,9 @@ router.get(
         orgId: req.user.orgId,
       };
 
+      const now = new Date();
       if (req.validatedQuery.status) {
-        filter.status = req.validatedQuery.status;
+        filter.status = req.validatedQuery.status === 'overdue' ? 'open' : req.validatedQuery.status;
       }
 
       if (req.validatedQuery.studyId) {
@@ -252,6 +338,9 @@ router.get(
           filter.dueAt.$lte = new Date(req.validatedQuery.dueAtTo);
         }
       }
+      if (req.validatedQuery.status === 'overdue') {
+        filter.dueAt = { ...(filter.dueAt || {}), $lt: now };
+      }
 
       if (req.user.role === 'staff') {
         filter.assignee = req.user._id;
@@ -263,7 +352,7 @@ router.get(
         const studyIds = studies.map((study) => study._id);
         if (req.validatedQuery.studyId) {
           if (!studyIds.map(String).includes(req.validatedQuery.studyId)) {
-            return res.json({ tasks: [] });
+            return res.json({ tasks: [], counts: taskCounts([]) });
           }
           filter.studyId = req.validatedQuery.studyId;
         } else {
@@ -286,6 +375,45 @@ router.get(
         groups.get(k).tasks.push(t);
       }
 
+      // One lookup for every draft so the lists can offer "Resume draft"
+      const drafts = rawTasks.length
+        ? await ResponseDraft.find({
+            orgId: req.user.orgId,
+            formId: { $in: Array.from(new Set(rawTasks.map((t) => keyOf(t).formId))) },
+            pid: { $in: Array.from(new Set(rawTasks.map((t) => t.pid))) },
+          }).select('formId pid eventId occurrence savedAt')
+        : [];
+      const draftSavedAt = new Map(
+        drafts.map((draft) => [instanceKey(draft), draft.savedAt])
+      );
+      const reviewed = rawTasks.length
+        ? await FormResponse.find({
+            orgId: req.user.orgId,
+            status: { $ne: 'voided' },
+            formId: { $in: Array.from(new Set(rawTasks.map((t) => keyOf(t).formId))) },
+            pid: { $in: Array.from(new Set(rawTasks.map((t) => t.pid))) },
+          }).select('formId pid eventId occurrence reviewStatus')
+        : [];
+      const reviewStatus = new Map(
+        reviewed.map((response) => [
+          instanceKey(response),
+          response.reviewStatus || 'submitted',
+        ])
+      );
+      const openQueries = rawTasks.length
+        ? await DataQuery.find({
+            orgId: req.user.orgId,
+            status: 'open',
+            formId: { $in: Array.from(new Set(rawTasks.map((t) => keyOf(t).formId))) },
+            pid: { $in: Array.from(new Set(rawTasks.map((t) => t.pid))) },
+          }).select('formId pid eventId occurrence')
+        : [];
+      const openQueryCount = openQueries.reduce((counts, query) => {
+        const k = instanceKey(query);
+        counts.set(k, (counts.get(k) || 0) + 1);
+        return counts;
+      }, new Map());
+
       const groupedTasks = [];
       for (const { tasks, seed } of groups.values()) {
         const assigneesMap = new Map();
@@ -305,23 +433,36 @@ router.get(
 
         const seedObj = seed.toObject({ virtuals: true });
 
+        const seedKey = instanceKey(seed);
         groupedTasks.push({
           ...seedObj,
           status: aggregatedStatus,
+          overdue: isOverdue({ status: aggregatedStatus, dueAt }, now),
           dueAt,
           assignees: Array.from(assigneesMap.values()),
+          draftSavedAt: draftSavedAt.get(seedKey) || null,
+          openQueries: openQueryCount.get(seedKey) || 0,
+          reviewStatus: reviewStatus.get(seedKey) || null,
         });
       }
 
-      res.json({ tasks: groupedTasks });
+      res.json({ tasks: groupedTasks, counts: taskCounts(groupedTasks) });
     } catch (error) {
       next(error);
     }
   }
 );
 
+const reasonSchema = z.string().trim().min(1).max(1000);
+
 const submitSchema = z.object({
   answers: z.record(z.any()),
+  // Required once a response exists (see services/responseRevisions.js)
+  reason: reasonSchema.optional(),
+  // Sent by clients that queue submissions offline: resending the same id is a no-op,
+  // and a response changed since `baseRevision` (0: none yet) is a conflict
+  submissionId: z.string().trim().min(8).max(100).optional(),
+  baseRevision: z.number().int().min(0).optional(),
 });
 
 router.post(
@@ -347,6 +488,8 @@ router.post(
           studyId: task.studyId,
           formId: task.formId,
           pid: task.pid,
+          eventId: task.eventId || null,
+          occurrence: task.occurrence ?? null,
           assignee: req.user._id,
         });
         if (!count) {
@@ -375,6 +518,8 @@ router.post(
         }
       }
 
+      await ensureTaskNotExpired(task);
+
       const form = await Form.findOne({ _id: task.formId, orgId: req.user.orgId });
       if (!form) {
         const error = new Error('Form not found');
@@ -382,33 +527,43 @@ router.post(
         throw error;
       }
 
-      ensureAnswersSafe(req.validatedBody.answers);
-      ensureAnswersMatchSchema(req.validatedBody.answers, form.schema);
+      const { submissionId, baseRevision } = req.validatedBody;
+      const k = keyOf(task);
+      // Already stored by an earlier attempt whose reply never reached the client
+      let response = await findSubmittedResponse({ form, task, user: req.user, submissionId });
+      const replayed = Boolean(response);
 
-      const response = await FormResponse.findOneAndUpdate(
-        { formId: form._id, pid: task.pid, orgId: req.user.orgId },
-        {
-          studyId: task.studyId,
-          orgId: req.user.orgId,
-          pid: task.pid,
-          answers: req.validatedBody.answers,
-          authoredBy: req.user._id,
-          authoredAt: new Date(),
-        },
-        { upsert: true, new: true, setDefaultsOnInsert: true }
-      );
+      if (!replayed) {
+        ensureAnswersSafe(req.validatedBody.answers);
+        // Calculated scores are always recomputed here; client values are only a preview
+        const answers = applyCalculations(form.schema?.items, req.validatedBody.answers);
+        ensureAnswersMatchSchema(answers, form.schema);
 
-      // Mark ALL siblings as submitted for this logical task
-      const k = keyOf(task);
-      await Task.updateMany(
-        {
-          orgId: task.orgId,
-          studyId: k.studyId,
-          formId: k.formId,
-          pid: k.pid,
-        },
-        { $set: { status: 'submitted' } }
-      );
+        response = await submitResponse({
+          form,
+          task,
+          answers,
+          user: req.user,
+          reason: req.validatedBody.reason,
+          submissionId,
+          baseRevision,
+        });
+        await ResponseDraft.deleteOne({ ...instanceOf(task), orgId: req.user.orgId });
+
+        // Mark ALL siblings as submitted for this logical task
+        await Task.updateMany(
+          {
+            orgId: task.orgId,
+            studyId: k.studyId,
+            formId: k.formId,
+            pid: k.pid,
+            eventId: k.eventId,
+            occurrence: k.occurrence,
+          },
+          { $set: { status: 'submitted' } }
+        );
+        await publishTaskEvent('task.submitted', task, req.user);
+      }
 
       // Reload siblings to build aggregated task for the response
       const siblings = await Task.find({
@@ -416,6 +571,8 @@ router.post(
         studyId: k.studyId,
         formId: k.formId,
         pid: k.pid,
+        eventId: k.eventId,
+        occurrence: k.occurrence,
       })
         .populate('assignee', 'displayName email role category')
         .populate('formId')
@@ -446,17 +603,497 @@ router.post(
         assignees: Array.from(assigneesMap.values()),
       };
 
-      res.json({ task: aggregatedTask, response });
+      res.json({ task: aggregatedTask, response, replayed });
+
+      // After the reply, so a slow or failing rule cannot hold up or fail a stored
+      // submission; notifyResponseSubmitted logs its own errors
+      if (!replayed) notifyResponseSubmitted({ task, form, actor: req.user });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const draftSchema = z.object({
+  answers: z.record(z.any()),
+});
+
+// Save partial answers. Required questions, conditions and types are only
+// checked on submit, and the task status is left alone.
+router.put(
+  '/:taskId/draft',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  validateBody(draftSchema),
+  async (req, res, next) => {
+    try {
+      const task = await Task.findOne({
+        _id: req.params.taskId,
+        orgId: req.user.orgId,
+      });
+
+      // Whoever may submit the task may keep a draft of it
+      await ensureTaskReadable(req.user, task);
+
+      const response = await FormResponse.findOne({
+        formId: task.formId,
+        pid: task.pid,
+        eventId: task.eventId || null,
+        occurrence: task.occurrence ?? null,
+        orgId: req.user.orgId,
+      }).select('reviewStatus');
+      if (response) ensureUnlocked(response);
+      await ensureStudyUnlocked(task.studyId);
+
+      ensureAnswersSafe(req.validatedBody.answers);
+
+      const draft = await ResponseDraft.findOneAndUpdate(
+        { ...instanceOf(task), orgId: req.user.orgId },
+        {
+          studyId: task.studyId,
+          answers: req.validatedBody.answers,
+          savedBy: req.user._id,
+          savedAt: new Date(),
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      ).populate('savedBy', 'displayName email role');
+
+      res.json({ draft });
     } catch (error) {
       next(error);
     }
   }
 );
 
+router.delete(
+  '/:taskId/draft',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  async (req, res, next) => {
+    try {
+      const task = await Task.findOne({
+        _id: req.params.taskId,
+        orgId: req.user.orgId,
+      });
+
+      await ensureTaskReadable(req.user, task);
+
+      await ResponseDraft.deleteOne({ ...instanceOf(task), orgId: req.user.orgId });
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get(
+  '/:taskId/history',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  async (req, res, next) => {
+    try {
+      const task = await Task.findOne({
+        _id: req.params.taskId,
+        orgId: req.user.orgId,
+      });
+
+      await ensureTaskReadable(req.user, task);
+
+      const response = await FormResponse.findOne({
+        formId: task.formId,
+        pid: task.pid,
+        eventId: task.eventId || null,
+        occurrence: task.occurrence ?? null,
+        orgId: req.user.orgId,
+      });
+
+      res.json({ revisions: response ? await listResponseRevisions(response) : [] });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const signSchema = z.object({
+  meaning: z.enum(SIGNATURE_MEANINGS),
+  password: z.string().min(1),
+});
+
+// Sign the current revision of the task's response after re-entering the password
+router.post(
+  '/:taskId/signatures',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  validateBody(signSchema),
+  async (req, res, next) => {
+    try {
+      const task = await Task.findOne({
+        _id: req.params.taskId,
+        orgId: req.user.orgId,
+      });
+
+      await ensureTaskReadable(req.user, task);
+
+      // Review and approval are study-team decisions; staff attest to their own entry
+      if (req.user.role === 'staff' && req.validatedBody.meaning !== 'authored') {
+        const error = new Error('Staff can only sign as author');
+        error.status = 403;
+        throw error;
+      }
+
+      const response = await FormResponse.findOne({
+        formId: task.formId,
+        pid: task.pid,
+        eventId: task.eventId || null,
+        occurrence: task.occurrence ?? null,
+        orgId: req.user.orgId,
+      });
+      if (!response) {
+        const error = new Error('Response not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const signature = await signResponse(response, req.user, req.validatedBody);
+      res.status(201).json({ signature });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/* ------------------------------ review and lock ----------------------------- */
+
+const loadTaskResponse = async (req, task) => {
+  const [form, response] = await Promise.all([
+    Form.findOne({ _id: task.formId, orgId: req.user.orgId }),
+    FormResponse.findOne({ ...instanceOf(task), orgId: req.user.orgId }),
+  ]);
+  if (!form || !response) {
+    const error = new Error('Response not found');
+    error.status = 404;
+    throw error;
+  }
+  return { form, response };
+};
+
+const reviewSchema = z.object({
+  // Required to unlock
+  reason: reasonSchema.optional(),
+});
+
+// start → verify → lock, and unlock with a reason (see services/responseReview.js)
+router.post(
+  '/:taskId/review/:action',
+  auth,
+  requireRole('admin', 'researcher'),
+  validateBody(reviewSchema),
+  async (req, res, next) => {
+    try {
+      if (!Object.prototype.hasOwnProperty.call(REVIEW_ACTIONS, req.params.action)) {
+        const error = new Error('Unknown review action');
+        error.status = 404;
+        throw error;
+      }
+
+      const task = await Task.findOne({
+        _id: req.params.taskId,
+        orgId: req.user.orgId,
+      });
+
+      await ensureTaskWritable(req.user, task);
+
+      const { response } = await loadTaskResponse(req, task);
+      const reviewed = await reviewResponse(
+        response,
+        req.user,
+        req.params.action,
+        req.validatedBody.reason
+      );
+      await publishTaskEvent('response.changed', task, req.user);
+      res.json({ response: await reviewed.populate('reviewHistory.by', 'displayName email role') });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const fieldReviewSchema = z.object({
+  path: z.string().trim().min(1).max(500),
+  verified: z.boolean(),
+});
+
+// Source data verification of one answer
+router.put(
+  '/:taskId/review/fields',
+  auth,
+  requireRole('admin', 'researcher'),
+  validateBody(fieldReviewSchema),
+  async (req, res, next) => {
+    try {
+      const task = await Task.findOne({
+        _id: req.params.taskId,
+        orgId: req.user.orgId,
+      });
+
+      await ensureTaskWritable(req.user, task);
+
+      const { form, response } = await loadTaskResponse(req, task);
+      const updated = await setFieldVerified(
+        response,
+        form,
+        req.user,
+        req.validatedBody.path,
+        req.validatedBody.verified
+      );
+      await publishTaskEvent('response.changed', task, req.user);
+      res.json({ verifiedFields: updated.verifiedFields });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/* ------------------------------ data queries ------------------------------ */
+
+const loadTaskQuery = async (req, task) => {
+  const query = await DataQuery.findOne({
+    _id: req.params.queryId,
+    orgId: req.user.orgId,
+    formId: task.formId,
+    pid: task.pid,
+    eventId: task.eventId || null,
+    occurrence: task.occurrence ?? null,
+  });
+  if (!query) {
+    const error = new Error('Query not found');
+    error.status = 404;
+    throw error;
+  }
+  return query;
+};
+
+const messageSchema = z.string().trim().min(1).max(2000);
+
+const openQuerySchema = z.object({
+  path: z.string().trim().min(1).max(500),
+  message: messageSchema,
+});
+
+// Reviewers raise a query against one answer of the submitted response
+router.post(
+  '/:taskId/queries',
+  auth,
+  requireRole('admin', 'researcher'),
+  validateBody(openQuerySchema),
+  async (req, res, next) => {
+    try {
+      const task = await Task.findOne({
+        _id: req.params.taskId,
+        orgId: req.user.orgId,
+      });
+
+      await ensureTaskWritable(req.user, task);
+
+      // Query threads are free text; keep identifiers out of them like answers
+      ensureAnswersSafe({ message: req.validatedBody.message });
+      const { form, response } = await loadTaskResponse(req, task);
+      const query = await openQuery({
+        response,
+        form,
+        task,
+        path: req.validatedBody.path,
+        message: req.validatedBody.message,
+        user: req.user,
+      });
+      await notifyQueryOpened({ task, form, message: req.validatedBody.message, actor: req.user });
+      res.status(201).json({ query: await populateQuery(query) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const answerQuerySchema = z.object({
+  message: messageSchema,
+  // Present when the answer also corrects the value
+  value: z.any().optional(),
+});
+
+// Whoever may submit the task answers the query, optionally correcting the value
+router.post(
+  '/:taskId/queries/:queryId/answer',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  validateBody(answerQuerySchema),
+  async (req, res, next) => {
+    try {
+      const task = await Task.findOne({
+        _id: req.params.taskId,
+        orgId: req.user.orgId,
+      });
+
+      await ensureTaskReadable(req.user, task);
+
+      const query = await loadTaskQuery(req, task);
+      const { form, response } = await loadTaskResponse(req, task);
+      const corrects = Object.prototype.hasOwnProperty.call(req.validatedBody, 'value');
+      ensureAnswersSafe({ message: req.validatedBody.message });
+      const answered = await answerQuery({
+        query,
+        response,
+        form,
+        task,
+        message: req.validatedBody.message,
+        user: req.user,
+        correction: corrects ? { value: req.validatedBody.value } : null,
+      });
+      if (corrects) await publishTaskEvent('response.changed', task, req.user);
+      res.json({ query: await populateQuery(answered) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const queryNoteSchema = z.object({
+  message: messageSchema.optional(),
+});
+
+router.post(
+  '/:taskId/queries/:queryId/close',
+  auth,
+  requireRole('admin', 'researcher'),
+  validateBody(queryNoteSchema),
+  async (req, res, next) => {
+    try {
+      const task = await Task.findOne({
+        _id: req.params.taskId,
+        orgId: req.user.orgId,
+      });
+
+      await ensureTaskWritable(req.user, task);
+
+      const query = await loadTaskQuery(req, task);
+      const closed = await closeQuery(query, req.user, req.validatedBody.message);
+      res.json({ query: await populateQuery(closed) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const reopenQuerySchema = z.object({
+  message: messageSchema,
+});
+
+router.post(
+  '/:taskId/queries/:queryId/reopen',
+  auth,
+  requireRole('admin', 'researcher'),
+  validateBody(reopenQuerySchema),
+  async (req, res, next) => {
+    try {
+      const task = await Task.findOne({
+        _id: req.params.taskId,
+        orgId: req.user.orgId,
+      });
+
+      await ensureTaskWritable(req.user, task);
+
+      const query = await loadTaskQuery(req, task);
+      const reopened = await reopenQuery(query, req.user, req.validatedBody.message);
+      res.json({ query: await populateQuery(reopened) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/* ---------------------------- patient self-report ---------------------------- */
+
+// One-time link for the patient to answer this task themselves; replaces earlier links
+router.post(
+  '/:taskId/patient-link',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  async (req, res, next) => {
+    try {
+      const task = await Task.findOne({
+        _id: req.params.taskId,
+        orgId: req.user.orgId,
+      });
+
+      await ensureTaskWritable(req.user, task);
+
+      const { link, url } = await issuePatientLink(task, req.user);
+      res.status(201).json({ url, expiresAt: link.expiresAt });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete(
+  '/:taskId/patient-link',
+  auth,
+  requireRole('admin', 'researcher', 'staff'),
+  async (req, res, next) => {
+    try {
+      const task = await Task.findOne({
+        _id: req.params.taskId,
+        orgId: req.user.orgId,
+      });
+
+      await ensureTaskWritable(req.user, task);
+
+      res.json({ revoked: await revokePatientLinks(task) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const reopenSchema = z.object({
+  dueAt: z.string().datetime(),
+});
+
+// Gives an expired task a new due date so its assignees can submit late data
+router.post(
+  '/:taskId/reopen',
+  auth,
+  requireRole('admin', 'researcher'),
+  validateBody(reopenSchema),
+  async (req, res, next) => {
+    try {
+      const task = await Task.findOne({
+        _id: req.params.taskId,
+        orgId: req.user.orgId,
+      });
+
+      await ensureTaskWritable(req.user, task);
+      await ensureStudyUnlocked(task.studyId);
+
+      const reopened = await reopenExpiredTasks(task, new Date(req.validatedBody.dueAt));
+      await publishTaskEvent('task.reopened', task, req.user);
+
+      res.json({ reopened });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const voidSchema = z.object({
+  reason: reasonSchema,
+});
+
+// Voids rather than deletes: answers and history are retained for audit
 router.delete(
   '/:taskId/response',
   auth,
   requireRole('admin', 'researcher', 'staff'),
+  validateBody(voidSchema),
   async (req, res, next) => {
     try {
       const task = await Task.findOne({
@@ -469,12 +1106,17 @@ router.delete(
       const response = await FormResponse.findOne({
         formId: task.formId,
         pid: task.pid,
+        eventId: task.eventId || null,
+        occurrence: task.occurrence ?? null,
         orgId: req.user.orgId,
       });
 
-      if (response) {
-        await response.deleteOne();
+      if (!response || response.status === 'voided') {
+        const error = new Error('Response not found');
+        error.status = 404;
+        throw error;
       }
+      await voidResponse(response, req.user, req.validatedBody.reason);
 
       // Reset ALL siblings to open
       const k = keyOf(task);
@@ -484,9 +1126,12 @@ router.delete(
           studyId: k.studyId,
           formId: k.formId,
           pid: k.pid,
+          eventId: k.eventId,
+          occurrence: k.occurrence,
         },
         { $set: { status: 'open' } }
       );
+      await publishTaskEvent('task.reset', task, req.user);
 
       // Reload siblings to build aggregated task for the response
       const siblings = await Task.find({
@@ -494,6 +1139,8 @@ router.delete(
         studyId: k.studyId,
         formId: k.formId,
         pid: k.pid,
+        eventId: k.eventId,
+        occurrence: k.occurrence,
       }).populate('assignee', 'displayName email role category');
 
       const assigneesMap = new Map();
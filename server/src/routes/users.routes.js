@@ -71,11 +71,15 @@ router.get(
 
 /* ---------------- create ---------------- */
 
+// E.164-style number for SMS, e.g. +15551234567
+const phoneSchema = z.string().trim().regex(/^\+[1-9]\d{6,14}$/, 'Use the international format, e.g. +15551234567');
+
 const createSchema = z.object({
   email: z.string().email(),
   role: z.enum(['researcher', 'staff', 'admin']).default('researcher'),
   displayName: z.string().min(2),
   category: z.string().max(120).optional(),
+  phone: phoneSchema.optional(),
   password: z.string().min(8, 'Password must be at least 8 characters').optional(),
 });
 
@@ -87,7 +91,7 @@ router.post(
   async (req, res, next) => {
     try {
       // org scoping: admins must belong to an org; superadmin can also create (any org not auto-assigned)
-      const { email, role, displayName, category, password } = req.validatedBody;
+      const { email, role, displayName, category, phone, password } = req.validatedBody;
 
       const existing = await User.findOne({ email: email.toLowerCase() });
       if (existing) {
@@ -109,6 +113,7 @@ router.post(
         role,
         displayName,
         category,
+        phone,
         passwordHash,
         isActive: true,
       };
@@ -130,6 +135,7 @@ router.post(
           displayName: user.displayName,
           isActive: user.isActive,
           category: user.category,
+          phone: user.phone,
         },
         tempPassword:
           tempPassword && process.env.NODE_ENV !== 'production' ? tempPassword : undefined,
@@ -215,6 +221,7 @@ const updateSchema = z.object({
   isActive: z.boolean().optional(),
   displayName: z.string().min(2).optional(),
   category: z.union([z.string().max(120), z.null()]).optional(),
+  phone: z.union([phoneSchema, z.null()]).optional(),
   email: z.string().email().optional(),
 });
 
@@ -261,6 +268,9 @@ router.patch(
       if (Object.prototype.hasOwnProperty.call(req.validatedBody, 'category')) {
         user.category = req.validatedBody.category || undefined;
       }
+      if (Object.prototype.hasOwnProperty.call(req.validatedBody, 'phone')) {
+        user.phone = req.validatedBody.phone || undefined;
+      }
       if (req.validatedBody.email) {
         const nextEmail = req.validatedBody.email.toLowerCase();
         if (nextEmail !== user.email) {
@@ -287,6 +297,7 @@ router.patch(
           displayName: user.displayName,
           isActive: user.isActive,
           category: user.category,
+          phone: user.phone,
         },
       });
     } catch (error) {
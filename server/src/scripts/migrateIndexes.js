@@ -0,0 +1,73 @@
+/* eslint-disable no-console */
+/**
+ * Bring a database created by an older release in line with the models' indexes.
+ * Production connects with autoIndex off, so run this whenever a release changes
+ * an index: cd server && npm run migrate:indexes
+ */
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { connectDb, disconnectDb } = require('../config/db');
+
+// Load every model so its indexes are known
+fs.readdirSync(path.join(__dirname, '../models'))
+  .filter((file) => file.endsWith('.js'))
+  .forEach((file) => require(path.join(__dirname, '../models', file)));
+
+// Unique indexes replaced by wider ones. Left in place they refuse the second
+// visit or diary entry of a form for the same patient (and assignee).
+const LEGACY_INDEXES = {
+  Task: ['uniq_task_assignment'],
+  FormResponse: ['orgId_1_formId_1_pid_1', 'orgId_1_formId_1_pid_1_eventId_1'],
+  ResponseDraft: ['orgId_1_formId_1_pid_1', 'orgId_1_formId_1_pid_1_eventId_1'],
+};
+
+const indexNames = async (Model) => {
+  try {
+    return (await Model.collection.indexes()).map((index) => index.name);
+  } catch (error) {
+    // NamespaceNotFound: the collection does not exist yet
+    if (error.code === 26) return [];
+    throw error;
+  }
+};
+
+// Drops the legacy indexes, then builds every index the models declare
+const migrateIndexes = async () => {
+  const dropped = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for (const [modelName, names] of Object.entries(LEGACY_INDEXES)) {
+    const Model = mongoose.model(modelName);
+    // eslint-disable-next-line no-await-in-loop
+    const existing = await indexNames(Model);
+    // eslint-disable-next-line no-restricted-syntax
+    for (const name of names.filter((legacy) => existing.includes(legacy))) {
+      // eslint-disable-next-line no-await-in-loop
+      await Model.collection.dropIndex(name);
+      dropped.push(`${modelName}.${name}`);
+    }
+  }
+  // eslint-disable-next-line no-restricted-syntax
+  for (const modelName of mongoose.modelNames()) {
+    // eslint-disable-next-line no-await-in-loop
+    await mongoose.model(modelName).createIndexes();
+  }
+  return dropped;
+};
+
+if (require.main === module) {
+  (async () => {
+    await connectDb();
+    const dropped = await migrateIndexes();
+    console.log(dropped.length ? `Dropped legacy indexes: ${dropped.join(', ')}` : 'No legacy indexes found.');
+    console.log('Indexes are up to date.');
+    await disconnectDb();
+  })().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  migrateIndexes,
+};
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const ExportJob = require('../models/ExportJob');
+const Study = require('../models/Study');
+const Patient = require('../models/Patient');
+const FormResponse = require('../models/FormResponse');
+const Signature = require('../models/Signature');
+const { responseSignatureMap } = require('./signatures');
+const { studySubjects } = require('./enrollments');
+const { toPatient, toQuestionnaireResponse, toResearchSubject } = require('../utils/fhir');
+
+const EXPORT_TYPES = ['Patient', 'QuestionnaireResponse', 'ResearchSubject'];
+
+const jobDir = (job) => path.join(config.fhir.exportDir, String(job._id));
+
+const exportFilePath = (job, fileName) => {
+  const entry = (job.output || []).find((item) => item.fileName === fileName);
+  if (!entry) return null;
+  return path.join(jobDir(job), entry.fileName);
+};
+
+// Write one resource per line and resolve with the number of lines written
+const writeNdjson = async (filePath, resources) => {
+  const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+  let count = 0;
+  try {
+    for await (const resource of resources) {
+      if (!stream.write(`${JSON.stringify(resource)}\n`)) {
+        await new Promise((resolve) => stream.once('drain', resolve));
+      }
+      count += 1;
+    }
+  } finally {
+    await new Promise((resolve, reject) => {
+      stream.once('error', reject);
+      stream.end(resolve);
+    });
+  }
+  return count;
+};
+
+async function* patientResources(patients) {
+  for (const patient of patients) {
+    yield toPatient(patient);
+  }
+}
+
+async function* researchSubjectResources(study, subjects) {
+  for (const { patient, enrollment } of subjects) {
+    yield toResearchSubject(study, patient, enrollment);
+  }
+}
+
+async function* questionnaireResponseResources(job, patientsByPid) {
+  const filter = { studyId: job.studyId, orgId: job.orgId };
+  if (job.since) {
+    // A new signature changes the exported resource without touching the response
+    const signed = await Signature.distinct('targetId', {
+      studyId: job.studyId,
+      targetType: 'response',
+      signedAt: { $gte: job.since },
+    });
+    filter.$or = [{ updatedAt: { $gte: job.since } }, { _id: { $in: signed } }];
+  }
+  const signatures = await responseSignatureMap({ studyId: job.studyId, orgId: job.orgId });
+  const cursor = FormResponse.find(filter).sort({ _id: 1 }).populate('formId').cursor();
+  for await (const response of cursor) {
+    yield toQuestionnaireResponse(
+      response,
+      response.formId,
+      patientsByPid.get(response.pid),
+      signatures.get(String(response._id))
+    );
+  }
+}
+
+const runExport = async (jobId) => {
+  const job = await ExportJob.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'in-progress', progress: 'Loading study' } },
+    { new: true }
+  );
+  if (!job) return;
+
+  try {
+    const study = await Study.findOne({ _id: job.studyId, orgId: job.orgId });
+    if (!study) {
+      throw new Error('Study no longer exists');
+    }
+
+    const enrollments = studySubjects(study);
+    const patients = await Patient.find({
+      orgId: job.orgId,
+      pid: { $in: enrollments.map((enrollment) => enrollment.pid) },
+    }).sort({ pid: 1 });
+    const patientsByPid = new Map(patients.map((patient) => [patient.pid, patient]));
+    const changedPatients = job.since ? patients.filter((p) => p.updatedAt >= job.since) : patients;
+    // A subject changes with its patient or its enrollment status
+    const enrollmentByPid = new Map(enrollments.map((enrollment) => [enrollment.pid, enrollment]));
+    const changedSubjects = patients
+      .map((patient) => ({ patient, enrollment: enrollmentByPid.get(patient.pid) }))
+      .filter(
+        ({ patient, enrollment }) =>
+          !job.since ||
+          patient.updatedAt >= job.since ||
+          (enrollment.history || []).some((change) => change.at >= job.since)
+      );
+
+    await fs.promises.mkdir(jobDir(job), { recursive: true });
+
+    const output = [];
+    for (const type of job.types) {
+      await ExportJob.updateOne({ _id: job._id }, { $set: { progress: `Writing ${type}` } });
+
+      let resources;
+      if (type === 'Patient') resources = patientResources(changedPatients);
+      else if (type === 'ResearchSubject') resources = researchSubjectResources(study, changedSubjects);
+      else resources = questionnaireResponseResources(job, patientsByPid);
+
+      const fileName = `${type}.ndjson`;
+      const count = await writeNdjson(path.join(jobDir(job), fileName), resources);
+      output.push({ type, fileName, count });
+    }
+
+    // The job is gone when it was deleted while running (removeExport): drop what was written
+    const finished = await ExportJob.findOneAndUpdate(
+      { _id: job._id, status: 'in-progress' },
+      { $set: { status: 'completed', output, progress: undefined, completedAt: new Date() } },
+      { new: true }
+    );
+    if (!finished) {
+      await fs.promises.rm(jobDir(job), { recursive: true, force: true });
+    }
+  } catch (error) {
+    await ExportJob.updateOne(
+      { _id: job._id },
+      { $set: { status: 'failed', errorMessage: error.message, completedAt: new Date() } }
+    );
+    await fs.promises.rm(jobDir(job), { recursive: true, force: true });
+  }
+};
+
+/**
+ * Queue a bulk export. Work runs in this process after the response is sent;
+ * callers poll the job for status.
+ */
+const startExport = async ({ study, user, types, since, request }) => {
+  const job = await ExportJob.create({
+    orgId: study.orgId,
+    studyId: study._id,
+    requestedBy: user._id,
+    request,
+    types,
+    since,
+    transactionTime: new Date(),
+  });
+
+  setImmediate(() => {
+    runExport(job._id).catch((error) => {
+      // eslint-disable-next-line no-console
+      console.error('[bulk-export]', { jobId: String(job._id), message: error.message });
+    });
+  });
+
+  return job;
+};
+
+const removeExport = async (job) => {
+  await fs.promises.rm(jobDir(job), { recursive: true, force: true });
+  await job.deleteOne();
+};
+
+module.exports = {
+  EXPORT_TYPES,
+  startExport,
+  runExport,
+  exportFilePath,
+  removeExport,
+};
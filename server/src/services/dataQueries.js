@@ -0,0 +1,194 @@
+const DataQuery = require('../models/DataQuery');
+const {
+  applyCalculations,
+  isPlainObject,
+  locateAnswer,
+} = require('../utils/questionnaireLogic');
+const { ensureAnswersSafe, ensureAnswersMatchSchema } = require('../utils/privacy');
+const { submitResponse } = require('./responseRevisions');
+const { ensureStudyUnlocked } = require('./studyCloseout');
+
+// Allowed status changes; the action recorded in the message thread for each
+const TRANSITIONS = {
+  answered: { from: ['open'], action: 'answered' },
+  closed: { from: ['open', 'answered'], action: 'closed' },
+  open: { from: ['answered', 'closed'], action: 'reopened' },
+};
+
+const badRequest = (code, message, path) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = code;
+  error.details = [{ path, message }];
+  return error;
+};
+
+const answerAt = (answers, segments) =>
+  segments.reduce((current, segment) => (current == null ? undefined : current[segment]), answers);
+
+// Copy of `answers` with the value at `segments` replaced, creating sections as needed
+const withAnswerAt = (answers, [segment, ...rest], value) => {
+  const base = Array.isArray(answers) ? [...answers] : { ...(isPlainObject(answers) ? answers : {}) };
+  base[segment] = rest.length ? withAnswerAt(base[segment], rest, value) : value;
+  return base;
+};
+
+const resolveQuestion = (form, path) => {
+  const located = locateAnswer(form.schema?.items, path);
+  if (!located) {
+    throw badRequest('unknown_question', 'Path does not name a question in this form', 'path');
+  }
+  return located;
+};
+
+const ensureActive = (response) => {
+  if (!response || response.status === 'voided') {
+    const error = new Error('The response has been voided');
+    error.status = 409;
+    error.code = 'response_voided';
+    throw error;
+  }
+};
+
+const openQuery = async ({ response, form, task, path, message, user }) => {
+  ensureActive(response);
+  await ensureStudyUnlocked(response.studyId);
+  const { item, segments } = resolveQuestion(form, path);
+  const value = answerAt(response.answers, segments);
+
+  return DataQuery.create({
+    orgId: response.orgId,
+    studyId: response.studyId,
+    formId: response.formId,
+    responseId: response._id,
+    taskId: task._id,
+    pid: response.pid,
+    eventId: response.eventId || null,
+    occurrence: response.occurrence ?? null,
+    path,
+    itemText: item.text,
+    value: value === undefined ? null : value,
+    responseRevision: response.revision || 1,
+    openedBy: user._id,
+    messages: [{ action: 'opened', body: message, author: user._id }],
+  });
+};
+
+const ensureTransition = (query, status) => {
+  const { from, action } = TRANSITIONS[status];
+  if (!from.includes(query.status)) {
+    const error = new Error(`A ${query.status} query cannot be ${action}`);
+    error.status = 409;
+    error.code = 'query_state';
+    throw error;
+  }
+};
+
+/**
+ * Move a query to `status`, appending `entry` to its thread. Guarded on the
+ * current status so two people acting at once cannot both succeed.
+ */
+const transitionQuery = async (query, status, user, entry = {}, extra = {}) => {
+  ensureTransition(query, status);
+  await ensureStudyUnlocked(query.studyId);
+  const { action } = TRANSITIONS[status];
+
+  const stamps = {
+    answered: { answeredAt: new Date(), answeredBy: user._id },
+    closed: { closedAt: new Date(), closedBy: user._id },
+    open: {},
+  }[status];
+
+  const updated = await DataQuery.findOneAndUpdate(
+    { _id: query._id, status: query.status },
+    {
+      $set: { status, ...stamps, ...extra },
+      $push: { messages: { action, author: user._id, ...entry } },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    const error = new Error('Query was changed by someone else; reload and try again');
+    error.status = 409;
+    error.code = 'query_conflict';
+    throw error;
+  }
+  return updated;
+};
+
+/**
+ * Answer a query, optionally correcting the value. A correction is saved as a
+ * new response revision with the answer as its reason for change, so it goes
+ * through the same validation and audit trail as an edit in FormRunner.
+ */
+const answerQuery = async ({ query, response, form, task, message, user, correction }) => {
+  if (!correction) {
+    return transitionQuery(query, 'answered', user, { body: message });
+  }
+
+  // Check before touching the response
+  ensureTransition(query, 'answered');
+  ensureActive(response);
+  const { item, segments } = resolveQuestion(form, query.path);
+  if (item.type === 'calculated') {
+    throw badRequest('calculated_answer', 'Calculated answers are recomputed, not corrected', 'value');
+  }
+
+  const from = answerAt(response.answers, segments);
+  const corrected = withAnswerAt(response.answers, segments, correction.value);
+  ensureAnswersSafe(corrected);
+  const answers = applyCalculations(form.schema?.items, corrected);
+  ensureAnswersMatchSchema(answers, form.schema);
+
+  const updated = await submitResponse({
+    form,
+    task,
+    answers,
+    user,
+    reason: `Data query on ${query.path}: ${message}`,
+  });
+
+  return transitionQuery(query, 'answered', user, {
+    action: 'corrected',
+    body: message,
+    correction: {
+      from: from === undefined ? null : from,
+      to: correction.value,
+      revision: updated.revision,
+    },
+  });
+};
+
+const closeQuery = (query, user, message) =>
+  transitionQuery(query, 'closed', user, message ? { body: message } : {});
+
+const reopenQuery = (query, user, message) =>
+  transitionQuery(query, 'open', user, { body: message }, { closedAt: null, closedBy: null });
+
+/**
+ * Open-query counts grouped by `field` ('studyId', 'pid', ...) as a plain
+ * object keyed by the field's value. Aggregation does not cast, so ids in
+ * `match` must already be ObjectIds.
+ */
+const openQueryCounts = async (match, field) => {
+  const rows = await DataQuery.aggregate([
+    { $match: { ...match, status: 'open' } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  ]);
+  return Object.fromEntries(rows.map((row) => [String(row._id), row.count]));
+};
+
+const populateQuery = (query) =>
+  query.populate([
+    { path: 'openedBy', select: 'displayName email role' },
+    { path: 'messages.author', select: 'displayName email role' },
+  ]);
+
+module.exports = {
+  openQuery,
+  answerQuery,
+  closeQuery,
+  reopenQuery,
+  openQueryCounts,
+  populateQuery,
+};
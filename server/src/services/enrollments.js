@@ -0,0 +1,185 @@
+const { scheduleStartOf, startSchedules } = require('./visitSchedule');
+
+// Status changes of a study subject. Withdrawn and completed are final.
+const ENROLLMENT_TRANSITIONS = {
+  screened: ['consented', 'withdrawn'],
+  consented: ['enrolled', 'withdrawn'],
+  enrolled: ['completed', 'withdrawn'],
+  withdrawn: [],
+  completed: [],
+};
+
+const ENROLLMENT_STATUSES = Object.keys(ENROLLMENT_TRANSITIONS);
+
+// A subject is added at the step the site has reached with them
+const INITIAL_STATUSES = ['screened', 'consented', 'enrolled'];
+
+// Subjects who no longer receive new tasks
+const CLOSED_STATUSES = ['withdrawn', 'completed'];
+
+const STATUS_DATES = {
+  screened: 'screenedAt',
+  consented: 'consentedAt',
+  enrolled: 'enrolledAt',
+  withdrawn: 'withdrawnAt',
+  completed: 'completedAt',
+};
+
+const enrollmentError = (status, code, message, path) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  if (path) error.details = [{ path, message }];
+  return error;
+};
+
+const enrollmentOf = (study, pid) =>
+  (study.enrollments || []).find((enrollment) => enrollment.pid === pid) || null;
+
+const newEnrollment = (pid, status, at, actor) => ({
+  pid,
+  status,
+  [STATUS_DATES[status]]: at,
+  history: [{ status, at, by: actor?._id }],
+});
+
+const syncAssignedPatients = (study) => {
+  study.assignedPatients = study.enrollments.map((enrollment) => enrollment.pid);
+};
+
+// Day 0 of the visit schedule is the enrollment date
+const startEnrolledSchedules = (study) => {
+  study.enrollments
+    .filter((enrollment) => enrollment.enrolledAt && !scheduleStartOf(study, enrollment.pid))
+    .forEach((enrollment) => startSchedules(study, [enrollment.pid], enrollment.enrolledAt));
+};
+
+/**
+ * Give every listed PID an enrollment record. Studies that predate enrollment
+ * records only hold `assignedPatients`; those subjects count as enrolled since
+ * their schedule started (or from now when it never did).
+ */
+const ensureEnrollments = (study, now = new Date()) => {
+  (study.assignedPatients || [])
+    .filter((pid) => !enrollmentOf(study, pid))
+    .forEach((pid) => study.enrollments.push(newEnrollment(pid, 'enrolled', scheduleStartOf(study, pid) || now)));
+  syncAssignedPatients(study);
+  startEnrolledSchedules(study);
+};
+
+// Recorded on subjects withdrawn because the assignment list left them out
+const UNASSIGNED_REASON = 'Removed from the study assignment';
+
+/**
+ * Make `pids` (the assignment list of PATCH /api/studies/:id) the subjects still
+ * taking part: new PIDs are enrolled now and active subjects left out are
+ * withdrawn. Records are never deleted, so their dates and history remain.
+ */
+const setStudyPatients = (study, pids, actor, now = new Date()) => {
+  const kept = new Set(pids);
+  study.enrollments
+    .filter((enrollment) => !kept.has(enrollment.pid) && !CLOSED_STATUSES.includes(enrollment.status))
+    .forEach((enrollment) => {
+      enrollment.status = 'withdrawn';
+      enrollment.withdrawnAt = now;
+      enrollment.withdrawalReason = UNASSIGNED_REASON;
+      enrollment.history.push({ status: 'withdrawn', reason: UNASSIGNED_REASON, at: now, by: actor?._id });
+    });
+  pids
+    .filter((pid) => !enrollmentOf(study, pid))
+    .forEach((pid) => study.enrollments.push(newEnrollment(pid, 'enrolled', now, actor)));
+  syncAssignedPatients(study);
+  startEnrolledSchedules(study);
+};
+
+/**
+ * Apply enrollment changes ({ pid, status, at, withdrawalReason, subjectNumber }).
+ * Unknown PIDs become subjects at a screened, consented or enrolled step; known
+ * ones move along ENROLLMENT_TRANSITIONS, withdrawal needing a reason. `at`
+ * backdates the step but may not be in the future or before the current step.
+ */
+const applyEnrollmentChanges = (study, changes, actor, now = new Date()) => {
+  changes.forEach((change, index) => {
+    const path = `enrollments.${index}`;
+    const at = change.at ? new Date(change.at) : now;
+    if (at > now) throw enrollmentError(400, 'invalid_date', 'Dates cannot be in the future', `${path}.at`);
+
+    let enrollment = enrollmentOf(study, change.pid);
+    if (!enrollment) {
+      const status = change.status || 'screened';
+      if (!INITIAL_STATUSES.includes(status)) {
+        throw enrollmentError(409, 'invalid_transition', `A new subject cannot start as ${status}`, `${path}.status`);
+      }
+      study.enrollments.push(newEnrollment(change.pid, status, at, actor));
+      enrollment = enrollmentOf(study, change.pid);
+    } else if (change.status && change.status !== enrollment.status) {
+      if (!ENROLLMENT_TRANSITIONS[enrollment.status].includes(change.status)) {
+        throw enrollmentError(
+          409,
+          'invalid_transition',
+          `A ${enrollment.status} subject cannot become ${change.status}`,
+          `${path}.status`
+        );
+      }
+      const since = enrollment[STATUS_DATES[enrollment.status]];
+      if (since && at < since) {
+        throw enrollmentError(400, 'invalid_date', `Date is before the subject was ${enrollment.status}`, `${path}.at`);
+      }
+      if (change.status === 'withdrawn' && !change.withdrawalReason) {
+        throw enrollmentError(400, 'reason_required', 'A withdrawal needs a reason', `${path}.withdrawalReason`);
+      }
+      enrollment.status = change.status;
+      enrollment[STATUS_DATES[change.status]] = at;
+      if (change.status === 'withdrawn') enrollment.withdrawalReason = change.withdrawalReason;
+      enrollment.history.push({ status: change.status, reason: change.withdrawalReason, at, by: actor?._id });
+    }
+    if (change.subjectNumber !== undefined) enrollment.subjectNumber = change.subjectNumber || undefined;
+  });
+
+  const numbers = new Map();
+  study.enrollments.forEach((enrollment) => {
+    if (!enrollment.subjectNumber) return;
+    const holder = numbers.get(enrollment.subjectNumber);
+    if (holder) {
+      throw enrollmentError(
+        409,
+        'duplicate_subject_number',
+        `Subject number ${enrollment.subjectNumber} is already used by ${holder}`,
+        'enrollments'
+      );
+    }
+    numbers.set(enrollment.subjectNumber, enrollment.pid);
+  });
+
+  syncAssignedPatients(study);
+  startEnrolledSchedules(study);
+};
+
+// Every subject's enrollment without changing the study; listed PIDs without a record count as enrolled
+const studySubjects = (study) => {
+  const enrollments = study.enrollments || [];
+  const recorded = new Set(enrollments.map((enrollment) => enrollment.pid));
+  return [
+    ...enrollments,
+    ...(study.assignedPatients || [])
+      .filter((pid) => !recorded.has(pid))
+      .map((pid) => ({ pid, status: 'enrolled', history: [] })),
+  ];
+};
+
+// Subjects who still receive new tasks
+const taskedPids = (study) =>
+  studySubjects(study)
+    .filter((enrollment) => !CLOSED_STATUSES.includes(enrollment.status))
+    .map((enrollment) => enrollment.pid);
+
+module.exports = {
+  ENROLLMENT_STATUSES,
+  ENROLLMENT_TRANSITIONS,
+  enrollmentOf,
+  ensureEnrollments,
+  setStudyPatients,
+  applyEnrollmentChanges,
+  studySubjects,
+  taskedPids,
+};
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Form = require('../models/Form');
+
+// Forms created before revisions existed have no lineageId; they are their own root.
+const lineageOf = (form) => form.lineageId || form._id;
+
+const lineageFormIds = async (form) => {
+  const revisions = await Form.find({
+    $or: [{ lineageId: lineageOf(form) }, { _id: lineageOf(form) }],
+  }).select('_id');
+  return revisions.map((revision) => revision._id);
+};
+
+const listRevisions = (form) =>
+  Form.find({
+    $or: [{ lineageId: lineageOf(form) }, { _id: lineageOf(form) }],
+  })
+    .sort({ revision: -1 })
+    .populate('createdBy', 'displayName email role');
+
+/**
+ * Supersede `form` with a new revision carrying `changes`.
+ * The previous revision is never modified beyond its supersede markers, so
+ * responses and tasks that reference it keep the questionnaire they were captured on.
+ */
+const createFormRevision = async (form, changes, user) => {
+  const nextId = new mongoose.Types.ObjectId();
+  const lineageId = lineageOf(form);
+
+  // Claim the supersede slot atomically so two concurrent edits cannot fork the lineage
+  const claimed = await Form.findOneAndUpdate(
+    { _id: form._id, supersededBy: null },
+    { $set: { supersededBy: nextId, supersededAt: new Date(), lineageId } },
+    { new: true }
+  );
+  if (!claimed) {
+    const error = new Error('Form revision has already been superseded');
+    error.status = 409;
+    error.code = 'form_superseded';
+    throw error;
+  }
+
+  try {
+    return await Form.create({
+      _id: nextId,
+      orgId: form.orgId,
+      studyId: form.studyId,
+      kind: form.kind,
+      version: changes.version ?? form.version,
+      schema: changes.schema ?? form.schema,
+      createdBy: user._id,
+      isActive: form.isActive,
+      lineageId,
+      revision: (form.revision || 1) + 1,
+      previousRevisionId: form._id,
+    });
+  } catch (error) {
+    await Form.updateOne(
+      { _id: form._id, supersededBy: nextId },
+      { $set: { supersededBy: null }, $unset: { supersededAt: 1 } }
+    );
+    throw error;
+  }
+};
+
+const ensureLatestRevision = (form) => {
+  if (form.supersededBy) {
+    const error = new Error('Form revision has been superseded; use the latest revision');
+    error.status = 409;
+    error.code = 'form_superseded';
+    error.details = [{ path: 'formId', message: `Superseded by ${form.supersededBy}` }];
+    throw error;
+  }
+};
+
+module.exports = {
+  lineageOf,
+  lineageFormIds,
+  listRevisions,
+  createFormRevision,
+  ensureLatestRevision,
+};
@@ -0,0 +1,65 @@
+const Form = require('../models/Form');
+const Notification = require('../models/Notification');
+const Study = require('../models/Study');
+const User = require('../models/User');
+
+const linkOf = ({ taskId, formId, studyId, pid } = {}) => ({ taskId, formId, studyId, pid });
+
+/**
+ * Channel function for services/notify.js: one unread notification per user,
+ * titled with the message subject and linked to what the context names.
+ */
+const inAppChannel = async (userIds, message, context = {}) => {
+  const users = await User.find({ _id: { $in: userIds } }).select('orgId');
+  await Notification.insertMany(
+    users.map((user) => ({
+      orgId: user.orgId,
+      userId: user._id,
+      type: context.trigger || 'message',
+      title: message.subject,
+      body: message.text,
+      link: linkOf(context),
+    }))
+  );
+};
+
+/**
+ * Tell each assignee about their new tasks. Called after the tasks were saved,
+ * so failures are logged rather than failing the request.
+ */
+const notifyTaskAssigned = async (tasks) => {
+  if (!tasks.length) return;
+  try {
+    const [forms, studies] = await Promise.all([
+      Form.find({ _id: { $in: [...new Set(tasks.map((task) => String(task.formId)))] } }).select('schema.title'),
+      Study.find({ _id: { $in: [...new Set(tasks.map((task) => String(task.studyId)))] } }).select('title'),
+    ]);
+    const formTitles = new Map(forms.map((form) => [String(form._id), form.schema?.title || 'Form']));
+    const studyTitles = new Map(studies.map((study) => [String(study._id), study.title]));
+
+    await Notification.insertMany(
+      tasks.map((task) => ({
+        orgId: task.orgId,
+        userId: task.assignee,
+        type: 'task_assigned',
+        title: `New task: ${formTitles.get(String(task.formId)) || 'Form'}`,
+        body: [
+          `Patient ${task.pid}`,
+          studyTitles.get(String(task.studyId)),
+          task.dueAt ? `due ${new Date(task.dueAt).toLocaleDateString('en-GB')}` : null,
+        ]
+          .filter(Boolean)
+          .join(' · '),
+        link: linkOf({ taskId: task._id, formId: task.formId, studyId: task.studyId, pid: task.pid }),
+      }))
+    );
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('[notifications] task_assigned failed:', error?.message);
+  }
+};
+
+module.exports = {
+  inAppChannel,
+  notifyTaskAssigned,
+};
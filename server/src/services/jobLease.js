@@ -0,0 +1,33 @@
+const JobLease = require('../models/JobLease');
+
+/**
+ * Take (or renew) the lease on `name` for `ttlMs`. Succeeds when nobody holds
+ * it, the holder's lease ran out or `owner` already holds it; the upsert turns
+ * a concurrent claim into a duplicate key error, which means we lost the race.
+ */
+const acquireLease = async (name, owner, ttlMs, now = new Date()) => {
+  try {
+    const lease = await JobLease.findOneAndUpdate(
+      { _id: name, $or: [{ expiresAt: { $lte: now } }, { owner }] },
+      { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return Boolean(lease);
+  } catch (error) {
+    if (error?.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Record the outcome and let the lease lapse so the next tick can run anywhere
+const releaseLease = async (name, owner, result, now = new Date()) => {
+  await JobLease.updateOne(
+    { _id: name, owner },
+    { $set: { expiresAt: now, lastRunAt: now, lastResult: result } }
+  );
+};
+
+module.exports = {
+  acquireLease,
+  releaseLease,
+};
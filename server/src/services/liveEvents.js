@@ -0,0 +1,165 @@
+const { EventEmitter } = require('events');
+const Study = require('../models/Study');
+const Task = require('../models/Task');
+
+// In-process fan-out to the open /api/events streams. Events only reach clients
+// connected to the instance that made the change; a multi-instance deployment
+// needs a shared bus (e.g. Redis pub/sub) behind publish/subscribe.
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const EVENT_TYPES = [
+  'task.created',
+  'task.submitted',
+  'task.reset',
+  'task.reopened',
+  'response.changed',
+  'study.updated',
+];
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+/**
+ * Whether a user may see an event, mirroring task and study read access: admins
+ * see their whole org, staff what they are assigned to (and their studies' own
+ * updates), researchers the studies they created or staff and their own tasks.
+ */
+const canReceive = (user, event) => {
+  if (idOf(user.orgId) !== event.orgId) return false;
+  if (user.role === 'admin') return true;
+  const userId = idOf(user._id);
+  if (event.assignees.includes(userId)) return true;
+  if (user.role === 'researcher') return event.members.includes(userId);
+  return event.type === 'study.updated' && event.members.includes(userId);
+};
+
+// What the client gets: enough to pick the queries to refresh and name the actor
+const toPayload = (event) => ({
+  type: event.type,
+  studyId: event.studyId,
+  taskId: event.taskId,
+  formId: event.formId,
+  pid: event.pid,
+  count: event.count,
+  actor: event.actor,
+  at: event.at,
+});
+
+/**
+ * Register a stream for `user`; `send` gets every event the user may see.
+ * Returns the function that unsubscribes.
+ */
+const subscribe = (user, send) => {
+  const listener = (event) => {
+    if (canReceive(user, event)) send(toPayload(event));
+  };
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+};
+
+const hasSubscribers = () => bus.listenerCount('event') > 0;
+
+const membersOf = (study) => (study ? [idOf(study.createdBy), ...(study.assignedStaff || []).map(idOf)] : []);
+
+const actorOf = (actor) => (actor ? { id: idOf(actor._id), displayName: actor.displayName || actor.email } : null);
+
+const publish = ({ type, orgId, studyId, taskId, formId, pid, count, assignees = [], members = [], actor }) =>
+  bus.emit('event', {
+    type,
+    orgId: idOf(orgId),
+    studyId: idOf(studyId),
+    taskId: idOf(taskId),
+    formId: idOf(formId),
+    pid: pid || null,
+    count,
+    assignees: assignees.map(idOf),
+    members,
+    actor: actorOf(actor),
+    at: new Date().toISOString(),
+  });
+
+// Publishing happens after the change was saved and must not fail the request
+const logFailure = (name, hook) => async (...args) => {
+  if (!hasSubscribers()) return;
+  try {
+    await hook(...args);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(`[events] ${name} failed:`, error?.message);
+  }
+};
+
+const studyMembers = async (studyId) => membersOf(await Study.findById(studyId).select('createdBy assignedStaff'));
+
+/**
+ * task.submitted, task.reset, task.reopened or response.changed for the logical
+ * task of `task`; every co-assignee of the slot receives it.
+ */
+const publishTaskEvent = logFailure('task event', async (type, task, actor) => {
+  const [assignees, members] = await Promise.all([
+    Task.distinct('assignee', {
+      orgId: task.orgId,
+      studyId: idOf(task.studyId),
+      formId: idOf(task.formId),
+      pid: task.pid,
+      eventId: idOf(task.eventId),
+      occurrence: task.occurrence ?? null,
+    }),
+    studyMembers(idOf(task.studyId)),
+  ]);
+  publish({
+    type,
+    orgId: task.orgId,
+    studyId: task.studyId,
+    taskId: task._id,
+    formId: task.formId,
+    pid: task.pid,
+    assignees,
+    members,
+    actor,
+  });
+});
+
+// One task.created per study for a batch of new tasks (backfill, assignment, diaries)
+const publishTasksCreated = logFailure('task.created', async (tasks, actor) => {
+  const byStudy = new Map();
+  tasks.forEach((task) => {
+    const key = idOf(task.studyId);
+    if (!byStudy.has(key)) byStudy.set(key, []);
+    byStudy.get(key).push(task);
+  });
+  const studies = await Study.find({ _id: { $in: [...byStudy.keys()] } }).select('orgId createdBy assignedStaff');
+  studies.forEach((study) => {
+    const created = byStudy.get(idOf(study._id));
+    const pids = [...new Set(created.map((task) => task.pid))];
+    publish({
+      type: 'task.created',
+      orgId: study.orgId,
+      studyId: study._id,
+      pid: pids.length === 1 ? pids[0] : null,
+      count: created.length,
+      assignees: [...new Set(created.map((task) => idOf(task.assignee)))],
+      members: membersOf(study),
+      actor,
+    });
+  });
+});
+
+const publishStudyUpdated = logFailure('study.updated', async (study, actor) => {
+  publish({
+    type: 'study.updated',
+    orgId: study.orgId,
+    studyId: study._id,
+    members: membersOf(study),
+    actor,
+  });
+});
+
+module.exports = {
+  EVENT_TYPES,
+  canReceive,
+  subscribe,
+  publishTaskEvent,
+  publishTasksCreated,
+  publishStudyUpdated,
+};
@@ -0,0 +1,100 @@
+const config = require('../config/env');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const User = require('../models/User');
+const { permanentError } = require('./notificationTransports');
+
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+// Transport per delivery channel (see createTransports)
+const transports = new Map();
+
+const registerTransport = (channel, transport) => {
+  transports.set(channel, transport);
+};
+
+// Where a user is reached on a channel
+const ADDRESS_FIELDS = { email: 'email', sms: 'phone' };
+
+const addressOf = (user, channel) => user[ADDRESS_FIELDS[channel] || 'email'] || '';
+
+// Delay before attempt number `attempts + 1`: base, 2×base, 4×base, ... capped
+const backoffMs = (attempts, baseMs = config.notifications.retryBaseMs) =>
+  Math.min(baseMs * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+
+/**
+ * Try to send one pending delivery. Failures are retried with exponential
+ * backoff until maxAttempts; permanent ones (no address, rejected by the
+ * provider) fail at once.
+ */
+const attemptDelivery = async (delivery, now = new Date()) => {
+  const transport = transports.get(delivery.channel);
+  delivery.attempts += 1;
+  try {
+    if (!transport) throw permanentError(`Channel "${delivery.channel}" is not configured`);
+    if (!delivery.to) throw permanentError(`No ${ADDRESS_FIELDS[delivery.channel] || 'address'} for this user`);
+    const result = await transport.send({ to: delivery.to, subject: delivery.subject, text: delivery.text });
+    delivery.status = 'sent';
+    delivery.sentAt = now;
+    delivery.providerId = result?.id;
+    delivery.nextAttemptAt = undefined;
+    delivery.lastError = undefined;
+  } catch (error) {
+    delivery.lastError = error?.message || 'Delivery failed';
+    if (error?.permanent || delivery.attempts >= config.notifications.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+    } else {
+      delivery.nextAttemptAt = new Date(now.getTime() + backoffMs(delivery.attempts));
+    }
+  }
+  await delivery.save();
+  return delivery;
+};
+
+/**
+ * Record a pending delivery per user on `channel` and return them. Nothing is
+ * sent here, so a slow or unreachable provider cannot hold up the request that
+ * notified; the scheduler sends them (sendDueDeliveries).
+ */
+const deliver = async (channel, userIds, message, context = {}) => {
+  const users = await User.find({ _id: { $in: userIds } }).select('orgId email phone');
+  const now = new Date();
+  return NotificationDelivery.insertMany(
+    users.map((user) => ({
+      orgId: user.orgId,
+      userId: user._id,
+      channel,
+      to: addressOf(user, channel),
+      subject: message.subject,
+      text: message.text,
+      nextAttemptAt: now,
+      context,
+    }))
+  );
+};
+
+// Channel function for services/notify.js that delivers through `channel`'s transport
+const deliveryChannel = (channel) => (userIds, message, context) => deliver(channel, userIds, message, context);
+
+// Send queued deliveries and retry failed ones whose backoff has passed; run by the scheduler
+const sendDueDeliveries = async (now = new Date()) => {
+  const due = await NotificationDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(500);
+  let sent = 0;
+  // eslint-disable-next-line no-restricted-syntax
+  for (const delivery of due) {
+    // eslint-disable-next-line no-await-in-loop
+    if ((await attemptDelivery(delivery, now)).status === 'sent') sent += 1;
+  }
+  return { attempted: due.length, sent };
+};
+
+module.exports = {
+  registerTransport,
+  backoffMs,
+  attemptDelivery,
+  deliver,
+  deliveryChannel,
+  sendDueDeliveries,
+};
@@ -0,0 +1,285 @@
+const Form = require('../models/Form');
+const Study = require('../models/Study');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const config = require('../config/env');
+const { DEFAULT_CHANNELS, notifyUsers } = require('./notify');
+const { renderMessage } = require('./notificationTemplates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Typed triggers of Study.notifications with their email subject and default
+// message (see services/notificationTemplates.js for the placeholder syntax).
+const TRIGGERS = {
+  task_created: {
+    label: 'Task created',
+    subject: 'New task: {{form}} ({{pid}})',
+    template: 'New task in {{study}}: {{form}} for patient {{pid}}, due {{dueAt}}',
+  },
+  task_due_soon: {
+    label: 'Task due soon',
+    subject: 'Due {{dueAt}}: {{form}} ({{pid}})',
+    template: '{{form}} for patient {{pid}} in {{study}} is due {{dueAt}}',
+  },
+  task_overdue: {
+    label: 'Task overdue',
+    subject: 'Overdue: {{form}} ({{pid}})',
+    template: '{{form}} for patient {{pid}} in {{study}} was due {{dueAt}}',
+  },
+  response_submitted: {
+    label: 'Response submitted',
+    subject: 'Submitted: {{form}} ({{pid}})',
+    template: '{{actor}} submitted {{form}} for patient {{pid}} in {{study}}',
+  },
+  study_status_changed: {
+    label: 'Study status changed',
+    subject: '{{study}} is now {{status}}',
+    template: '{{study}} changed from {{previousStatus}} to {{status}} by {{actor}}',
+  },
+  query_opened: {
+    label: 'Query opened',
+    subject: 'Query on {{form}} ({{pid}})',
+    template: '{{actor}} opened a query on {{form}} for patient {{pid}} in {{study}}: {{message}}',
+  },
+};
+
+const PLACEHOLDERS = ['study', 'form', 'pid', 'dueAt', 'status', 'previousStatus', 'actor', 'message', 'link'];
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' }) : 'no due date';
+
+const rulesFor = (study, trigger) =>
+  (study.notifications || []).filter((rule) => rule.trigger === trigger && rule.enabled !== false);
+
+/**
+ * Users a rule notifies: every active admin of the organization, or the study
+ * members (assigned staff, its creator and the task's assignees) with the
+ * rule's role. Whoever caused the event is left out.
+ */
+const resolveRecipients = async (study, rule, { assignees = [], actor } = {}) => {
+  const filter = { orgId: study.orgId, isActive: { $ne: false } };
+  if (rule.toRole === 'admin') {
+    filter.role = 'admin';
+  } else {
+    filter._id = { $in: [...(study.assignedStaff || []), study.createdBy, ...assignees].filter(Boolean) };
+    if (rule.toRole) filter.role = rule.toRole;
+  }
+  const users = await User.find(filter).select('_id');
+  const actorId = actor ? String(actor._id || actor) : null;
+  return users.map((user) => String(user._id)).filter((id) => id !== actorId);
+};
+
+// `link` ({ taskId, formId, pid }) is what in-app notifications open
+const sendRule = async (study, rule, values, { assignees, actor, link } = {}) => {
+  const recipients = await resolveRecipients(study, rule, { assignees, actor });
+  if (!recipients.length) return [];
+  const trigger = TRIGGERS[rule.trigger];
+  const message = renderMessage(
+    { subject: trigger.subject, text: rule.template || trigger.template },
+    {
+      ...values,
+      study: study.title,
+      actor: actor?.displayName || 'Someone',
+      link: `${config.appUrl}/tasks`,
+    }
+  );
+  return notifyUsers(recipients, message, {
+    channels: rule.channels?.length ? rule.channels : DEFAULT_CHANNELS,
+    context: { ...link, studyId: study._id, trigger: rule.trigger, ruleId: rule._id },
+  });
+};
+
+/**
+ * Run the study's enabled rules for `trigger`. Notifications never fail the
+ * request that caused them: errors are logged and swallowed.
+ */
+const fireTrigger = async (study, trigger, values = {}, options = {}) => {
+  const rules = rulesFor(study, trigger);
+  try {
+    // eslint-disable-next-line no-restricted-syntax
+    for (const rule of rules) {
+      // eslint-disable-next-line no-await-in-loop
+      await sendRule(study, rule, values, options);
+    }
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(`[notifications] ${trigger} failed:`, error?.message);
+  }
+  return rules.length;
+};
+
+// Co-assignee tasks of one patient, form, visit and diary entry notify once
+const groupTasks = (tasks) => {
+  const groups = new Map();
+  tasks.forEach((task) => {
+    const key = [task.studyId, task.formId?._id || task.formId, task.pid, task.eventId || '', task.occurrence ?? '']
+      .map(String)
+      .join(':');
+    if (!groups.has(key)) groups.set(key, { task, assignees: [] });
+    const group = groups.get(key);
+    group.assignees.push(task.assignee);
+    if (task.dueAt && (!group.task.dueAt || task.dueAt < group.task.dueAt)) group.task = task;
+  });
+  return Array.from(groups.values());
+};
+
+const taskLink = (task) => ({ taskId: task._id, formId: task.formId?._id || task.formId, pid: task.pid });
+
+const taskValues = (task, forms) => {
+  const form = task.formId?.schema ? task.formId : forms.get(String(task.formId));
+  return { form: form?.schema?.title || 'Form', pid: task.pid, dueAt: formatDate(task.dueAt) };
+};
+
+const formsById = async (tasks) => {
+  const ids = [...new Set(tasks.filter((task) => !task.formId?.schema).map((task) => String(task.formId)))];
+  const forms = ids.length ? await Form.find({ _id: { $in: ids } }).select('schema.title') : [];
+  return new Map(forms.map((form) => [String(form._id), form]));
+};
+
+const enabledRule = (triggers) => ({
+  notifications: { $elemMatch: { trigger: { $in: triggers }, enabled: { $ne: false } } },
+});
+
+// Notification hooks are called after the change was saved and must not fail the request
+const logFailure = (trigger, hook) => async (...args) => {
+  try {
+    await hook(...args);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error(`[notifications] ${trigger} failed:`, error?.message);
+  }
+};
+
+// task_created for newly created tasks; studies without such rules cost one query
+const notifyTasksCreated = logFailure('task_created', async (tasks, actor) => {
+  if (!tasks.length) return;
+  const studies = await Study.find({
+    _id: { $in: [...new Set(tasks.map((task) => String(task.studyId)))] },
+    ...enabledRule(['task_created']),
+  });
+  if (!studies.length) return;
+  const byId = new Map(studies.map((study) => [String(study._id), study]));
+  const relevant = tasks.filter((task) => byId.has(String(task.studyId)));
+  const forms = await formsById(relevant);
+  // eslint-disable-next-line no-restricted-syntax
+  for (const group of groupTasks(relevant)) {
+    // eslint-disable-next-line no-await-in-loop
+    await fireTrigger(byId.get(String(group.task.studyId)), 'task_created', taskValues(group.task, forms), {
+      assignees: group.assignees,
+      actor,
+      link: taskLink(group.task),
+    });
+  }
+});
+
+// Tasks created by a Task.bulkWrite of upserts, including a partly failed one
+const upsertedTasks = async (result) => {
+  const ids = Object.values(result?.upsertedIds || {});
+  return ids.length ? Task.find({ _id: { $in: ids } }) : [];
+};
+
+// Assignees of every co-assignee task of the same logical task
+const siblingAssignees = async (task) =>
+  Task.distinct('assignee', {
+    orgId: task.orgId,
+    studyId: task.studyId,
+    formId: task.formId,
+    pid: task.pid,
+    eventId: task.eventId || null,
+    occurrence: task.occurrence ?? null,
+  });
+
+const notifyResponseSubmitted = logFailure('response_submitted', async ({ task, form, actor }) => {
+  const study = await Study.findById(task.studyId);
+  if (!study || !rulesFor(study, 'response_submitted').length) return;
+  await fireTrigger(
+    study,
+    'response_submitted',
+    { form: form.schema?.title, pid: task.pid, dueAt: formatDate(task.dueAt) },
+    { assignees: await siblingAssignees(task), actor, link: taskLink(task) }
+  );
+});
+
+const notifyStudyStatusChanged = async (study, previousStatus, actor) => {
+  if (!previousStatus || previousStatus === study.status) return;
+  await fireTrigger(study, 'study_status_changed', { status: study.status, previousStatus }, { actor });
+};
+
+const notifyQueryOpened = logFailure('query_opened', async ({ task, form, message, actor }) => {
+  const study = await Study.findById(task.studyId);
+  if (!study || !rulesFor(study, 'query_opened').length) return;
+  await fireTrigger(
+    study,
+    'query_opened',
+    { form: form.schema?.title, pid: task.pid, dueAt: formatDate(task.dueAt), message },
+    { assignees: await siblingAssignees(task), actor, link: taskLink(task) }
+  );
+});
+
+/**
+ * Due-soon and overdue rules over open tasks, run by the scheduler. Each rule
+ * fires once per task: tasks remember the rules already sent in notifiedRules.
+ * Overdue rules run before expiry, so tasks without a grace period still get theirs.
+ */
+const runDueNotifications = async (now = new Date()) => {
+  const studies = await Study.find({
+    status: { $ne: 'closed' },
+    ...enabledRule(['task_due_soon', 'task_overdue']),
+  });
+
+  let notified = 0;
+  // eslint-disable-next-line no-restricted-syntax
+  for (const study of studies) {
+    const rules = [...rulesFor(study, 'task_due_soon'), ...rulesFor(study, 'task_overdue')];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const rule of rules) {
+      const dueAt =
+        rule.trigger === 'task_overdue'
+          ? { $lt: now }
+          : { $gt: now, $lte: new Date(now.getTime() + (rule.daysBefore || 0) * DAY_MS) };
+      // eslint-disable-next-line no-await-in-loop
+      const tasks = await Task.find({
+        studyId: study._id,
+        status: 'open',
+        dueAt,
+        notifiedRules: { $ne: rule._id },
+      }).populate('formId', 'schema.title');
+      if (!tasks.length) continue;
+
+      // Marked first: with the scheduler lease a crash loses a reminder instead of repeating it
+      // eslint-disable-next-line no-await-in-loop
+      await Task.updateMany(
+        { _id: { $in: tasks.map((task) => task._id) } },
+        { $addToSet: { notifiedRules: rule._id } }
+      );
+      // eslint-disable-next-line no-restricted-syntax
+      for (const group of groupTasks(tasks)) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          await sendRule(study, rule, taskValues(group.task, new Map()), {
+            assignees: group.assignees,
+            link: taskLink(group.task),
+          });
+          notified += 1;
+        } catch (error) {
+          // eslint-disable-next-line no-console
+          console.error(`[notifications] ${rule.trigger} failed:`, error?.message);
+        }
+      }
+    }
+  }
+  return notified;
+};
+
+module.exports = {
+  TRIGGERS,
+  PLACEHOLDERS,
+  resolveRecipients,
+  fireTrigger,
+  notifyTasksCreated,
+  upsertedTasks,
+  notifyResponseSubmitted,
+  notifyStudyStatusChanged,
+  notifyQueryOpened,
+  runDueNotifications,
+};
@@ -0,0 +1,26 @@
+// Subjects and bodies of system messages. Values fill {{placeholders}}; unknown
+// or missing ones render empty. Rule messages use the same syntax.
+const TEMPLATES = {
+  form_assigned: {
+    subject: 'Form to complete: {{form}}',
+    text: '{{form}} in {{study}} is waiting for you ({{count}} open tasks).\n\nOpen your tasks: {{link}}',
+  },
+};
+
+const renderTemplate = (template, values = {}) =>
+  (template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => (values[key] == null ? '' : String(values[key])));
+
+// { subject, text } of a template from TEMPLATES or an inline { subject, text } pair
+const renderMessage = (template, values) => {
+  const source = typeof template === 'string' ? TEMPLATES[template] : template;
+  return {
+    subject: renderTemplate(source.subject, values),
+    text: renderTemplate(source.text, values),
+  };
+};
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate,
+  renderMessage,
+};
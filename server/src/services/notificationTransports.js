@@ -0,0 +1,99 @@
+const nodemailer = require('nodemailer');
+
+// A transport sends one message ({ to, subject, text }) and resolves to
+// { id } on success. Errors flagged `permanent` are not retried.
+
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+};
+
+const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+  const mailer = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+  return {
+    name: 'smtp',
+    send: async ({ to, subject, text }) => {
+      try {
+        const info = await mailer.sendMail({ from, to, subject, text });
+        return { id: info.messageId };
+      } catch (error) {
+        // 5xx replies (unknown mailbox, rejected sender) will not succeed later
+        if (error.responseCode >= 500) error.permanent = true;
+        throw error;
+      }
+    },
+  };
+};
+
+const createSmsGatewayTransport = ({ url, token, from }) => ({
+  name: 'sms-gateway',
+  send: async ({ to, text }) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify({ to, from, message: text }),
+      signal: AbortSignal.timeout(15000),
+    });
+    if (!response.ok) {
+      const error = new Error(`SMS gateway responded ${response.status}`);
+      // Rejected requests fail the same way again; rate limits and outages do not
+      error.permanent = response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status);
+      throw error;
+    }
+    const body = await response.json().catch(() => ({}));
+    return { id: body.id || body.messageId };
+  },
+});
+
+// Messages captured outside production instead of being sent, newest first
+const DEV_INBOX_SIZE = 200;
+const devInbox = [];
+let devInboxSeq = 0;
+
+const createDevInboxTransport = (channel) => ({
+  name: 'dev-inbox',
+  send: async ({ to, subject, text }) => {
+    devInboxSeq += 1;
+    devInbox.unshift({ id: String(devInboxSeq), channel, to, subject, text, at: new Date() });
+    devInbox.length = Math.min(devInbox.length, DEV_INBOX_SIZE);
+    return { id: `dev-${devInboxSeq}` };
+  },
+});
+
+const listDevInbox = ({ to } = {}) => (to ? devInbox.filter((message) => message.to === to) : [...devInbox]);
+
+const clearDevInbox = () => {
+  devInbox.length = 0;
+};
+
+/**
+ * Transports per channel from config.notifications: SMTP for email and the
+ * HTTP gateway for SMS when configured, otherwise the dev inbox if enabled.
+ */
+const createTransports = ({ smtp, sms, devInbox: useDevInbox }) => {
+  const transports = {};
+  if (smtp.host) transports.email = createSmtpTransport(smtp);
+  else if (useDevInbox) transports.email = createDevInboxTransport('email');
+  if (sms.url) transports.sms = createSmsGatewayTransport(sms);
+  else if (useDevInbox) transports.sms = createDevInboxTransport('sms');
+  return transports;
+};
+
+module.exports = {
+  permanentError,
+  createSmtpTransport,
+  createSmsGatewayTransport,
+  createDevInboxTransport,
+  createTransports,
+  listDevInbox,
+  clearDevInbox,
+};
@@ -1,9 +1,68 @@
-const notifyUsers = (userIds, message) => {
-  // Stub for MVP: log notifications
+const config = require('../config/env');
+const { inAppChannel } = require('./inAppNotifications');
+const { createTransports } = require('./notificationTransports');
+const { deliveryChannel, registerTransport } = require('./notificationDelivery');
+
+// Delivery channels by name. Each one receives the recipient user ids, the
+// message ({ subject, text }) and the context it was sent in ({ studyId, trigger, ruleId }).
+const channels = new Map();
+
+const registerChannel = (name, send) => {
+  channels.set(name, send);
+};
+
+const availableChannels = () => Array.from(channels.keys());
+
+// Server log only, e.g. for local runs without the dev inbox
+registerChannel('log', async (userIds, message) => {
   // eslint-disable-next-line no-console
-  console.log('[notify]', { userIds, message });
+  console.log('[notify]', { userIds, subject: message.subject, text: message.text });
+});
+
+// Notification center in the app (GET /api/notifications)
+registerChannel('inapp', inAppChannel);
+
+// Email and SMS are queued as deliveries that the scheduler sends and retries
+// (services/notificationDelivery.js)
+Object.entries(createTransports(config.notifications)).forEach(([channel, transport]) => {
+  registerTransport(channel, transport);
+  registerChannel(channel, deliveryChannel(channel));
+});
+
+const DEFAULT_CHANNELS = config.notifications.defaultChannels.length
+  ? config.notifications.defaultChannels
+  : ['inapp', channels.has('email') ? 'email' : 'log'];
+
+const toMessage = (message) =>
+  typeof message === 'string' ? { subject: message.split('\n')[0].slice(0, 120), text: message } : message;
+
+/**
+ * Send `message` (text or { subject, text }) to the users (ids or documents)
+ * through the given channels. A failing channel is logged and does not stop
+ * the others. Resolves to the deliveries recorded by the channels.
+ */
+const notifyUsers = async (users, message, { channels: names = DEFAULT_CHANNELS, context = {} } = {}) => {
+  const userIds = [...new Set(users.map((user) => String(user?._id || user)))];
+  if (!userIds.length) return [];
+
+  const results = await Promise.allSettled(
+    names
+      .filter((name) => channels.has(name))
+      .map((name) => channels.get(name)(userIds, toMessage(message), context))
+  );
+  return results.flatMap((result) => {
+    if (result.status === 'rejected') {
+      // eslint-disable-next-line no-console
+      console.error('[notify] channel failed:', result.reason?.message);
+      return [];
+    }
+    return Array.isArray(result.value) ? result.value : [];
+  });
 };
 
 module.exports = {
+  DEFAULT_CHANNELS,
+  registerChannel,
+  availableChannels,
   notifyUsers,
 };
@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const Patient = require('../models/Patient');
+const User = require('../models/User');
+const { parseCsv } = require('../utils/csv');
+const { containsPII } = require('../utils/privacy');
+
+const pseudoIdRegex = /^[A-Z0-9_-]{3,}$/;
+const PID_FORMAT_MESSAGE = 'PID must be uppercase letters, digits, _ or -, length ≥ 3';
+
+const PID_UNAVAILABLE_MESSAGE = 'PID cannot be used; choose another';
+
+const MAX_IMPORT_ROWS = 5000;
+const OWNER_ROLES = ['staff', 'researcher'];
+
+// Accepted headers (case, spaces and underscores ignored) and the field each fills
+const COLUMN_FIELDS = {
+  pid: 'pid',
+  category: 'category',
+  cohorttags: 'cohortTags',
+  strata: 'strata',
+  owners: 'owners',
+  owneremails: 'owners',
+  // Added to the error file; a corrected error file can be imported as it is
+  errors: 'errors',
+};
+
+const importError = (message, details, status = 400, code = 'invalid_import') => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+// Multi-valued cells (tags, strata, owner emails) are separated by semicolons
+const listOf = (cell) =>
+  (cell || '')
+    .split(';')
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+const readImportFile = (csv) => {
+  const [header, ...records] = parseCsv(csv);
+  if (!header) throw importError('The file is empty', [{ path: 'csv', message: 'The file is empty' }]);
+
+  const columns = header.cells.map((name) => name.trim());
+  const fields = columns.map((name) => COLUMN_FIELDS[name.toLowerCase().replace(/[\s_]/g, '')]);
+  const unknown = columns.filter((_name, index) => !fields[index]);
+  const problems = [
+    ...unknown.map((name) => ({ path: 'csv', message: `Unknown column "${name}"` })),
+    ...(fields.includes('pid') ? [] : [{ path: 'csv', message: 'The file needs a pid column' }]),
+    ...(records.length > MAX_IMPORT_ROWS
+      ? [{ path: 'csv', message: `Import at most ${MAX_IMPORT_ROWS} rows at a time` }]
+      : []),
+  ];
+  if (!records.length) problems.push({ path: 'csv', message: 'The file has no rows below its header' });
+  if (problems.length) throw importError('The file cannot be imported', problems);
+
+  return {
+    columns,
+    rows: records.map(({ line, cells }) => {
+      const values = Object.fromEntries(columns.map((name, index) => [name, cells[index] ?? '']));
+      const byField = Object.fromEntries(fields.map((field, index) => [field, (cells[index] ?? '').trim()]));
+      return {
+        line,
+        values,
+        extraCells: cells.length > columns.length,
+        pid: byField.pid || '',
+        category: byField.category || '',
+        cohortTags: listOf(byField.cohortTags),
+        strata: listOf(byField.strata),
+        ownerEmails: listOf(byField.owners).map((email) => email.toLowerCase()),
+      };
+    }),
+  };
+};
+
+/**
+ * Validate every row of a patient CSV without writing anything. Rows are
+ * checked for the PID format, PIDs repeated in the file or already taken,
+ * identifiers in free-text columns and owners who are not staff or researchers
+ * of the organization. Each row comes back with its errors and, when it has
+ * none, the patient it would create.
+ */
+const planPatientImport = async (csv, orgId) => {
+  const { columns, rows } = readImportFile(csv);
+
+  // PIDs are unique across organizations, so any existing one is taken. Only
+  // the caller's own are named as existing; the others get a message that does
+  // not tell another organization's patients apart from other reasons.
+  const pids = rows.map((row) => row.pid).filter(Boolean);
+  const existing = await Patient.find({ pid: { $in: pids } }).select('pid orgId');
+  const taken = new Map(existing.map((patient) => [patient.pid, String(patient.orgId) === String(orgId)]));
+  const emails = Array.from(new Set(rows.flatMap((row) => row.ownerEmails)));
+  const users = emails.length
+    ? await User.find({ orgId, email: { $in: emails } }).select('email role isActive')
+    : [];
+  const userByEmail = new Map(users.map((user) => [user.email.toLowerCase(), user]));
+
+  const firstLine = new Map();
+  return {
+    columns,
+    rows: rows.map((row) => {
+      const errors = [];
+      if (row.extraCells) errors.push('Row has more values than the header has columns');
+      if (!row.pid) {
+        errors.push('PID is required');
+      } else if (!pseudoIdRegex.test(row.pid)) {
+        errors.push(PID_FORMAT_MESSAGE);
+      } else if (firstLine.has(row.pid)) {
+        errors.push(`PID repeats line ${firstLine.get(row.pid)}`);
+      } else if (taken.has(row.pid)) {
+        errors.push(taken.get(row.pid) ? 'PID already exists' : PID_UNAVAILABLE_MESSAGE);
+      }
+      if (row.pid && !firstLine.has(row.pid)) firstLine.set(row.pid, row.line);
+
+      if (row.category.length > 120) errors.push('Category is longer than 120 characters');
+      [
+        ['Category', row.category ? [row.category] : []],
+        ['Cohort tags', row.cohortTags],
+        ['Strata', row.strata],
+      ].forEach(([label, values]) => {
+        if (values.some(containsPII)) errors.push(`${label} may contain an identifier`);
+      });
+
+      const assignedStaff = [];
+      row.ownerEmails.forEach((email) => {
+        const user = userByEmail.get(email);
+        if (!user || user.isActive === false) {
+          errors.push(`No active user ${email} in this organization`);
+        } else if (!OWNER_ROLES.includes(user.role)) {
+          errors.push(`${email} cannot own patients; owners must be staff or researchers`);
+        } else if (!assignedStaff.some((id) => id.equals(user._id))) {
+          assignedStaff.push(user._id);
+        }
+      });
+
+      return {
+        line: row.line,
+        pid: row.pid,
+        values: row.values,
+        errors,
+        patient: errors.length
+          ? null
+          : {
+              pid: row.pid,
+              orgId,
+              category: row.category || undefined,
+              cohortTags: row.cohortTags,
+              strata: row.strata,
+              assignedStaff,
+            },
+      };
+    }),
+  };
+};
+
+/**
+ * Create the patients of every valid row in one transaction, so an insert that
+ * fails (e.g. a PID taken since the plan was made) or a dropped connection
+ * leaves none of them. Rejected rows are left out. Returns the number created.
+ * Transactions need MongoDB to run as a replica set.
+ */
+const applyPatientImport = async (plan) => {
+  const patients = plan.rows.filter((row) => row.patient).map((row) => row.patient);
+  if (!patients.length) {
+    throw importError('No row can be imported', [{ path: 'csv', message: 'Every row was rejected' }]);
+  }
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(() => Patient.insertMany(patients, { session, ordered: true }));
+  } catch (error) {
+    if (error.code === 11000) {
+      throw importError(
+        'Some PIDs were registered while the import ran; check the file again',
+        undefined,
+        409,
+        'import_conflict'
+      );
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+  return patients.length;
+};
+
+// What the client sees of a plan: per-row outcome and totals
+const importReport = (plan) => {
+  const rejected = plan.rows.filter((row) => row.errors.length).length;
+  return {
+    columns: plan.columns,
+    summary: { total: plan.rows.length, valid: plan.rows.length - rejected, rejected },
+    rows: plan.rows.map(({ line, pid, values, errors }) => ({ line, pid, values, errors })),
+  };
+};
+
+module.exports = {
+  pseudoIdRegex,
+  PID_FORMAT_MESSAGE,
+  planPatientImport,
+  applyPatientImport,
+  importReport,
+};
@@ -0,0 +1,147 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config/env');
+const PatientLink = require('../models/PatientLink');
+const Task = require('../models/Task');
+const Form = require('../models/Form');
+const Study = require('../models/Study');
+const FormResponse = require('../models/FormResponse');
+const { ensureStudyUnlocked } = require('./studyCloseout');
+
+// Stands in for a User wherever an actor is named (notifications, live events)
+const PATIENT_ACTOR = { displayName: 'Patient (self-report)' };
+
+const TOKEN_PURPOSE = 'patient_link';
+
+const linkError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Every task of the same form, patient, visit and diary entry (one per assignee)
+const slotOf = (task) => ({
+  orgId: task.orgId,
+  studyId: task.studyId,
+  formId: task.formId,
+  pid: task.pid,
+  eventId: task.eventId || null,
+  occurrence: task.occurrence ?? null,
+});
+
+const patientLinkUrl = (token) => `${config.appUrl}/epro/${encodeURIComponent(token)}`;
+
+/**
+ * Issue a single-use link for the patient to answer `task` themselves. Only open
+ * tasks without a response qualify; earlier unused links of the same task slot
+ * stop working, so only the newest link handed out is valid.
+ */
+const issuePatientLink = async (task, user, now = new Date()) => {
+  if (task.status !== 'open') {
+    throw linkError(409, 'task_not_open', 'Only open tasks can be sent to the patient');
+  }
+  await ensureStudyUnlocked(task.studyId);
+  const { orgId, studyId, ...instance } = slotOf(task);
+  if (await FormResponse.exists({ orgId, ...instance })) {
+    throw linkError(
+      409,
+      'response_exists',
+      'This task already has a response; corrections are entered by staff with a reason'
+    );
+  }
+
+  const siblingIds = await Task.distinct('_id', slotOf(task));
+  await PatientLink.updateMany(
+    { taskId: { $in: siblingIds }, usedAt: null, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+  await Task.updateMany({ _id: { $in: siblingIds } }, { $set: { selfReport: true } });
+
+  const ttlSeconds = config.patientLinks.ttlHours * 60 * 60;
+  const link = await PatientLink.create({
+    orgId,
+    studyId,
+    taskId: task._id,
+    formId: task.formId,
+    pid: task.pid,
+    expiresAt: new Date(now.getTime() + ttlSeconds * 1000),
+    createdBy: user._id,
+  });
+  const token = jwt.sign({ purpose: TOKEN_PURPOSE }, config.patientLinks.secret, {
+    subject: String(link._id),
+    expiresIn: ttlSeconds,
+  });
+  return { link, token, url: patientLinkUrl(token) };
+};
+
+// Withdraw unused links of a task slot, e.g. when the patient will not self-report after all
+const revokePatientLinks = async (task, now = new Date()) => {
+  const siblingIds = await Task.distinct('_id', slotOf(task));
+  const result = await PatientLink.updateMany(
+    { taskId: { $in: siblingIds }, usedAt: null, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * The link, task, form and study behind a token, refusing tokens that are
+ * forged, expired, replaced, already used or whose task is no longer open.
+ */
+const resolvePatientLink = async (token, now = new Date()) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, config.patientLinks.secret);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw linkError(410, 'link_expired', 'This link has expired. Ask the study team for a new one.');
+    }
+    throw linkError(404, 'link_invalid', 'This link is not valid');
+  }
+  if (payload.purpose !== TOKEN_PURPOSE) throw linkError(404, 'link_invalid', 'This link is not valid');
+
+  const link = await PatientLink.findById(payload.sub);
+  if (!link) throw linkError(404, 'link_invalid', 'This link is not valid');
+  if (link.usedAt) throw linkError(410, 'link_used', 'This form has already been submitted. Thank you.');
+  if (link.revokedAt) {
+    throw linkError(410, 'link_revoked', 'This link was replaced by a newer one. Use the latest link you received.');
+  }
+  if (link.expiresAt <= now) {
+    throw linkError(410, 'link_expired', 'This link has expired. Ask the study team for a new one.');
+  }
+
+  const task = await Task.findOne({ _id: link.taskId, orgId: link.orgId });
+  if (!task || task.status !== 'open') {
+    throw linkError(410, 'link_closed', 'This form is no longer open for answers');
+  }
+  const [form, study] = await Promise.all([
+    Form.findOne({ _id: task.formId, orgId: link.orgId }),
+    Study.findById(task.studyId).select('title status'),
+  ]);
+  if (!form || !study) throw linkError(410, 'link_closed', 'This form is no longer open for answers');
+  return { link, task, form, study };
+};
+
+// Claim the link for one submission; concurrent submissions of the same link lose here
+const consumePatientLink = async (link, now = new Date()) => {
+  const claimed = await PatientLink.findOneAndUpdate(
+    { _id: link._id, usedAt: null, revokedAt: null },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+  if (!claimed) throw linkError(410, 'link_used', 'This form has already been submitted. Thank you.');
+  return claimed;
+};
+
+// Give the link back when the submission failed after it was claimed
+const releasePatientLink = (link) => PatientLink.updateOne({ _id: link._id }, { $set: { usedAt: null } });
+
+module.exports = {
+  PATIENT_ACTOR,
+  slotOf,
+  issuePatientLink,
+  revokePatientLinks,
+  resolvePatientLink,
+  consumePatientLink,
+  releasePatientLink,
+};
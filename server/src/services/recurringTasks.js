@@ -0,0 +1,294 @@
+const RecurringAssignment = require('../models/RecurringAssignment');
+const Study = require('../models/Study');
+const Task = require('../models/Task');
+const { lineageFormIds } = require('./formRevisions');
+const { notifyTasksCreated, upsertedTasks } = require('./notificationRules');
+const { publishTasksCreated } = require('./liveEvents');
+const { bulkUpsert } = require('../utils/bulkUpsert');
+
+const STEP_DAYS = { daily: 1, weekly: 7 };
+// Longest diary accepted in one assignment (about two years of daily entries)
+const MAX_OCCURRENCES = 730;
+// Entries are created this far ahead so the next one already shows in task lists
+const LOOKAHEAD_MS = 24 * 60 * 60 * 1000;
+
+const recurrenceError = (status, code, message, path) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  if (path) error.details = [{ path, message }];
+  return error;
+};
+
+// First entry: the first `timeOfDay` at or after startAt
+const firstOccurrenceAt = (startAt, timeOfDay) => {
+  const [hours, minutes] = timeOfDay.split(':').map(Number);
+  const first = new Date(startAt);
+  first.setHours(hours, minutes, 0, 0);
+  if (first < startAt) first.setDate(first.getDate() + 1);
+  return first;
+};
+
+// Start of the `index`-th entry (0-based); calendar days keep the time of day across DST
+const entryAt = (frequency, firstAt, index) => {
+  const at = new Date(firstAt);
+  at.setDate(at.getDate() + index * STEP_DAYS[frequency]);
+  return at;
+};
+
+/**
+ * Resolve a recurrence rule ({ frequency, timeOfDay, startAt?, count | endAt })
+ * to its first entry and number of entries, refusing empty or oversized diaries.
+ */
+const planRecurrence = (rule, now = new Date()) => {
+  const startAt = rule.startAt ? new Date(rule.startAt) : now;
+  const firstAt = firstOccurrenceAt(startAt, rule.timeOfDay);
+  let total = rule.count;
+  if (!total) {
+    const endAt = new Date(rule.endAt);
+    const stepMs = STEP_DAYS[rule.frequency] * 24 * 60 * 60 * 1000;
+    // Estimate, then correct for DST shifts around the end date
+    total = Math.floor((endAt - firstAt) / stepMs) + 1;
+    while (total > 0 && entryAt(rule.frequency, firstAt, total - 1) > endAt) total -= 1;
+    while (entryAt(rule.frequency, firstAt, total) <= endAt) total += 1;
+  }
+  if (total < 1) {
+    throw recurrenceError(400, 'empty_recurrence', 'The end date is before the first entry', 'recurrence.endAt');
+  }
+  if (total > MAX_OCCURRENCES) {
+    throw recurrenceError(
+      400,
+      'recurrence_too_long',
+      `A diary can have at most ${MAX_OCCURRENCES} entries`,
+      'recurrence'
+    );
+  }
+  return { firstAt, total };
+};
+
+const occurrenceWindow = (assignment, occurrence) => {
+  const index = occurrence - assignment.firstOccurrence;
+  const scheduledAt = entryAt(assignment.frequency, assignment.firstAt, index);
+  // Each entry stays open until the next one starts
+  return {
+    scheduledAt,
+    windowStart: scheduledAt,
+    dueAt: entryAt(assignment.frequency, assignment.firstAt, index + 1),
+  };
+};
+
+/**
+ * Create the tasks of every entry that starts before now + LOOKAHEAD_MS. Entries
+ * whose window already passed (the scheduler was not running) are still created
+ * so that expiry counts them as missed. Safe to run concurrently: tasks are
+ * upserted on their unique slot and the cursor only moves forward.
+ */
+const materializeAssignment = async (assignment, now = new Date(), actor = null) => {
+  const horizon = new Date(now.getTime() + LOOKAHEAD_MS);
+  const ops = [];
+  let occurrence = assignment.nextOccurrence;
+  while (occurrence <= assignment.lastOccurrence) {
+    const window = occurrenceWindow(assignment, occurrence);
+    if (window.scheduledAt > horizon) break;
+    assignment.assignees.forEach((assignee) => {
+      const slot = {
+        orgId: assignment.orgId,
+        studyId: assignment.studyId,
+        formId: assignment.formId,
+        pid: assignment.pid,
+        eventId: null,
+        occurrence,
+        assignee,
+      };
+      ops.push({
+        updateOne: {
+          filter: slot,
+          update: {
+            $setOnInsert: {
+              ...slot,
+              ...window,
+              recurrenceId: assignment._id,
+              status: 'open',
+              createdAt: now,
+            },
+          },
+          upsert: true,
+        },
+      });
+    });
+    occurrence += 1;
+  }
+
+  if (ops.length) {
+    const result = await bulkUpsert(Task, ops, 'recurring-tasks');
+    const created = await upsertedTasks(result);
+    await notifyTasksCreated(created, actor);
+    await publishTasksCreated(created, actor);
+  }
+
+  const finished = occurrence > assignment.lastOccurrence;
+  const update = {
+    nextOccurrence: occurrence,
+    nextAt: finished ? null : occurrenceWindow(assignment, occurrence).scheduledAt,
+    ...(finished ? { status: 'completed' } : {}),
+  };
+  await RecurringAssignment.updateOne(
+    { _id: assignment._id, status: 'active', nextOccurrence: { $lte: occurrence } },
+    { $set: update }
+  );
+  Object.assign(assignment, update);
+  return ops.length;
+};
+
+/**
+ * Start a diary for one patient. Occurrence numbers continue after earlier
+ * diaries of the same form so every entry keeps its own response.
+ */
+const createRecurringAssignment = async ({ form, pid, assignees, rule, plan, user }) => {
+  const alreadyRunning = () =>
+    recurrenceError(409, 'recurrence_exists', `Patient ${pid} already has a running diary for this form`, 'pid');
+  const lineageIds = await lineageFormIds(form);
+  if (await RecurringAssignment.exists({ orgId: form.orgId, formId: { $in: lineageIds }, pid, status: 'active' })) {
+    throw alreadyRunning();
+  }
+
+  const [latest] = await Task.find({
+    orgId: form.orgId,
+    formId: { $in: lineageIds },
+    pid,
+    occurrence: { $ne: null },
+  })
+    .sort({ occurrence: -1 })
+    .limit(1)
+    .select('occurrence');
+  const firstOccurrence = (latest?.occurrence || 0) + 1;
+
+  let assignment;
+  try {
+    assignment = await RecurringAssignment.create({
+      orgId: form.orgId,
+      studyId: form.studyId,
+      formId: form._id,
+      pid,
+      assignees: assignees.map((assignee) => assignee._id),
+      frequency: rule.frequency,
+      timeOfDay: rule.timeOfDay,
+      count: rule.count,
+      endAt: rule.endAt ? new Date(rule.endAt) : undefined,
+      firstAt: plan.firstAt,
+      firstOccurrence,
+      lastOccurrence: firstOccurrence + plan.total - 1,
+      nextOccurrence: firstOccurrence,
+      nextAt: plan.firstAt,
+      createdBy: user._id,
+    });
+  } catch (error) {
+    throw error?.code === 11000 ? alreadyRunning() : error;
+  }
+
+  await materializeAssignment(assignment, new Date(), user);
+  return assignment;
+};
+
+// Stop a diary: entries that have not started yet are removed, the rest stay
+const cancelRecurringAssignment = async (assignment, user, now = new Date()) => {
+  if (assignment.status !== 'active') {
+    throw recurrenceError(409, 'recurrence_not_active', 'Diary is not running');
+  }
+  assignment.status = 'cancelled';
+  assignment.cancelledAt = now;
+  assignment.cancelledBy = user._id;
+  assignment.nextAt = null;
+  await assignment.save();
+  await Task.deleteMany({ recurrenceId: assignment._id, status: 'open', scheduledAt: { $gt: now } });
+  return assignment;
+};
+
+/**
+ * Materialize upcoming entries of running diaries, except in locked studies.
+ * Missed entries are expired with every other task (services/taskExpiry.js).
+ */
+const runRecurringTasks = async (now = new Date()) => {
+  const horizon = new Date(now.getTime() + LOOKAHEAD_MS);
+  const due = await RecurringAssignment.find({ status: 'active', nextAt: { $lte: horizon } });
+  const closed = new Set(
+    (
+      await Study.distinct('_id', {
+        _id: { $in: [...new Set(due.map((assignment) => String(assignment.studyId)))] },
+        status: 'closed',
+      })
+    ).map(String)
+  );
+
+  let created = 0;
+  // eslint-disable-next-line no-restricted-syntax
+  for (const assignment of due) {
+    if (closed.has(String(assignment.studyId))) continue;
+    // eslint-disable-next-line no-await-in-loop
+    created += await materializeAssignment(assignment, now);
+  }
+  return { created };
+};
+
+/**
+ * Adherence per diary of a patient: entries completed out of those whose window
+ * has closed (completed or missed). Entries still open only count once submitted.
+ * Co-assignee tasks of one entry are merged like in the task list.
+ */
+const adherenceFor = async ({ orgId, pid, filter = {} }, now = new Date()) => {
+  const assignments = await RecurringAssignment.find({ orgId, pid, ...filter })
+    .populate('formId', 'schema.title revision')
+    .sort({ createdAt: -1 });
+  if (!assignments.length) return [];
+
+  const entries = await Task.aggregate([
+    { $match: { recurrenceId: { $in: assignments.map((assignment) => assignment._id) } } },
+    {
+      $group: {
+        _id: { recurrenceId: '$recurrenceId', occurrence: '$occurrence' },
+        statuses: { $addToSet: '$status' },
+        scheduledAt: { $min: '$scheduledAt' },
+      },
+    },
+  ]);
+
+  const counts = new Map();
+  entries.forEach((entry) => {
+    const key = String(entry._id.recurrenceId);
+    if (!counts.has(key)) counts.set(key, { completed: 0, missed: 0, open: 0, upcoming: 0 });
+    const tally = counts.get(key);
+    if (entry.statuses.includes('submitted')) tally.completed += 1;
+    else if (entry.statuses.includes('expired')) tally.missed += 1;
+    else if (entry.scheduledAt > now) tally.upcoming += 1;
+    else tally.open += 1;
+  });
+
+  return assignments.map((assignment) => {
+    const tally = counts.get(String(assignment._id)) || { completed: 0, missed: 0, open: 0, upcoming: 0 };
+    const closedEntries = tally.completed + tally.missed;
+    return {
+      _id: assignment._id,
+      studyId: assignment.studyId,
+      form: assignment.formId,
+      frequency: assignment.frequency,
+      timeOfDay: assignment.timeOfDay,
+      firstAt: assignment.firstAt,
+      lastAt: occurrenceWindow(assignment, assignment.lastOccurrence).scheduledAt,
+      totalEntries: assignment.lastOccurrence - assignment.firstOccurrence + 1,
+      status: assignment.status,
+      ...tally,
+      adherence: closedEntries ? Math.round((tally.completed / closedEntries) * 100) : null,
+    };
+  });
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  planRecurrence,
+  occurrenceWindow,
+  materializeAssignment,
+  createRecurringAssignment,
+  cancelRecurringAssignment,
+  runRecurringTasks,
+  adherenceFor,
+};
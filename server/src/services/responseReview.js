@@ -0,0 +1,167 @@
+const FormResponse = require('../models/FormResponse');
+const DataQuery = require('../models/DataQuery');
+const { locateAnswer } = require('../utils/questionnaireLogic');
+const { ensureStudyUnlocked } = require('./studyCloseout');
+
+const REVIEW_ACTIONS = {
+  start: { from: ['submitted'], to: 'under_review', event: 'started' },
+  verify: { from: ['submitted', 'under_review'], to: 'verified', event: 'verified' },
+  lock: { from: ['verified'], to: 'locked', event: 'locked' },
+  unlock: { from: ['locked'], to: 'under_review', event: 'unlocked' },
+};
+
+const reviewStatusOf = (response) => response.reviewStatus || 'submitted';
+
+const conflict = (message, code) => {
+  const error = new Error(message);
+  error.status = 409;
+  error.code = code;
+  return error;
+};
+
+// Locked responses take no edits or voids until a reviewer unlocks them
+const ensureUnlocked = (response) => {
+  if (reviewStatusOf(response) === 'locked') {
+    throw conflict('Response is locked; a reviewer must unlock it before it can change', 'response_locked');
+  }
+};
+
+/**
+ * Review fields to apply alongside a new revision. Verification of changed
+ * answers is withdrawn, and a verified response goes back under review.
+ * Re-entry after a void starts the lifecycle over.
+ */
+const reviewUpdateForEdit = (existing, changes, user, { reentry = false } = {}) => {
+  const from = reviewStatusOf(existing);
+  if (reentry) {
+    return {
+      $set: { reviewStatus: 'submitted', verifiedFields: [] },
+      ...(from !== 'submitted'
+        ? { $push: { reviewHistory: { action: 'reset', from, to: 'submitted', by: user._id } } }
+        : {}),
+    };
+  }
+
+  const changed = new Set(changes.map((change) => change.path));
+  const to = from === 'verified' ? 'under_review' : from;
+  return {
+    $set: {
+      reviewStatus: to,
+      verifiedFields: (existing.verifiedFields || []).filter((field) => !changed.has(field.path)),
+    },
+    ...(from !== to
+      ? {
+          $push: {
+            reviewHistory: { action: 'reset', from, to, reason: 'Answers changed', by: user._id },
+          },
+        }
+      : {}),
+  };
+};
+
+/**
+ * Apply a lifecycle action ('start', 'verify', 'lock', 'unlock'). Guarded on
+ * the status and revision that were read, so a concurrent edit or review
+ * makes this fail instead of verifying answers nobody looked at.
+ */
+const reviewResponse = async (response, user, action, reason) => {
+  if (response.status === 'voided') {
+    throw conflict('Voided responses cannot be reviewed', 'response_voided');
+  }
+  const { from, to, event } = REVIEW_ACTIONS[action];
+  const current = reviewStatusOf(response);
+  if (!from.includes(current)) {
+    throw conflict(`A ${current.replace('_', ' ')} response cannot be ${event}`, 'review_state');
+  }
+  if (action === 'unlock' && !reason) {
+    const error = new Error('A reason is required to unlock a response');
+    error.status = 400;
+    error.code = 'reason_required';
+    error.details = [{ path: 'reason', message: error.message }];
+    throw error;
+  }
+  await ensureStudyUnlocked(response.studyId);
+  if (['verify', 'lock'].includes(action)) {
+    if (await DataQuery.exists({ responseId: response._id, status: 'open' })) {
+      throw conflict('Resolve the open data queries on this response first', 'open_queries');
+    }
+  }
+
+  const updated = await FormResponse.findOneAndUpdate(
+    {
+      _id: response._id,
+      revision: response.revision || 1,
+      reviewStatus: current === 'submitted' ? { $in: ['submitted', null] } : current,
+    },
+    {
+      $set: { reviewStatus: to },
+      $push: {
+        reviewHistory: {
+          action: event,
+          from: current,
+          to,
+          reason,
+          revision: response.revision || 1,
+          by: user._id,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw conflict('Response was changed by someone else; reload and try again', 'response_conflict');
+  }
+  return updated;
+};
+
+// Mark one answer as checked against source documents (or withdraw that mark)
+const setFieldVerified = async (response, form, user, path, verified) => {
+  if (response.status === 'voided') {
+    throw conflict('Voided responses cannot be reviewed', 'response_voided');
+  }
+  ensureUnlocked(response);
+  await ensureStudyUnlocked(response.studyId);
+  if (!locateAnswer(form.schema?.items, path)) {
+    const error = new Error('Path does not name a question in this form');
+    error.status = 400;
+    error.code = 'unknown_question';
+    error.details = [{ path: 'path', message: error.message }];
+    throw error;
+  }
+
+  // Only the revision that was read may be verified
+  const guard = { _id: response._id, revision: response.revision || 1, reviewStatus: { $ne: 'locked' } };
+  let updated = await FormResponse.findOneAndUpdate(
+    guard,
+    { $pull: { verifiedFields: { path } } },
+    { new: true }
+  );
+  if (updated && verified) {
+    updated = await FormResponse.findOneAndUpdate(
+      guard,
+      {
+        $push: {
+          verifiedFields: {
+            path,
+            revision: response.revision || 1,
+            verifiedAt: new Date(),
+            verifiedBy: user._id,
+          },
+        },
+      },
+      { new: true }
+    );
+  }
+  if (!updated) {
+    throw conflict('Response was changed by someone else; reload and try again', 'response_conflict');
+  }
+  return updated;
+};
+
+module.exports = {
+  REVIEW_ACTIONS,
+  ensureUnlocked,
+  reviewUpdateForEdit,
+  reviewResponse,
+  setFieldVerified,
+};
@@ -0,0 +1,269 @@
+const FormResponse = require('../models/FormResponse');
+const ResponseRevision = require('../models/ResponseRevision');
+const { isPlainObject } = require('../utils/questionnaireLogic');
+const { invalidateResponseSignatures } = require('./signatures');
+const { ensureUnlocked, reviewUpdateForEdit } = require('./responseReview');
+const { ensureStudyUnlocked } = require('./studyCloseout');
+
+const conflict = () => {
+  const error = new Error('Response was changed by someone else; reload and try again');
+  error.status = 409;
+  error.code = 'response_conflict';
+  return error;
+};
+
+const reasonRequired = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'reason_required';
+  error.details = [{ path: 'reason', message }];
+  return error;
+};
+
+// Leaf answers keyed by the same paths validation uses ("group.q", "meds[0].dose")
+const flattenAnswers = (answers, prefix = '', into = new Map()) => {
+  Object.entries(answers || {}).forEach(([linkId, value]) => {
+    const path = prefix ? `${prefix}.${linkId}` : linkId;
+    if (isPlainObject(value)) {
+      flattenAnswers(value, path, into);
+    } else if (Array.isArray(value) && value.length && value.every(isPlainObject)) {
+      value.forEach((instance, index) => flattenAnswers(instance, `${path}[${index}]`, into));
+    } else {
+      into.set(path, value);
+    }
+  });
+  return into;
+};
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+
+/**
+ * Field-level differences between two answer sets as [{ path, from, to }].
+ * Blank values ('' / [] / missing) are treated alike and reported as null.
+ */
+const answerChanges = (before, after) => {
+  const previous = flattenAnswers(before);
+  const next = flattenAnswers(after);
+  const paths = Array.from(new Set([...previous.keys(), ...next.keys()]));
+  return paths
+    .filter((path) => {
+      const from = previous.get(path);
+      const to = next.get(path);
+      if (isBlank(from) && isBlank(to)) return false;
+      return JSON.stringify(from) !== JSON.stringify(to);
+    })
+    .map((path) => ({
+      path,
+      from: isBlank(previous.get(path)) ? null : previous.get(path),
+      to: isBlank(next.get(path)) ? null : next.get(path),
+    }));
+};
+
+const recordRevision = (response, { action, changes, reason, submissionId }) => {
+  const voided = action === 'voided';
+  return ResponseRevision.create({
+    responseId: response._id,
+    formId: response.formId,
+    studyId: response.studyId,
+    orgId: response.orgId,
+    pid: response.pid,
+    revision: response.revision || 1,
+    action,
+    answers: response.answers,
+    changes,
+    reason,
+    submissionId,
+    authoredAt: voided ? response.voidedAt : response.authoredAt,
+    authorType: voided ? 'user' : response.authorType,
+    authoredBy: voided ? response.voidedBy : response.authoredBy,
+  });
+};
+
+// Responses stored before revision history existed get their current state recorded first
+const ensureBaseline = async (response) => {
+  const exists = await ResponseRevision.exists({ responseId: response._id });
+  if (exists) return;
+  await recordRevision(response, {
+    action: 'created',
+    changes: answerChanges({}, response.answers),
+  });
+};
+
+const responseKey = (form, task, orgId) => ({
+  formId: form._id,
+  pid: task.pid,
+  eventId: task.eventId || null,
+  occurrence: task.occurrence ?? null,
+  orgId,
+});
+
+/**
+ * The response a submission with this id already produced for the task, or
+ * null. Offline clients resend a queued submission until they see it stored.
+ */
+const findSubmittedResponse = async ({ form, task, user, submissionId }) => {
+  if (!submissionId) return null;
+  const response = await FormResponse.findOne(responseKey(form, task, user.orgId));
+  if (!response) return null;
+  const submitted = await ResponseRevision.exists({ responseId: response._id, submissionId });
+  return submitted ? response : null;
+};
+
+/**
+ * Store answers for a task as a new revision. The first submission creates the
+ * response; every later one (including re-entry after a void) needs a reason
+ * for change and keeps the previous answers in ResponseRevision. Updates are
+ * guarded by the revision number so concurrent edits cannot overwrite each other.
+ * `baseRevision` is the revision the answers were edited from (0 before the
+ * first submission); when the response has moved on since, nothing is written.
+ */
+const submitResponse = async ({ form, task, answers, user, reason, submissionId, baseRevision }) => {
+  await ensureStudyUnlocked(task.studyId);
+  const key = responseKey(form, task, user.orgId);
+  const existing = await FormResponse.findOne(key);
+  const currentRevision = existing ? existing.revision || 1 : 0;
+  if (baseRevision !== undefined && baseRevision !== currentRevision) throw conflict();
+
+  if (!existing) {
+    let response;
+    try {
+      response = await FormResponse.create({
+        ...key,
+        studyId: task.studyId,
+        answers,
+        authoredBy: user._id,
+        authoredAt: new Date(),
+        revision: 1,
+      });
+    } catch (error) {
+      // Someone else created it first
+      if (error.code === 11000) throw conflict();
+      throw error;
+    }
+    await recordRevision(response, {
+      action: 'created',
+      changes: answerChanges({}, answers),
+      reason,
+      submissionId,
+    });
+    return response;
+  }
+
+  if (!reason) {
+    throw reasonRequired('A reason for change is required when editing a submitted response');
+  }
+
+  ensureUnlocked(existing);
+  await ensureBaseline(existing);
+  const wasVoided = existing.status === 'voided';
+  const changes = answerChanges(wasVoided ? {} : existing.answers, answers);
+  const review = reviewUpdateForEdit(existing, changes, user, { reentry: wasVoided });
+  const response = await FormResponse.findOneAndUpdate(
+    { _id: existing._id, revision: existing.revision || 1 },
+    {
+      $set: {
+        studyId: task.studyId,
+        answers,
+        authoredBy: user._id,
+        authoredAt: new Date(),
+        revision: (existing.revision || 1) + 1,
+        status: 'active',
+        ...review.$set,
+      },
+      $unset: { voidedAt: 1, voidedBy: 1, voidReason: 1 },
+      ...(review.$push ? { $push: review.$push } : {}),
+    },
+    { new: true }
+  );
+  if (!response) throw conflict();
+
+  await invalidateResponseSignatures(response, `Response changed in revision ${response.revision}`);
+  await recordRevision(response, {
+    action: wasVoided ? 'created' : 'updated',
+    changes,
+    reason,
+    submissionId,
+  });
+  return response;
+};
+
+/**
+ * First submission of a task by the patient (self-report link). Patients only
+ * ever create a response; corrections go through staff with a reason for change.
+ */
+const submitPatientResponse = async ({ form, task, answers }) => {
+  await ensureStudyUnlocked(task.studyId);
+  let response;
+  try {
+    response = await FormResponse.create({
+      formId: form._id,
+      pid: task.pid,
+      eventId: task.eventId || null,
+      occurrence: task.occurrence ?? null,
+      orgId: task.orgId,
+      studyId: task.studyId,
+      answers,
+      authorType: 'patient',
+      authoredAt: new Date(),
+      revision: 1,
+    });
+  } catch (error) {
+    if (error.code === 11000) throw conflict();
+    throw error;
+  }
+  await recordRevision(response, {
+    action: 'created',
+    changes: answerChanges({}, answers),
+  });
+  return response;
+};
+
+// Mark a response as entered in error. Answers are kept; listings and exports skip it.
+const voidResponse = async (response, user, reason) => {
+  if (!reason) {
+    throw reasonRequired('A reason is required to void a response');
+  }
+  if (response.status === 'voided') {
+    const error = new Error('Response is already voided');
+    error.status = 409;
+    error.code = 'response_voided';
+    throw error;
+  }
+  ensureUnlocked(response);
+  await ensureStudyUnlocked(response.studyId);
+
+  await ensureBaseline(response);
+  const voided = await FormResponse.findOneAndUpdate(
+    { _id: response._id, revision: response.revision || 1 },
+    {
+      $set: {
+        status: 'voided',
+        voidedAt: new Date(),
+        voidedBy: user._id,
+        voidReason: reason,
+        revision: (response.revision || 1) + 1,
+      },
+    },
+    { new: true }
+  );
+  if (!voided) throw conflict();
+
+  await invalidateResponseSignatures(voided, 'Response voided');
+  await recordRevision(voided, { action: 'voided', changes: [], reason });
+  return voided;
+};
+
+const listResponseRevisions = (response) =>
+  ResponseRevision.find({ responseId: response._id })
+    .sort({ revision: -1 })
+    .populate('authoredBy', 'displayName email role');
+
+module.exports = {
+  answerChanges,
+  findSubmittedResponse,
+  submitResponse,
+  submitPatientResponse,
+  voidResponse,
+  listResponseRevisions,
+};
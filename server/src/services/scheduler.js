@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { acquireLease, releaseLease } = require('./jobLease');
+const { sendDueDeliveries } = require('./notificationDelivery');
+const { runDueNotifications } = require('./notificationRules');
+const { runRecurringTasks } = require('./recurringTasks');
+const { expireOverdueTasks } = require('./taskExpiry');
+
+const LEASE_NAME = 'task-scheduler';
+
+// Identifies this server process as the lease holder
+const instanceId = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * One pass of the task jobs: materialize upcoming diary entries, send due-soon
+ * and overdue notifications, expire tasks past their due date and grace period,
+ * then send queued email and SMS deliveries and retry failed ones.
+ */
+const runScheduledJobs = async (now = new Date()) => {
+  const recurring = await runRecurringTasks(now);
+  const notified = await runDueNotifications(now);
+  const expired = await expireOverdueTasks(now);
+  const deliveries = await sendDueDeliveries(now);
+  return { created: recurring.created, notified, expired, deliveries };
+};
+
+/**
+ * Run the jobs every `intervalMs` in this process. With several server instances
+ * each tick first takes a lease in Mongo, so only one of them does the work; the
+ * lease outlives a crashed holder by at most `leaseMs`.
+ */
+const startScheduler = ({ intervalMs, leaseMs }) => {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      if (!(await acquireLease(LEASE_NAME, instanceId, leaseMs))) return;
+      const result = await runScheduledJobs();
+      await releaseLease(LEASE_NAME, instanceId, result);
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('[scheduler] run failed:', error?.message);
+    } finally {
+      running = false;
+    }
+  };
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  runScheduledJobs,
+  startScheduler,
+};
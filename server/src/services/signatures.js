@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const argon2 = require('argon2');
+const Signature = require('../models/Signature');
+const { ensureStudyUnlocked } = require('./studyCloseout');
+
+const SIGNATURE_MEANINGS = ['authored', 'reviewed', 'approved'];
+
+// Key-sorted JSON so equal content always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const contentHash = (value) =>
+  crypto.createHash('sha256').update(canonicalJson(value)).digest('hex');
+
+const responseContent = (response) => ({
+  responseId: String(response._id),
+  formId: String(response.formId?._id || response.formId),
+  pid: response.pid,
+  revision: response.revision || 1,
+  answers: response.answers || {},
+});
+
+const studyContent = (study) => ({
+  studyId: String(study._id),
+  code: study.code,
+  status: study.status,
+});
+
+/**
+ * Re-authenticate the signer. Uses 403 rather than 401 so a mistyped password
+ * is not mistaken for an expired session by the client.
+ */
+const verifySigner = async (user, password) => {
+  const ok = user.passwordHash
+    ? await argon2.verify(user.passwordHash, password).catch(() => false)
+    : false;
+  if (!ok) {
+    const error = new Error('Password is incorrect');
+    error.status = 403;
+    error.code = 'signature_rejected';
+    error.details = [{ path: 'password', message: 'Password is incorrect' }];
+    throw error;
+  }
+  return ['password'];
+};
+
+const ensureNotSigned = async (filter) => {
+  if (await Signature.exists({ ...filter, invalidatedAt: null })) {
+    const error = new Error('You have already signed this with the same meaning');
+    error.status = 409;
+    error.code = 'already_signed';
+    throw error;
+  }
+};
+
+const createSignature = async (user, { password, meaning }, target) => {
+  const method = await verifySigner(user, password);
+  await ensureNotSigned({
+    targetType: target.targetType,
+    targetId: target.targetId,
+    meaning,
+    signedBy: user._id,
+    ...(target.targetRevision !== undefined ? { targetRevision: target.targetRevision } : {}),
+    ...(target.targetStatus !== undefined ? { targetStatus: target.targetStatus } : {}),
+  });
+  return Signature.create({
+    ...target,
+    orgId: user.orgId,
+    meaning,
+    method,
+    signedAt: new Date(),
+    signedBy: user._id,
+    signerName: user.displayName,
+    signerEmail: user.email,
+    signerRole: user.role,
+  });
+};
+
+// Sign the current revision of an active response
+const signResponse = async (response, user, credentials) => {
+  if (response.status === 'voided') {
+    const error = new Error('Voided responses cannot be signed');
+    error.status = 409;
+    error.code = 'response_voided';
+    throw error;
+  }
+  await ensureStudyUnlocked(response.studyId);
+  return createSignature(user, credentials, {
+    studyId: response.studyId,
+    targetType: 'response',
+    targetId: response._id,
+    targetRevision: response.revision || 1,
+    contentHash: contentHash(responseContent(response)),
+  });
+};
+
+// Sign the study's current status as a milestone (e.g. approving closure)
+const signStudy = (study, user, credentials) =>
+  createSignature(user, credentials, {
+    studyId: study._id,
+    targetType: 'study',
+    targetId: study._id,
+    targetStatus: study.status,
+    contentHash: contentHash(studyContent(study)),
+  });
+
+/**
+ * Invalidate every live signature on a response once its content changes.
+ * Called by services/responseRevisions.js for each new revision or void.
+ */
+const invalidateResponseSignatures = (response, reason) =>
+  Signature.updateMany(
+    { targetType: 'response', targetId: response._id, invalidatedAt: null },
+    { $set: { invalidatedAt: new Date(), invalidatedReason: reason } }
+  );
+
+const listSignatures = (targetType, targetId) =>
+  Signature.find({ targetType, targetId }).sort({ signedAt: -1 });
+
+// Valid response signatures grouped by response id, for listings and exports
+const responseSignatureMap = async (filter) => {
+  const signatures = await Signature.find({
+    ...filter,
+    targetType: 'response',
+    invalidatedAt: null,
+  }).sort({ signedAt: 1 });
+  return signatures.reduce((map, signature) => {
+    const key = String(signature.targetId);
+    map.set(key, [...(map.get(key) || []), signature]);
+    return map;
+  }, new Map());
+};
+
+module.exports = {
+  SIGNATURE_MEANINGS,
+  signResponse,
+  signStudy,
+  invalidateResponseSignatures,
+  listSignatures,
+  responseSignatureMap,
+};
@@ -0,0 +1,187 @@
+const Study = require('../models/Study');
+const Task = require('../models/Task');
+const FormResponse = require('../models/FormResponse');
+const Signature = require('../models/Signature');
+const DataQuery = require('../models/DataQuery');
+
+// Status changes allowed through PATCH /api/studies/:id. A study only becomes
+// 'closed' through closeout and only leaves it through a privileged unlock.
+const STUDY_TRANSITIONS = {
+  draft: ['active', 'paused'],
+  active: ['paused'],
+  paused: ['active'],
+  closed: [],
+};
+
+const conflict = (message, code, details) => {
+  const error = new Error(message);
+  error.status = 409;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+};
+
+const ensureStatusTransition = (study, status) => {
+  if (study.status === status) return;
+  if (status === 'closed') {
+    throw conflict('Studies are closed through the closeout workflow', 'invalid_transition');
+  }
+  if (!(STUDY_TRANSITIONS[study.status] || []).includes(status)) {
+    throw conflict(`A ${study.status} study cannot become ${status}`, 'invalid_transition');
+  }
+};
+
+const lockedError = () =>
+  conflict('Study is closed and its data locked; an admin must unlock it first', 'study_locked');
+
+// For routes that already loaded the study
+const ensureStudyOpen = (study) => {
+  if (study?.status === 'closed') throw lockedError();
+};
+
+// For services that only hold a studyId (responses, queries, signatures)
+const ensureStudyUnlocked = async (studyId) => {
+  if (!studyId) return;
+  if (await Study.exists({ _id: studyId, status: 'closed' })) throw lockedError();
+};
+
+/**
+ * Pre-lock checks: logical tasks still open (one per form, patient and visit), data
+ * queries not yet closed and active responses without a valid signature.
+ */
+const closeoutChecks = async (study) => {
+  const [taskGroups, openQueries, signedIds] = await Promise.all([
+    Task.aggregate([
+      { $match: { studyId: study._id, orgId: study.orgId, status: 'open' } },
+      {
+        $group: {
+          _id: { formId: '$formId', pid: '$pid', eventId: '$eventId', occurrence: '$occurrence' },
+        },
+      },
+      { $count: 'count' },
+    ]),
+    DataQuery.countDocuments({ studyId: study._id, status: { $ne: 'closed' } }),
+    Signature.distinct('targetId', {
+      studyId: study._id,
+      targetType: 'response',
+      invalidatedAt: null,
+    }),
+  ]);
+  const unsignedResponses = await FormResponse.countDocuments({
+    studyId: study._id,
+    orgId: study.orgId,
+    status: { $ne: 'voided' },
+    _id: { $nin: signedIds },
+  });
+
+  return {
+    openTasks: taskGroups[0]?.count || 0,
+    openQueries,
+    unsignedResponses,
+  };
+};
+
+/**
+ * Close the study and lock its data. Unresolved queries and unsigned responses
+ * block closeout; open tasks are expired once the caller confirms it. Locking
+ * happens first so nothing can be submitted while the tasks are expired.
+ */
+const closeoutStudy = async (study, user, { reason, expireOpenTasks = false } = {}) => {
+  if (!['active', 'paused'].includes(study.status)) {
+    throw conflict(`A ${study.status} study cannot be closed out`, 'invalid_transition');
+  }
+
+  const checks = await closeoutChecks(study);
+  const blockers = [];
+  if (checks.openQueries) {
+    blockers.push({ path: 'openQueries', message: `${checks.openQueries} data queries are not closed` });
+  }
+  if (checks.unsignedResponses) {
+    blockers.push({
+      path: 'unsignedResponses',
+      message: `${checks.unsignedResponses} responses have no valid signature`,
+    });
+  }
+  if (checks.openTasks && !expireOpenTasks) {
+    blockers.push({
+      path: 'expireOpenTasks',
+      message: `${checks.openTasks} tasks are still open; confirm that they should be expired`,
+    });
+  }
+  if (blockers.length) {
+    throw conflict('Study cannot be closed out yet', 'closeout_blocked', blockers);
+  }
+
+  const locked = await Study.findOneAndUpdate(
+    { _id: study._id, status: study.status },
+    {
+      $set: { status: 'closed', lockedAt: new Date(), lockedBy: user._id },
+      $push: {
+        lockHistory: {
+          action: 'locked',
+          reason,
+          statusBefore: study.status,
+          checks,
+          by: user._id,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!locked) {
+    throw conflict('Study was changed by someone else; reload and try again', 'study_conflict');
+  }
+
+  const expired = await Task.updateMany(
+    { studyId: study._id, orgId: study.orgId, status: 'open' },
+    { $set: { status: 'expired' } }
+  );
+  const eventIndex = locked.lockHistory.length - 1;
+  await Study.updateOne(
+    { _id: locked._id },
+    { $set: { [`lockHistory.${eventIndex}.expiredTasks`]: expired.modifiedCount } }
+  );
+  locked.lockHistory[eventIndex].expiredTasks = expired.modifiedCount;
+  return locked;
+};
+
+// Privileged unlock: returns the study to the status it had before closeout.
+// Expired tasks stay expired; reassign forms if more data is needed.
+const unlockStudy = async (study, user, reason) => {
+  if (study.status !== 'closed') {
+    throw conflict('Study is not locked', 'invalid_transition');
+  }
+  if (!reason) {
+    const error = new Error('A justification is required to unlock a study');
+    error.status = 400;
+    error.code = 'reason_required';
+    error.details = [{ path: 'reason', message: error.message }];
+    throw error;
+  }
+
+  const lastLock = [...(study.lockHistory || [])].reverse().find((event) => event.action === 'locked');
+  const status = lastLock?.statusBefore || 'active';
+  const unlocked = await Study.findOneAndUpdate(
+    { _id: study._id, status: 'closed' },
+    {
+      $set: { status },
+      $unset: { lockedAt: 1, lockedBy: 1 },
+      $push: { lockHistory: { action: 'unlocked', reason, statusBefore: 'closed', by: user._id } },
+    },
+    { new: true }
+  );
+  if (!unlocked) {
+    throw conflict('Study was changed by someone else; reload and try again', 'study_conflict');
+  }
+  return unlocked;
+};
+
+module.exports = {
+  STUDY_TRANSITIONS,
+  ensureStatusTransition,
+  ensureStudyOpen,
+  ensureStudyUnlocked,
+  closeoutChecks,
+  closeoutStudy,
+  unlockStudy,
+};
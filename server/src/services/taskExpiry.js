@@ -0,0 +1,92 @@
+const Study = require('../models/Study');
+const Task = require('../models/Task');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Past its due date but still submittable during the study's grace period
+const isOverdue = (task, now = new Date()) =>
+  task.status === 'open' && Boolean(task.dueAt) && new Date(task.dueAt) < now;
+
+/**
+ * Expire open tasks whose due date plus their study's grace period has passed.
+ * Studies are handled one update at a time so each uses its own grace period.
+ */
+const expireOverdueTasks = async (now = new Date()) => {
+  const studyIds = await Task.distinct('studyId', { status: 'open', dueAt: { $lt: now } });
+  if (!studyIds.length) return 0;
+
+  const studies = await Study.find({ _id: { $in: studyIds } }).select('taskGraceHours');
+  let expired = 0;
+  // eslint-disable-next-line no-restricted-syntax
+  for (const study of studies) {
+    const cutoff = new Date(now.getTime() - (study.taskGraceHours || 0) * HOUR_MS);
+    // eslint-disable-next-line no-await-in-loop
+    const result = await Task.updateMany(
+      { studyId: study._id, status: 'open', dueAt: { $lt: cutoff } },
+      { $set: { status: 'expired' } }
+    );
+    expired += result.modifiedCount;
+  }
+  return expired;
+};
+
+const expiryError = (status, code, message, path) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  if (path) error.details = [{ path, message }];
+  return error;
+};
+
+// Every assignee's copy of the task (same form, patient, visit and diary entry)
+const slotOf = (task) => ({
+  orgId: task.orgId,
+  studyId: task.studyId?._id || task.studyId,
+  formId: task.formId,
+  pid: task.pid,
+  eventId: task.eventId || null,
+  occurrence: task.occurrence ?? null,
+});
+
+/**
+ * Refuse a submission once the task expired; a late answer would otherwise turn
+ * it back into 'submitted' and defeat the visit window. Submitted tasks may still
+ * take new revisions.
+ */
+const ensureTaskNotExpired = async (task) => {
+  const siblings = await Task.find(slotOf(task)).select('status');
+  if (siblings.some((sibling) => sibling.status === 'submitted')) return;
+  if (siblings.some((sibling) => sibling.status === 'expired')) {
+    throw expiryError(
+      409,
+      'task_expired',
+      'Task expired after its due date; a reviewer must reopen it before it can be submitted'
+    );
+  }
+};
+
+/**
+ * Reopen an expired task for every assignee with a new due date, which must lie
+ * ahead so the next expiry run does not close it again. Returns how many
+ * assignees' tasks were reopened.
+ */
+const reopenExpiredTasks = async (task, dueAt, now = new Date()) => {
+  if (!(dueAt > now)) {
+    throw expiryError(400, 'invalid_due_date', 'The new due date must be in the future', 'dueAt');
+  }
+  const result = await Task.updateMany(
+    { ...slotOf(task), status: 'expired' },
+    { $set: { status: 'open', dueAt, notifiedRules: [] } }
+  );
+  if (!result.modifiedCount) {
+    throw expiryError(409, 'task_not_expired', 'Only expired tasks can be reopened');
+  }
+  return result.modifiedCount;
+};
+
+module.exports = {
+  isOverdue,
+  expireOverdueTasks,
+  ensureTaskNotExpired,
+  reopenExpiredTasks,
+};
@@ -0,0 +1,162 @@
+const Form = require('../models/Form');
+const FormResponse = require('../models/FormResponse');
+const ResponseDraft = require('../models/ResponseDraft');
+const Task = require('../models/Task');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+/**
+ * Dates of one visit for a patient whose schedule started at `startAt`:
+ * the nominal day, the start of the allowed window and its end (the task's dueAt).
+ */
+const eventWindow = (event, startAt) => ({
+  scheduledAt: addDays(startAt, event.dayOffset),
+  windowStart: addDays(startAt, event.dayOffset - (event.windowBefore || 0)),
+  dueAt: addDays(startAt, event.dayOffset + (event.windowAfter || 0)),
+});
+
+const scheduleStartOf = (study, pid) =>
+  (study.scheduleStarts || []).find((entry) => entry.pid === pid)?.startAt || null;
+
+// Enrolled patients without a schedule get day 0 now
+const startSchedules = (study, pids, startAt = new Date()) => {
+  const started = new Set((study.scheduleStarts || []).map((entry) => entry.pid));
+  pids
+    .filter((pid) => !started.has(pid))
+    .forEach((pid) => study.scheduleStarts.push({ pid, startAt }));
+};
+
+// Events at which any revision of `form` is administered
+const eventsForForm = (study, form) => {
+  const lineage = String(form.lineageId || form._id);
+  return (study.events || []).filter(
+    (event) => !event.formIds?.length || event.formIds.some((id) => String(id) === lineage)
+  );
+};
+
+const findEvent = (study, eventId) =>
+  (study.events || []).find((event) => String(event._id) === String(eventId)) || null;
+
+const scheduleError = (status, code, message, path) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  if (path) error.details = [{ path, message }];
+  return error;
+};
+
+/**
+ * Replace the study's events. Entries with an `_id` update the existing event
+ * so its tasks and responses stay attached; events left out are removed, which
+ * is refused once responses were collected at them. Returns the removed ids.
+ */
+const applyStudyEvents = async (study, events) => {
+  const byId = new Map((study.events || []).map((event) => [String(event._id), event]));
+  events.forEach((event, index) => {
+    if (event._id && !byId.has(String(event._id))) {
+      throw scheduleError(400, 'unknown_event', 'Event does not belong to this study', `events.${index}._id`);
+    }
+  });
+
+  const formIds = [...new Set(events.flatMap((event) => event.formIds || []))];
+  if (formIds.length) {
+    const lineages = await Form.distinct('lineageId', {
+      studyId: study._id,
+      orgId: study.orgId,
+      lineageId: { $in: formIds },
+    });
+    const known = new Set(lineages.map(String));
+    const unknown = formIds.find((id) => !known.has(String(id)));
+    if (unknown) {
+      throw scheduleError(400, 'unknown_form', `Form ${unknown} is not a form of this study`, 'events');
+    }
+  }
+
+  const kept = new Set(events.filter((event) => event._id).map((event) => String(event._id)));
+  const removed = (study.events || []).filter((event) => !kept.has(String(event._id))).map((event) => event._id);
+  if (removed.length && (await FormResponse.exists({ studyId: study._id, eventId: { $in: removed } }))) {
+    throw scheduleError(409, 'event_in_use', 'Events with collected responses cannot be removed', 'events');
+  }
+
+  study.events = events;
+  return removed;
+};
+
+// Tasks and drafts of removed events (which never collected a response)
+const removeEventTasks = async (study, eventIds) => {
+  if (!eventIds.length) return;
+  await Promise.all([
+    Task.deleteMany({ studyId: study._id, orgId: study.orgId, eventId: { $in: eventIds } }),
+    ResponseDraft.deleteMany({ studyId: study._id, orgId: study.orgId, eventId: { $in: eventIds } }),
+  ]);
+};
+
+/**
+ * Status of one patient's visit from its tasks: completed once every form is
+ * submitted, missed when the rest expired, otherwise upcoming, open or overdue
+ * depending on where `now` falls in the window.
+ */
+const visitStatus = (forms, window, now = new Date()) => {
+  const pending = forms.filter((form) => form.status !== 'submitted');
+  if (!pending.length) return 'completed';
+  if (pending.every((form) => form.status === 'expired')) return 'missed';
+  if (window.windowStart && now < window.windowStart) return 'upcoming';
+  if (window.dueAt && now > window.dueAt) return 'overdue';
+  return 'open';
+};
+
+const STATUS_RANK = { open: 0, expired: 1, submitted: 2 };
+
+/**
+ * Patients × events grid. Each cell lists the visit's forms with the task to
+ * open for each (sibling tasks of co-assignees are merged, submitted first).
+ */
+const buildScheduleGrid = (study, tasks, forms, now = new Date()) => {
+  const titles = new Map(forms.map((form) => [String(form._id), form.schema?.title || 'Untitled form']));
+  const cells = new Map();
+  tasks.forEach((task) => {
+    if (!task.eventId) return;
+    const cellKey = `${task.pid}:${task.eventId}`;
+    if (!cells.has(cellKey)) cells.set(cellKey, new Map());
+    const byForm = cells.get(cellKey);
+    const formKey = String(task.formId);
+    const current = byForm.get(formKey);
+    if (!current || STATUS_RANK[task.status] > STATUS_RANK[current.status]) {
+      byForm.set(formKey, {
+        formId: task.formId,
+        title: titles.get(formKey) || 'Untitled form',
+        taskId: task._id,
+        status: task.status,
+      });
+    }
+  });
+
+  return study.assignedPatients.map((pid) => {
+    const startAt = scheduleStartOf(study, pid);
+    const visits = {};
+    study.events.forEach((event) => {
+      const visitForms = Array.from(cells.get(`${pid}:${event._id}`)?.values() || []);
+      if (!visitForms.length) return;
+      const window = startAt ? eventWindow(event, startAt) : {};
+      visits[event._id] = {
+        ...window,
+        status: visitStatus(visitForms, window, now),
+        forms: visitForms,
+      };
+    });
+    return { pid, startAt, visits };
+  });
+};
+
+module.exports = {
+  eventWindow,
+  scheduleStartOf,
+  startSchedules,
+  eventsForForm,
+  findEvent,
+  applyStudyEvents,
+  removeEventTasks,
+  buildScheduleGrid,
+};
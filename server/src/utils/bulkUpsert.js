@@ -0,0 +1,28 @@
+/**
+ * Unordered bulkWrite of upserts. A duplicate key only means another run
+ * created the same document first, so it does not fail the batch; the skipped
+ * writes are logged with their filters so that a stale unique index (see
+ * scripts/migrateIndexes.js) cannot silently swallow them. Returns the result.
+ */
+const bulkUpsert = async (Model, ops, label) => {
+  try {
+    return await Model.bulkWrite(ops, { ordered: false });
+  } catch (error) {
+    if (!error || error.code !== 11000) throw error;
+    const writeErrors = [].concat(error.writeErrors || []);
+    if (writeErrors.some((writeError) => writeError.code !== 11000)) throw error;
+    // eslint-disable-next-line no-console
+    console.error(`[${label}] ${writeErrors.length} write(s) skipped on a duplicate key:`, {
+      index: writeErrors[0]?.errmsg?.match(/index: (\S+)/)?.[1],
+      filters: writeErrors.map((writeError) => {
+        const op = ops[writeError.index];
+        return (op?.updateOne || op?.updateMany)?.filter;
+      }),
+    });
+    return error.result;
+  }
+};
+
+module.exports = {
+  bulkUpsert,
+};
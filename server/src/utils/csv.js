@@ -0,0 +1,63 @@
+const csvError = (message, line) => {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'invalid_csv';
+  error.details = [{ path: 'csv', message: line ? `Line ${line}: ${message}` : message }];
+  return error;
+};
+
+/**
+ * Parse RFC 4180 CSV into [{ line, cells }], `line` being where the record starts.
+ * Quoted cells may hold commas, doubled quotes and line breaks; CRLF and a UTF-8
+ * BOM are accepted. Blank lines are skipped.
+ */
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0].trim()) records.push({ line: start, cells });
+    cells = [];
+    cell = '';
+  };
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index += 1;
+      endRecord();
+      line += 1;
+      start = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw csvError('Quoted value is never closed', start);
+  endRecord();
+  return records;
+};
+
+module.exports = {
+  parseCsv,
+};
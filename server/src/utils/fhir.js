@@ -0,0 +1,584 @@
+const config = require('../config/env');
+const { lineageOf } = require('../services/formRevisions');
+const { flattenItems, groupInstances } = require('./questionnaireLogic');
+
+const EXT_MIN_VALUE = 'http://hl7.org/fhir/StructureDefinition/minValue';
+const EXT_MAX_VALUE = 'http://hl7.org/fhir/StructureDefinition/maxValue';
+const EXT_STEP_VALUE = 'http://hl7.org/fhir/StructureDefinition/questionnaire-sliderStepValue';
+const EXT_UNIT = 'http://hl7.org/fhir/StructureDefinition/questionnaire-unit';
+const EXT_MAX_DECIMAL_PLACES = 'http://hl7.org/fhir/StructureDefinition/maxDecimalPlaces';
+const EXT_ENABLE_WHEN_EXPRESSION =
+  'http://hl7.org/fhir/uv/sdc/StructureDefinition/sdc-questionnaire-enableWhenExpression';
+const EXT_CALCULATED_EXPRESSION =
+  'http://hl7.org/fhir/uv/sdc/StructureDefinition/sdc-questionnaire-calculatedExpression';
+const EXT_RESPONSE_SIGNATURE =
+  'http://hl7.org/fhir/StructureDefinition/questionnaireresponse-signature';
+// Calculated items use our own expression syntax (utils/expressions.js), not FHIRPath
+const EXPRESSION_LANGUAGE = 'application/x-hospital-research-expression';
+const FORM_ID_SYSTEM = 'urn:hospital-research:form-id';
+const PID_SYSTEM = 'urn:hospital-research:pid';
+const STUDY_CODE_SYSTEM = 'urn:hospital-research:study-code';
+const SUBJECT_NUMBER_SYSTEM = 'urn:hospital-research:subject-number';
+
+const importError = (details) => {
+  const error = new Error('Questionnaire cannot be imported');
+  error.status = 400;
+  error.code = 'fhir_import_error';
+  error.details = details;
+  return error;
+};
+
+/* ------------------------------ helpers ------------------------------ */
+
+const questionnaireUrl = (form) => `${config.fhir.baseUrl}/Questionnaire/${lineageOf(form)}`;
+
+// "form-url|revision" as used by QuestionnaireResponse.questionnaire
+const questionnaireCanonical = (form) => `${questionnaireUrl(form)}|${form.revision || 1}`;
+
+// FHIR computable names must match [A-Z]([A-Za-z0-9_]){0,254}
+const computableName = (title, fallback) => {
+  const words = String(title || fallback || 'Form')
+    .replace(/[^A-Za-z0-9]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1));
+  const joined = words.join('');
+  if (!joined) return 'Form';
+  return (/^[A-Z]/.test(joined) ? joined : `Q${joined}`).slice(0, 255);
+};
+
+const extensionValue = (item, url) => {
+  const ext = (item.extension || []).find((entry) => entry.url === url);
+  if (!ext) return undefined;
+  const key = Object.keys(ext).find((k) => k.startsWith('value'));
+  return key ? ext[key] : undefined;
+};
+
+const optionLabel = (option) => {
+  if (option.valueCoding) {
+    return option.valueCoding.display || option.valueCoding.code;
+  }
+  const key = Object.keys(option).find((k) => k.startsWith('value'));
+  if (!key || option[key] === undefined || option[key] === null) return undefined;
+  return String(option[key]);
+};
+
+const FHIR_OPERATORS = {
+  '=': 'equals',
+  '!=': 'notEquals',
+  '>': 'greaterThan',
+  '>=': 'greaterOrEqual',
+  '<': 'lessThan',
+  '<=': 'lessOrEqual',
+};
+
+const OPERATOR_SYMBOLS = Object.fromEntries(
+  Object.entries(FHIR_OPERATORS).map(([symbol, operator]) => [operator, symbol])
+);
+
+/* ------------------------- Questionnaire → Form ------------------------ */
+
+const conditionValue = (condition) => {
+  if (condition.answerCoding) return condition.answerCoding.display || condition.answerCoding.code;
+  if (typeof condition.answerBoolean === 'boolean') return condition.answerBoolean ? 'Yes' : 'No';
+  if (typeof condition.answerInteger === 'number') return condition.answerInteger;
+  if (typeof condition.answerDecimal === 'number') return condition.answerDecimal;
+  const key = Object.keys(condition).find((k) => k.startsWith('answer'));
+  return key ? String(condition[key]) : undefined;
+};
+
+const fromEnableWhen = (item, path, details) => {
+  if (extensionValue(item, EXT_ENABLE_WHEN_EXPRESSION) !== undefined) {
+    details.push({
+      path,
+      message: `enableWhenExpression on ${item.linkId} cannot be imported; use enableWhen`,
+    });
+    return {};
+  }
+  if (!item.enableWhen?.length) return {};
+  const enableWhen = item.enableWhen
+    .map((condition, index) => {
+      const operator = FHIR_OPERATORS[condition.operator];
+      const value = conditionValue(condition);
+      if (!operator || value === undefined) {
+        details.push({
+          path: `${path}.enableWhen[${index}]`,
+          message: `Unsupported enableWhen operator ${condition.operator} on ${item.linkId}`,
+        });
+        return null;
+      }
+      return { question: condition.question, operator, value };
+    })
+    .filter(Boolean);
+  return {
+    enableWhen,
+    ...(item.enableBehavior === 'any' && enableWhen.length > 1 ? { enableBehavior: 'any' } : {}),
+  };
+};
+
+const numericConstraints = (item, isValid) => {
+  const min = extensionValue(item, EXT_MIN_VALUE);
+  const max = extensionValue(item, EXT_MAX_VALUE);
+  const unit = extensionValue(item, EXT_UNIT);
+  const unitLabel = unit?.display || unit?.code;
+  return {
+    ...(isValid(min) ? { min } : {}),
+    ...(isValid(max) ? { max } : {}),
+    ...(unitLabel ? { unit: String(unitLabel).slice(0, 32) } : {}),
+  };
+};
+
+const fromQuestionnaireItem = (item, path, details) => {
+  const base = {
+    linkId: item.linkId,
+    text: item.text || item.prefix || item.linkId,
+    ...fromEnableWhen(item, path, details),
+  };
+  if (item.required) base.required = true;
+
+  switch (item.type) {
+    case 'display':
+      return [];
+    case 'group': {
+      const items = (item.item || []).flatMap((child, index) =>
+        fromQuestionnaireItem(child, `${path}.item[${index}]`, details)
+      );
+      if (!items.length) {
+        details.push({ path, message: `Group ${item.linkId} has no answerable items` });
+        return [];
+      }
+      return [{ ...base, type: 'group', ...(item.repeats ? { repeats: true } : {}), items }];
+    }
+    case 'string':
+    case 'text':
+    case 'url':
+      return [{ ...base, type: 'text' }];
+    case 'choice':
+    case 'open-choice': {
+      const options = (item.answerOption || []).map(optionLabel).filter(Boolean);
+      if (!options.length) {
+        details.push({ path, message: `Item ${item.linkId} has no answerOption values` });
+        return [];
+      }
+      return [{ ...base, type: item.repeats ? 'checkboxes' : 'dropdown', options }];
+    }
+    case 'boolean':
+      return [{ ...base, type: 'dropdown', options: ['Yes', 'No'] }];
+    case 'integer': {
+      const min = extensionValue(item, EXT_MIN_VALUE);
+      const max = extensionValue(item, EXT_MAX_VALUE);
+      const step = extensionValue(item, EXT_STEP_VALUE);
+      // Only slider-style items become scales; plain integers keep their own type
+      if (Number.isInteger(step) && Number.isInteger(min) && Number.isInteger(max) && min < max) {
+        return [{ ...base, type: 'scale', scale: { min, max, ...(step > 0 ? { step } : {}) } }];
+      }
+      return [{ ...base, type: 'integer', ...numericConstraints(item, Number.isInteger) }];
+    }
+    case 'decimal': {
+      const precision = extensionValue(item, EXT_MAX_DECIMAL_PLACES);
+      const calculated = extensionValue(item, EXT_CALCULATED_EXPRESSION);
+      if (calculated) {
+        if (calculated.language !== EXPRESSION_LANGUAGE || !calculated.expression) {
+          details.push({
+            path,
+            message: `Unsupported calculatedExpression language ${calculated.language} on ${item.linkId}`,
+          });
+          return [];
+        }
+        const { unit } = numericConstraints(item, () => false);
+        // Calculated values are filled in automatically, never required
+        delete base.required;
+        return [
+          {
+            ...base,
+            type: 'calculated',
+            expression: calculated.expression,
+            ...(unit ? { unit } : {}),
+            ...(Number.isInteger(precision) && precision >= 0 && precision <= 6 ? { precision } : {}),
+          },
+        ];
+      }
+      return [
+        {
+          ...base,
+          type: 'decimal',
+          ...numericConstraints(item, Number.isFinite),
+          ...(Number.isInteger(precision) && precision >= 0 && precision <= 6 ? { precision } : {}),
+        },
+      ];
+    }
+    case 'date':
+      return [{ ...base, type: 'date' }];
+    case 'dateTime':
+      return [{ ...base, type: 'datetime' }];
+    case 'time':
+      return [{ ...base, type: 'time' }];
+    default:
+      details.push({ path, message: `Unsupported item type ${item.type} for ${item.linkId}` });
+      return [];
+  }
+};
+
+/**
+ * Map a FHIR R4 Questionnaire onto the internal form schema.
+ * Throws a 400 with per-item details when items cannot be represented.
+ */
+const fromQuestionnaire = (questionnaire) => {
+  const details = [];
+  const items = (questionnaire.item || []).flatMap((item, index) =>
+    fromQuestionnaireItem(item, `item[${index}]`, details)
+  );
+
+  const seen = new Set();
+  flattenItems(items).forEach((item) => {
+    if (seen.has(item.linkId)) {
+      details.push({ path: item.linkId, message: `Duplicate linkId ${item.linkId}` });
+    }
+    seen.add(item.linkId);
+  });
+
+  if (!items.length && !details.length) {
+    details.push({ path: 'item', message: 'Questionnaire has no answerable items' });
+  }
+  if (details.length) {
+    throw importError(details);
+  }
+
+  const identifier = (questionnaire.identifier || []).find((entry) => entry.value);
+  return {
+    id: identifier?.value || questionnaire.id || questionnaire.name || 'fhir-questionnaire',
+    title: questionnaire.title || questionnaire.name || 'Imported questionnaire',
+    items,
+  };
+};
+
+/* ------------------------- Form → Questionnaire ------------------------ */
+
+const answerValue = (target, value) => {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && target?.type !== 'decimal'
+      ? { answerInteger: value }
+      : { answerDecimal: value };
+  }
+  return { answerString: String(value) };
+};
+
+const fhirPathLiteral = (value) => {
+  if (typeof value === 'number') return String(value);
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+};
+
+const conditionExpression = ({ question, operator, value }) => {
+  const answers = `%resource.repeat(item).where(linkId = ${fhirPathLiteral(question)}).answer.value`;
+  if (operator === 'anyOf') {
+    const options = value.map((option) => `$this = ${fhirPathLiteral(option)}`).join(' or ');
+    return `${answers}.where(${options}).exists()`;
+  }
+  if (operator === 'notEquals') {
+    return `(${answers}.exists() and ${answers}.where($this = ${fhirPathLiteral(value)}).empty())`;
+  }
+  return `${answers}.where($this ${OPERATOR_SYMBOLS[operator]} ${fhirPathLiteral(value)}).exists()`;
+};
+
+/**
+ * enableWhen maps 1:1 except anyOf, which expands into "=" conditions when the
+ * item is OR-combined (or has a single condition). Otherwise the whole rule is
+ * exported as an SDC enableWhenExpression.
+ */
+const toEnableWhen = (item, itemsByLinkId) => {
+  const conditions = item.enableWhen || [];
+  if (!conditions.length) return {};
+  const behavior = item.enableBehavior === 'any' ? 'any' : 'all';
+  const hasAnyOf = conditions.some((condition) => condition.operator === 'anyOf');
+
+  if (hasAnyOf && behavior === 'all' && conditions.length > 1) {
+    return {
+      extension: [
+        {
+          url: EXT_ENABLE_WHEN_EXPRESSION,
+          valueExpression: {
+            language: 'text/fhirpath',
+            expression: conditions.map(conditionExpression).join(' and '),
+          },
+        },
+      ],
+    };
+  }
+
+  const enableWhen = conditions.flatMap(({ question, operator, value }) => {
+    const target = itemsByLinkId.get(question);
+    if (operator === 'anyOf') {
+      return value.map((option) => ({ question, operator: '=', ...answerValue(target, option) }));
+    }
+    return [{ question, operator: OPERATOR_SYMBOLS[operator], ...answerValue(target, value) }];
+  });
+  return {
+    enableWhen,
+    ...(enableWhen.length > 1 ? { enableBehavior: hasAnyOf ? 'any' : behavior } : {}),
+  };
+};
+
+const toQuestionnaireItem = (item, itemsByLinkId) => {
+  const { extension: conditionExtension = [], ...conditions } = toEnableWhen(item, itemsByLinkId);
+  const base = {
+    linkId: item.linkId,
+    text: item.text,
+    required: Boolean(item.required),
+    ...conditions,
+    ...(conditionExtension.length ? { extension: conditionExtension } : {}),
+  };
+
+  switch (item.type) {
+    case 'group':
+      return {
+        ...base,
+        type: 'group',
+        repeats: Boolean(item.repeats),
+        item: (item.items || []).map((child) => toQuestionnaireItem(child, itemsByLinkId)),
+      };
+    case 'dropdown':
+    case 'checkboxes':
+      return {
+        ...base,
+        type: 'choice',
+        repeats: item.type === 'checkboxes',
+        answerOption: (item.options || []).map((option) => ({ valueString: option })),
+      };
+    case 'scale':
+      return {
+        ...base,
+        type: 'integer',
+        extension: [
+          ...conditionExtension,
+          { url: EXT_MIN_VALUE, valueInteger: item.scale?.min },
+          { url: EXT_MAX_VALUE, valueInteger: item.scale?.max },
+          // The slider step marks the item as a scale on re-import
+          { url: EXT_STEP_VALUE, valueInteger: item.scale?.step || 1 },
+        ],
+      };
+    case 'integer':
+    case 'decimal': {
+      const valueKey = item.type === 'integer' ? 'valueInteger' : 'valueDecimal';
+      const extension = [
+        ...conditionExtension,
+        ...(item.min !== undefined ? [{ url: EXT_MIN_VALUE, [valueKey]: item.min }] : []),
+        ...(item.max !== undefined ? [{ url: EXT_MAX_VALUE, [valueKey]: item.max }] : []),
+        ...(item.unit ? [{ url: EXT_UNIT, valueCoding: { display: item.unit } }] : []),
+        ...(item.precision !== undefined
+          ? [{ url: EXT_MAX_DECIMAL_PLACES, valueInteger: item.precision }]
+          : []),
+      ];
+      return { ...base, type: item.type, ...(extension.length ? { extension } : {}) };
+    }
+    case 'calculated':
+      return {
+        ...base,
+        type: 'decimal',
+        readOnly: true,
+        extension: [
+          ...conditionExtension,
+          {
+            url: EXT_CALCULATED_EXPRESSION,
+            valueExpression: { language: EXPRESSION_LANGUAGE, expression: item.expression },
+          },
+          ...(item.unit ? [{ url: EXT_UNIT, valueCoding: { display: item.unit } }] : []),
+          ...(item.precision !== undefined
+            ? [{ url: EXT_MAX_DECIMAL_PLACES, valueInteger: item.precision }]
+            : []),
+        ],
+      };
+    case 'date':
+    case 'time':
+      return { ...base, type: item.type };
+    case 'datetime':
+      return { ...base, type: 'dateTime' };
+    case 'text':
+    default:
+      return { ...base, type: 'string' };
+  }
+};
+
+const toQuestionnaire = (form) => {
+  const schema = form.schema || {};
+  const itemsByLinkId = new Map(flattenItems(schema.items).map((item) => [item.linkId, item]));
+  let status = 'active';
+  if (form.supersededBy) status = 'retired';
+  else if (form.isActive === false) status = 'draft';
+
+  return {
+    resourceType: 'Questionnaire',
+    id: String(form._id),
+    meta: form.updatedAt ? { lastUpdated: new Date(form.updatedAt).toISOString() } : undefined,
+    url: questionnaireUrl(form),
+    identifier: schema.id ? [{ system: FORM_ID_SYSTEM, value: schema.id }] : undefined,
+    version: String(form.revision || 1),
+    name: computableName(schema.title, schema.id),
+    title: schema.title,
+    status,
+    date: form.createdAt ? new Date(form.createdAt).toISOString() : undefined,
+    item: (schema.items || []).map((item) => toQuestionnaireItem(item, itemsByLinkId)),
+  };
+};
+
+/* -------------------- FormResponse → QuestionnaireResponse -------------------- */
+
+const pidIdentifier = (pid) => ({ system: PID_SYSTEM, value: pid });
+
+const toAnswers = (item, value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter((entry) => entry !== undefined && entry !== null && entry !== '')
+    .map((entry) => {
+      if (['scale', 'integer'].includes(item?.type) && Number.isInteger(entry)) {
+        return { valueInteger: entry };
+      }
+      if (typeof entry === 'number') return { valueDecimal: entry };
+      if (item?.type === 'date') return { valueDate: entry };
+      if (item?.type === 'datetime') {
+        return { valueDateTime: /T\d{2}:\d{2}$/.test(entry) ? `${entry}:00` : entry };
+      }
+      if (item?.type === 'time') return { valueTime: entry.length === 5 ? `${entry}:00` : entry };
+      if (typeof entry === 'boolean') return { valueBoolean: entry };
+      if (typeof entry === 'object') return { valueString: JSON.stringify(entry) };
+      return { valueString: String(entry) };
+    });
+};
+
+// Groups become nested items; each repeating-group instance is its own entry
+const toResponseItems = (items, answers) =>
+  (items || []).flatMap((item) => {
+    const value = answers?.[item.linkId];
+    if (item.type === 'group') {
+      return groupInstances(item, value)
+        .map((instance) => ({
+          linkId: item.linkId,
+          text: item.text,
+          item: toResponseItems(item.items, instance),
+        }))
+        .filter((entry) => entry.item.length);
+    }
+    const answer = toAnswers(item, value);
+    return answer.length ? [{ linkId: item.linkId, text: item.text, answer }] : [];
+  });
+
+// Voided responses stay in bulk exports so incremental consumers can retract them
+const responseStatus = (response) => {
+  if (response.status === 'voided') return 'entered-in-error';
+  return (response.revision || 1) > 1 ? 'amended' : 'completed';
+};
+
+// ASTM E1762 signature types for each signature meaning
+const SIGNATURE_TYPES = {
+  authored: { code: '1.2.840.10065.1.12.1.1', display: "Author's Signature" },
+  reviewed: { code: '1.2.840.10065.1.12.1.13', display: 'Review Signature' },
+  approved: { code: '1.2.840.10065.1.12.1.5', display: 'Approval Signature' },
+};
+
+const toSignatureExtension = (signature) => ({
+  url: EXT_RESPONSE_SIGNATURE,
+  valueSignature: {
+    type: [{ system: 'urn:iso-astm:E1762-95:2013', ...SIGNATURE_TYPES[signature.meaning] }],
+    when: new Date(signature.signedAt).toISOString(),
+    who: { display: signature.signerName || signature.signerEmail },
+  },
+});
+
+/**
+ * Render a stored FormResponse as a QuestionnaireResponse. `form` must be the
+ * revision the response was captured against so the canonical and item text match.
+ * The subject is identified by the pseudonymous PID only.
+ * `signatures` are the response's valid signatures; invalidated ones are left out.
+ */
+const toQuestionnaireResponse = (response, form, patient, signatures = []) => {
+  const items = form?.schema?.items || [];
+  const answers = response.answers || {};
+  const known = new Set(items.map((item) => item.linkId));
+
+  // Keep questionnaire order, then any answers the schema no longer knows about
+  const unknown = Object.keys(answers)
+    .filter((linkId) => !known.has(linkId))
+    .map((linkId) => ({ linkId, answer: toAnswers(undefined, answers[linkId]) }))
+    .filter((entry) => entry.answer.length);
+
+  const subject = {
+    ...(patient ? { reference: `Patient/${patient._id}` } : {}),
+    identifier: pidIdentifier(response.pid),
+  };
+
+  return {
+    resourceType: 'QuestionnaireResponse',
+    id: String(response._id),
+    meta: {
+      versionId: String(response.revision || 1),
+      ...(response.updatedAt ? { lastUpdated: new Date(response.updatedAt).toISOString() } : {}),
+    },
+    ...(signatures.length ? { extension: signatures.map(toSignatureExtension) } : {}),
+    questionnaire: form ? questionnaireCanonical(form) : undefined,
+    status: responseStatus(response),
+    subject,
+    authored: response.authoredAt ? new Date(response.authoredAt).toISOString() : undefined,
+    // Self-reported answers come from the patient rather than a staff member
+    ...(response.authorType === 'patient' ? { source: subject } : {}),
+    item: [...toResponseItems(items, answers), ...unknown],
+  };
+};
+
+const toPatient = (patient) => ({
+  resourceType: 'Patient',
+  id: String(patient._id),
+  identifier: [pidIdentifier(patient.pid)],
+  active: patient.status ? patient.status === 'active' : patient.isActive !== false,
+});
+
+// Enrollment statuses (see services/enrollments.js) as ResearchSubject statuses
+const RESEARCH_SUBJECT_STATUS = {
+  screened: 'screening',
+  consented: 'pending-on-study',
+  enrolled: 'on-study',
+  withdrawn: 'withdrawn',
+  completed: 'off-study',
+};
+
+const isoDate = (date) => (date ? new Date(date).toISOString() : undefined);
+
+/**
+ * ResearchSubject for a patient's enrollment in the study. Enrolled subjects
+ * of a closed study are off-study; participation runs from enrollment to
+ * withdrawal or completion, and the study's subject number is an identifier.
+ */
+const toResearchSubject = (study, patient, enrollment = { status: 'enrolled' }) => {
+  const status =
+    enrollment.status === 'enrolled' && study.status === 'closed'
+      ? 'off-study'
+      : RESEARCH_SUBJECT_STATUS[enrollment.status];
+  const start = isoDate(enrollment.enrolledAt);
+  const end = isoDate(enrollment.withdrawnAt || enrollment.completedAt);
+  return {
+    resourceType: 'ResearchSubject',
+    id: `${study._id}-${patient._id}`,
+    identifier: [
+      pidIdentifier(patient.pid),
+      ...(enrollment.subjectNumber ? [{ system: SUBJECT_NUMBER_SYSTEM, value: enrollment.subjectNumber }] : []),
+    ],
+    status,
+    ...(start || end ? { period: { start, end } } : {}),
+    study: {
+      reference: `ResearchStudy/${study._id}`,
+      identifier: { system: STUDY_CODE_SYSTEM, value: study.code },
+      display: study.title,
+    },
+    individual: { reference: `Patient/${patient._id}` },
+  };
+};
+
+module.exports = {
+  questionnaireUrl,
+  questionnaireCanonical,
+  fromQuestionnaire,
+  toQuestionnaire,
+  toQuestionnaireResponse,
+  toPatient,
+  toResearchSubject,
+};
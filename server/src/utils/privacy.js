@@ -1,3 +1,5 @@
+const { isEmptyAnswer, isPlainObject, walkItems } = require('./questionnaireLogic');
+
 const PII_PATTERNS = [
   /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/i, // email
   /\b\d{3}[-.\s]?\d{3}[-.\s]?\d{4}\b/, // phone
@@ -5,11 +7,26 @@ const PII_PATTERNS = [
   /\b\d{3}-\d{2}-\d{4}\b/, // ssn-like
 ];
 
+// Dates, times and measurements look like numeric ids to the patterns above.
+// Only a value that is nothing but one of them is exempt ("2024-03-05",
+// "08:30", "36.6 °C"): free text is scanned as a whole, and a measurement has
+// at most four digits before its decimals, so a unit appended to a phone number
+// or SSN does not hide it.
+const NON_IDENTIFIER_VALUES = [
+  /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/, // ISO date/datetime
+  /^\d{1,2}[./-]\d{1,2}[./-](?:\d{4}|\d{2})$/, // day-first dates
+  /^\d{1,2}:\d{2}(?::\d{2})?$/, // times
+  /^\d{1,4}(?:[.,]\d{1,3})?\s?(?:mmHg|mmol\/L|mg\/dL|mcg|mg|kg|g|mL|ml|L|cm|mm|m|bpm|IU|U|%|°C|°F)$/, // measurements
+];
+
 const DENYLIST_KEYS = ['name', 'email', 'phone', 'address'];
 
+const isNonIdentifier = (text) => NON_IDENTIFIER_VALUES.some((pattern) => pattern.test(text.trim()));
+
 const containsPII = (value) => {
   if (value === null || value === undefined) return false;
   if (typeof value === 'number') return false;
+  if (typeof value === 'string' && isNonIdentifier(value)) return false;
   const stringValue = typeof value === 'string' ? value : JSON.stringify(value);
   return PII_PATTERNS.some((pattern) => pattern.test(stringValue));
 };
@@ -27,6 +44,11 @@ const ensureAnswersSafe = (answers) => {
       error.status = 400;
       throw error;
     }
+    // Group answers nest further linkIds
+    if (isPlainObject(value)) {
+      Object.entries(value).forEach(([childKey, childValue]) => inspect(childKey, childValue));
+      return;
+    }
     if (containsPII(value)) {
       const error = new Error('Potential identifier detected in answers');
       error.status = 400;
@@ -37,83 +59,173 @@ const ensureAnswersSafe = (answers) => {
   Object.entries(answers || {}).forEach(([key, value]) => inspect(key, value));
 };
 
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+const DATETIME_PATTERN =
+  /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?)(Z|[+-]\d{2}:\d{2})?$/;
+
+const isCalendarDate = (value) => {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const isDateTime = (value) => {
+  const match = DATETIME_PATTERN.exec(value);
+  return Boolean(match && isCalendarDate(match[1]) && TIME_PATTERN.test(match[2].split('.')[0]));
+};
+
+const decimalPlaces = (value) => {
+  const [, fraction = ''] = String(value).split('e')[0].split('.');
+  return fraction.length;
+};
+
+const rangeIssue = (item, value) => {
+  const unit = item.unit ? ` ${item.unit}` : '';
+  if (item.min !== undefined && value < item.min) return `Value must be at least ${item.min}${unit}`;
+  if (item.max !== undefined && value > item.max) return `Value must be at most ${item.max}${unit}`;
+  return null;
+};
+
+// Type checks for a single non-empty answer; returns an error message or null
+const answerTypeIssue = (item, value) => {
+  switch (item.type) {
+    case 'text':
+      return typeof value === 'string' ? null : 'Expected text';
+    case 'dropdown':
+      if (typeof value !== 'string') return 'Expected single selection';
+      return item.options?.includes(value) ? null : `Selection ${value} not allowed`;
+    case 'checkboxes': {
+      if (!Array.isArray(value)) return 'Expected a list of selections';
+      if (!value.every((entry) => typeof entry === 'string')) return 'Each selection must be text';
+      const unknown = item.options ? value.filter((entry) => !item.options.includes(entry)) : [];
+      return unknown.length ? `Selections [${unknown.join(', ')}] not allowed` : null;
+    }
+    case 'scale':
+      if (typeof value !== 'number') return 'Expected numeric value';
+      if (item.scale && (value < item.scale.min || value > item.scale.max)) {
+        return `Value must be between ${item.scale.min} and ${item.scale.max}`;
+      }
+      return null;
+    case 'date':
+      return typeof value === 'string' && isCalendarDate(value) ? null : 'Expected a date (YYYY-MM-DD)';
+    case 'datetime':
+      return typeof value === 'string' && isDateTime(value)
+        ? null
+        : 'Expected a date and time (YYYY-MM-DDTHH:mm)';
+    case 'time':
+      return typeof value === 'string' && TIME_PATTERN.test(value) ? null : 'Expected a time (HH:mm)';
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isInteger(value)) return 'Expected a whole number';
+      return rangeIssue(item, value);
+    case 'decimal':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'Expected a number';
+      if (item.precision !== undefined && decimalPlaces(value) > item.precision) {
+        return `Use at most ${item.precision} decimal places`;
+      }
+      return rangeIssue(item, value);
+    case 'calculated':
+      // Set by applyCalculations, never taken from the client
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'Expected a number';
+    default:
+      return 'Unsupported field type';
+  }
+};
+
+const unknownKeyDetails = (items, answers, prefix) => {
+  const known = new Set((items || []).map((item) => item.linkId));
+  return Object.keys(answers || {})
+    .filter((linkId) => !known.has(linkId))
+    .map((linkId) => ({
+      path: prefix ? `${prefix}.${linkId}` : linkId,
+      message: `Unknown linkId ${linkId}`,
+    }));
+};
+
+// Shape checks for a group answer; returns detail entries
+const groupDetails = (item, value, path) => {
+  if (item.repeats) {
+    if (value !== undefined && value !== null && !Array.isArray(value)) {
+      return [{ path, message: 'Expected a list of entries' }];
+    }
+    const instances = value || [];
+    const details = [];
+    if (item.required && !instances.length) {
+      details.push({ path, message: 'At least one entry is required' });
+    }
+    instances.forEach((instance, index) => {
+      if (!isPlainObject(instance)) {
+        details.push({ path: `${path}[${index}]`, message: 'Expected an entry object' });
+      } else {
+        details.push(...unknownKeyDetails(item.items, instance, `${path}[${index}]`));
+      }
+    });
+    return details;
+  }
+  if (value !== undefined && value !== null && !isPlainObject(value)) {
+    return [{ path, message: 'Expected a section object' }];
+  }
+  return unknownKeyDetails(item.items, value, path);
+};
+
+/**
+ * Validate submitted answers against a form schema. Every problem is reported
+ * in `details` keyed by answer path ("linkId", "group.linkId",
+ * "repeating[0].linkId") so the form can highlight fields inline: unknown
+ * linkIds, answers to items hidden by enableWhen, type/range mismatches and
+ * unanswered required questions (only while enabled, in every group instance).
+ */
 const ensureAnswersMatchSchema = (answers, schema) => {
-  const schemaMap = new Map(schema.items.map((item) => [item.linkId, item]));
+  const details = unknownKeyDetails(schema?.items, answers, '');
 
-  Object.entries(answers || {}).forEach(([linkId, value]) => {
-    if (!schemaMap.has(linkId)) {
-      const error = new Error(`Unknown linkId ${linkId}`);
-      error.status = 400;
-      throw error;
+  walkItems(schema?.items, answers, (item, value, { path, enabled }) => {
+    const empty = isEmptyAnswer(value);
+
+    if (!enabled) {
+      // Blank placeholders for hidden items are tolerated; real answers are not
+      if (!empty) {
+        details.push({ path, message: 'Question is not enabled for these answers' });
+      }
+      return false;
     }
 
-    const item = schemaMap.get(linkId);
-    switch (item.type) {
-      case 'text':
-        if (typeof value !== 'string') {
-          const error = new Error(`Expected string for ${linkId}`);
-          error.status = 400;
-          throw error;
-        }
-        break;
-      case 'dropdown':
-        if (typeof value !== 'string') {
-          const error = new Error(`Expected single selection for ${linkId}`);
-          error.status = 400;
-          throw error;
-        }
-        if (!item.options?.includes(value)) {
-          const error = new Error(`Selection for ${linkId} not allowed`);
-          error.status = 400;
-          throw error;
-        }
-        break;
-      case 'checkboxes':
-        if (!Array.isArray(value)) {
-          const error = new Error(`Expected array for ${linkId}`);
-          error.status = 400;
-          throw error;
-        }
-        if (!value.every((entry) => typeof entry === 'string')) {
-          const error = new Error(`Each selection for ${linkId} must be text`);
-          error.status = 400;
-          throw error;
-        }
-        if (item.options) {
-          const unknown = value.filter((entry) => !item.options.includes(entry));
-          if (unknown.length) {
-            const error = new Error(`Selections [${unknown.join(', ')}] not allowed for ${linkId}`);
-            error.status = 400;
-            throw error;
-          }
-        }
-        break;
-      case 'scale':
-        if (typeof value !== 'number') {
-          const error = new Error(`Expected numeric value for ${linkId}`);
-          error.status = 400;
-          throw error;
-        }
-        if (item.scale) {
-          const { min, max } = item.scale;
-          if (value < min || value > max) {
-            const error = new Error(`Value for ${linkId} must be between ${min} and ${max}`);
-            error.status = 400;
-            throw error;
-          }
-        }
-        break;
-      default:
-        {
-          const error = new Error(`Unsupported field type for ${linkId}`);
-          error.status = 400;
-          throw error;
-        }
+    if (item.type === 'group') {
+      const issues = groupDetails(item, value, path);
+      details.push(...issues);
+      // Malformed groups cannot be walked meaningfully
+      return !issues.some((issue) => issue.path === path && issue.message.startsWith('Expected'));
     }
+
+    if (empty) {
+      if (item.required) {
+        details.push({ path, message: 'An answer is required' });
+      }
+    } else {
+      const issue = answerTypeIssue(item, value);
+      if (issue) {
+        details.push({ path, message: issue });
+      }
+    }
+    return true;
   });
+
+  if (details.length) {
+    const error = new Error(
+      details.length === 1
+        ? `${details[0].path}: ${details[0].message}`
+        : `${details.length} answers need attention`
+    );
+    error.status = 400;
+    error.code = 'answers_invalid';
+    error.details = details;
+    throw error;
+  }
 };
 
 module.exports = {
+  containsPII,
   ensureAnswersSafe,
   ensureAnswersMatchSchema,
 };
@@ -0,0 +1,229 @@
+// Conditional display (enableWhen) evaluation shared by validation and exports.
+// client/src/lib/questionnaireLogic.js mirrors these rules for FormRunner.
+
+const { evaluateExpression } = require('./expressions');
+
+const ENABLE_WHEN_OPERATORS = [
+  'equals',
+  'notEquals',
+  'greaterThan',
+  'greaterOrEqual',
+  'lessThan',
+  'lessOrEqual',
+  'anyOf',
+];
+
+// Group answers (objects / instance arrays) are empty when nothing inside is answered
+const isEmptyAnswer = (value) => {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.every(isEmptyAnswer);
+  if (typeof value === 'object') return Object.values(value).every(isEmptyAnswer);
+  return false;
+};
+
+const sameValue = (answer, expected) => {
+  if (typeof answer === 'number' || typeof expected === 'number') {
+    return Number(answer) === Number(expected);
+  }
+  return String(answer) === String(expected);
+};
+
+const compareNumeric = (answer, expected, compare) => {
+  const left = Number(answer);
+  const right = Number(expected);
+  if (Number.isNaN(left) || Number.isNaN(right)) return false;
+  return compare(left, right);
+};
+
+/**
+ * Evaluate one condition. As in FHIR, a condition on an unanswered (or disabled)
+ * question is false for every operator.
+ */
+const evaluateCondition = (condition, answer) => {
+  if (isEmptyAnswer(answer)) return false;
+  const answers = Array.isArray(answer) ? answer : [answer];
+  const { operator, value } = condition;
+
+  switch (operator) {
+    case 'equals':
+      return answers.some((entry) => sameValue(entry, value));
+    case 'notEquals':
+      return !answers.some((entry) => sameValue(entry, value));
+    case 'greaterThan':
+      return answers.some((entry) => compareNumeric(entry, value, (a, b) => a > b));
+    case 'greaterOrEqual':
+      return answers.some((entry) => compareNumeric(entry, value, (a, b) => a >= b));
+    case 'lessThan':
+      return answers.some((entry) => compareNumeric(entry, value, (a, b) => a < b));
+    case 'lessOrEqual':
+      return answers.some((entry) => compareNumeric(entry, value, (a, b) => a <= b));
+    case 'anyOf': {
+      const expected = Array.isArray(value) ? value : [value];
+      return answers.some((entry) => expected.some((option) => sameValue(entry, option)));
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * `scope` maps linkId → answer for the enabled, answered questions visible to
+ * `item`: earlier questions at the same or an enclosing level, plus earlier
+ * siblings inside the same repeating-group instance. Anything else is treated
+ * as unanswered, so the condition is false.
+ */
+const isItemEnabled = (item, scope) => {
+  const conditions = item.enableWhen || [];
+  if (!conditions.length) return true;
+  const results = conditions.map((condition) =>
+    evaluateCondition(condition, scope.get(condition.question))
+  );
+  return item.enableBehavior === 'any' ? results.some(Boolean) : results.every(Boolean);
+};
+
+const isGroup = (item) => item.type === 'group';
+
+// Every item in the tree, depth-first in questionnaire order
+const flattenItems = (items) =>
+  (items || []).flatMap((item) => [item, ...(isGroup(item) ? flattenItems(item.items) : [])]);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Answer objects for each instance of a group (one for non-repeating groups)
+const groupInstances = (item, value) => {
+  if (item.repeats) return Array.isArray(value) ? value : [];
+  return [isPlainObject(value) ? value : {}];
+};
+
+/**
+ * Walk `items` in order, calling `visit(item, value, { path, enabled, scope })`
+ * for every item, with repeating-group instances visited once each. Returning
+ * false from `visit` skips a group's children. Conditions may only look back,
+ * so one ordered pass resolves cascades.
+ */
+const walkItems = (items, answers, visit, { prefix = '', scope = new Map() } = {}) => {
+  (items || []).forEach((item) => {
+    const value = answers?.[item.linkId];
+    const path = prefix ? `${prefix}.${item.linkId}` : item.linkId;
+    const enabled = isItemEnabled(item, scope);
+    const descend = visit(item, value, { path, enabled, scope }) !== false;
+
+    if (isGroup(item)) {
+      if (!enabled || !descend) return;
+      if (item.repeats) {
+        groupInstances(item, value).forEach((instance, index) => {
+          // Each instance sees the outer scope plus its own earlier answers
+          walkItems(item.items, instance, visit, {
+            prefix: `${path}[${index}]`,
+            scope: new Map(scope),
+          });
+        });
+      } else {
+        walkItems(item.items, groupInstances(item, value)[0], visit, { prefix: path, scope });
+      }
+      return;
+    }
+
+    if (enabled && !isEmptyAnswer(value)) {
+      scope.set(item.linkId, value);
+    }
+  });
+};
+
+/**
+ * Find the question an answer path ("a", "g.q", "meds[0].dose") points at.
+ * Returns { item, segments } where segments index into the answers object,
+ * or null if the path does not name a question in the form.
+ */
+const locateAnswer = (items, path, prefix = '', segments = []) => {
+  for (const item of items || []) {
+    const itemPath = prefix ? `${prefix}.${item.linkId}` : item.linkId;
+    const itemSegments = [...segments, item.linkId];
+    if (item.type !== 'group') {
+      if (itemPath === path) return { item, segments: itemSegments };
+    } else if (item.repeats) {
+      const match = path.slice(itemPath.length).match(/^\[(\d+)\]\./);
+      if (path.startsWith(itemPath) && match) {
+        const index = Number(match[1]);
+        const found = locateAnswer(item.items, path, `${itemPath}[${index}]`, [...itemSegments, index]);
+        if (found) return found;
+      }
+    } else if (path.startsWith(`${itemPath}.`)) {
+      const found = locateAnswer(item.items, path, itemPath, itemSegments);
+      if (found) return found;
+    }
+  }
+  return null;
+};
+
+/**
+ * Copy of `answers` with every `calculated` item recomputed from the other
+ * answers, walking in order with the same scope rules as conditions. Whatever
+ * the client sent for a calculated item is discarded; disabled or incomplete
+ * calculations are left out.
+ */
+const applyCalculations = (items, answers) => {
+  const itemsByLinkId = new Map(flattenItems(items).map((item) => [item.linkId, item]));
+
+  const calculate = (levelItems, values, scope) => {
+    const result = isPlainObject(values) ? { ...values } : {};
+    (levelItems || []).forEach((item) => {
+      const value = result[item.linkId];
+      const enabled = isItemEnabled(item, scope);
+
+      if (item.type === 'calculated') {
+        delete result[item.linkId];
+        if (!enabled) return;
+        const resolve = (linkId) =>
+          scope.has(linkId)
+            ? { value: scope.get(linkId), item: itemsByLinkId.get(linkId) }
+            : undefined;
+        const computed = evaluateExpression(item.expression, resolve, item.precision);
+        if (computed !== null) {
+          result[item.linkId] = computed;
+          scope.set(item.linkId, computed);
+        }
+        return;
+      }
+
+      if (isGroup(item)) {
+        if (!enabled) return;
+        if (item.repeats) {
+          if (Array.isArray(value)) {
+            result[item.linkId] = value.map((instance) =>
+              isPlainObject(instance) ? calculate(item.items, instance, new Map(scope)) : instance
+            );
+          }
+        } else if (value === undefined || isPlainObject(value)) {
+          const section = calculate(item.items, value, scope);
+          if (value !== undefined || Object.keys(section).length) {
+            result[item.linkId] = section;
+          }
+        }
+        return;
+      }
+
+      if (enabled && !isEmptyAnswer(value)) {
+        scope.set(item.linkId, value);
+      }
+    });
+    return result;
+  };
+
+  return calculate(items, answers, new Map());
+};
+
+module.exports = {
+  ENABLE_WHEN_OPERATORS,
+  isEmptyAnswer,
+  isPlainObject,
+  evaluateCondition,
+  isItemEnabled,
+  flattenItems,
+  groupInstances,
+  walkItems,
+  locateAnswer,
+  applyCalculations,
+};
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const argon2 = require('argon2');
+const app = require('../src/app');
+const Organization = require('../src/models/Organization');
+const User = require('../src/models/User');
+
+describe('Form FHIR import/export', () => {
+  let researcherToken;
+  let studyId;
+
+  const questionnaire = {
+    resourceType: 'Questionnaire',
+    status: 'active',
+    title: 'Symptom check',
+    item: [
+      {
+        linkId: 'symptoms',
+        type: 'group',
+        text: 'Symptoms',
+        item: [
+          {
+            linkId: 'fatigue',
+            type: 'choice',
+            text: 'Fatigue',
+            required: true,
+            answerOption: [
+              { valueCoding: { code: '0', display: 'None' } },
+              { valueCoding: { code: '1', display: 'Some' } },
+            ],
+          },
+          {
+            linkId: 'other',
+            type: 'choice',
+            repeats: true,
+            text: 'Other symptoms',
+            answerOption: [{ valueString: 'Cough' }, { valueString: 'Fever' }],
+          },
+        ],
+      },
+      { linkId: 'notes', type: 'string', text: 'Notes' },
+    ],
+  };
+
+  beforeEach(async () => {
+    const org = await Organization.create({
+      name: 'FHIR Org',
+      country: 'US',
+      contactEmail: 'contact@fhir.org',
+      status: 'approved',
+    });
+
+    await User.create({
+      email: 'researcher@example.com',
+      passwordHash: await argon2.hash('Password123!'),
+      role: 'researcher',
+      orgId: org._id,
+      displayName: 'Researcher One',
+      isActive: true,
+    });
+
+    const login = await request(app).post('/api/auth/login').send({
+      email: 'researcher@example.com',
+      password: 'Password123!',
+    });
+    researcherToken = login.body.accessToken;
+
+    const studyRes = await request(app)
+      .post('/api/studies')
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ code: 'FHIR1', title: 'FHIR study', allowedVariables: [] });
+    studyId = studyRes.body.study._id;
+  });
+
+  it('imports a Questionnaire and exports it back', async () => {
+    const importRes = await request(app)
+      .post(`/api/studies/${studyId}/forms/fhir`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ questionnaire });
+
+    expect(importRes.status).toBe(201);
+    const { form } = importRes.body;
+    expect(form.schema.items.map((item) => [item.linkId, item.type])).toEqual([
+      ['symptoms', 'group'],
+      ['notes', 'text'],
+    ]);
+    const [symptoms] = form.schema.items;
+    expect(symptoms.items.map((item) => [item.linkId, item.type])).toEqual([
+      ['fatigue', 'dropdown'],
+      ['other', 'checkboxes'],
+    ]);
+    expect(symptoms.items[0].options).toEqual(['None', 'Some']);
+    expect(symptoms.items[0].required).toBe(true);
+
+    const exportRes = await request(app)
+      .get(`/api/forms/${form._id}/fhir`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+
+    expect(exportRes.status).toBe(200);
+    expect(exportRes.headers['content-type']).toMatch(/application\/fhir\+json/);
+    const exported = JSON.parse(exportRes.text);
+    expect(exported.resourceType).toBe('Questionnaire');
+    expect(exported.url).toMatch(new RegExp(`/Questionnaire/${form._id}$`));
+    expect(exported.item[0]).toMatchObject({ linkId: 'symptoms', type: 'group' });
+    expect(exported.item[0].item[1]).toMatchObject({ linkId: 'other', type: 'choice', repeats: true });
+  });
+
+  it('rejects questionnaires with unsupported item types', async () => {
+    const res = await request(app)
+      .post(`/api/studies/${studyId}/forms/fhir`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({
+        questionnaire: {
+          resourceType: 'Questionnaire',
+          item: [{ linkId: 'scan', type: 'attachment', text: 'Upload scan' }],
+        },
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].message).toMatch(/attachment/);
+  });
+});
@@ -0,0 +1,114 @@
+const request = require('supertest');
+const argon2 = require('argon2');
+const app = require('../src/app');
+const Organization = require('../src/models/Organization');
+const User = require('../src/models/User');
+const Patient = require('../src/models/Patient');
+const { planPatientImport, applyPatientImport } = require('../src/services/patientImport');
+
+describe('Patients routes', () => {
+  let org;
+  let staff;
+  let researcherToken;
+
+  beforeEach(async () => {
+    org = await Organization.create({
+      name: 'Population Org',
+      country: 'US',
+      contactEmail: 'contact@population.org',
+      status: 'approved',
+    });
+    const passwordHash = await argon2.hash('Password123!');
+    await User.create({
+      email: 'researcher@example.com',
+      passwordHash,
+      role: 'researcher',
+      orgId: org._id,
+      displayName: 'Researcher One',
+      isActive: true,
+    });
+    staff = await User.create({
+      email: 'staff@example.com',
+      passwordHash,
+      role: 'staff',
+      orgId: org._id,
+      displayName: 'Staff One',
+      isActive: true,
+    });
+    await User.create({
+      email: 'admin@example.com',
+      passwordHash,
+      role: 'admin',
+      orgId: org._id,
+      displayName: 'Admin One',
+      isActive: true,
+    });
+    await Patient.create({ pid: 'P-EXISTING', orgId: org._id });
+
+    const login = await request(app).post('/api/auth/login').send({
+      email: 'researcher@example.com',
+      password: 'Password123!',
+    });
+    researcherToken = login.body.accessToken;
+  });
+
+  it('imports patients from CSV after a dry run, leaving out rejected rows', async () => {
+    const csv = [
+      'pid,category,cohortTags,strata,owners',
+      'P-101,Cardiology,smoker;over-65,arm-a,STAFF@example.com',
+      'p-102,Cardiology,,,',
+      'P-101,,,,',
+      'P-EXISTING,,,,',
+      'P-103,,,,admin@example.com',
+      '"P-104","Follow-up, week 2",,arm-b,nobody@example.com',
+      'P-105,,,arm-b,',
+      'P-ELSEWHERE,,,,',
+    ].join('\n');
+    const otherOrg = await Organization.create({
+      name: 'Other Org',
+      country: 'US',
+      contactEmail: 'contact@other.org',
+      status: 'approved',
+    });
+    await Patient.create({ pid: 'P-ELSEWHERE', orgId: otherOrg._id });
+    const upload = (body) =>
+      request(app)
+        .post('/api/patients/import')
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send(body);
+
+    const dryRun = await upload({ csv });
+    expect(dryRun.status).toBe(200);
+    expect(dryRun.body.summary).toEqual({ total: 8, valid: 2, rejected: 6 });
+    const errorsOf = (line) => dryRun.body.rows.find((row) => row.line === line).errors;
+    expect(errorsOf(3)[0]).toMatch(/uppercase/);
+    expect(errorsOf(4)).toEqual(['PID repeats line 2']);
+    expect(errorsOf(5)).toEqual(['PID already exists']);
+    expect(errorsOf(6)[0]).toMatch(/cannot own patients/);
+    expect(errorsOf(7)[0]).toMatch(/nobody@example.com/);
+    // Does not reveal that another organization has the PID
+    expect(errorsOf(9)).toEqual(['PID cannot be used; choose another']);
+    expect(await Patient.countDocuments({ orgId: org._id })).toBe(1);
+
+    const applied = await upload({ csv, dryRun: false });
+    expect(applied.status).toBe(201);
+    expect(applied.body.created).toBe(2);
+    const imported = await Patient.findOne({ pid: 'P-101' });
+    expect(imported.cohortTags).toEqual(['smoker', 'over-65']);
+    expect(imported.assignedStaff.map(String)).toEqual([String(staff._id)]);
+
+    // Nothing valid is left: the whole import is refused
+    const again = await upload({ csv, dryRun: false });
+    expect(again.status).toBe(400);
+    expect(await Patient.countDocuments({ orgId: org._id })).toBe(3);
+  });
+
+  it('imports none of the rows when one PID is taken while the import runs', async () => {
+    const plan = await planPatientImport(['pid', 'P-201', 'P-202', 'P-203'].join('\n'), org._id);
+    expect(plan.rows.every((row) => row.patient)).toBe(true);
+    await Patient.create({ pid: 'P-203', orgId: org._id });
+
+    await expect(applyPatientImport(plan)).rejects.toMatchObject({ status: 409, code: 'import_conflict' });
+    expect(await Patient.countDocuments({ pid: { $in: ['P-201', 'P-202'] } })).toBe(0);
+  });
+});
@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
 const config = require('../src/config/env');
 const { connectDb, disconnectDb } = require('../src/config/db');
 
@@ -11,12 +11,9 @@ beforeAll(async () => {
   process.env.JWT_ACCESS_TTL = '15m';
   process.env.JWT_REFRESH_TTL = '7d';
 
-  mongo = await MongoMemoryServer.create({
-    instance: {
-      ip: '127.0.0.1',
-      bindIp: '127.0.0.1',
-      port: 0,
-    },
+  // A single-member replica set, as transactions need one
+  mongo = await MongoMemoryReplSet.create({
+    replSet: { count: 1, ip: '127.0.0.1' },
   });
   process.env.MONGO_URI = mongo.getUri();
   config.mongoUri = process.env.MONGO_URI;
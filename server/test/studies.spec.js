@@ -3,6 +3,11 @@ const argon2 = require('argon2');
 const app = require('../src/app');
 const Organization = require('../src/models/Organization');
 const User = require('../src/models/User');
+const Patient = require('../src/models/Patient');
+const Task = require('../src/models/Task');
+const RecurringAssignment = require('../src/models/RecurringAssignment');
+const { runExport } = require('../src/services/bulkExport');
+const { runScheduledJobs } = require('../src/services/scheduler');
 
 describe('Studies routes', () => {
   let org;
@@ -97,4 +102,458 @@ describe('Studies routes', () => {
 
     expect(res.status).toBe(403);
   });
+
+  it('creates a new immutable revision when a study form is edited', async () => {
+    const createRes = await request(app)
+      .post('/api/studies')
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ code: 'STUDY-REV', title: 'Revisioned study', allowedVariables: [] });
+    const studyId = createRes.body.study._id;
+
+    const schema = {
+      id: 'vitals',
+      title: 'Vitals',
+      items: [{ linkId: 'bp', text: 'Blood pressure', type: 'text' }],
+    };
+    const formRes = await request(app)
+      .post(`/api/studies/${studyId}/forms`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ kind: 'study', version: '1.0', schema });
+    expect(formRes.status).toBe(201);
+    const original = formRes.body.form;
+    expect(original.revision).toBe(1);
+
+    const editRes = await request(app)
+      .patch(`/api/studies/${studyId}/forms/${original._id}`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({
+        version: '1.0',
+        schema: {
+          ...schema,
+          items: [...schema.items, { linkId: 'hr', text: 'Heart rate', type: 'text' }],
+        },
+      });
+    expect(editRes.status).toBe(200);
+    expect(editRes.body.form._id).not.toBe(original._id);
+    expect(editRes.body.form.revision).toBe(2);
+    expect(editRes.body.form.lineageId).toBe(original._id);
+    expect(editRes.body.form.previousRevisionId).toBe(original._id);
+
+    const staleRes = await request(app)
+      .patch(`/api/studies/${studyId}/forms/${original._id}`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ version: '1.0', schema });
+    expect(staleRes.status).toBe(409);
+
+    const revisionsRes = await request(app)
+      .get(`/api/studies/${studyId}/forms/${original._id}/revisions`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(revisionsRes.status).toBe(200);
+    expect(revisionsRes.body.revisions.map((form) => form.revision)).toEqual([2, 1]);
+    expect(revisionsRes.body.revisions[1].schema.items).toHaveLength(1);
+  });
+
+  it('runs an asynchronous FHIR bulk export for a study', async () => {
+    await Patient.create({ pid: 'P-EXPORT-1', orgId: org._id });
+    const createRes = await request(app)
+      .post('/api/studies')
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ code: 'STUDY-FHIR', title: 'Exported study', allowedVariables: [] });
+    const studyId = createRes.body.study._id;
+
+    await request(app)
+      .patch(`/api/studies/${studyId}`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ assignedPatients: ['P-EXPORT-1'] });
+
+    const kickOff = await request(app)
+      .post(`/api/studies/${studyId}/$export`)
+      .query({ _type: 'Patient,ResearchSubject' })
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(kickOff.status).toBe(202);
+    expect(kickOff.headers['content-location']).toMatch(/\$export\//);
+
+    await runExport(kickOff.body.jobId);
+
+    const status = await request(app)
+      .get(`/api/studies/${studyId}/$export/${kickOff.body.jobId}`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(status.status).toBe(200);
+    expect(status.body.output.map((entry) => [entry.type, entry.count])).toEqual([
+      ['Patient', 1],
+      ['ResearchSubject', 1],
+    ]);
+
+    const file = await request(app)
+      .get(`/api/studies/${studyId}/$export/${kickOff.body.jobId}/Patient.ndjson`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+        res.on('end', () => callback(null, data));
+      });
+    expect(file.status).toBe(200);
+    const [patient] = file.body.trim().split('\n').map((line) => JSON.parse(line));
+    expect(patient.resourceType).toBe('Patient');
+    expect(patient.identifier[0].value).toBe('P-EXPORT-1');
+
+    const staffAttempt = await request(app)
+      .post(`/api/studies/${studyId}/$export`)
+      .set('Authorization', `Bearer ${staffToken}`);
+    expect(staffAttempt.status).toBe(403);
+  });
+
+  it('exports each subject with the status and subject number of its enrollment', async () => {
+    await Patient.create({ pid: 'P-SUBJECT-1', orgId: org._id });
+    await Patient.create({ pid: 'P-SUBJECT-2', orgId: org._id });
+    const createRes = await request(app)
+      .post('/api/studies')
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ code: 'STUDY-SUBJECTS', title: 'Subject export', allowedVariables: [] });
+    const studyId = createRes.body.study._id;
+    const patch = (enrollments) =>
+      request(app)
+        .patch(`/api/studies/${studyId}`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send({ enrollments });
+    await patch([
+      { pid: 'P-SUBJECT-1', status: 'enrolled', subjectNumber: 'S-001' },
+      { pid: 'P-SUBJECT-2', status: 'consented', subjectNumber: 'S-002' },
+    ]);
+    const withdrawal = await patch([{ pid: 'P-SUBJECT-2', status: 'withdrawn', withdrawalReason: 'Moved away' }]);
+    expect(withdrawal.status).toBe(200);
+
+    const kickOff = await request(app)
+      .post(`/api/studies/${studyId}/$export`)
+      .query({ _type: 'ResearchSubject' })
+      .set('Authorization', `Bearer ${researcherToken}`);
+    await runExport(kickOff.body.jobId);
+    const file = await request(app)
+      .get(`/api/studies/${studyId}/$export/${kickOff.body.jobId}/ResearchSubject.ndjson`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+        res.on('end', () => callback(null, data));
+      });
+    expect(file.status).toBe(200);
+    const subjects = file.body.trim().split('\n').map((line) => JSON.parse(line));
+    expect(subjects.map((subject) => [subject.identifier.map((id) => id.value), subject.status])).toEqual([
+      [['P-SUBJECT-1', 'S-001'], 'on-study'],
+      [['P-SUBJECT-2', 'S-002'], 'withdrawn'],
+    ]);
+    expect(subjects[0].period.start).toBeTruthy();
+    expect(subjects[1].period.end).toBeTruthy();
+  });
+
+  it('generates a visit schedule with windows and one response per visit', async () => {
+    await Patient.create({ pid: 'P-VISITS-1', orgId: org._id });
+    const createRes = await request(app)
+      .post('/api/studies')
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ code: 'STUDY-VISITS', title: 'Longitudinal study', allowedVariables: [] });
+    const studyId = createRes.body.study._id;
+    const patch = (body) =>
+      request(app)
+        .patch(`/api/studies/${studyId}`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send(body);
+
+    await request(app)
+      .post(`/api/studies/${studyId}/forms`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({
+        kind: 'study',
+        version: '1.0',
+        schema: {
+          id: 'phq',
+          title: 'Mood',
+          items: [{ linkId: 'mood', text: 'Mood today', type: 'text' }],
+        },
+      });
+
+    const duplicate = await patch({
+      events: [
+        { key: 'baseline', label: 'Baseline', dayOffset: 0 },
+        { key: 'baseline', label: 'Again', dayOffset: 1 },
+      ],
+    });
+    expect(duplicate.status).toBe(400);
+
+    const withEvents = await patch({
+      events: [
+        { key: 'baseline', label: 'Baseline', dayOffset: 0, windowAfter: 3 },
+        { key: 'week-4', label: 'Week 4', dayOffset: 28, windowBefore: 3, windowAfter: 3 },
+      ],
+    });
+    expect(withEvents.status).toBe(200);
+    const [baseline, week4] = withEvents.body.study.events;
+
+    const enrolledAt = Date.now();
+    await patch({ assignedPatients: ['P-VISITS-1'] });
+    const tasks = await Task.find({ studyId, pid: 'P-VISITS-1' }).sort({ dueAt: 1 });
+    expect(tasks.map((task) => String(task.eventId))).toEqual([baseline._id, week4._id]);
+    const day = 24 * 60 * 60 * 1000;
+    expect(tasks[1].dueAt.getTime() - enrolledAt).toBeGreaterThan(30 * day);
+    expect(tasks[1].windowStart.getTime() - enrolledAt).toBeLessThan(26 * day);
+
+    const submit = (task, mood) =>
+      request(app)
+        .post(`/api/tasks/${task._id}/submit`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send({ answers: { mood } });
+    expect((await submit(tasks[0], 'Low')).status).toBe(200);
+    const secondVisit = await submit(tasks[1], 'Better');
+    expect(secondVisit.status).toBe(200);
+    expect(secondVisit.body.response.revision).toBe(1);
+
+    const schedule = await request(app)
+      .get(`/api/studies/${studyId}/schedule`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(schedule.status).toBe(200);
+    const [row] = schedule.body.patients;
+    expect(row.pid).toBe('P-VISITS-1');
+    expect(row.visits[baseline._id].status).toBe('completed');
+    expect(row.visits[week4._id].forms[0].title).toBe('Mood');
+
+    const removal = await patch({ events: [baseline] });
+    expect(removal.status).toBe(409);
+    expect(removal.body.code).toBe('event_in_use');
+  });
+
+  it('issues a recurring diary, expiring missed entries and reporting adherence', async () => {
+    const staff = await User.findOne({ email: 'staff@example.com' });
+    await Patient.create({ pid: 'P-DIARY-1', orgId: org._id, assignedStaff: [staff._id] });
+    const createRes = await request(app)
+      .post('/api/studies')
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ code: 'STUDY-DIARY', title: 'Symptom diary study', allowedVariables: [] });
+    const studyId = createRes.body.study._id;
+    const formRes = await request(app)
+      .post(`/api/studies/${studyId}/forms`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({
+        kind: 'study',
+        version: '1.0',
+        schema: {
+          id: 'diary',
+          title: 'Daily symptoms',
+          items: [{ linkId: 'pain', text: 'Pain today', type: 'text' }],
+        },
+      });
+    const formId = formRes.body.form._id;
+
+    const day = 24 * 60 * 60 * 1000;
+    const assign = (recurrence) =>
+      request(app)
+        .post(`/api/forms/${formId}/assign`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send({ pid: ['P-DIARY-1'], recurrence });
+    const rule = {
+      frequency: 'daily',
+      timeOfDay: '08:00',
+      startAt: new Date(Date.now() - 3 * day).toISOString(),
+      count: 3,
+    };
+
+    expect((await assign({ ...rule, endAt: new Date().toISOString() })).status).toBe(400);
+    const assigned = await assign(rule);
+    expect(assigned.status).toBe(201);
+    expect((await assign(rule)).status).toBe(409);
+
+    // The first two entries were due before today's and expire on the next run
+    await runScheduledJobs();
+    const entries = await Task.find({ pid: 'P-DIARY-1', recurrenceId: { $ne: null } }).sort({ occurrence: 1 });
+    expect(entries.map((task) => task.occurrence)).toEqual([1, 2, 3]);
+    expect(entries.map((task) => task.status)).toEqual(['expired', 'expired', 'open']);
+
+    const submitted = await request(app)
+      .post(`/api/tasks/${entries[2]._id}/submit`)
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ answers: { pain: 'Mild' } });
+    expect(submitted.status).toBe(200);
+    expect(submitted.body.response.occurrence).toBe(3);
+
+    await runScheduledJobs(new Date(Date.now() + 2 * day));
+    const diary = await RecurringAssignment.findById(assigned.body.recurrences[0]._id);
+    expect(diary.status).toBe('completed');
+
+    const adherence = await request(app)
+      .get('/api/patients/P-DIARY-1/adherence')
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(adherence.status).toBe(200);
+    expect(adherence.body.diaries[0]).toMatchObject({ completed: 1, missed: 2, adherence: 33 });
+    expect(adherence.body.adherence).toBe(33);
+  });
+
+  it('notifies assignees in the app about tasks created for them', async () => {
+    await Patient.create({ pid: 'P-INBOX-1', orgId: org._id });
+    await Patient.create({ pid: 'P-INBOX-2', orgId: org._id });
+    const staff = await User.findOne({ email: 'staff@example.com' });
+    const createRes = await request(app)
+      .post('/api/studies')
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ code: 'STUDY-INBOX', title: 'Inbox study', allowedVariables: [] });
+    const studyId = createRes.body.study._id;
+    await request(app)
+      .patch(`/api/studies/${studyId}`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ assignedStaff: [String(staff._id)], assignedPatients: ['P-INBOX-1'] });
+    const formRes = await request(app)
+      .post(`/api/studies/${studyId}/forms`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({
+        kind: 'study',
+        version: '1.0',
+        schema: { id: 'sleep', title: 'Sleep', items: [{ linkId: 'hours', text: 'Hours slept', type: 'text' }] },
+      });
+    expect(formRes.status).toBe(201);
+
+    const asStaff = (method, path) =>
+      request(app)[method](`/api/notifications${path}`).set('Authorization', `Bearer ${staffToken}`);
+    const inbox = await asStaff('get', '');
+    expect(inbox.status).toBe(200);
+    expect(inbox.body.unread).toBe(1);
+    expect(inbox.body.notifications[0]).toMatchObject({
+      type: 'task_assigned',
+      title: 'New task: Sleep',
+      link: { pid: 'P-INBOX-1', studyId, formId: formRes.body.form._id },
+    });
+    const [task] = await Task.find({ pid: 'P-INBOX-1', assignee: staff._id });
+    expect(inbox.body.notifications[0].link.taskId).toBe(String(task._id));
+
+    const read = await asStaff('post', `/${inbox.body.notifications[0]._id}/read`);
+    expect(read.body.unread).toBe(0);
+    expect(read.body.notification.readAt).toBeTruthy();
+
+    // Enrolling another patient backfills a task for every assignee
+    await request(app)
+      .patch(`/api/studies/${studyId}`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ assignedPatients: ['P-INBOX-1', 'P-INBOX-2'] });
+    expect((await asStaff('get', '/unread-count')).body.unread).toBe(1);
+    expect((await asStaff('get', '?unread=true')).body.notifications.map((item) => item.link.pid)).toEqual([
+      'P-INBOX-2',
+    ]);
+
+    const readAll = await asStaff('post', '/read-all');
+    expect(readAll.body).toEqual({ updated: 1, unread: 0 });
+    const researcherInbox = await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(researcherInbox.body.unread).toBe(2);
+  });
+
+  it('moves subjects through the enrollment lifecycle and stops tasking withdrawn ones', async () => {
+    await Patient.create({ pid: 'P-ENROL-1', orgId: org._id });
+    await Patient.create({ pid: 'P-ENROL-2', orgId: org._id });
+    const createRes = await request(app)
+      .post('/api/studies')
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ code: 'STUDY-ENROL', title: 'Enrollment study', allowedVariables: [] });
+    const studyId = createRes.body.study._id;
+    const patch = (body) =>
+      request(app)
+        .patch(`/api/studies/${studyId}`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send(body);
+    const enrollmentOf = (res, pid) => res.body.study.enrollments.find((item) => item.pid === pid);
+
+    const screened = await patch({
+      enrollments: [
+        { pid: 'P-ENROL-1', status: 'screened', subjectNumber: 'S-01' },
+        { pid: 'P-ENROL-2', status: 'consented', subjectNumber: 'S-02' },
+      ],
+    });
+    expect(screened.status).toBe(200);
+    expect(screened.body.study.assignedPatients).toEqual(['P-ENROL-1', 'P-ENROL-2']);
+    expect(enrollmentOf(screened, 'P-ENROL-1').screenedAt).toBeTruthy();
+
+    const skipped = await patch({ enrollments: [{ pid: 'P-ENROL-1', status: 'enrolled' }] });
+    expect(skipped.status).toBe(409);
+    expect(skipped.body.code).toBe('invalid_transition');
+    const taken = await patch({ enrollments: [{ pid: 'P-ENROL-2', subjectNumber: 'S-01' }] });
+    expect(taken.status).toBe(409);
+    expect(taken.body.code).toBe('duplicate_subject_number');
+    const noReason = await patch({ enrollments: [{ pid: 'P-ENROL-1', status: 'withdrawn' }] });
+    expect(noReason.status).toBe(400);
+
+    const changed = await patch({
+      enrollments: [
+        { pid: 'P-ENROL-1', status: 'withdrawn', withdrawalReason: 'Did not meet inclusion criteria' },
+        { pid: 'P-ENROL-2', status: 'enrolled' },
+      ],
+    });
+    expect(changed.status).toBe(200);
+    expect(enrollmentOf(changed, 'P-ENROL-1')).toMatchObject({
+      status: 'withdrawn',
+      withdrawalReason: 'Did not meet inclusion criteria',
+    });
+    const enrolled = enrollmentOf(changed, 'P-ENROL-2');
+    expect(enrolled.history.map((change) => change.status)).toEqual(['consented', 'enrolled']);
+    expect(changed.body.study.scheduleStarts).toEqual([{ pid: 'P-ENROL-2', startAt: enrolled.enrolledAt }]);
+
+    const formRes = await request(app)
+      .post(`/api/studies/${studyId}/forms`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({
+        kind: 'study',
+        version: '1.0',
+        schema: { id: 'pain', title: 'Pain', items: [{ linkId: 'score', text: 'Pain score', type: 'text' }] },
+      });
+    expect(formRes.status).toBe(201);
+    expect(await Task.distinct('pid', { studyId })).toEqual(['P-ENROL-2']);
+  });
+
+  it('keeps enrollment records when the patient assignment is saved again', async () => {
+    await Patient.create({ pid: 'P-KEEP-1', orgId: org._id });
+    await Patient.create({ pid: 'P-KEEP-2', orgId: org._id });
+    const createRes = await request(app)
+      .post('/api/studies')
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ code: 'STUDY-KEEP', title: 'Assignment study', allowedVariables: [] });
+    const studyId = createRes.body.study._id;
+    const patch = (body) =>
+      request(app)
+        .patch(`/api/studies/${studyId}`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send(body);
+    const enrollmentOf = (res, pid) => res.body.study.enrollments.find((item) => item.pid === pid);
+
+    await patch({ assignedPatients: ['P-KEEP-1', 'P-KEEP-2'] });
+    const withdrawn = await patch({
+      enrollments: [{ pid: 'P-KEEP-1', status: 'withdrawn', withdrawalReason: 'Moved away' }],
+    });
+    const withdrawnAt = enrollmentOf(withdrawn, 'P-KEEP-1').withdrawnAt;
+
+    // The modal leaves the withdrawn subject out of the list it saves
+    const resaved = await patch({ assignedPatients: ['P-KEEP-2'] });
+    expect(resaved.status).toBe(200);
+    expect(enrollmentOf(resaved, 'P-KEEP-1')).toMatchObject({
+      status: 'withdrawn',
+      withdrawalReason: 'Moved away',
+      withdrawnAt,
+    });
+    expect(enrollmentOf(resaved, 'P-KEEP-1').history.map((change) => change.status)).toEqual([
+      'enrolled',
+      'withdrawn',
+    ]);
+
+    // Unchecking an active subject withdraws them instead of deleting the record
+    const removed = await patch({ assignedPatients: [] });
+    expect(removed.body.study.assignedPatients).toEqual(['P-KEEP-1', 'P-KEEP-2']);
+    expect(enrollmentOf(removed, 'P-KEEP-2')).toMatchObject({
+      status: 'withdrawn',
+      withdrawalReason: 'Removed from the study assignment',
+    });
+    expect(enrollmentOf(removed, 'P-KEEP-2').history.at(-1).by).toBeTruthy();
+  });
 });
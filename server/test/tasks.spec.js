@@ -0,0 +1,941 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const argon2 = require('argon2');
+const app = require('../src/app');
+const Organization = require('../src/models/Organization');
+const User = require('../src/models/User');
+const Study = require('../src/models/Study');
+const Form = require('../src/models/Form');
+const Task = require('../src/models/Task');
+const FormResponse = require('../src/models/FormResponse');
+const NotificationDelivery = require('../src/models/NotificationDelivery');
+const { acquireLease, releaseLease } = require('../src/services/jobLease');
+const { runScheduledJobs } = require('../src/services/scheduler');
+const { registerChannel } = require('../src/services/notify');
+const { deliver, registerTransport } = require('../src/services/notificationDelivery');
+const { createDevInboxTransport } = require('../src/services/notificationTransports');
+const { subscribe } = require('../src/services/liveEvents');
+const { migrateIndexes } = require('../src/scripts/migrateIndexes');
+
+describe('Task submission', () => {
+  let researcherToken;
+  let taskId;
+  let study;
+
+  const schema = {
+    id: 'smoking',
+    title: 'Smoking history',
+    items: [
+      {
+        linkId: 'smokes',
+        text: 'Do you smoke?',
+        type: 'dropdown',
+        options: ['Yes', 'No'],
+        required: true,
+      },
+      {
+        linkId: 'per-day',
+        text: 'Cigarettes per day',
+        type: 'scale',
+        scale: { min: 0, max: 40 },
+        enableWhen: [{ question: 'smokes', operator: 'equals', value: 'Yes' }],
+      },
+      {
+        linkId: 'quit',
+        text: 'Have you tried to quit?',
+        type: 'text',
+        required: true,
+        enableWhen: [{ question: 'per-day', operator: 'greaterThan', value: 10 }],
+      },
+    ],
+  };
+
+  beforeEach(async () => {
+    const org = await Organization.create({
+      name: 'Task Org',
+      country: 'US',
+      contactEmail: 'contact@tasks.org',
+      status: 'approved',
+    });
+
+    const researcher = await User.create({
+      email: 'researcher@example.com',
+      passwordHash: await argon2.hash('Password123!'),
+      role: 'researcher',
+      orgId: org._id,
+      displayName: 'Researcher One',
+      isActive: true,
+    });
+
+    const login = await request(app).post('/api/auth/login').send({
+      email: 'researcher@example.com',
+      password: 'Password123!',
+    });
+    researcherToken = login.body.accessToken;
+
+    study = await Study.create({
+      code: 'TASKS1',
+      title: 'Task study',
+      orgId: org._id,
+      status: 'active',
+      assignedPatients: ['P-001'],
+      createdBy: researcher._id,
+    });
+    const form = await Form.create({
+      orgId: org._id,
+      studyId: study._id,
+      kind: 'study',
+      version: 'No deadline',
+      schema,
+      createdBy: researcher._id,
+    });
+    const task = await Task.create({
+      orgId: org._id,
+      studyId: study._id,
+      formId: form._id,
+      pid: 'P-001',
+      assignee: researcher._id,
+    });
+    taskId = task._id;
+  });
+
+  const submit = (answers) =>
+    request(app)
+      .post(`/api/tasks/${taskId}/submit`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ answers });
+
+  it('accepts answers that follow the display conditions', async () => {
+    const res = await submit({ smokes: 'Yes', 'per-day': 20, quit: 'Twice' });
+    expect(res.status).toBe(200);
+  });
+
+  it('rejects answers to questions hidden by their conditions', async () => {
+    const hidden = await submit({ smokes: 'No', 'per-day': 5 });
+    expect(hidden.status).toBe(400);
+    expect(hidden.body.error).toMatch(/per-day/);
+
+    // Cascade: quit depends on per-day, which is itself hidden
+    const cascaded = await submit({ smokes: 'No', quit: 'Never' });
+    expect(cascaded.status).toBe(400);
+    expect(cascaded.body.error).toMatch(/quit/);
+  });
+
+  it('ignores blank placeholders for hidden questions', async () => {
+    const res = await submit({ smokes: 'No', quit: '' });
+    expect(res.status).toBe(200);
+  });
+
+  it('requires answers to required questions only while they are enabled', async () => {
+    const empty = await submit({});
+    expect(empty.status).toBe(400);
+    expect(empty.body.code).toBe('answers_invalid');
+    expect(empty.body.details).toEqual([{ path: 'smokes', message: 'An answer is required' }]);
+
+    const missingConditional = await submit({ smokes: 'Yes', 'per-day': 20 });
+    expect(missingConditional.status).toBe(400);
+    expect(missingConditional.body.details.map((detail) => detail.path)).toEqual(['quit']);
+
+    const task = await Task.findById(taskId);
+    expect(task.status).toBe('open');
+
+    const hiddenRequired = await submit({ smokes: 'No' });
+    expect(hiddenRequired.status).toBe(200);
+  });
+
+  it('validates typed measurements without flagging them as identifiers', async () => {
+    const vitals = await Form.create({
+      orgId: study.orgId,
+      studyId: study._id,
+      kind: 'study',
+      version: 'No deadline',
+      schema: {
+        id: 'vitals',
+        title: 'Vitals',
+        items: [
+          { linkId: 'visit', text: 'Visit date', type: 'date', required: true },
+          { linkId: 'taken', text: 'Measured at', type: 'time' },
+          { linkId: 'systolic', text: 'Systolic', type: 'integer', unit: 'mmHg', min: 50, max: 250 },
+          { linkId: 'weight', text: 'Weight', type: 'decimal', unit: 'kg', precision: 1 },
+          { linkId: 'notes', text: 'Notes', type: 'text' },
+        ],
+      },
+      createdBy: study.createdBy,
+    });
+    const vitalsTask = await Task.create({
+      orgId: study.orgId,
+      studyId: study._id,
+      formId: vitals._id,
+      pid: 'P-001',
+      assignee: study.createdBy,
+    });
+    const submitVitals = (answers) =>
+      request(app)
+        .post(`/api/tasks/${vitalsTask._id}/submit`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send({ answers });
+
+    const invalid = await submitVitals({ visit: '2024-02-30', systolic: 300, weight: 72.55 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details.map((detail) => detail.path)).toEqual(['visit', 'systolic', 'weight']);
+
+    // A unit or percent sign after a phone number or SSN does not make it a measurement
+    const complete = { visit: '2024-02-29', taken: '08:30', systolic: 128, weight: 72.5 };
+    const identifiers = ['Call 555-123-4567 m', '555 123 4567 kg', '123-45-6789%', '5551234567 mg', '123456789 kg'];
+    // eslint-disable-next-line no-restricted-syntax
+    for (const notes of identifiers) {
+      // eslint-disable-next-line no-await-in-loop
+      const identifying = await submitVitals({ ...complete, notes });
+      expect(identifying.status).toBe(400);
+      expect(identifying.body.error).toBe('Potential identifier detected in answers');
+    }
+
+    const valid = await submitVitals({ ...complete, notes: 'Repeat next visit, BP 120/80 mmHg, temp 36.6 °C' });
+    expect(valid.status).toBe(200);
+  });
+
+  it('validates repeating sections entry by entry', async () => {
+    const medications = await Form.create({
+      orgId: study.orgId,
+      studyId: study._id,
+      kind: 'study',
+      version: 'No deadline',
+      schema: {
+        id: 'medications',
+        title: 'Medications',
+        items: [
+          { linkId: 'any', text: 'Any medication?', type: 'dropdown', options: ['Yes', 'No'] },
+          {
+            linkId: 'meds',
+            text: 'Medication',
+            type: 'group',
+            repeats: true,
+            required: true,
+            enableWhen: [{ question: 'any', operator: 'equals', value: 'Yes' }],
+            items: [
+              { linkId: 'drug', text: 'Drug', type: 'text', required: true },
+              { linkId: 'ongoing', text: 'Ongoing?', type: 'dropdown', options: ['Yes', 'No'] },
+              {
+                linkId: 'stopped',
+                text: 'Stop date',
+                type: 'date',
+                required: true,
+                enableWhen: [{ question: 'ongoing', operator: 'equals', value: 'No' }],
+              },
+            ],
+          },
+        ],
+      },
+      createdBy: study.createdBy,
+    });
+    const medicationTask = await Task.create({
+      orgId: study.orgId,
+      studyId: study._id,
+      formId: medications._id,
+      pid: 'P-001',
+      assignee: study.createdBy,
+    });
+    const submitMedications = (answers) =>
+      request(app)
+        .post(`/api/tasks/${medicationTask._id}/submit`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send({ answers });
+
+    const none = await submitMedications({ any: 'Yes', meds: [] });
+    expect(none.status).toBe(400);
+    expect(none.body.details).toEqual([{ path: 'meds', message: 'At least one entry is required' }]);
+
+    const incomplete = await submitMedications({
+      any: 'Yes',
+      meds: [{ drug: 'Aspirin', ongoing: 'Yes' }, { ongoing: 'No' }],
+    });
+    expect(incomplete.status).toBe(400);
+    expect(incomplete.body.details.map((detail) => detail.path)).toEqual([
+      'meds[1].drug',
+      'meds[1].stopped',
+    ]);
+
+    const valid = await submitMedications({
+      any: 'Yes',
+      meds: [
+        { drug: 'Aspirin', ongoing: 'Yes' },
+        { drug: 'Ibuprofen', ongoing: 'No', stopped: '2024-01-10' },
+      ],
+    });
+    expect(valid.status).toBe(200);
+    expect(valid.body.response.answers.meds).toHaveLength(2);
+  });
+
+  it('recomputes calculated scores instead of trusting the client', async () => {
+    const frequency = ['Not at all', 'Several days', 'More than half the days', 'Nearly every day'];
+    const screening = await Form.create({
+      orgId: study.orgId,
+      studyId: study._id,
+      kind: 'study',
+      version: 'No deadline',
+      schema: {
+        id: 'phq2',
+        title: 'PHQ-2',
+        items: [
+          { linkId: 'interest', text: 'Little interest', type: 'dropdown', options: frequency },
+          { linkId: 'mood', text: 'Feeling down', type: 'dropdown', options: frequency },
+          {
+            linkId: 'total',
+            text: 'PHQ-2 score',
+            type: 'calculated',
+            expression: 'score({interest}) + score({mood})',
+          },
+          {
+            linkId: 'follow-up',
+            text: 'Follow-up plan',
+            type: 'text',
+            required: true,
+            enableWhen: [{ question: 'total', operator: 'greaterOrEqual', value: 3 }],
+          },
+        ],
+      },
+      createdBy: study.createdBy,
+    });
+    const screeningTask = await Task.create({
+      orgId: study.orgId,
+      studyId: study._id,
+      formId: screening._id,
+      pid: 'P-001',
+      assignee: study.createdBy,
+    });
+    const submitScreening = (answers) =>
+      request(app)
+        .post(`/api/tasks/${screeningTask._id}/submit`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send({ answers });
+
+    const tampered = await submitScreening({ interest: 'Several days', mood: 'Not at all', total: 6 });
+    expect(tampered.status).toBe(200);
+    expect(tampered.body.response.answers.total).toBe(1);
+
+    // The score drives conditions exactly as it does in FormRunner
+    const high = await submitScreening({ interest: 'Nearly every day', mood: 'Several days' });
+    expect(high.status).toBe(400);
+    expect(high.body.details).toEqual([{ path: 'follow-up', message: 'An answer is required' }]);
+
+    const partial = await submitScreening({ interest: 'Several days' });
+    expect(partial.status).toBe(200);
+    expect(partial.body.response.answers).not.toHaveProperty('total');
+  });
+
+  it('keeps partial drafts without validating them or changing the task', async () => {
+    const saveDraft = (answers) =>
+      request(app)
+        .put(`/api/tasks/${taskId}/draft`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send({ answers });
+
+    // Required quit is missing and per-day is out of place, which only submit rejects
+    const saved = await saveDraft({ smokes: 'Yes', 'per-day': 20 });
+    expect(saved.status).toBe(200);
+    expect(saved.body.draft.answers).toEqual({ smokes: 'Yes', 'per-day': 20 });
+
+    const updated = await saveDraft({ smokes: 'Yes', 'per-day': 25 });
+    expect(updated.status).toBe(200);
+
+    const detail = await request(app)
+      .get(`/api/tasks/${taskId}`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(detail.body.task.status).toBe('open');
+    expect(detail.body.draft.answers['per-day']).toBe(25);
+
+    const list = await request(app)
+      .get('/api/tasks')
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(list.body.tasks[0].draftSavedAt).toBeTruthy();
+
+    const submitted = await submit({ smokes: 'Yes', 'per-day': 25, quit: 'Once' });
+    expect(submitted.status).toBe(200);
+
+    const afterSubmit = await request(app)
+      .get(`/api/tasks/${taskId}`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(afterSubmit.body.draft).toBeNull();
+  });
+
+  it('keeps every revision and requires a reason to change or void a response', async () => {
+    const first = await submit({ smokes: 'Yes', 'per-day': 20, quit: 'Twice' });
+    expect(first.status).toBe(200);
+    expect(first.body.response.revision).toBe(1);
+
+    const unexplained = await submit({ smokes: 'Yes', 'per-day': 15, quit: 'Twice' });
+    expect(unexplained.status).toBe(400);
+    expect(unexplained.body.code).toBe('reason_required');
+
+    const amended = await request(app)
+      .post(`/api/tasks/${taskId}/submit`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({
+        answers: { smokes: 'Yes', 'per-day': 15, quit: 'Twice' },
+        reason: 'Transcription error',
+      });
+    expect(amended.status).toBe(200);
+    expect(amended.body.response.revision).toBe(2);
+
+    const unexplainedVoid = await request(app)
+      .delete(`/api/tasks/${taskId}/response`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({});
+    expect(unexplainedVoid.status).toBe(400);
+
+    const voided = await request(app)
+      .delete(`/api/tasks/${taskId}/response`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ reason: 'Wrong patient' });
+    expect(voided.status).toBe(200);
+    expect(voided.body.task.status).toBe('open');
+
+    const history = await request(app)
+      .get(`/api/tasks/${taskId}/history`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(history.status).toBe(200);
+    expect(history.body.revisions.map((revision) => revision.action)).toEqual([
+      'voided',
+      'updated',
+      'created',
+    ]);
+    expect(history.body.revisions[0].reason).toBe('Wrong patient');
+    expect(history.body.revisions[1].changes).toEqual([{ path: 'per-day', from: 20, to: 15 }]);
+    // The voided answers are retained
+    expect(history.body.revisions[0].answers['per-day']).toBe(15);
+
+    const listed = await request(app)
+      .get(`/api/studies/${study._id}/responses`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(listed.body.responses).toHaveLength(0);
+  });
+
+  it('signs a response after re-entering the password until the response changes', async () => {
+    await submit({ smokes: 'Yes', 'per-day': 20, quit: 'Twice' });
+    const sign = (body) =>
+      request(app)
+        .post(`/api/tasks/${taskId}/signatures`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send(body);
+
+    const wrongPassword = await sign({ meaning: 'approved', password: 'nope' });
+    expect(wrongPassword.status).toBe(403);
+    expect(wrongPassword.body.code).toBe('signature_rejected');
+
+    const signed = await sign({ meaning: 'approved', password: 'Password123!' });
+    expect(signed.status).toBe(201);
+    expect(signed.body.signature).toMatchObject({
+      meaning: 'approved',
+      targetRevision: 1,
+      signerName: 'Researcher One',
+    });
+
+    const again = await sign({ meaning: 'approved', password: 'Password123!' });
+    expect(again.status).toBe(409);
+
+    const listed = await request(app)
+      .get(`/api/studies/${study._id}/responses`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(listed.body.responses[0].signatures).toHaveLength(1);
+
+    await request(app)
+      .post(`/api/tasks/${taskId}/submit`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ answers: { smokes: 'No' }, reason: 'Patient corrected answer' });
+
+    const detail = await request(app)
+      .get(`/api/tasks/${taskId}`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(detail.body.signatures).toHaveLength(1);
+    expect(detail.body.signatures[0].invalidatedAt).toBeTruthy();
+    expect(detail.body.signatures[0].invalidatedReason).toMatch(/revision 2/);
+
+    const relisted = await request(app)
+      .get(`/api/studies/${study._id}/responses`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(relisted.body.responses[0].signatures).toHaveLength(0);
+  });
+
+  it('moves data queries from open to answered to closed, correcting the value', async () => {
+    await submit({ smokes: 'Yes', 'per-day': 38, quit: 'Never' });
+    const post = (path, body) =>
+      request(app)
+        .post(`/api/tasks/${taskId}/queries${path}`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send(body);
+
+    const unknown = await post('', { path: 'missing', message: 'Check this' });
+    expect(unknown.status).toBe(400);
+
+    const opened = await post('', { path: 'per-day', message: 'Is 38 per day right?' });
+    expect(opened.status).toBe(201);
+    expect(opened.body.query).toMatchObject({ status: 'open', value: 38, responseRevision: 1 });
+    const queryId = opened.body.query._id;
+
+    const tasks = await request(app)
+      .get('/api/tasks')
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(tasks.body.tasks[0].openQueries).toBe(1);
+
+    const early = await post(`/${queryId}/reopen`, { message: 'Too soon' });
+    expect(early.status).toBe(409);
+
+    const answered = await post(`/${queryId}/answer`, { message: 'Typo, it is 18', value: 18 });
+    expect(answered.status).toBe(200);
+    expect(answered.body.query.status).toBe('answered');
+    expect(answered.body.query.messages[1]).toMatchObject({
+      action: 'corrected',
+      correction: { from: 38, to: 18, revision: 2 },
+    });
+
+    const detail = await request(app)
+      .get(`/api/tasks/${taskId}`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(detail.body.response.answers['per-day']).toBe(18);
+    expect(detail.body.response.revision).toBe(2);
+
+    const closed = await post(`/${queryId}/close`, {});
+    expect(closed.status).toBe(200);
+    expect(closed.body.query.status).toBe('closed');
+
+    const listed = await request(app)
+      .get(`/api/studies/${study._id}/queries`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(listed.body.counts.open).toBe(0);
+    expect(listed.body.queries).toHaveLength(1);
+  });
+
+  it('verifies and locks responses, rejecting edits until unlocked with a reason', async () => {
+    await submit({ smokes: 'Yes', 'per-day': 20, quit: 'Twice' });
+    const review = (path, body = {}) =>
+      request(app)
+        .post(`/api/tasks/${taskId}/review/${path}`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send(body);
+
+    expect((await review('lock')).status).toBe(409);
+    expect((await review('start')).body.response.reviewStatus).toBe('under_review');
+
+    const field = await request(app)
+      .put(`/api/tasks/${taskId}/review/fields`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ path: 'per-day', verified: true });
+    expect(field.status).toBe(200);
+    expect(field.body.verifiedFields).toHaveLength(1);
+
+    expect((await review('verify')).body.response.reviewStatus).toBe('verified');
+    expect((await review('lock')).body.response.reviewStatus).toBe('locked');
+
+    const edit = await request(app)
+      .post(`/api/tasks/${taskId}/submit`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ answers: { smokes: 'No' }, reason: 'Late correction' });
+    expect(edit.status).toBe(409);
+    expect(edit.body.code).toBe('response_locked');
+
+    const voided = await request(app)
+      .delete(`/api/tasks/${taskId}/response`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ reason: 'Wrong patient' });
+    expect(voided.status).toBe(409);
+
+    expect((await review('unlock')).status).toBe(400);
+    const unlocked = await review('unlock', { reason: 'Monitor found a transcription error' });
+    expect(unlocked.body.response.reviewStatus).toBe('under_review');
+
+    const corrected = await request(app)
+      .post(`/api/tasks/${taskId}/submit`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ answers: { smokes: 'Yes', 'per-day': 12, quit: 'Twice' }, reason: 'Transcription error' });
+    expect(corrected.status).toBe(200);
+    // The changed answer needs verifying again
+    expect(corrected.body.response.verifiedFields).toHaveLength(0);
+    expect(corrected.body.response.reviewStatus).toBe('under_review');
+  });
+
+  it('closes out a study only once checks pass, locking its data until an admin unlocks it', async () => {
+    await submit({ smokes: 'No' });
+    await Task.create({
+      orgId: study.orgId,
+      studyId: study._id,
+      formId: (await Task.findById(taskId)).formId,
+      pid: 'P-002',
+      assignee: study.createdBy,
+    });
+    const asResearcher = (method, path, body = {}) =>
+      request(app)[method](`/api/studies/${study._id}${path}`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send(body);
+
+    const patched = await asResearcher('patch', '', { status: 'closed' });
+    expect(patched.status).toBe(409);
+    expect(patched.body.code).toBe('invalid_transition');
+
+    const checks = await asResearcher('get', '/closeout');
+    expect(checks.body.checks).toEqual({ openTasks: 1, openQueries: 0, unsignedResponses: 1 });
+
+    const blocked = await asResearcher('post', '/closeout');
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.code).toBe('closeout_blocked');
+    expect(blocked.body.details.map((detail) => detail.path)).toEqual(['unsignedResponses', 'expireOpenTasks']);
+
+    await request(app)
+      .post(`/api/tasks/${taskId}/signatures`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ meaning: 'approved', password: 'Password123!' });
+    const closed = await asResearcher('post', '/closeout', {
+      expireOpenTasks: true,
+      reason: 'Last patient out',
+    });
+    expect(closed.status).toBe(200);
+    expect(closed.body.status).toBe('closed');
+    expect(closed.body.history[0]).toMatchObject({ action: 'locked', statusBefore: 'active', expiredTasks: 1 });
+    expect(await Task.countDocuments({ studyId: study._id, status: 'open' })).toBe(0);
+
+    const edit = await request(app)
+      .post(`/api/tasks/${taskId}/submit`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ answers: { smokes: 'Yes', 'per-day': 5 }, reason: 'After lock' });
+    expect(edit.status).toBe(409);
+    expect(edit.body.code).toBe('study_locked');
+    expect((await asResearcher('delete', '')).status).toBe(409);
+    expect((await asResearcher('post', '/unlock', { reason: 'Late data' })).status).toBe(403);
+
+    await User.create({
+      email: 'admin@example.com',
+      passwordHash: await argon2.hash('Password123!'),
+      role: 'admin',
+      orgId: study.orgId,
+      displayName: 'Admin One',
+      isActive: true,
+    });
+    const adminLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'Password123!' });
+    const unlock = (body) =>
+      request(app)
+        .post(`/api/studies/${study._id}/unlock`)
+        .set('Authorization', `Bearer ${adminLogin.body.accessToken}`)
+        .send(body);
+
+    expect((await unlock({})).status).toBe(400);
+    const unlocked = await unlock({ reason: 'Sponsor requested a late correction' });
+    expect(unlocked.status).toBe(200);
+    expect(unlocked.body.status).toBe('active');
+
+    const corrected = await request(app)
+      .post(`/api/tasks/${taskId}/submit`)
+      .set('Authorization', `Bearer ${researcherToken}`)
+      .send({ answers: { smokes: 'Yes', 'per-day': 5 }, reason: 'Late correction' });
+    expect(corrected.status).toBe(200);
+  });
+
+  it('drops the pre-visit task index that refuses a second visit of the same form', async () => {
+    await Task.collection.createIndex(
+      { orgId: 1, studyId: 1, formId: 1, pid: 1, assignee: 1 },
+      { unique: true, name: 'uniq_task_assignment' }
+    );
+    const { _id, ...slot } = (await Task.findById(taskId)).toObject();
+    const secondVisit = { ...slot, eventId: new mongoose.Types.ObjectId() };
+    await expect(Task.create(secondVisit)).rejects.toMatchObject({ code: 11000 });
+
+    expect(await migrateIndexes()).toEqual(['Task.uniq_task_assignment']);
+    expect((await Task.collection.indexes()).map((index) => index.name)).toContain('uniq_task_slot_assignment');
+    await Task.create(secondVisit);
+    expect(await Task.countDocuments({ pid: 'P-001' })).toBe(2);
+  });
+
+  it('expires tasks after their due date and grace period, reporting overdue ones', async () => {
+    await Study.updateOne({ _id: study._id }, { $set: { taskGraceHours: 24 } });
+    const seed = await Task.findById(taskId);
+    const hour = 60 * 60 * 1000;
+    const taskFor = (pid, dueAt) =>
+      Task.create({ orgId: seed.orgId, studyId: study._id, formId: seed.formId, pid, assignee: seed.assignee, dueAt });
+    const inGrace = await taskFor('P-002', new Date(Date.now() - 2 * hour));
+    const pastGrace = await taskFor('P-003', new Date(Date.now() - 30 * hour));
+
+    const result = await runScheduledJobs();
+    expect(result.expired).toBe(1);
+    expect((await Task.findById(inGrace._id)).status).toBe('open');
+    expect((await Task.findById(pastGrace._id)).status).toBe('expired');
+
+    const list = await request(app).get('/api/tasks').set('Authorization', `Bearer ${researcherToken}`);
+    expect(list.status).toBe(200);
+    expect(list.body.counts).toMatchObject({ total: 3, open: 2, overdue: 1, expired: 1 });
+    expect(list.body.tasks.find((task) => task.pid === 'P-002').overdue).toBe(true);
+
+    const overdue = await request(app)
+      .get('/api/tasks?status=overdue')
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(overdue.body.tasks.map((task) => task.pid)).toEqual(['P-002']);
+
+    // Only one instance holds the job at a time
+    expect(await acquireLease('expiry-test', 'instance-a', 60000)).toBe(true);
+    expect(await acquireLease('expiry-test', 'instance-b', 60000)).toBe(false);
+    await releaseLease('expiry-test', 'instance-a', result);
+    expect(await acquireLease('expiry-test', 'instance-b', 60000)).toBe(true);
+  });
+
+  it('refuses submissions to an expired task until a reviewer reopens it', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    await Task.updateOne({ _id: taskId }, { $set: { dueAt: new Date(Date.now() - 2 * day) } });
+    expect((await runScheduledJobs()).expired).toBe(1);
+
+    const late = await submit({ smokes: 'No' });
+    expect(late.status).toBe(409);
+    expect(late.body.code).toBe('task_expired');
+    expect((await Task.findById(taskId)).status).toBe('expired');
+
+    const view = await request(app).get(`/api/tasks/${taskId}`).set('Authorization', `Bearer ${researcherToken}`);
+    expect(view.body.permissions.canSubmit).toBe(false);
+
+    const reopen = (dueAt) =>
+      request(app)
+        .post(`/api/tasks/${taskId}/reopen`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send({ dueAt: dueAt.toISOString() });
+    expect((await reopen(new Date(Date.now() - day))).status).toBe(400);
+    const reopened = await reopen(new Date(Date.now() + 7 * day));
+    expect(reopened.status).toBe(200);
+    expect(reopened.body.reopened).toBe(1);
+    expect((await Task.findById(taskId)).status).toBe('open');
+
+    expect((await submit({ smokes: 'No' })).status).toBe(200);
+    expect((await reopen(new Date(Date.now() + 7 * day))).body.code).toBe('task_not_expired');
+  });
+
+  it('runs study notification rules for submissions and upcoming due dates', async () => {
+    const sent = [];
+    let notified;
+    const firstNotification = new Promise((resolve) => {
+      notified = resolve;
+    });
+    registerChannel('capture', async (userIds, message, context) => {
+      sent.push({ userIds, message, trigger: context.trigger });
+      notified();
+    });
+    const staff = await User.create({
+      email: 'staff@example.com',
+      passwordHash: await argon2.hash('Password123!'),
+      role: 'staff',
+      orgId: study.orgId,
+      displayName: 'Staff One',
+      isActive: true,
+    });
+    await Study.updateOne({ _id: study._id }, { $set: { assignedStaff: [staff._id] } });
+    const setRules = (notifications) =>
+      request(app)
+        .patch(`/api/studies/${study._id}`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send({ notifications });
+
+    const unknown = await setRules([{ trigger: 'task_created', toRole: 'staff', channels: ['pager'] }]);
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.details.map((detail) => detail.path)).toEqual(['notifications.0.channels.0']);
+
+    const saved = await setRules([
+      {
+        trigger: 'response_submitted',
+        toRole: 'staff',
+        channels: ['capture'],
+        template: '{{actor}} sent {{form}} for {{pid}}',
+      },
+      { trigger: 'task_due_soon', toRole: 'researcher', daysBefore: 2, channels: ['capture'] },
+    ]);
+    expect(saved.status).toBe(200);
+
+    // Submission rules run after the reply
+    expect((await submit({ smokes: 'No' })).status).toBe(200);
+    await firstNotification;
+    expect(sent).toEqual([
+      {
+        userIds: [String(staff._id)],
+        message: {
+          subject: 'Submitted: Smoking history (P-001)',
+          text: 'Researcher One sent Smoking history for P-001',
+        },
+        trigger: 'response_submitted',
+      },
+    ]);
+
+    const seed = await Task.findById(taskId);
+    await Task.create({
+      orgId: seed.orgId,
+      studyId: study._id,
+      formId: seed.formId,
+      pid: 'P-002',
+      assignee: seed.assignee,
+      dueAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    });
+    expect((await runScheduledJobs()).notified).toBe(1);
+    expect((await runScheduledJobs()).notified).toBe(0);
+    expect(sent[1]).toMatchObject({ userIds: [String(seed.assignee)], trigger: 'task_due_soon' });
+    expect(sent[1].message.text).toMatch(/^Smoking history for patient P-002 in Task study is due/);
+  });
+
+  it('queues email to assignees of a sent form and retries failed deliveries with backoff', async () => {
+    await request(app).delete('/api/dev/inbox');
+    const seed = await Task.findById(taskId);
+    const sent = await request(app)
+      .post(`/api/forms/${seed.formId}/send`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(sent.status).toBe(200);
+    expect(sent.body.deliveries).toEqual([
+      expect.objectContaining({ userId: String(seed.assignee), channel: 'email', status: 'pending' }),
+    ]);
+    // The request only queues the email; the scheduler sends it
+    expect((await request(app).get('/api/dev/inbox?to=researcher@example.com')).body.messages).toHaveLength(0);
+    expect((await runScheduledJobs()).deliveries).toEqual({ attempted: 1, sent: 1 });
+
+    const inbox = await request(app).get('/api/dev/inbox?to=researcher@example.com');
+    expect(inbox.body.messages).toHaveLength(1);
+    expect(inbox.body.messages[0].subject).toBe('Form to complete: Smoking history');
+    expect(inbox.body.messages[0].text).toMatch(/Task study is waiting for you/);
+
+    const send = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('Connection refused'))
+      .mockResolvedValue({ id: 'smtp-1' });
+    registerTransport('email', { name: 'flaky', send });
+    try {
+      const [delivery] = await deliver('email', [seed.assignee], { subject: 'Reminder', text: 'Please submit' });
+      expect(delivery).toMatchObject({ status: 'pending', attempts: 0 });
+      expect(send).not.toHaveBeenCalled();
+
+      expect((await runScheduledJobs()).deliveries).toEqual({ attempted: 1, sent: 0 });
+      expect(await NotificationDelivery.findById(delivery._id)).toMatchObject({
+        status: 'pending',
+        attempts: 1,
+        lastError: 'Connection refused',
+      });
+
+      // Not retried before its backoff has passed
+      await runScheduledJobs(new Date(Date.now() + 30 * 1000));
+      expect(send).toHaveBeenCalledTimes(1);
+      const result = await runScheduledJobs(new Date(Date.now() + 2 * 60 * 1000));
+      expect(result.deliveries).toEqual({ attempted: 1, sent: 1 });
+
+      const reloaded = await NotificationDelivery.findById(delivery._id);
+      expect(reloaded).toMatchObject({ status: 'sent', attempts: 2, providerId: 'smtp-1' });
+    } finally {
+      registerTransport('email', createDevInboxTransport('email'));
+    }
+
+    const [sms] = await deliver('sms', [seed.assignee], { text: 'Please submit' });
+    await runScheduledJobs();
+    expect(await NotificationDelivery.findById(sms._id)).toMatchObject({
+      status: 'failed',
+      attempts: 1,
+      lastError: 'No phone for this user',
+    });
+  });
+
+  it('streams task events only to users who can see the task', async () => {
+    const researcher = await User.findOne({ email: 'researcher@example.com' });
+    const outsider = await User.create({
+      email: 'outsider@example.com',
+      passwordHash: await argon2.hash('Password123!'),
+      role: 'staff',
+      orgId: researcher.orgId,
+      displayName: 'Unassigned Staff',
+      isActive: true,
+    });
+    const received = { researcher: [], outsider: [] };
+    const stops = [
+      subscribe(researcher, (event) => received.researcher.push(event)),
+      subscribe(outsider, (event) => received.outsider.push(event)),
+    ];
+
+    try {
+      expect((await submit({ smokes: 'No', quit: 'Never' })).status).toBe(200);
+      const voided = await request(app)
+        .delete(`/api/tasks/${taskId}/response`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send({ reason: 'Wrong patient' });
+      expect(voided.status).toBe(200);
+    } finally {
+      stops.forEach((stop) => stop());
+    }
+
+    expect(received.researcher.map((event) => event.type)).toEqual(['task.submitted', 'task.reset']);
+    expect(received.researcher[0]).toMatchObject({
+      taskId: String(taskId),
+      studyId: String(study._id),
+      pid: 'P-001',
+      actor: { id: String(researcher._id), displayName: 'Researcher One' },
+    });
+    expect(received.outsider).toHaveLength(0);
+
+    const stream = await request(app).get('/api/events');
+    expect(stream.status).toBe(401);
+  });
+
+  it('lets the patient answer once through a signed self-report link', async () => {
+    const issued = await request(app)
+      .post(`/api/tasks/${taskId}/patient-link`)
+      .set('Authorization', `Bearer ${researcherToken}`);
+    expect(issued.status).toBe(201);
+    const token = decodeURIComponent(issued.body.url.split('/epro/')[1]);
+
+    const forged = await request(app).get(`/api/public/epro/${token.slice(0, -2)}xx`);
+    expect(forged.status).toBe(404);
+
+    const opened = await request(app).get(`/api/public/epro/${token}`);
+    expect(opened.status).toBe(200);
+    expect(opened.body.form.schema.title).toBe('Smoking history');
+    expect(opened.body).not.toHaveProperty('pid');
+
+    // Same validation as staff submissions; a rejected attempt does not use up the link
+    const hidden = await request(app)
+      .post(`/api/public/epro/${token}/submit`)
+      .send({ answers: { smokes: 'No', 'per-day': 5 } });
+    expect(hidden.status).toBe(400);
+
+    const submitted = await request(app)
+      .post(`/api/public/epro/${token}/submit`)
+      .send({ answers: { smokes: 'No' } });
+    expect(submitted.status).toBe(201);
+
+    const response = await FormResponse.findOne({ pid: 'P-001' });
+    expect(response.authorType).toBe('patient');
+    expect(response.authoredBy).toBeUndefined();
+    expect((await Task.findById(taskId)).status).toBe('submitted');
+
+    const reused = await request(app)
+      .post(`/api/public/epro/${token}/submit`)
+      .send({ answers: { smokes: 'Yes', 'per-day': 2 } });
+    expect(reused.status).toBe(410);
+    expect(reused.body.code).toBe('link_used');
+  });
+
+  it('replays queued submissions once and refuses ones based on a stale revision', async () => {
+    const send = (body) =>
+      request(app)
+        .post(`/api/tasks/${taskId}/submit`)
+        .set('Authorization', `Bearer ${researcherToken}`)
+        .send(body);
+
+    const queued = { answers: { smokes: 'No' }, submissionId: 'offline-0001', baseRevision: 0 };
+    const first = await send(queued);
+    expect(first.status).toBe(200);
+    expect(first.body.replayed).toBe(false);
+
+    // The reply was lost: resending stores nothing new
+    const replay = await send(queued);
+    expect(replay.status).toBe(200);
+    expect(replay.body.replayed).toBe(true);
+    expect(replay.body.response.revision).toBe(1);
+
+    // Edited from revision 1 while someone else already saved revision 2
+    await send({ answers: { smokes: 'Yes', 'per-day': 5 }, reason: 'Patient recalled', baseRevision: 1 });
+    const stale = await send({
+      answers: { smokes: 'Yes', 'per-day': 2 },
+      reason: 'Entered on the ward',
+      submissionId: 'offline-0002',
+      baseRevision: 1,
+    });
+    expect(stale.status).toBe(409);
+    expect(stale.body.code).toBe('response_conflict');
+    expect((await FormResponse.findOne({ pid: 'P-001' })).answers['per-day']).toBe(5);
+  });
+});